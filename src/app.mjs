@@ -15,6 +15,8 @@ import './telemetry/index.mjs'
 // const app = createServer(bot)
 
 // startServer(app)
+// bot.digestHandlers.startScheduler()
+// bot.itsmHandlers.startSlaMonitor()
 
 
 // PROD
@@ -23,10 +25,13 @@ import './telemetry/index.mjs'
  */
 import { JiraBot } from './bot/JiraBot.mjs'
 import { validateConfig } from './config/env.mjs'
-import { startServer } from '@microsoft/agents-hosting-express'                                                                                       
+import { createProductionServer, startServer } from './server.mjs'
 
 validateConfig()
 
 const bot = new JiraBot()
+const app = createProductionServer(bot)
 
-startServer(bot)
+startServer(app)
+bot.digestHandlers.startScheduler()
+bot.itsmHandlers.startSlaMonitor()
@@ -5,10 +5,24 @@
 import { AgentApplication } from '@microsoft/agents-hosting'
 import { createJiraServiceFromEnv } from '../services/jira.service.mjs'
 import { createITSMServiceFromEnv } from '../services/itsm.service.mjs'
-import { getState, deleteState } from '../state/conversation.mjs'
-import { createJiraHandlers } from '../components/jira/index.mjs'
-import { createITSMHandlers } from '../components/itsm/index.mjs'
-import { wrapContextForChannel } from '../utils/index.mjs'
+import { createIdentityService } from '../services/identity.service.mjs'
+import { createOAuthServiceFromEnv } from '../services/oauth.service.mjs'
+import { config } from '../config/env.mjs'
+import { getState, deleteState, consumeExpiredFlow } from '../state/conversation.mjs'
+import { recordMessage } from '../state/transcripts.mjs'
+import { createJiraHandlers, jiraListingSources } from '../components/jira/index.mjs'
+import { createITSMHandlers, itsmListingSources } from '../components/itsm/index.mjs'
+import { createDraftHandlers } from '../components/drafts/index.mjs'
+import { createPagerHandlers, isPageCommand } from '../components/pager/index.mjs'
+import { createNotificationHandlers } from '../components/notifications/index.mjs'
+import { createDigestHandlers } from '../components/digest/index.mjs'
+import {
+  wrapContextForChannel,
+  getUserKey,
+  isAddressedToBot,
+  sendInvokeResponse,
+  stripMentionTags,
+} from '../utils/index.mjs'
 import { welcomeMessage } from './templates.mjs'
 import {
   withSpan,
@@ -18,6 +32,9 @@ import {
   recordError,
 } from '../telemetry/index.mjs'
 
+// Message action command ID, as declared under composeExtensions in appPackage/manifest.json
+const CREATE_TICKET_COMMAND = 'createTicketFromMessage'
+
 /**
  * JiraBot - Main bot class for Microsoft Teams
  * Handles message routing and command processing for Jira and ITSM operations
@@ -32,16 +49,32 @@ export class JiraBot extends AgentApplication {
     super({})
 
     this._initializeServices()
+    this._oauthSessions = new WeakMap()
 
     this.jiraHandlers = createJiraHandlers(this)
     this.itsmHandlers = createITSMHandlers(this)
+    this.draftHandlers = createDraftHandlers(this)
+    this.pagerHandlers = createPagerHandlers(this, { ...jiraListingSources, ...itsmListingSources })
+    this.notificationHandlers = createNotificationHandlers(this)
+    this.digestHandlers = createDigestHandlers(this)
 
     this.onConversationUpdate('membersAdded', this._welcome)
     this.onActivity('message', this._handleMessage)
+    this.addRoute(
+      async context => context.activity.type === 'invoke' && context.activity.name === 'composeExtension/queryLink',
+      this._handleLinkUnfurl,
+      true
+    )
+    this.addRoute(
+      async context => context.activity.type === 'invoke' &&
+        ['composeExtension/fetchTask', 'composeExtension/submitAction'].includes(context.activity.name),
+      this._handleMessageAction,
+      true
+    )
   }
 
   /**
-   * Initialize Jira and ITSM services from environment configuration
+   * Initialize Jira, ITSM and identity services from environment configuration
    * @private
    */
   _initializeServices() {
@@ -60,6 +93,104 @@ export class JiraBot extends AgentApplication {
       console.warn('ITSM service not configured:', error.message)
       this.itsmService = null
     }
+
+    this.identityService = createIdentityService(this.jiraService)
+
+    try {
+      this.oauthService = createOAuthServiceFromEnv(config.oauth, config.jira.baseUrl)
+      console.log('Atlassian OAuth initialized successfully')
+    } catch (error) {
+      console.warn('Atlassian OAuth not configured:', error.message)
+      this.oauthService = null
+    }
+  }
+
+  /**
+   * Get the Jira service to use for the sender of this turn
+   * Uses the user's own OAuth token when connected, the shared service account otherwise
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<object|null>} JiraService instance or null if Jira is not configured
+   */
+  async getJiraService(context) {
+    if (!this.jiraService) return null
+
+    const session = await this._getOAuthSession(context)
+    if (!session) return this.jiraService
+
+    return this.jiraService.forUser(
+      session.accessToken,
+      this.oauthService.getJiraApiBaseUrl(session.cloudId)
+    )
+  }
+
+  /**
+   * Get the ITSM service to use for the sender of this turn
+   * Uses the user's own OAuth token when connected, the shared service account otherwise
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<object|null>} ITSMService instance or null if ITSM is not configured
+   */
+  async getITSMService(context) {
+    if (!this.itsmService) return null
+
+    const session = await this._getOAuthSession(context)
+    if (!session) return this.itsmService
+
+    return this.itsmService.forUser(
+      session.accessToken,
+      this.oauthService.getJiraApiBaseUrl(session.cloudId),
+      this.oauthService.getFormsApiBaseUrl(session.cloudId)
+    )
+  }
+
+  /**
+   * Complete an Atlassian login started with "jira login"
+   * Called by the OAuth callback route
+   * @param {string} code - Authorization code
+   * @param {string} state - OAuth state parameter
+   * @returns {Promise<void>}
+   */
+  async completeLogin(code, state) {
+    const session = await this.oauthService.handleCallback(code, state)
+
+    if (this.jiraService && this.identityService) {
+      try {
+        const userJira = this.jiraService.forUser(
+          session.accessToken,
+          this.oauthService.getJiraApiBaseUrl(session.cloudId)
+        )
+        const me = await userJira.getCurrentUser()
+        this.identityService.remember(session.userKey, me, 'oauth')
+      } catch (error) {
+        console.warn('Could not load Jira profile after login:', error.message)
+      }
+    }
+  }
+
+  /**
+   * Send a message to a conversation outside of the current turn, e.g. into a channel thread
+   * @param {object} reference - Conversation reference of the target conversation
+   * @param {string|object} activity - Message text or activity
+   * @returns {Promise<void>}
+   */
+  async sendToConversation(reference, activity) {
+    await this.adapter.continueConversation(config.bot.clientId, reference, async context => {
+      await wrapContextForChannel(context).sendActivity(activity)
+    })
+  }
+
+  /**
+   * Get the OAuth session for the sender of this turn (cached per turn)
+   * @private
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<{accessToken: string, cloudId: string}|null>}
+   */
+  async _getOAuthSession(context) {
+    if (!this.oauthService) return null
+
+    if (!this._oauthSessions.has(context)) {
+      this._oauthSessions.set(context, await this.oauthService.getSession(getUserKey(context)))
+    }
+    return this._oauthSessions.get(context)
   }
 
   /**
@@ -106,28 +237,101 @@ export class JiraBot extends AgentApplication {
 
     // Track message received
     botMetrics.messagesReceived.add(1, { channel: channelId })
-    log(`Message received: ${text.substring(0, 50)}...`, 'INFO', { conversationId, channel: channelId })
 
     await withSpan('bot.handleMessage', async (span) => {
       span.setAttributes({
-        'bot.message.text': text.substring(0, 100),
         'bot.conversation.id': conversationId,
         'bot.channel.id': channelId,
       })
 
       try {
+        // With resource-specific consent the bot sees every message in group chats and
+        // channels; only messages that @mention it are commands, the rest feed `jira from thread`
+        if (!isAddressedToBot(context)) {
+          if (text) {
+            recordMessage(conversationId, {
+              author: context.activity.from?.name,
+              text: stripMentionTags(text),
+              timestamp: context.activity.timestamp,
+            })
+          }
+
+          if (config.jira.issuePreviews) {
+            span.setAttribute('bot.flow', 'jira_issue_preview')
+            await this.jiraHandlers.previewIssueKeys(wrapContextForChannel(context), text, conversationId, { onlyNew: true })
+          }
+          return
+        }
+
+        // Chatter the bot merely overhears stays out of logs and traces
+        log(`Message received: ${text.substring(0, 50)}...`, 'INFO', { conversationId, channel: channelId })
+        span.setAttribute('bot.message.text', text.substring(0, 100))
+
+        // Personal chats are where notifications and SLA warnings are delivered later on
+        try {
+          await this.notificationHandlers.rememberUser(context)
+        } catch (error) {
+          console.warn('Could not store conversation for notifications:', error.message)
+        }
+
         await this._sendTyping(context)
 
         // Wrap context for channel-specific message formatting
         const wrappedContext = wrapContextForChannel(context)
+
+        // The ticket creation card carries all its inputs, so it works regardless of conversation state
+        if (context.activity.value?.jiraAction) {
+          span.setAttribute('bot.flow', 'jira_ticket_card')
+          await this.jiraHandlers.submitTicketCard(wrappedContext, context.activity.value)
+          return
+        }
+
+        // Approval cards are sent proactively and answer a single approval, outside any flow
+        if (context.activity.value?.approvalAction) {
+          span.setAttribute('bot.flow', 'itsm_approval_card')
+          await this.itsmHandlers.submitApprovalCard(wrappedContext, context.activity.value)
+          return
+        }
+
+        // The notice comes first; the message itself is still handled below
+        const expired = consumeExpiredFlow(conversationId)
+        if (expired) {
+          span.setAttribute('bot.flow_expired', expired.flow)
+          await this._notifyExpiredFlow(wrappedContext, expired)
+        }
+
         const state = getState(conversationId)
 
+        // Starting another wizard or switching drafts works mid-flow; the current one is saved as a draft
+        if ((state.awaitingTicketDetails || state.awaitingITSMDetails) && this._isFlowSwitchCommand(text)) {
+          await this._routeCommand(wrappedContext, text, conversationId)
+          return
+        }
+
+        // Buttons on old ITSM wizard cards can still be clicked after the request is done
+        if (context.activity.value?.itsmAction && !state.awaitingITSMDetails) {
+          await wrappedContext.sendActivity('This request is no longer in progress. Type `itsm create` to start a new one.')
+          return
+        }
+
         if (state.awaitingTicketDetails) {
           span.setAttribute('bot.flow', 'jira_ticket_creation')
           await this.jiraHandlers.handleTicketFlow(wrappedContext, text, state, conversationId)
           return
         }
 
+        if (state.awaitingTransition) {
+          span.setAttribute('bot.flow', 'jira_transition')
+          await this.jiraHandlers.handleTransitionFlow(wrappedContext, text, state, conversationId)
+          return
+        }
+
+        if (state.awaitingAssignee) {
+          span.setAttribute('bot.flow', 'jira_assignment')
+          await this.jiraHandlers.handleAssigneeChoice(wrappedContext, text, state, conversationId)
+          return
+        }
+
         if (state.awaitingITSMDetails) {
           span.setAttribute('bot.flow', 'itsm_request_creation')
           await this.itsmHandlers.handleRequestFlow(wrappedContext, text, state, conversationId)
@@ -147,6 +351,61 @@ export class JiraBot extends AgentApplication {
     })
   }
 
+  /**
+   * Answer a link unfurling request for a Jira link pasted in Teams
+   * @private
+   * @param {object} context - Turn context of the invoke activity
+   * @returns {Promise<void>}
+   */
+  _handleLinkUnfurl = async context => {
+    const channelId = context.activity.channelId || 'unknown'
+
+    await withSpan('bot.unfurlLink', async () => {
+      botMetrics.commandsExecuted.add(1, { command: 'jira_unfurl' })
+      addSpanAttributes({ 'bot.command': 'jira_unfurl' })
+
+      try {
+        await this.jiraHandlers.unfurlLink(context)
+      } catch (error) {
+        botMetrics.errors.add(1, { channel: channelId, error_type: error.name })
+        recordError(error)
+        log(`Error unfurling link: ${error.message}`, 'ERROR', { error: error.stack })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Handle the "Create Jira ticket" message action: open its task module, then create the ticket
+   * @private
+   * @param {object} context - Turn context of the invoke activity
+   * @returns {Promise<void>}
+   */
+  _handleMessageAction = async context => {
+    const channelId = context.activity.channelId || 'unknown'
+    const { commandId } = context.activity.value || {}
+
+    await withSpan('bot.messageAction', async () => {
+      botMetrics.commandsExecuted.add(1, { command: 'jira_create_from_message' })
+      addSpanAttributes({ 'bot.command': 'jira_create_from_message', 'bot.message_action': commandId })
+
+      try {
+        if (commandId !== CREATE_TICKET_COMMAND) {
+          await sendInvokeResponse(context, { task: { type: 'message', value: `Unknown action: ${commandId}` } })
+        } else if (context.activity.name === 'composeExtension/fetchTask') {
+          await this.jiraHandlers.openTicketFromMessage(context)
+        } else {
+          await this.jiraHandlers.submitTicketFromMessage(context)
+        }
+      } catch (error) {
+        botMetrics.errors.add(1, { channel: channelId, error_type: error.name })
+        recordError(error)
+        log(`Error handling message action: ${error.message}`, 'ERROR', { error: error.stack })
+        throw error
+      }
+    })
+  }
+
   /**
    * Route text commands to appropriate handlers
    * @private
@@ -176,6 +435,14 @@ export class JiraBot extends AgentApplication {
       return
     }
 
+    if (isPageCommand(text)) {
+      command = 'page'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.pagerHandlers.navigate(context, text, conversationId)
+      return
+    }
+
     if (lowerText === 'jira create' || lowerText === 'create ticket') {
       command = 'jira_create'
       botMetrics.commandsExecuted.add(1, { command })
@@ -184,20 +451,141 @@ export class JiraBot extends AgentApplication {
       return
     }
 
+    if (lowerText === 'jira from thread' || lowerText.startsWith('jira from thread ')) {
+      command = 'jira_from_thread'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(16).trim()
+      await this.jiraHandlers.startTicketFromThread(context, args, conversationId)
+      return
+    }
+
     if (lowerText === 'jira my tickets' || lowerText === 'my tickets') {
       command = 'jira_my_tickets'
       botMetrics.commandsExecuted.add(1, { command })
       addSpanAttributes({ 'bot.command': command })
-      await this.jiraHandlers.showMyTickets(context)
+      await this.jiraHandlers.showMyTickets(context, conversationId)
       return
     }
 
-    if (lowerText.startsWith('jira search ')) {
+    if (lowerText === 'jira login') {
+      command = 'jira_login'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.jiraHandlers.startLogin(context)
+      return
+    }
+
+    if (lowerText === 'jira logout') {
+      command = 'jira_logout'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.jiraHandlers.logout(context)
+      return
+    }
+
+    if (lowerText === 'jira whoami' || lowerText === 'whoami') {
+      command = 'jira_whoami'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.jiraHandlers.showWhoAmI(context)
+      return
+    }
+
+    if (lowerText === 'jira link me' || lowerText.startsWith('jira link me ')) {
+      command = 'jira_link'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const email = text.substring(12).trim()
+      await this.jiraHandlers.linkAccount(context, email)
+      return
+    }
+
+    if (lowerText === 'jira search' || lowerText.startsWith('jira search ')) {
       command = 'jira_search'
       botMetrics.commandsExecuted.add(1, { command })
       addSpanAttributes({ 'bot.command': command })
       const query = text.substring(12).trim()
-      await this.jiraHandlers.searchTickets(context, query)
+      await this.jiraHandlers.searchTickets(context, query, conversationId)
+      return
+    }
+
+    if (lowerText === 'jira searches') {
+      command = 'jira_searches'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.jiraHandlers.showNamedSearches(context)
+      return
+    }
+
+    if (lowerText === 'jira save search' || lowerText.startsWith('jira save search ')) {
+      command = 'jira_save_search'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(16).trim()
+      await this.jiraHandlers.saveNamedSearch(context, args)
+      return
+    }
+
+    if (lowerText === 'jira run' || lowerText.startsWith('jira run ')) {
+      command = 'jira_run_search'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const name = text.substring(8).trim()
+      await this.jiraHandlers.runNamedSearch(context, name, conversationId)
+      return
+    }
+
+    if (lowerText === 'jira delete search' || lowerText.startsWith('jira delete search ')) {
+      command = 'jira_delete_search'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const name = text.substring(18).trim()
+      await this.jiraHandlers.deleteNamedSearch(context, name)
+      return
+    }
+
+    if (lowerText === 'jira filter' || lowerText.startsWith('jira filter ')) {
+      command = 'jira_filter'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const idOrName = text.substring(11).trim()
+      await this.jiraHandlers.runJiraFilter(context, idOrName, conversationId)
+      return
+    }
+
+    if (lowerText === 'jira subscriptions') {
+      command = 'jira_subscriptions'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.jiraHandlers.showSubscriptions(context)
+      return
+    }
+
+    if (lowerText === 'jira subscribe' || lowerText.startsWith('jira subscribe ')) {
+      command = 'jira_subscribe'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const filter = text.substring(14).trim()
+      await this.jiraHandlers.subscribeChannel(context, filter)
+      return
+    }
+
+    if (lowerText === 'jira unsubscribe' || lowerText.startsWith('jira unsubscribe ')) {
+      command = 'jira_unsubscribe'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const id = text.substring(16).trim()
+      await this.jiraHandlers.unsubscribeChannel(context, id)
+      return
+    }
+
+    if (lowerText === 'jira jql' || lowerText.startsWith('jira jql ')) {
+      command = 'jira_jql'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const query = text.substring(8).trim()
+      await this.jiraHandlers.searchByJql(context, query, conversationId)
       return
     }
 
@@ -210,11 +598,222 @@ export class JiraBot extends AgentApplication {
       return
     }
 
-    if (lowerText === 'itsm create' || lowerText === 'create request') {
+    if (lowerText === 'jira move' || lowerText.startsWith('jira move ')) {
+      command = 'jira_move'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(9).trim()
+      await this.jiraHandlers.moveTicket(context, args, conversationId)
+      return
+    }
+
+    if (lowerText === 'jira comments' || lowerText.startsWith('jira comments ')) {
+      command = 'jira_comments'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(13).trim()
+      await this.jiraHandlers.showComments(context, args)
+      return
+    }
+
+    if (lowerText === 'jira comment' || lowerText.startsWith('jira comment ')) {
+      command = 'jira_comment'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(12).trim()
+      await this.jiraHandlers.addComment(context, args)
+      return
+    }
+
+    if (lowerText === 'jira assign' || lowerText.startsWith('jira assign ')) {
+      command = 'jira_assign'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(11).trim()
+      await this.jiraHandlers.assignTicket(context, args, conversationId)
+      return
+    }
+
+    if (lowerText === 'jira unassign' || lowerText.startsWith('jira unassign ')) {
+      command = 'jira_unassign'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const issueKey = text.substring(13).trim()
+      await this.jiraHandlers.unassignTicket(context, issueKey)
+      return
+    }
+
+    if (lowerText === 'itsm create' || lowerText.startsWith('itsm create ') || lowerText === 'create request') {
       command = 'itsm_create'
       botMetrics.commandsExecuted.add(1, { command })
       addSpanAttributes({ 'bot.command': command })
-      await this.itsmHandlers.startRequestCreation(context, conversationId)
+      const issueText = lowerText.startsWith('itsm create ') ? text.substring(12).trim() : ''
+      await this.itsmHandlers.startRequestCreation(context, conversationId, issueText)
+      return
+    }
+
+    if (lowerText === 'itsm my requests' || lowerText.startsWith('itsm my requests ')) {
+      command = 'itsm_my_requests'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const filter = text.substring(16).trim()
+      await this.itsmHandlers.showMyRequests(context, filter, conversationId)
+      return
+    }
+
+    if (lowerText.startsWith('itsm view ')) {
+      command = 'itsm_view'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const issueKey = text.substring(10).trim().toUpperCase()
+      await this.itsmHandlers.viewRequest(context, issueKey)
+      return
+    }
+
+    if (lowerText === 'itsm reply' || lowerText.startsWith('itsm reply ')) {
+      command = 'itsm_reply'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(10).trim()
+      await this.itsmHandlers.replyToRequest(context, args)
+      return
+    }
+
+    if (lowerText === 'itsm note' || lowerText.startsWith('itsm note ')) {
+      command = 'itsm_note'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(9).trim()
+      await this.itsmHandlers.addInternalNote(context, args)
+      return
+    }
+
+    if (lowerText === 'itsm comments' || lowerText.startsWith('itsm comments ')) {
+      command = 'itsm_comments'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(13).trim()
+      await this.itsmHandlers.showRequestComments(context, args)
+      return
+    }
+
+    if (lowerText === 'itsm approvals') {
+      command = 'itsm_approvals'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.itsmHandlers.showPendingApprovals(context, conversationId)
+      return
+    }
+
+    if (lowerText === 'itsm approve' || lowerText.startsWith('itsm approve ')) {
+      command = 'itsm_approve'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(12).trim()
+      await this.itsmHandlers.answerApproval(context, 'approve', args)
+      return
+    }
+
+    if (lowerText === 'itsm decline' || lowerText.startsWith('itsm decline ')) {
+      command = 'itsm_decline'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(12).trim()
+      await this.itsmHandlers.answerApproval(context, 'decline', args)
+      return
+    }
+
+    if (lowerText === 'itsm sla alerts' || lowerText.startsWith('itsm sla alerts ')) {
+      command = 'itsm_sla_alerts'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(15).trim()
+      await this.itsmHandlers.setSlaAlerts(context, args)
+      return
+    }
+
+    if (lowerText === 'itsm sla' || lowerText.startsWith('itsm sla ')) {
+      command = 'itsm_sla'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const issueKey = text.substring(8).trim().toUpperCase()
+      await this.itsmHandlers.showSla(context, issueKey)
+      return
+    }
+
+    if (lowerText === 'drafts') {
+      command = 'drafts_list'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.draftHandlers.showDrafts(context)
+      return
+    }
+
+    if (lowerText === 'drafts resume' || lowerText.startsWith('drafts resume ')) {
+      command = 'drafts_resume'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const number = text.substring(13).trim()
+      await this.draftHandlers.resumeDraft(context, number, conversationId)
+      return
+    }
+
+    if (lowerText === 'drafts delete' || lowerText.startsWith('drafts delete ')) {
+      command = 'drafts_delete'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const number = text.substring(13).trim()
+      await this.draftHandlers.deleteDraft(context, number)
+      return
+    }
+
+    if (lowerText === 'notify') {
+      command = 'notify_settings'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.notificationHandlers.showSettings(context)
+      return
+    }
+
+    if (lowerText.startsWith('notify ')) {
+      command = 'notify_toggle'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const args = text.substring(7).trim()
+      await this.notificationHandlers.setNotification(context, args)
+      return
+    }
+
+    if (lowerText === 'digest') {
+      command = 'digest_status'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.digestHandlers.showDigestStatus(context)
+      return
+    }
+
+    if (lowerText === 'digest on' || lowerText.startsWith('digest on ')) {
+      command = 'digest_on'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      const time = text.substring(9).trim()
+      await this.digestHandlers.enableDigest(context, time)
+      return
+    }
+
+    if (lowerText === 'digest off') {
+      command = 'digest_off'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.digestHandlers.disableDigest(context)
+      return
+    }
+
+    if (lowerText === 'digest now') {
+      command = 'digest_now'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      await this.digestHandlers.sendDigestNow(context)
       return
     }
 
@@ -257,6 +856,14 @@ export class JiraBot extends AgentApplication {
       }
     }
 
+    // A message naming tickets, e.g. "@bot PROJ-123", gets their previews
+    if (await this.jiraHandlers.previewIssueKeys(context, text, conversationId)) {
+      command = 'jira_preview'
+      botMetrics.commandsExecuted.add(1, { command })
+      addSpanAttributes({ 'bot.command': command })
+      return
+    }
+
     command = 'unknown'
     botMetrics.commandsExecuted.add(1, { command })
     addSpanAttributes({ 'bot.command': command })
@@ -265,6 +872,38 @@ export class JiraBot extends AgentApplication {
     )
   }
 
+  /**
+   * Check if a command may interrupt a wizard that is in progress
+   * @private
+   * @param {string} text - User input text
+   * @returns {boolean}
+   */
+  _isFlowSwitchCommand(text) {
+    const lowerText = text.toLowerCase()
+    return ['jira create', 'create ticket', 'jira from thread', 'itsm create', 'create request', 'drafts'].includes(lowerText) ||
+      lowerText.startsWith('jira from thread ') ||
+      lowerText.startsWith('itsm create ') ||
+      lowerText.startsWith('drafts resume ') ||
+      lowerText.startsWith('drafts delete ')
+  }
+
+  /**
+   * Tell the user that their unfinished wizard expired
+   * @private
+   * @param {object} context - Turn context from bot framework
+   * @param {{flow: 'jira'|'itsm', savedAsDraft: boolean}} expired - Expired flow
+   * @returns {Promise<void>}
+   */
+  async _notifyExpiredFlow(context, { flow, savedAsDraft }) {
+    const restartCommand = flow === 'jira' ? 'jira create' : 'itsm create'
+    const next = savedAsDraft
+      ? 'It was saved — type `drafts` to resume it.'
+      : `Type \`${restartCommand}\` to start again.`
+    await context.sendActivity(
+      `⌛ Your draft expired after ${config.state.conversationTtlMinutes} minutes of inactivity.\n\n${next}`
+    )
+  }
+
   /**
    * Send typing indicator to show bot is processing
    * @private
@@ -14,20 +14,70 @@ const WELCOME_CONFIG = [
     title: 'JIRA',
     commands: [
       { command: 'jira create', description: 'Create a new Jira ticket' },
+      { command: 'jira from thread [n]', description: 'Create a ticket from the last n messages of this chat' },
       { command: 'jira my tickets', description: 'View your assigned tickets' },
-      { command: 'jira search <query>', description: 'Search for tickets' },
+      { command: 'jira search <query> [filters]', description: 'Search for tickets, e.g. status:open assignee:me' },
+      { command: 'jira jql <query>', description: 'Search with a raw JQL query' },
+      { command: 'jira save search <name> <search> [--channel|--team]', description: 'Save a search, optionally shared' },
+      { command: 'jira run <name>', description: 'Run a saved search' },
+      { command: 'jira searches', description: 'List saved searches' },
+      { command: 'jira delete search <name>', description: 'Delete a saved search' },
+      { command: 'jira filter <id|name>', description: 'Run a saved Jira filter' },
+      { command: 'jira subscribe <project|JQL>', description: 'Post matching ticket updates in this channel' },
+      { command: 'jira subscriptions', description: "List this channel's subscriptions" },
+      { command: 'jira unsubscribe <id>', description: 'Stop posting updates of a subscription' },
+      { command: 'more / prev / page <n>', description: 'Page through the last list of results' },
       { command: 'jira view <KEY-123>', description: 'View ticket details' },
+      { command: 'jira move <KEY-123> <status>', description: 'Move a ticket to another status' },
+      { command: 'jira assign <KEY-123> <@user|me>', description: 'Assign a ticket' },
+      { command: 'jira unassign <KEY-123>', description: 'Remove the assignee of a ticket' },
+      { command: 'jira comment <KEY-123> <text>', description: 'Comment on a ticket' },
+      { command: 'jira comments <KEY-123>', description: 'Show the latest comments of a ticket' },
+      { command: 'jira whoami', description: 'Show your linked Jira account' },
+      { command: 'jira link me <email>', description: 'Link your Jira account manually' },
+      { command: 'jira login', description: 'Act as yourself via Atlassian login' },
+      { command: 'jira logout', description: 'Disconnect your Atlassian account' },
     ],
   },
   {
     icon: ICONS.itsm,
     title: 'ITSM',
     commands: [
-      { command: 'itsm create', description: 'Create a new ITSM request' },
+      { command: 'itsm create [issue]', description: 'Create a new ITSM request' },
+      { command: 'itsm my requests [open|closed|all]', description: 'List your requests' },
+      { command: 'itsm view <KEY>', description: 'Show status, history and SLAs of a request' },
+      { command: 'itsm reply <KEY> <text>', description: 'Reply publicly to a request' },
+      { command: 'itsm comments <KEY>', description: 'Show the public replies on a request' },
+      { command: 'itsm note <KEY> <text>', description: 'Add an internal note (agents only)' },
+      { command: 'itsm approvals', description: 'List requests waiting for your approval' },
+      { command: 'itsm approve <KEY>', description: 'Approve a request' },
+      { command: 'itsm decline <KEY> [reason]', description: 'Decline a request' },
+      { command: 'itsm sla <KEY>', description: 'Show the SLA timers of a request' },
+      { command: 'itsm sla alerts on <PROJECT>|off', description: 'Warn this channel before SLAs breach (agents only)' },
       { command: 'itsm forms', description: 'Show available form templates' },
       { command: 'itsm debug', description: 'Debug fields info' },
     ],
   },
+  {
+    icon: ICONS.drafts,
+    title: 'DRAFTS',
+    commands: [
+      { command: 'drafts', description: 'List your unfinished tickets and requests' },
+      { command: 'drafts resume <n>', description: 'Continue a draft where you left off' },
+      { command: 'drafts delete <n>', description: 'Discard a draft' },
+    ],
+  },
+  {
+    icon: ICONS.notifications,
+    title: 'NOTIFICATIONS',
+    commands: [
+      { command: 'notify', description: 'Show which Jira notifications you receive' },
+      { command: 'notify on|off <type|all>', description: 'Turn a notification type on or off' },
+      { command: 'digest on [HH:MM]', description: 'Get a daily digest of your tickets (default 09:00)' },
+      { command: 'digest now', description: 'Show your digest right away' },
+      { command: 'digest off', description: 'Stop the daily digest' },
+    ],
+  },
 ]
 
 /**
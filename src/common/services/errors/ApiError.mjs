@@ -10,6 +10,7 @@ export class ApiError extends Error {
    * @param {string} [options.title] - Error title
    * @param {string} [options.detail] - Error detail message
    * @param {string[]} [options.fieldErrors] - Field-specific errors
+   * @param {Object} [options.fieldErrorMap] - Field-specific errors keyed by field ID
    * @param {string} [options.endpoint] - API endpoint that failed
    * @param {string} [options.method] - HTTP method used
    * @param {Object} [options.originalError] - Original error object
@@ -20,6 +21,7 @@ export class ApiError extends Error {
     title = 'API Error',
     detail = 'An unknown error occurred',
     fieldErrors = [],
+    fieldErrorMap = {},
     endpoint,
     method,
     originalError,
@@ -32,6 +34,7 @@ export class ApiError extends Error {
     this.title = title
     this.detail = detail
     this.fieldErrors = fieldErrors
+    this.fieldErrorMap = fieldErrorMap
     this.endpoint = endpoint
     this.method = method
     this.originalError = originalError
@@ -91,6 +94,7 @@ export class ApiError extends Error {
       detail: this.detail,
       message: this.message,
       fieldErrors: this.fieldErrors,
+      fieldErrorMap: this.fieldErrorMap,
       endpoint: this.endpoint,
       method: this.method,
       timestamp: this.timestamp,
@@ -107,6 +111,7 @@ export class ApiError extends Error {
     let detail = `HTTP ${response.status}`
     let title = response.statusText || 'Request Failed'
     let fieldErrors = []
+    let fieldErrorMap = {}
 
     try {
       const text = await response.text()
@@ -124,6 +129,7 @@ export class ApiError extends Error {
         fieldErrors = json.fieldErrors || json.errors || []
 
         if (typeof fieldErrors === 'object' && !Array.isArray(fieldErrors)) {
+          fieldErrorMap = fieldErrors
           fieldErrors = Object.entries(fieldErrors).map(([k, v]) => `${k}: ${v}`)
         }
       }
@@ -136,6 +142,7 @@ export class ApiError extends Error {
       title,
       detail,
       fieldErrors,
+      fieldErrorMap,
       endpoint,
       method,
     })
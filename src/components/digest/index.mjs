@@ -0,0 +1,387 @@
+/**
+ * Digest Handlers
+ * A daily message per user with their open tickets, what is due or overdue,
+ * recent comments and blocked work, sent at a time of their choosing
+ */
+import { getDigest, listDigests, saveDigest, markDigestSent, removeDigest } from '../../state/digests.mjs'
+import {
+  sendTyping,
+  getUserKey,
+  extractTextFromADF,
+  formatRelativeTime,
+  truncate,
+  jql,
+  quoteJqlString,
+} from '../../utils/index.mjs'
+import { withSpan, jiraMetrics, log } from '../../telemetry/index.mjs'
+import { isPublicComment } from '../notifications/events.mjs'
+import { parseTime, isValidTimeZone, getLocalTime, isDigestDue } from './time.mjs'
+
+const DEFAULT_TIME = '09:00'
+
+// How often the scheduler looks for digests that are due
+const SCHEDULER_INTERVAL_MS = 60 * 1000
+
+// Open tickets checked for due dates and blockers, and how many of them are listed
+const MAX_OPEN_ISSUES = 50
+const MAX_LISTED_ISSUES = 10
+
+// Tickets checked for new comments, and how far back comments count as recent
+const MAX_RECENT_ISSUES = 20
+const RECENT_COMMENT_MS = 24 * 60 * 60 * 1000
+
+const MAX_COMMENT_LENGTH = 100
+
+let schedulerTimer = null
+
+/**
+ * Create digest handlers bound to bot instance
+ * @param {object} bot - Bot instance with jiraService, identityService and sendToConversation
+ * @returns {object} Object containing all digest handler functions:
+ *   - showDigestStatus: Show when the user's digest is sent
+ *   - enableDigest: Send the user a digest every day at a given time
+ *   - disableDigest: Stop the user's daily digest
+ *   - sendDigestNow: Send the user's digest right away
+ *   - startScheduler: Start sending scheduled digests from this process
+ */
+export function createDigestHandlers(bot) {
+  return {
+    showDigestStatus: (ctx) => showDigestStatus(bot, ctx),
+    enableDigest: (ctx, args) => enableDigest(bot, ctx, args),
+    disableDigest: (ctx) => disableDigest(bot, ctx),
+    sendDigestNow: (ctx) => sendDigestNow(bot, ctx),
+    startScheduler: () => startScheduler(bot),
+  }
+}
+
+/**
+ * Show when the user's digest is sent
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function showDigestStatus(bot, context) {
+  const schedule = getDigest(getUserKey(context))
+
+  if (!schedule) {
+    await context.sendActivity(
+      'Your daily digest is off.\n\n**Usage:** `digest on [HH:MM]` (default 09:00), `digest off` or `digest now`'
+    )
+    return
+  }
+
+  await context.sendActivity(
+    `☀️ Your digest is sent every day at **${schedule.time}** (${schedule.timeZone}).\n\n` +
+    'Type `digest now` to see it right away or `digest off` to stop it.'
+  )
+}
+
+/**
+ * Send the user a digest every day at a given local time
+ * The time zone comes from the user's Teams client; digests go to this personal chat
+ * @param {object} bot - Bot instance with jiraService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Time as HH:MM, optional
+ * @returns {Promise<void>}
+ */
+async function enableDigest(bot, context, args) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  const type = context.activity.conversation?.conversationType
+  if (type === 'channel' || type === 'groupChat') {
+    await context.sendActivity('Turn on your digest in a personal chat with me — that is where it will arrive.')
+    return
+  }
+
+  const time = args ? parseTime(args) : DEFAULT_TIME
+  if (!time) {
+    await context.sendActivity('Please give a time like `09:00` or `17:30`.\n\n**Usage:** `digest on [HH:MM]`')
+    return
+  }
+
+  const accountId = await bot.identityService.resolveTrustedAccountId(context)
+  if (!accountId) {
+    await context.sendActivity("I couldn't verify which Jira user you are.\n\nType `jira login` to sign in with Atlassian, then try again.")
+    return
+  }
+
+  const clientTimeZone = context.activity.localTimezone
+  const timeZone = isValidTimeZone(clientTimeZone) ? clientTimeZone : 'UTC'
+  const userKey = getUserKey(context)
+  const now = getLocalTime(timeZone)
+
+  saveDigest(userKey, {
+    reference: context.activity.getConversationReference(),
+    accountId,
+    time,
+    timeZone,
+    // A time that already passed today starts tomorrow, without undoing a digest sent today
+    lastSentOn: now.time >= time ? now.date : getDigest(userKey)?.lastSentOn || null,
+  })
+
+  const zoneNote = timeZone === clientTimeZone ? '' : "\n\n_I couldn't read your time zone from Teams, so I'm using UTC._"
+  await context.sendActivity(
+    `☀️ Your daily digest is on: every day at **${time}** (${timeZone}).\n\n` +
+    `Type \`digest now\` to see it right away or \`digest off\` to stop it.${zoneNote}`
+  )
+}
+
+/**
+ * Stop the user's daily digest
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function disableDigest(bot, context) {
+  const removed = removeDigest(getUserKey(context))
+  await context.sendActivity(removed
+    ? 'Your daily digest is off. Type `digest on [HH:MM]` to turn it back on.'
+    : 'Your daily digest is already off.')
+}
+
+/**
+ * Send the user's digest right away, in their personal chat
+ * @param {object} bot - Bot instance with jiraService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function sendDigestNow(bot, context) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  // The digest lists the user's own tickets and comments, not something to show a group
+  const type = context.activity.conversation?.conversationType
+  if (type === 'channel' || type === 'groupChat') {
+    await context.sendActivity('Ask for your digest in a personal chat with me.')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const accountId = await bot.identityService.resolveTrustedAccountId(context)
+    if (!accountId) {
+      await context.sendActivity("I couldn't verify which Jira user you are.\n\nType `jira login` to sign in with Atlassian.")
+      return
+    }
+
+    const schedule = getDigest(getUserKey(context))
+    const clientTimeZone = context.activity.localTimezone
+    const timeZone = schedule?.timeZone || (isValidTimeZone(clientTimeZone) ? clientTimeZone : 'UTC')
+
+    const jira = await bot.getJiraService(context)
+    await context.sendActivity(await buildDigest(jira, accountId, timeZone))
+    jiraMetrics.digestsSent.add(1, { trigger: 'command' })
+  } catch (error) {
+    console.error('Error building digest:', error)
+    await context.sendActivity(`Failed to build your digest: ${error.message}`)
+  }
+}
+
+/**
+ * Start sending scheduled digests; schedules are persisted, so digests due
+ * while the bot was down are sent once it is back the same day
+ * @param {object} bot - Bot instance with jiraService and sendToConversation
+ */
+function startScheduler(bot) {
+  if (schedulerTimer || !bot.jiraService) return
+
+  let running = false
+  schedulerTimer = setInterval(async () => {
+    if (running) return
+    running = true
+    try {
+      await sendDueDigests(bot)
+    } catch (error) {
+      console.error('Digest scheduler error:', error)
+    } finally {
+      running = false
+    }
+  }, SCHEDULER_INTERVAL_MS)
+  schedulerTimer.unref?.()
+}
+
+/**
+ * Send every digest whose time has come today and that wasn't sent yet
+ * A digest is marked sent before it is built, so a failure is not retried every minute.
+ * Digests of users whose Jira account is no longer verified are skipped
+ * @param {object} bot - Bot instance with jiraService, identityService and sendToConversation
+ * @returns {Promise<number>} Number of digests sent
+ */
+async function sendDueDigests(bot) {
+  let sent = 0
+
+  for (const schedule of listDigests()) {
+    const now = getLocalTime(schedule.timeZone)
+    if (!isDigestDue(schedule, now)) continue
+
+    markDigestSent(schedule.userKey, now.date)
+
+    if (!bot.identityService.isTrustedAccount(schedule.userKey, schedule.accountId)) {
+      console.warn(`Skipping digest of ${schedule.userKey}: their Jira account is not verified`)
+      continue
+    }
+
+    try {
+      await withSpan('digest.send', async (span) => {
+        span.setAttribute('digest.time_zone', schedule.timeZone)
+        const message = await buildDigest(bot.jiraService, schedule.accountId, schedule.timeZone)
+        await bot.sendToConversation(schedule.reference, message)
+      })
+      jiraMetrics.digestsSent.add(1, { trigger: 'schedule' })
+      sent++
+    } catch (error) {
+      console.warn(`Could not send digest to ${schedule.userKey}:`, error.message)
+    }
+  }
+
+  if (sent > 0) {
+    log(`Daily digests sent: ${sent}`, 'INFO', { sent })
+  }
+  return sent
+}
+
+/**
+ * Build the digest message of a Jira user
+ * The service account sees more than most users, so its results are cut down
+ * to the tickets the reader may browse
+ * @param {object} jira - Jira service the digest is searched with; the user's own
+ *   login when they ask for it, the service account for scheduled digests
+ * @param {string} accountId - Jira account ID
+ * @param {string} timeZone - IANA time zone the due dates and heading are shown in
+ * @returns {Promise<string>} Markdown message
+ */
+async function buildDigest(jira, accountId, timeZone) {
+  const me = quoteJqlString(accountId)
+  const today = getLocalTime(timeZone).date
+
+  const [open, involved] = await Promise.all([
+    jira.searchIssues(
+      jql().where('assignee', '=', accountId).where('resolution', 'is', null).orderBy('priority').orderBy('updated').build(),
+      MAX_OPEN_ISSUES,
+      { fields: ['summary', 'status', 'priority', 'duedate', 'issuelinks'] }
+    ),
+    jira.searchIssues(
+      `(assignee = ${me} OR reporter = ${me} OR watcher = ${me}) AND updated >= -1d ORDER BY updated DESC`,
+      MAX_RECENT_ISSUES,
+      { fields: ['summary', 'comment'] }
+    ),
+  ])
+
+  let assigned = open.issues || []
+  let recent = involved.issues || []
+  if (!jira.isUserScoped) {
+    const browsable = await filterBrowsable(jira, [...assigned, ...recent], accountId)
+    assigned = assigned.filter(issue => browsable.has(issue.key))
+    recent = recent.filter(issue => browsable.has(issue.key))
+  }
+
+  const link = issue => `[${issue.key}](${jira.getBrowseUrl(issue.key)}) ${issue.fields.summary}`
+  const sections = []
+
+  if (assigned.length > 0) {
+    sections.push(formatSection('📌 Assigned to you', assigned, issue =>
+      `${link(issue)} — ${issue.fields.status?.name || 'Unknown'} · ${issue.fields.priority?.name || 'No'} priority`
+    ))
+  }
+
+  const due = assigned
+    .filter(issue => issue.fields.duedate && issue.fields.duedate <= today)
+    .sort((a, b) => a.fields.duedate.localeCompare(b.fields.duedate))
+  if (due.length > 0) {
+    sections.push(formatSection('⏰ Due today or overdue', due, issue =>
+      `${link(issue)} — ${issue.fields.duedate === today ? 'due today' : `overdue since ${issue.fields.duedate}`}`
+    ))
+  }
+
+  const commented = recent
+    .map(issue => ({ issue, comment: getLatestComment(issue, accountId) }))
+    .filter(({ comment }) => comment)
+  if (commented.length > 0) {
+    sections.push(formatSection('💬 Recently commented', commented, ({ issue, comment }) => {
+      const text = truncate(extractTextFromADF(comment.body).replace(/\s+/g, ' ').trim(), MAX_COMMENT_LENGTH)
+      return `${link(issue)} — ${comment.author?.displayName || 'Someone'} ${formatRelativeTime(comment.created)}: “${text}”`
+    }))
+  }
+
+  const blocked = assigned
+    .map(issue => ({ issue, reason: getBlockedReason(issue) }))
+    .filter(({ reason }) => reason)
+  if (blocked.length > 0) {
+    sections.push(formatSection('⛔ Blocked', blocked, ({ issue, reason }) => `${link(issue)} — ${reason}`))
+  }
+
+  const heading = `☀️ **Your Jira digest** — ${new Intl.DateTimeFormat('en-GB', { timeZone, weekday: 'long', day: 'numeric', month: 'long' }).format(new Date())}`
+
+  if (sections.length === 0) {
+    return `${heading}\n\nNothing needs your attention today. 🎉`
+  }
+  return [heading, ...sections].join('\n\n')
+}
+
+/**
+ * Find the issues a Jira user may browse
+ * An issue that can't be checked counts as hidden
+ * @param {object} jira - Jira service with canBrowseIssue
+ * @param {object[]} issues - Issues to check
+ * @param {string} accountId - Jira account ID
+ * @returns {Promise<Set<string>>} Keys of the browsable issues
+ */
+async function filterBrowsable(jira, issues, accountId) {
+  const keys = [...new Set(issues.map(issue => issue.key))]
+  const allowed = await Promise.all(keys.map(key => jira.canBrowseIssue(key, accountId).catch(error => {
+    console.warn(`Could not check access to ${key} for the digest:`, error.message)
+    return false
+  })))
+  return new Set(keys.filter((key, index) => allowed[index]))
+}
+
+/**
+ * Format a digest section with a heading and at most MAX_LISTED_ISSUES lines
+ * @param {string} title - Section title
+ * @param {object[]} items - Section items
+ * @param {function(object): string} formatItem - Formats one item as a line
+ * @returns {string} Markdown
+ */
+function formatSection(title, items, formatItem) {
+  const lines = items.slice(0, MAX_LISTED_ISSUES).map(item => `• ${formatItem(item)}`)
+  if (items.length > MAX_LISTED_ISSUES) {
+    lines.push(`_…and ${items.length - MAX_LISTED_ISSUES} more_`)
+  }
+  return [`**${title} (${items.length})**`, ...lines].join('\n\n')
+}
+
+/**
+ * Get the latest public comment of an issue if someone else wrote it recently
+ * @param {object} issue - Issue searched with the comment field
+ * @param {string} accountId - Jira account of the digest reader
+ * @returns {object|null} Comment or null
+ */
+function getLatestComment(issue, accountId) {
+  const comments = (issue.fields.comment?.comments || []).filter(isPublicComment)
+  const latest = comments[comments.length - 1]
+
+  if (!latest || latest.author?.accountId === accountId) return null
+  return Date.now() - new Date(latest.created).getTime() <= RECENT_COMMENT_MS ? latest : null
+}
+
+/**
+ * Tell why an issue is blocked: a "Blocked" status or an unresolved "is blocked by" link
+ * @param {object} issue - Issue searched with the status and issuelinks fields
+ * @returns {string|null} Reason or null when the issue isn't blocked
+ */
+function getBlockedReason(issue) {
+  const blockers = (issue.fields.issuelinks || [])
+    .filter(link => link.inwardIssue && /blocked by/i.test(link.type?.inward || ''))
+    .filter(link => link.inwardIssue.fields?.status?.statusCategory?.key !== 'done')
+    .map(link => link.inwardIssue.key)
+
+  if (blockers.length > 0) return `blocked by ${blockers.join(', ')}`
+  if (/blocked/i.test(issue.fields.status?.name || '')) return `status ${issue.fields.status.name}`
+  return null
+}
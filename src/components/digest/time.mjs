@@ -0,0 +1,68 @@
+/**
+ * Digest Times
+ * Parses the time a user wants their digest at and tells, in the user's own
+ * time zone, whether it is due
+ */
+
+/**
+ * Parse a time of day such as 9, 9:30 or 17:05
+ * @param {string} input - Time as typed
+ * @returns {string|null} Time as HH:MM, or null when it isn't a valid time
+ */
+export function parseTime(input) {
+  const match = input.trim().match(/^(\d{1,2})(?::(\d{2}))?$/)
+  if (!match) return null
+
+  const hours = parseInt(match[1], 10)
+  const minutes = parseInt(match[2] || '0', 10)
+  if (hours > 23 || minutes > 59) return null
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`
+}
+
+/**
+ * Check whether a time zone name is known to the runtime
+ * @param {string} timeZone - IANA time zone, e.g. Europe/Berlin
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Get the date and time of day in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} [date] - Moment to convert, defaults to now
+ * @returns {{date: string, time: string}} Date as YYYY-MM-DD and time as HH:MM
+ */
+export function getLocalTime(timeZone, date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map(part => [part.type, part.value])
+  )
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` }
+}
+
+/**
+ * Check whether a digest should be sent: its time has come today and none was sent today
+ * Both times are zero-padded HH:MM, so they compare as strings
+ * @param {object} schedule - Schedule {time, lastSentOn}
+ * @param {{date: string, time: string}} now - Local time from getLocalTime
+ * @returns {boolean}
+ */
+export function isDigestDue(schedule, now) {
+  return now.time >= schedule.time && schedule.lastSentOn !== now.date
+}
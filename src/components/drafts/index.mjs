@@ -0,0 +1,175 @@
+/**
+ * Draft Handlers
+ * Lists, resumes and deletes saved Jira/ITSM wizard drafts
+ */
+import { getState } from '../../state/conversation.mjs'
+import { listDrafts, removeDraft, saveDraft } from '../../state/drafts.mjs'
+import { getUserKey } from '../../utils/index.mjs'
+
+const FLOW_LABELS = {
+  jira: 'Jira ticket',
+  itsm: 'ITSM request',
+}
+
+const STEP_LABELS = {
+  summary: 'summary',
+  description: 'description',
+  type: 'issue type',
+  field: 'ticket fields',
+  optional: 'optional fields',
+  select_service_desk: 'service desk',
+  select_portal_group: 'category',
+  select_request_type: 'request type',
+  kb_articles: 'suggested articles',
+  collect_field: 'form fields',
+  confirm: 'review',
+}
+
+/**
+ * Create draft handlers bound to bot instance
+ * @param {object} bot - Bot instance with jiraHandlers and itsmHandlers
+ * @returns {object} Object containing all draft handler functions:
+ *   - showDrafts: List the user's saved drafts
+ *   - resumeDraft: Continue a draft where it was left off
+ *   - deleteDraft: Discard a draft
+ */
+export function createDraftHandlers(bot) {
+  return {
+    showDrafts: (ctx) => showDrafts(bot, ctx),
+    resumeDraft: (ctx, number, convId) => resumeDraft(bot, ctx, number, convId),
+    deleteDraft: (ctx, number) => deleteDraft(bot, ctx, number),
+  }
+}
+
+/**
+ * List the user's saved drafts
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function showDrafts(bot, context) {
+  const drafts = listDrafts(getUserKey(context))
+
+  if (drafts.length === 0) {
+    await context.sendActivity('You have no saved drafts.\n\nUnfinished tickets and requests are saved here when you cancel them, start a new one, or leave them idle.')
+    return
+  }
+
+  let message = `**Your drafts (${drafts.length}):**\n\n`
+
+  drafts.forEach((draft, i) => {
+    message += `${i + 1}. **${draft.title}** — ${FLOW_LABELS[draft.flow]}, at ${describeStep(draft)} _(saved ${formatSavedAt(draft.savedAt)})_\n`
+  })
+
+  message += `\nType \`drafts resume <n>\` to continue or \`drafts delete <n>\` to discard.`
+
+  await context.sendActivity(message)
+}
+
+/**
+ * Resume a saved draft in the current conversation
+ * A wizard already in progress here is saved as a draft first
+ * @param {object} bot - Bot instance with jiraHandlers and itsmHandlers
+ * @param {object} context - Turn context from bot framework
+ * @param {string} number - 1-based draft number as typed by the user
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function resumeDraft(bot, context, number, conversationId) {
+  const userKey = getUserKey(context)
+  const index = parseDraftNumber(number, userKey)
+
+  if (index === null) {
+    await context.sendActivity('Please provide a valid draft number.\n\n**Usage:** `drafts resume <n>` — type `drafts` to see the list.')
+    return
+  }
+
+  const draft = listDrafts(userKey)[index]
+  const service = draft.flow === 'jira' ? bot.jiraService : bot.itsmService
+  if (!service) {
+    await context.sendActivity(`${FLOW_LABELS[draft.flow]} integration is not configured.`)
+    return
+  }
+
+  removeDraft(userKey, index)
+
+  // A wizard already running in this chat is kept as a draft of whoever started it
+  const current = getState(conversationId)
+  saveDraft(current.draftOwner, current)
+
+  if (draft.flow === 'jira') {
+    await bot.jiraHandlers.resumeTicketFlow(context, draft.state, conversationId)
+  } else {
+    await bot.itsmHandlers.resumeRequestFlow(context, draft.state, conversationId)
+  }
+}
+
+/**
+ * Discard a saved draft
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @param {string} number - 1-based draft number as typed by the user
+ * @returns {Promise<void>}
+ */
+async function deleteDraft(bot, context, number) {
+  const userKey = getUserKey(context)
+  const index = parseDraftNumber(number, userKey)
+
+  if (index === null) {
+    await context.sendActivity('Please provide a valid draft number.\n\n**Usage:** `drafts delete <n>` — type `drafts` to see the list.')
+    return
+  }
+
+  const removed = removeDraft(userKey, index)
+  await context.sendActivity(`🗑️ Deleted draft **${removed.title}**.`)
+}
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Convert a 1-based draft number to an index into the user's drafts
+ * @param {string} number - Draft number as typed by the user
+ * @param {string} userKey - Teams user key
+ * @returns {number|null} 0-based index or null if out of range
+ */
+function parseDraftNumber(number, userKey) {
+  const n = parseInt(number, 10)
+  if (isNaN(n) || n < 1 || n > listDrafts(userKey).length) return null
+  return n - 1
+}
+
+/**
+ * Describe the step a draft was saved at
+ * @param {object} draft - Saved draft
+ * @returns {string} Step description
+ */
+function describeStep(draft) {
+  const label = STEP_LABELS[draft.step] || draft.step
+  const fc = draft.state.fieldCollection
+
+  if (draft.step === 'collect_field' && fc?.fields?.length) {
+    return `${label} (${fc.currentFieldIndex + 1}/${fc.fields.length})`
+  }
+  if (draft.step === 'field' && draft.state.createFields?.length) {
+    const { createFields, fieldIndex, includeOptional } = draft.state
+    const count = includeOptional ? createFields.length : createFields.filter(f => f.required).length
+    return `${label} (${fieldIndex + 1}/${count})`
+  }
+  return label
+}
+
+/**
+ * Format when a draft was saved relative to now
+ * @param {string} savedAt - ISO timestamp
+ * @returns {string} e.g. "5 min ago"
+ */
+function formatSavedAt(savedAt) {
+  const minutes = Math.floor((Date.now() - new Date(savedAt).getTime()) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours}h ago`
+  return `${Math.floor(hours / 24)}d ago`
+}
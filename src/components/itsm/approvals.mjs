@@ -0,0 +1,314 @@
+/**
+ * ITSM Approval Handlers
+ * `itsm approvals` lists the requests waiting for the user's decision and
+ * `itsm approve` / `itsm decline` answer them. Approvers are also sent a card
+ * with Approve/Decline buttons when a Jira webhook event shows a new approval
+ * waiting for them
+ */
+import { findRecipients } from '../../state/notifications.mjs'
+import { wasApprovalNotified, markApprovalNotified } from '../../state/approvals.mjs'
+import { sendTyping } from './display.mjs'
+import { buildApprovalCard, buildApprovalAnsweredCard } from './cards.mjs'
+import { toRequestItem, toSearchItem, formatRequestItem } from './requests.mjs'
+import { isIssueKey, supportsAdaptiveCards, updateCard } from '../../utils/index.mjs'
+import { withSpan, jiraMetrics, log } from '../../telemetry/index.mjs'
+
+/**
+ * List the requests waiting for the user's approval, paged
+ * @param {object} bot - Bot instance with itsmService and pagerHandlers
+ * @param {object} context - Turn context from bot framework
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function showPendingApprovals(bot, context, conversationId) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const itsm = await bot.getITSMService(context)
+    let approver = null
+
+    // The service account's own approvals mean nothing to the user, so search by their
+    // account; a manual link would show someone else's approvals
+    if (!itsm.isUserScoped) {
+      approver = bot.identityService ? await bot.identityService.resolveTrustedAccountId(context) : null
+      if (!approver) {
+        await context.sendActivity("I couldn't verify which Jira user you are.\n\nType `jira login` to sign in with Atlassian.")
+        return
+      }
+    }
+
+    await bot.pagerHandlers.startListing(context, conversationId, {
+      source: 'itsm_approvals',
+      title: 'Requests waiting for your approval',
+      params: { approver },
+      emptyMessage: '🎉 Nothing is waiting for your approval.',
+    })
+  } catch (error) {
+    console.error('Error fetching approvals:', error)
+    await context.sendActivity(`Failed to fetch approvals: ${error.message}`)
+  }
+}
+
+/**
+ * Approve or decline the user's pending approval on a request
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {'approve'|'decline'} decision - Decision
+ * @param {string} args - Request key, for decline optionally followed by a reason
+ * @returns {Promise<void>}
+ */
+export async function answerApprovalCommand(bot, context, decision, args) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  const [, issueKey = '', reason = ''] = args.trim().match(/^(\S*)\s*([\s\S]*)$/) || []
+
+  if (!isIssueKey(issueKey)) {
+    await context.sendActivity(decision === 'approve'
+      ? 'Please provide a request key.\n\n**Usage:** `itsm approve <KEY-123>`'
+      : 'Please provide a request key.\n\n**Usage:** `itsm decline <KEY-123> [reason]`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+    const { message } = await answerApproval(bot, context, issueKey.toUpperCase(), decision, { reason: reason.trim() })
+    await context.sendActivity(message)
+  } catch (error) {
+    console.error('Error answering approval:', error)
+    await context.sendActivity(`Failed to ${decision} ${issueKey.toUpperCase()}: ${error.message}`)
+  }
+}
+
+/**
+ * Handle the Approve/Decline buttons of an approval card
+ * The card is replaced with the outcome once the approval is answered
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} values - Card data {approvalAction, issueKey, approvalId, reason}
+ * @returns {Promise<void>}
+ */
+export async function submitApprovalCard(bot, context, values) {
+  const { approvalAction: decision, issueKey, approvalId, reason } = values
+
+  if (!bot.itsmService || !['approve', 'decline'].includes(decision) || !isIssueKey(issueKey)) {
+    await context.sendActivity('This approval card is no longer valid. Type `itsm approvals` to see what is waiting for you.')
+    return
+  }
+
+  try {
+    const result = await answerApproval(bot, context, issueKey, decision, {
+      approvalId,
+      reason: decision === 'decline' ? (reason || '').trim() : '',
+    })
+
+    if (result.answered) {
+      await updateCard(context, buildApprovalAnsweredCard(result.message, bot.itsmService.getPortalUrl(issueKey)))
+    } else {
+      await context.sendActivity(result.message)
+    }
+  } catch (error) {
+    console.error('Error answering approval:', error)
+    await context.sendActivity(`Failed to ${decision} ${issueKey}: ${error.message}`)
+  }
+}
+
+/**
+ * Send approval cards to the approvers of a request a Jira webhook event concerns
+ * Only creations and status changes of service desk requests can start an approval;
+ * each approver gets one card per approval and can turn them off with `notify off approvals`
+ * @param {object} bot - Bot instance with itsmService and sendToConversation
+ * @param {object} event - Jira webhook payload
+ * @returns {Promise<number>} Number of cards sent
+ */
+export async function notifyApprovers(bot, event) {
+  if (!bot.itsmService || !event.issue || !mayStartApproval(event)) return 0
+
+  return withSpan('itsm.notifyApprovers', async (span) => {
+    const { key, fields = {} } = event.issue
+    span.setAttribute('jira.issue.key', key)
+
+    let approvals
+    try {
+      approvals = await bot.itsmService.getApprovals(key)
+    } catch (error) {
+      // Plain Jira issues have no approvals endpoint
+      if (error.status === 404) return 0
+      throw error
+    }
+
+    let sent = 0
+
+    for (const approval of approvals.filter(a => a.finalDecision === 'pending')) {
+      const waiting = (approval.approvers || [])
+        .filter(a => a.approverDecision === 'pending' && a.approver?.accountId)
+        .map(a => a.approver.accountId)
+
+      for (const accountId of waiting) {
+        if (wasApprovalNotified(approval.id, accountId)) continue
+
+        const recipients = findRecipients(accountId).filter(r => !(r.disabled || []).includes('approvals'))
+        if (recipients.length === 0) continue
+
+        markApprovalNotified(approval.id, accountId)
+
+        for (const recipient of recipients) {
+          try {
+            await bot.sendToConversation(recipient.reference, formatApprovalNotice(bot, recipient, key, fields, approval))
+            jiraMetrics.notificationsSent.add(1, { type: 'approvals' })
+            sent++
+          } catch (error) {
+            console.warn(`Could not send approval for ${key} to ${recipient.userKey}:`, error.message)
+          }
+        }
+      }
+    }
+
+    span.setAttribute('notifications.sent', sent)
+    if (sent > 0) {
+      log(`Approval cards for ${key}: ${sent} sent`, 'INFO', { issueKey: key })
+    }
+    return sent
+  })
+}
+
+/**
+ * Listing sources used with the pager
+ *   - itsm_approvals: requests waiting for the user's approval; searched by params.approver
+ *     with the service account, otherwise listed through the servicedesk API
+ */
+export const approvalListingSources = {
+  itsm_approvals: {
+    fetchPage: async (bot, context, { approver }, { cursor, startAt, pageSize }) => {
+      const itsm = await bot.getITSMService(context)
+
+      if (approver) {
+        const result = await itsm.searchPendingApprovals(approver, { nextPageToken: cursor, limit: pageSize })
+        return {
+          items: (result.issues || []).map(toSearchItem),
+          nextCursor: result.isLast ? null : result.nextPageToken || null,
+        }
+      }
+
+      const result = await itsm.getPendingApprovals({ start: startAt, limit: pageSize })
+      return {
+        items: result.values.map(toRequestItem),
+        nextCursor: result.isLastPage ? null : String(startAt + result.values.length),
+      }
+    },
+    formatItem: (bot, item) => `${formatRequestItem(bot, item)} — \`itsm approve ${item.key}\``,
+  },
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Answer the user's pending approval on a request
+ * Jira records the decision under the caller's name, so the shared service
+ * account can't answer for anyone; the user has to be signed in
+ * @param {object} bot - Bot instance with itsmService and oauthService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} issueKey - Request key
+ * @param {'approve'|'decline'} decision - Decision
+ * @param {object} [options] - Answer options
+ * @param {string|number} [options.approvalId] - Approval to answer, from a card
+ * @param {string} [options.reason] - Reason for declining, posted as a public comment
+ * @returns {Promise<{answered: boolean, message: string}>}
+ */
+async function answerApproval(bot, context, issueKey, decision, { approvalId = null, reason = '' } = {}) {
+  const portalUrl = bot.itsmService.getPortalUrl(issueKey)
+  const itsm = await bot.getITSMService(context)
+
+  if (!itsm.isUserScoped) {
+    return {
+      answered: false,
+      message: bot.oauthService
+        ? 'Approvals are recorded under your name, so please sign in first: type `jira login`, then try again.'
+        : `I can't answer approvals on your behalf. Please open [${issueKey}](${portalUrl}) to ${decision} it.`,
+    }
+  }
+
+  let approvals
+  try {
+    approvals = await itsm.getApprovals(issueKey)
+  } catch (error) {
+    if (error.status !== 404) throw error
+    return { answered: false, message: `I couldn't find request ${issueKey}, or you don't have access to it.` }
+  }
+
+  const pending = approvals.find(a =>
+    a.finalDecision === 'pending' && a.canAnswerApproval && (!approvalId || String(a.id) === String(approvalId)))
+
+  if (!pending) {
+    return { answered: false, message: `Nothing on [${issueKey}](${portalUrl}) is waiting for your approval. It may have been answered already.` }
+  }
+
+  await itsm.answerApproval(issueKey, pending.id, decision)
+
+  if (reason) {
+    try {
+      await itsm.addRequestComment(issueKey, `Declined: ${reason}`, { isPublic: true })
+    } catch (error) {
+      console.warn(`Could not post decline reason on ${issueKey}:`, error.message)
+    }
+  }
+
+  const label = pending.name ? ` _(${pending.name})_` : ''
+  return {
+    answered: true,
+    message: decision === 'approve'
+      ? `✅ You approved **[${issueKey}](${portalUrl})**${label}.`
+      : `⛔ You declined **[${issueKey}](${portalUrl})**${label}.${reason ? ' Your reason was shared with the requester.' : ''}`,
+  }
+}
+
+/**
+ * Check whether a webhook event could have started an approval
+ * @param {object} event - Jira webhook payload
+ * @returns {boolean}
+ */
+function mayStartApproval(event) {
+  const projectType = event.issue.fields?.project?.projectTypeKey
+  if (projectType && projectType !== 'service_desk') return false
+
+  return event.webhookEvent === 'jira:issue_created' ||
+    (event.changelog?.items || []).some(item => item.field === 'status')
+}
+
+/**
+ * Format the approval notice for one recipient: a card in Teams, text elsewhere
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} recipient - Stored recipient with its conversation reference
+ * @param {string} issueKey - Request key
+ * @param {object} fields - Issue fields from the webhook payload
+ * @param {object} approval - Pending approval
+ * @returns {object|string} Card activity or markdown message
+ */
+function formatApprovalNotice(bot, recipient, issueKey, fields, approval) {
+  const portalUrl = bot.itsmService.getPortalUrl(issueKey)
+  const summary = fields.summary || 'Untitled'
+  const facts = [
+    ['Requested by', fields.reporter?.displayName || 'Unknown'],
+    ['Status', fields.status?.name || 'Unknown'],
+  ]
+
+  // The reference carries the channel of the conversation the notice goes to
+  if (supportsAdaptiveCards({ activity: recipient.reference })) {
+    return buildApprovalCard({ issueKey, summary, approval, facts, portalUrl })
+  }
+
+  return [
+    `🗳️ **Approval needed** — [${issueKey}](${portalUrl}): **${summary}**`,
+    facts.map(([title, value]) => `• **${title}:** ${value}`).join('\n'),
+    `Type \`itsm approve ${issueKey}\` or \`itsm decline ${issueKey} [reason]\`.`,
+  ].join('\n\n')
+}
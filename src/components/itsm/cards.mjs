@@ -0,0 +1,349 @@
+/**
+ * ITSM Adaptive Cards
+ * Card layouts for the request wizard and approvals on channels that render Adaptive Cards
+ *
+ * Every wizard card action submits {itsmAction, step, ...}:
+ *   - select:      choice from a selection card (`choice` holds the 1-based position)
+ *   - command:     a text command such as back/cancel/yes (`command`)
+ *   - submit_form: all field inputs of the form card
+ *
+ * Approval cards stand on their own and submit {approvalAction, issueKey, approvalId, reason}:
+ *   - approve / decline: answers the approval; `reason` is only sent with decline
+ */
+import {
+  createCardActivity,
+  textBlock,
+  factSet,
+  numberedChoiceSet,
+  submitAction,
+} from '../../utils/index.mjs'
+
+/**
+ * Get the card input ID of a field
+ * @param {number} index - Field index in the collection
+ * @returns {string} Input ID
+ */
+export function getFieldInputId(index) {
+  return `field_${index}`
+}
+
+/**
+ * Build a selection card for the service desk, portal group and request type steps
+ * @param {object} options - Card options
+ * @param {string} options.title - Card title
+ * @param {string} options.stepTitle - Step title (e.g. "Select Service Desk")
+ * @param {number} options.stepNumber - Step number (1-5)
+ * @param {string} options.step - Wizard step the card belongs to
+ * @param {object[]} options.items - Items to choose from
+ * @param {function} options.getTitle - Function returning the choice title (item) => string
+ * @param {boolean} [options.canGoBack=true] - Whether to show the Back button
+ * @returns {object} Card activity
+ */
+export function buildSelectionCard({ title, stepTitle, stepNumber, step, items, getTitle, canGoBack = true }) {
+  const body = [
+    textBlock(title, { weight: 'Bolder', size: 'Medium' }),
+    textBlock(`Step ${stepNumber}/5: ${stepTitle}`, { isSubtle: true, spacing: 'None' }),
+  ]
+
+  if (items.length === 0) {
+    body.push(textBlock('Nothing to select here.', { isSubtle: true }))
+  } else {
+    body.push(numberedChoiceSet('choice', items, getTitle, {
+      isRequired: true,
+      errorMessage: 'Please select an option.',
+      value: '1',
+    }))
+  }
+
+  const actions = []
+  if (items.length > 0) {
+    actions.push(submitAction('Next', { itsmAction: 'select', step }))
+  }
+  if (canGoBack) {
+    actions.push(submitAction('Back', { itsmAction: 'command', command: 'back', step }, { validate: false }))
+  }
+  actions.push(submitAction('Cancel', { itsmAction: 'command', command: 'cancel', step }, { validate: false }))
+
+  return createCardActivity(body, actions)
+}
+
+/**
+ * Build the card containing all fields of the selected request type
+ * @param {object} state - Conversation state with field collection
+ * @param {object} itsmService - ITSM service instance
+ * @param {object} [options] - Card options
+ * @param {object} [options.errors] - Validation errors keyed by field index
+ * @param {object} [options.values] - Previously submitted inputs to show again
+ * @returns {object} Card activity
+ */
+export function buildFormCard(state, itsmService, { errors = {}, values = null } = {}) {
+  const fc = state.fieldCollection
+  const body = [
+    textBlock(`Request Type: ${state.selectedRequestType.name}`, { weight: 'Bolder', size: 'Medium' }),
+    textBlock('Step 4/5: Fill Form', { isSubtle: true, spacing: 'None' }),
+  ]
+
+  if (Object.keys(errors).length > 0) {
+    body.push(textBlock('Please correct the highlighted fields.', { color: 'Attention' }))
+  }
+
+  fc.fields.forEach((field, i) => {
+    const fieldType = itsmService.getFieldType(field)
+    const prefill = values || getStoredInputs(field, i, fc, fieldType)
+    body.push(...buildFieldInputs(field, i, fieldType, prefill))
+
+    if (errors[i]) {
+      body.push(textBlock(errors[i], { color: 'Attention', size: 'Small', spacing: 'None' }))
+    }
+  })
+
+  const actions = [
+    submitAction('Review', { itsmAction: 'submit_form', step: 'collect_field' }),
+    submitAction('Back', { itsmAction: 'command', command: 'back', step: 'collect_field' }, { validate: false }),
+    submitAction('Cancel', { itsmAction: 'command', command: 'cancel', step: 'collect_field' }, { validate: false }),
+  ]
+
+  return createCardActivity(body, actions)
+}
+
+/**
+ * Build the review card shown before the request is submitted
+ * @param {object} state - Conversation state with all selections
+ * @param {Array<[string, string]>} facts - Field names and display values
+ * @param {string[]} missingRequired - Names of required fields without a value
+ * @returns {object} Card activity
+ */
+export function buildConfirmationCard(state, facts, missingRequired) {
+  const body = [
+    textBlock('Step 5/5: Review Request', { weight: 'Bolder', size: 'Medium' }),
+    factSet([
+      ['Service Desk', state.selectedServiceDesk.projectName],
+      ['Category', state.selectedPortalGroup.name],
+      ['Request Type', state.selectedRequestType.name],
+    ]),
+  ]
+
+  if (facts.length > 0) {
+    body.push(textBlock('Form Values', { weight: 'Bolder', separator: true }))
+    body.push(factSet(facts))
+  }
+
+  if (missingRequired.length > 0) {
+    body.push(textBlock(`Missing required fields: ${missingRequired.join(', ')}`, { color: 'Attention' }))
+  }
+
+  const actions = [
+    submitAction('Submit', { itsmAction: 'command', command: 'yes', step: 'confirm' }, { style: 'positive' }),
+    submitAction('Edit', { itsmAction: 'command', command: 'back', step: 'confirm' }),
+    submitAction('Cancel', { itsmAction: 'command', command: 'no', step: 'confirm' }),
+  ]
+
+  return createCardActivity(body, actions)
+}
+
+/**
+ * Build the card suggesting knowledge base articles before the form is filled in
+ * @param {object} state - Conversation state with selected request type and kbArticles
+ * @returns {object} Card activity
+ */
+export function buildArticlesCard(state) {
+  const body = [
+    textBlock(`Request Type: ${state.selectedRequestType.name}`, { weight: 'Bolder', size: 'Medium' }),
+    textBlock('These articles might help', { isSubtle: true, spacing: 'None' }),
+  ]
+
+  for (const article of state.kbArticles) {
+    body.push(textBlock(article.url ? `[${article.title}](${article.url})` : article.title, { weight: 'Bolder', separator: true }))
+    if (article.excerpt) {
+      body.push(textBlock(article.excerpt, { isSubtle: true, spacing: 'None' }))
+    }
+  }
+
+  body.push(
+    textBlock('Did this solve it?', { weight: 'Bolder', separator: true }),
+    textBlock('Or type a few words about your issue to search again.', { isSubtle: true, spacing: 'None' })
+  )
+
+  const actions = [
+    submitAction('Yes, solved', { itsmAction: 'command', command: 'yes', step: 'kb_articles' }, { style: 'positive' }),
+    submitAction('No, continue', { itsmAction: 'command', command: 'no', step: 'kb_articles' }),
+    submitAction('Back', { itsmAction: 'command', command: 'back', step: 'kb_articles' }, { validate: false }),
+    submitAction('Cancel', { itsmAction: 'command', command: 'cancel', step: 'kb_articles' }, { validate: false }),
+  ]
+
+  return createCardActivity(body, actions)
+}
+
+// ============================================
+// Field Inputs
+// ============================================
+
+/**
+ * Build the card inputs for a field
+ * @param {object} field - Field definition object
+ * @param {number} index - Field index in the collection
+ * @param {string} fieldType - Field type identifier
+ * @param {object} prefill - Input values keyed by input ID
+ * @returns {object[]} Card elements
+ */
+function buildFieldInputs(field, index, fieldType, prefill) {
+  const id = getFieldInputId(index)
+  const label = field.required ? `${field.name} *` : field.name
+  const common = {
+    id,
+    label,
+    ...(field.required && { isRequired: true, errorMessage: `${field.name} is required.` }),
+    ...(prefill[id] && { value: prefill[id] }),
+  }
+  const elements = []
+
+  const hasChoices = field.validValues?.length > 0
+  if ((fieldType === 'select' || fieldType === 'multiselect' || field.jiraSchema?.type === 'cd') && hasChoices) {
+    elements.push({
+      ...numberedChoiceSet(id, field.validValues, v => v.name || v.label || v.value || v.id),
+      ...common,
+      style: 'compact',
+      isMultiSelect: fieldType === 'multiselect',
+    })
+
+    if (field.validValues.some(v => v.id === '__other__')) {
+      elements.push({
+        type: 'Input.Text',
+        id: `${id}_other`,
+        placeholder: 'Other (type custom value)',
+        spacing: 'Small',
+        ...(prefill[`${id}_other`] && { value: prefill[`${id}_other`] }),
+      })
+    }
+  } else if (fieldType === 'date') {
+    elements.push({ type: 'Input.Date', ...common })
+  } else if (fieldType === 'datetime') {
+    elements.push({ type: 'Input.Date', ...common })
+    elements.push({
+      type: 'Input.Time',
+      id: `${id}_time`,
+      spacing: 'Small',
+      ...(prefill[`${id}_time`] && { value: prefill[`${id}_time`] }),
+    })
+  } else if (fieldType === 'number') {
+    elements.push({ type: 'Input.Number', ...common })
+  } else if (fieldType === 'attachment') {
+    elements.push(textBlock(`**${field.name}**`, { spacing: 'Medium' }))
+    elements.push(textBlock('Attachments are not supported in chat. Add them in the portal afterwards.', { isSubtle: true, spacing: 'None' }))
+    return elements
+  } else {
+    elements.push({
+      type: 'Input.Text',
+      ...common,
+      isMultiline: fieldType === 'textarea',
+      ...(fieldType === 'user' && { placeholder: 'user@example.com' }),
+    })
+  }
+
+  if (field.description) {
+    elements.push(textBlock(field.description, { isSubtle: true, size: 'Small', spacing: 'None' }))
+  }
+
+  return elements
+}
+
+/**
+ * Convert a stored field value back into card input values
+ * @param {object} field - Field definition object
+ * @param {number} index - Field index in the collection
+ * @param {object} fc - Field collection object
+ * @param {string} fieldType - Field type identifier
+ * @returns {object} Input values keyed by input ID
+ */
+function getStoredInputs(field, index, fc, fieldType) {
+  const id = getFieldInputId(index)
+  const options = field.validValues || []
+  const position = (match) => {
+    const i = options.findIndex(match)
+    return i >= 0 ? String(i + 1) : null
+  }
+
+  if (field.source === 'form') {
+    const answer = fc.formAnswers?.[field.formQuestionId]
+    if (!answer) return {}
+
+    if (answer.choices) {
+      return { [id]: answer.choices.map(c => position(v => v.id === c)).filter(Boolean).join(',') }
+    }
+
+    const other = position(v => v.id === '__other__')
+    if (other && answer.text) {
+      return { [id]: other, [`${id}_other`]: answer.text }
+    }
+    return { [id]: answer.text }
+  }
+
+  const value = fc.collectedValues?.[field.fieldId]
+  if (value === null || value === undefined) return {}
+
+  if (options.length > 0 && (fieldType === 'select' || fieldType === 'multiselect')) {
+    const stored = Array.isArray(value) ? value : [value]
+    return {
+      [id]: stored
+        .filter(s => s !== null && s !== undefined)
+        .map(s => position(v => [v.id, v.name, v.value].includes(s?.id ?? s)))
+        .filter(Boolean)
+        .join(','),
+    }
+  }
+
+  if (fieldType === 'user') return { [id]: value.accountId }
+  if (fieldType === 'datetime') {
+    const [date, time] = String(value).split(' ')
+    return { [id]: date, [`${id}_time`]: time }
+  }
+  if (Array.isArray(value)) return { [id]: value.join(', ') }
+
+  return { [id]: String(value) }
+}
+
+/**
+ * Build the card sent to an approver when a request waits for their decision
+ * @param {object} options - Card options
+ * @param {string} options.issueKey - Request key
+ * @param {string} options.summary - Request summary
+ * @param {object} options.approval - Pending approval {id, name}
+ * @param {Array<[string, string]>} options.facts - Details shown on the card
+ * @param {string} options.portalUrl - URL of the request
+ * @returns {object} Card activity
+ */
+export function buildApprovalCard({ issueKey, summary, approval, facts, portalUrl }) {
+  const data = { issueKey, approvalId: approval.id }
+  const body = [
+    textBlock('🗳️ Approval needed', { weight: 'Bolder', size: 'Medium' }),
+    textBlock(`[${issueKey}](${portalUrl}): ${summary}`),
+    factSet([['Approval', approval.name || 'Approval'], ...facts]),
+    {
+      type: 'Input.Text',
+      id: 'reason',
+      label: 'Reason for declining',
+      placeholder: 'Optional, shared with the requester',
+      isMultiline: true,
+    },
+  ]
+  const actions = [
+    submitAction('Approve', { ...data, approvalAction: 'approve' }, { style: 'positive', validate: false }),
+    submitAction('Decline', { ...data, approvalAction: 'decline' }, { style: 'destructive' }),
+    { type: 'Action.OpenUrl', title: 'Open in Portal', url: portalUrl },
+  ]
+
+  return createCardActivity(body, actions)
+}
+
+/**
+ * Build the card that replaces an approval card once it is answered
+ * @param {string} message - Outcome, e.g. "Approved IT-42"
+ * @param {string} portalUrl - URL of the request
+ * @returns {object} Card activity
+ */
+export function buildApprovalAnsweredCard(message, portalUrl) {
+  return createCardActivity(
+    [textBlock(message)],
+    [{ type: 'Action.OpenUrl', title: 'Open in Portal', url: portalUrl }]
+  )
+}
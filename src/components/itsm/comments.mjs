@@ -0,0 +1,231 @@
+/**
+ * ITSM Comment Handlers
+ * Public replies to requests, the public conversation of a request, and
+ * internal notes for agents. Internal comments are never shown here, since
+ * requesters use these commands too
+ */
+import { sendTyping } from './display.mjs'
+import { canAccessRequest } from './requests.mjs'
+import {
+  isIssueKey,
+  formatRelativeTime,
+  truncate,
+} from '../../utils/index.mjs'
+
+// Comments shown per page of `itsm comments`
+const COMMENTS_PAGE_SIZE = 5
+
+/**
+ * Post a public comment on a request, visible to the customer
+ * With the service account the comment is prefixed with the Teams user's name,
+ * since the portal would otherwise show it as written by the bot, and only the
+ * request's reporter, participants and agents may reply
+ * @param {object} bot - Bot instance with itsmService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Request key followed by the reply text
+ * @returns {Promise<void>}
+ */
+export async function replyToRequest(bot, context, args) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  const { key, text } = parseKeyAndText(args)
+
+  if (!key || !text) {
+    await context.sendActivity('Please provide a request key and your reply.\n\n**Usage:** `itsm reply <KEY-123> <text>`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const itsm = await bot.getITSMService(context)
+    if (!await checkRequestAccess(bot, context, itsm, key)) return
+
+    await itsm.addRequestComment(key, attributeComment(itsm, context, text), { isPublic: true })
+
+    await context.sendActivity(`💬 Reply added to **[${key}](${bot.itsmService.getPortalUrl(key)})**. The requester and agents can see it.`)
+  } catch (error) {
+    console.error('Error replying to request:', error)
+    await context.sendActivity(`Failed to reply to ${key}: ${error.message}`)
+  }
+}
+
+/**
+ * Add an internal comment to a request, visible to agents only
+ * With the service account, which can always comment internally, the Teams
+ * user has to be an agent of the request's service desk
+ * @param {object} bot - Bot instance with itsmService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Request key followed by the note text
+ * @returns {Promise<void>}
+ */
+export async function addInternalNote(bot, context, args) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  const { key, text } = parseKeyAndText(args)
+
+  if (!key || !text) {
+    await context.sendActivity('Please provide a request key and your note.\n\n**Usage:** `itsm note <KEY-123> <text>`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const itsm = await bot.getITSMService(context)
+
+    if (!itsm.isUserScoped) {
+      const accountId = bot.identityService ? await bot.identityService.resolveTrustedAccountId(context) : null
+      if (!accountId) {
+        await context.sendActivity("I couldn't verify which Jira user you are.\n\nType `jira login` to sign in with Atlassian.")
+        return
+      }
+
+      if (!await itsm.isServiceDeskAgent(key, accountId)) {
+        await context.sendActivity(`Only agents of the service desk can add internal notes to ${key}. Use \`itsm reply ${key} <text>\` to reply publicly.`)
+        return
+      }
+    }
+
+    try {
+      await itsm.addRequestComment(key, attributeComment(itsm, context, text), { isPublic: false })
+    } catch (error) {
+      if (error.status !== 403) throw error
+      await context.sendActivity(`Only agents of the service desk can add internal notes to ${key}. Use \`itsm reply ${key} <text>\` to reply publicly.`)
+      return
+    }
+
+    await context.sendActivity(`🔒 Internal note added to **[${key}](${bot.itsmService.getPortalUrl(key)})**. Only agents can see it.`)
+  } catch (error) {
+    console.error('Error adding internal note:', error)
+    await context.sendActivity(`Failed to add note to ${key}: ${error.message}`)
+  }
+}
+
+/**
+ * Show the public conversation of a request, one page at a time, oldest first
+ * With the service account only the request's reporter, participants and agents see it
+ * @param {object} bot - Bot instance with itsmService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Request key, optionally followed by a page number
+ * @returns {Promise<void>}
+ */
+export async function showRequestComments(bot, context, args) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  const [issueKey = '', pageArg] = args.trim().split(/\s+/)
+  const page = pageArg ? parseInt(pageArg, 10) : 1
+
+  if (!isIssueKey(issueKey) || !(page >= 1)) {
+    await context.sendActivity('Please provide a request key.\n\n**Usage:** `itsm comments <KEY-123> [page]`')
+    return
+  }
+
+  const key = issueKey.toUpperCase()
+
+  try {
+    await sendTyping(context)
+
+    const itsm = await bot.getITSMService(context)
+    if (!await checkRequestAccess(bot, context, itsm, key)) return
+
+    const start = (page - 1) * COMMENTS_PAGE_SIZE
+    const { values: comments, isLastPage } = await itsm.getRequestComments(key, { start, limit: COMMENTS_PAGE_SIZE })
+    const portalUrl = bot.itsmService.getPortalUrl(key)
+
+    if (comments.length === 0) {
+      await context.sendActivity(page === 1
+        ? `**[${key}](${portalUrl})** has no replies yet.\n\nType \`itsm reply ${key} <text>\` to add one.`
+        : `**${key}** has no more replies.`)
+      return
+    }
+
+    let message = `💬 **[${key}](${portalUrl})** — replies ${start + 1}–${start + comments.length}, oldest first\n\n`
+    message += comments.map(formatComment).join('\n\n')
+
+    message += isLastPage
+      ? `\n\n_Type \`itsm reply ${key} <text>\` to reply._`
+      : `\n\n_Type \`itsm comments ${key} ${page + 1}\` for newer replies._`
+
+    await context.sendActivity(message)
+  } catch (error) {
+    console.error('Error fetching request comments:', error)
+    await context.sendActivity(`Failed to fetch replies for ${key}: ${error.message}`)
+  }
+}
+
+/**
+ * Check that the sender may see a request before acting on it with the service account
+ * A user-scoped service is checked by the servicedesk API itself; otherwise only an
+ * automatic match or Atlassian login counts, never a manual link
+ * @param {object} bot - Bot instance with identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} itsm - ITSM service from bot.getITSMService
+ * @param {string} key - Request key
+ * @returns {Promise<boolean>} Whether to go on; the sender has been told otherwise
+ */
+async function checkRequestAccess(bot, context, itsm, key) {
+  if (itsm.isUserScoped) return true
+
+  const accountId = bot.identityService ? await bot.identityService.resolveTrustedAccountId(context) : null
+  if (!accountId) {
+    await context.sendActivity("I couldn't verify which Jira user you are.\n\nType `jira login` to sign in with Atlassian.")
+    return false
+  }
+
+  let request
+  try {
+    request = await itsm.getRequest(key)
+  } catch (error) {
+    if (error.status !== 404) throw error
+  }
+
+  if (!request || !await canAccessRequest(itsm, request, accountId)) {
+    await context.sendActivity(`I couldn't find request ${key}, or you don't have access to it.`)
+    return false
+  }
+  return true
+}
+
+/**
+ * Split command arguments into a request key and the text after it
+ * @param {string} args - Request key followed by text
+ * @returns {{key: string|null, text: string}}
+ */
+function parseKeyAndText(args) {
+  const [, issueKey = '', text = ''] = args.trim().match(/^(\S*)\s*([\s\S]*)$/) || []
+  return { key: isIssueKey(issueKey) ? issueKey.toUpperCase() : null, text: text.trim() }
+}
+
+/**
+ * Prefix a comment with the Teams user's name when it's posted by the service account
+ * @param {object} itsm - ITSM service the comment is posted with
+ * @param {object} context - Turn context from bot framework
+ * @param {string} text - Comment text
+ * @returns {string}
+ */
+function attributeComment(itsm, context, text) {
+  const author = context.activity.from?.name
+  return itsm.isUserScoped || !author ? text : `[via Teams by ${author}] ${text}`
+}
+
+/**
+ * Format a single request comment
+ * @param {object} comment - Comment from the servicedesk API
+ * @returns {string} Markdown
+ */
+function formatComment(comment) {
+  const author = comment.author?.displayName || 'Unknown'
+  const when = formatRelativeTime(comment.created?.iso8601) || comment.created?.friendly || ''
+
+  return `**${author}**${when ? ` · ${when}` : ''}\n${truncate(comment.body || '_(empty)_', 500)}`
+}
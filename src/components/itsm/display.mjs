@@ -11,9 +11,14 @@ import {
   bold,
   italic,
   code,
+  link,
+  escapeHtml,
   fieldWithType,
   selectionList,
+  stripHtml,
+  supportsAdaptiveCards,
 } from '../../utils/index.mjs'
+import { buildSelectionCard, buildFormCard, buildConfirmationCard, buildArticlesCard } from './cards.mjs'
 
 // ============================================
 // Service Desk Selection
@@ -26,6 +31,19 @@ import {
  * @returns {Promise<void>}
  */
 export async function showServiceDesks(context, state) {
+  if (supportsAdaptiveCards(context)) {
+    await context.sendActivity(buildSelectionCard({
+      title: 'Create ITSM Request',
+      stepTitle: 'Select Service Desk',
+      stepNumber: 1,
+      step: 'select_service_desk',
+      items: state.serviceDesks,
+      getTitle: d => `${d.projectName} (${d.projectKey})`,
+      canGoBack: false,
+    }))
+    return
+  }
+
   const msg = createMessage()
     .addHeader('Create ITSM Request')
     .addDivider()
@@ -52,6 +70,18 @@ export async function showServiceDesks(context, state) {
  * @returns {Promise<void>}
  */
 export async function showPortalGroups(context, state) {
+  if (supportsAdaptiveCards(context)) {
+    await context.sendActivity(buildSelectionCard({
+      title: `Service Desk: ${state.selectedServiceDesk.projectName}`,
+      stepTitle: 'Contact us about',
+      stepNumber: 2,
+      step: 'select_portal_group',
+      items: state.portalGroups,
+      getTitle: g => g.name,
+    }))
+    return
+  }
+
   const msg = createMessage()
     .addHeader(`Service Desk: ${state.selectedServiceDesk.projectName}`)
     .addDivider()
@@ -81,36 +111,50 @@ export async function showPortalGroups(context, state) {
  */
 export async function showRequestTypes(context, state, itsmService) {
   const types = state.filteredRequestTypes || []
+  let allFields = []
+  let allForms = []
 
-  const msg = createMessage()
-    .addHeader(`Category: ${state.selectedPortalGroup.name}`)
-    .addDivider()
-    .addStepHeader(3, 5, 'What can we help you with?')
-    .addBreak()
-
-  if (types.length === 0) {
-    msg.addNote('No request types available for this category.')
-  } else {
+  if (types.length > 0) {
     await sendTyping(context)
 
     // Fetch fields and forms in parallel
-    const [allFields, allForms] = await fetchFieldsAndForms(types, state, itsmService)
+    ;[allFields, allForms] = await fetchFieldsAndForms(types, state, itsmService)
 
     // Cache results
     state.requestTypeFieldsCache = {}
     state.requestTypeFormsCache = {}
 
-    for (let i = 0; i < types.length; i++) {
-      const t = types[i]
-      const fields = allFields[i]
-      const formTemplate = allForms[i]
+    types.forEach((t, i) => {
+      state.requestTypeFieldsCache[t.id] = allFields[i]
+      state.requestTypeFormsCache[t.id] = allForms[i]
+    })
+  }
+
+  if (supportsAdaptiveCards(context)) {
+    await context.sendActivity(buildSelectionCard({
+      title: `Category: ${state.selectedPortalGroup.name}`,
+      stepTitle: 'What can we help you with?',
+      stepNumber: 3,
+      step: 'select_request_type',
+      items: types,
+      getTitle: t => t.description ? `${t.name} — ${t.description}` : t.name,
+    }))
+    return
+  }
 
-      state.requestTypeFieldsCache[t.id] = fields
-      state.requestTypeFormsCache[t.id] = formTemplate
+  const msg = createMessage()
+    .addHeader(`Category: ${state.selectedPortalGroup.name}`)
+    .addDivider()
+    .addStepHeader(3, 5, 'What can we help you with?')
+    .addBreak()
 
-      msg.add(formatRequestTypeItem(i + 1, t, fields, formTemplate, itsmService))
+  if (types.length === 0) {
+    msg.addNote('No request types available for this category.')
+  } else {
+    types.forEach((t, i) => {
+      msg.add(formatRequestTypeItem(i + 1, t, allFields[i], allForms[i], itsmService))
       msg.addBreak()
-    }
+    })
   }
 
   msg.addDivider()
@@ -210,6 +254,42 @@ function getUniqueFields(formQuestions) {
 // Form Overview
 // ============================================
 
+/**
+ * Display the knowledge base articles matching the request and ask whether they solved it
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Conversation state with selected request type and kbArticles
+ * @returns {Promise<void>}
+ */
+export async function showArticles(context, state) {
+  if (supportsAdaptiveCards(context)) {
+    await context.sendActivity(buildArticlesCard(state))
+    return
+  }
+
+  const msg = createMessage()
+    .addHeader(`Request Type: ${state.selectedRequestType.name}`)
+    .addDivider()
+    .addLine(bold('📚 These articles might help'))
+    .addBreak()
+    .addBulletList(state.kbArticles.map(article => {
+      const title = escapeHtml(article.title)
+      const heading = article.url ? link(title, article.url) : bold(title)
+      return article.excerpt ? `${heading}<br/>${italic(escapeHtml(article.excerpt))}` : heading
+    }))
+    .addBreak()
+    .addLine(bold('Did this solve it?'))
+    .addCommands([
+      ['yes', 'Solved, no request needed'],
+      ['no', 'Continue with the request'],
+    ])
+    .addBreak(2)
+    .addNote('Or type a few words about your issue to search again.')
+    .addNote(`Type ${code('back')} to go back.`)
+    .addNote(`Type ${code('cancel')} to cancel request.`)
+
+  await context.sendActivity(msg.build())
+}
+
 /**
  * Display form overview with list of fields to fill
  * @param {object} context - Turn context from bot framework
@@ -388,12 +468,18 @@ export async function showCurrentRequestState(context, state, itsmService) {
 
 /**
  * Display current field prompt for user input
+ * Channels with Adaptive Cards get one card containing all fields instead
  * @param {object} context - Turn context from bot framework
  * @param {object} state - Conversation state with field collection
  * @param {object} itsmService - ITSM service instance
  * @returns {Promise<void>}
  */
 export async function showField(context, state, itsmService) {
+  if (supportsAdaptiveCards(context)) {
+    await showFormCard(context, state, itsmService)
+    return
+  }
+
   const fc = state.fieldCollection
   const field = fc.fields[fc.currentFieldIndex]
   const fieldType = itsmService.getFieldType(field)
@@ -433,6 +519,18 @@ export async function showField(context, state, itsmService) {
   await context.sendActivity(msg.build())
 }
 
+/**
+ * Display all fields of the request type as a single Adaptive Card
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Conversation state with field collection
+ * @param {object} itsmService - ITSM service instance
+ * @param {object} [options] - Validation errors and submitted values to show again
+ * @returns {Promise<void>}
+ */
+export async function showFormCard(context, state, itsmService, options = {}) {
+  await context.sendActivity(buildFormCard(state, itsmService, options))
+}
+
 /**
  * Get field-type specific input instructions
  * @param {object} field - Field definition object
@@ -481,6 +579,11 @@ function getFieldInstructions(field, fieldType) {
  * @returns {Promise<void>}
  */
 export async function showConfirmation(context, state, itsmService) {
+  if (supportsAdaptiveCards(context)) {
+    await showConfirmationCard(context, state, itsmService)
+    return
+  }
+
   const { selectedServiceDesk, selectedPortalGroup, selectedRequestType, fieldCollection } = state
 
   const msg = createMessage()
@@ -529,6 +632,29 @@ export async function showConfirmation(context, state, itsmService) {
   await context.sendActivity(msg.build())
 }
 
+/**
+ * Display the confirmation screen as an Adaptive Card
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Conversation state with all selections and field values
+ * @param {object} itsmService - ITSM service instance
+ * @returns {Promise<void>}
+ */
+async function showConfirmationCard(context, state, itsmService) {
+  const fields = state.fieldCollection?.fields || []
+  const facts = []
+  const missingRequired = []
+
+  for (const field of fields) {
+    const { value, display } = getFieldDisplayValue(field, state.fieldCollection, itsmService)
+    facts.push([field.name, stripHtml(display)])
+    if (field.required && !value) {
+      missingRequired.push(field.name)
+    }
+  }
+
+  await context.sendActivity(buildConfirmationCard(state, facts, missingRequired))
+}
+
 /**
  * Separate fields into regular fields and table (row-based) fields
  * @param {object[]} fields - Array of field objects
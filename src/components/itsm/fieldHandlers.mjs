@@ -3,7 +3,9 @@
  * Handles field input validation and processing
  */
 import { setState } from '../../state/conversation.mjs'
-import { showField, showConfirmation, sendTyping, showCurrentRequestState } from './display.mjs'
+import { showField, showFormCard, showConfirmation, showCurrentRequestState } from './display.mjs'
+import { getFieldInputId } from './cards.mjs'
+import { stripHtml } from '../../utils/index.mjs'
 
 /**
  * Handle user input for current field in the collection
@@ -18,86 +20,139 @@ import { showField, showConfirmation, sendTyping, showCurrentRequestState } from
 export async function handleField(bot, context, text, state, conversationId) {
   const fc = state.fieldCollection
   const field = fc.fields[fc.currentFieldIndex]
-  const fieldType = bot.itsmService.getFieldType(field)
 
   if (fc.awaitingCustomValue) {
-    const customText = text.trim()
-    if (!customText && field.required) {
-      await context.sendActivity('❌ This field is required. Please enter a value.')
+    const result = parseCustomValue(field, text)
+    if (result.error) {
+      await context.sendActivity(result.error)
       return
     }
 
-    if (field.source === 'form') {
-      fc.formAnswers = fc.formAnswers || {}
-      fc.formAnswers[field.formQuestionId] = { text: customText }
-    } else {
-      fc.collectedValues[field.fieldId] = customText
-    }
-
+    storeFieldValue(fc, field, result.value)
     fc.awaitingCustomValue = false
     return await moveToNextField(context, state, conversationId, bot.itsmService)
   }
 
-  if (text.toLowerCase() === 'skip') {
-    if (field.required) {
-      await context.sendActivity('❌ This field is required and cannot be skipped.<br/><i>Please enter a value.</i>')
+  const result = parseFieldInput(field, text, bot.itsmService)
+
+  if (result.error) {
+    await context.sendActivity(result.error)
+    return
+  }
+
+  if (result.other) {
+    fc.awaitingCustomValue = true
+    setState(conversationId, state)
+
+    let msg = `<b>Enter custom value for: ${field.name}</b><br/><br/>`
+    msg += `<i>Type your custom value below:</i>`
+    if (!field.required) {
+      msg += `<br/><br/><code>skip</code> - Leave empty`
+    }
+    await context.sendActivity(msg)
+    return
+  }
+
+  storeFieldValue(fc, field, result.value)
+  return await moveToNextField(context, state, conversationId, bot.itsmService)
+}
+
+/**
+ * Handle an Adaptive Card submission containing all fields of the request type
+ * Every field goes through the same validation as typed input; the card is
+ * shown again with inline errors if any value is invalid
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} values - Submitted card inputs keyed by input ID
+ * @param {object} state - Current conversation state
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function handleFormSubmission(bot, context, values, state, conversationId) {
+  const fc = state.fieldCollection
+  const errors = {}
+  const parsed = []
+
+  fc.fields.forEach((field, i) => {
+    const input = readFieldInput(values, i, bot.itsmService.getFieldType(field))
+    if (!input.text && field.required && bot.itsmService.getFieldType(field) !== 'attachment') {
+      errors[i] = `${field.name} is required.`
       return
     }
-    if (field.source === 'form') {
-      fc.formAnswers = fc.formAnswers || {}
-      fc.formAnswers[field.formQuestionId] = null
+
+    // Empty optional inputs are treated like a typed "skip"
+    let result = parseFieldInput(field, input.text || 'skip', bot.itsmService)
+
+    if (result.other) {
+      result = parseCustomValue(field, input.other || '')
+    }
+
+    if (result.error) {
+      errors[i] = stripHtml(result.error)
     } else {
-      fc.collectedValues[field.fieldId] = null
+      parsed.push([field, result.value])
     }
-    return await moveToNextField(context, state, conversationId, bot.itsmService)
+  })
+
+  if (Object.keys(errors).length > 0) {
+    await showFormCard(context, state, bot.itsmService, { errors, values })
+    return
   }
 
-  if (fieldType === 'attachment') {
-    if (field.source === 'form') {
-      fc.formAnswers = fc.formAnswers || {}
-      fc.formAnswers[field.formQuestionId] = null
-    } else {
-      fc.collectedValues[field.fieldId] = null
+  for (const [field, value] of parsed) {
+    storeFieldValue(fc, field, value)
+  }
+  fc.currentFieldIndex = fc.fields.length
+  fc.awaitingCustomValue = false
+  state.step = 'confirm'
+  setState(conversationId, state)
+
+  await showConfirmation(context, state, bot.itsmService)
+}
+
+/**
+ * Validate input for a field and convert it to the value to store
+ * Shared by the text flow and Adaptive Card submissions
+ * @param {object} field - Field definition object
+ * @param {string} text - User input (option numbers for select fields)
+ * @param {object} itsmService - ITSM service instance
+ * @returns {{error: string}|{other: true}|{value: *}} Validation error, request for a custom
+ *   value ("Other" option), or the value to store (form answer for form questions)
+ */
+export function parseFieldInput(field, text, itsmService) {
+  const fieldType = itsmService.getFieldType(field)
+
+  if (text.toLowerCase() === 'skip') {
+    if (field.required) {
+      return { error: '❌ This field is required and cannot be skipped.<br/><i>Please enter a value.</i>' }
     }
-    return await moveToNextField(context, state, conversationId, bot.itsmService)
+    return { value: null }
+  }
+
+  if (fieldType === 'attachment') {
+    return { value: null }
   }
 
   if ((fieldType === 'select' || field.jiraSchema?.type === 'cd') && field.validValues?.length > 0) {
     const index = parseInt(text, 10) - 1
 
     if (isNaN(index) || index < 0 || index >= field.validValues.length) {
-      await context.sendActivity(
-        `Invalid selection. Please enter a number between 1 and ${field.validValues.length}.<br/>` +
-        `<i>Type the number to select an option, or <code>back</code> to go back.</i>`
-      )
-      return
+      return {
+        error: `Invalid selection. Please enter a number between 1 and ${field.validValues.length}.<br/>` +
+          `<i>Type the number to select an option, or <code>back</code> to go back.</i>`,
+      }
     }
 
     const selectedValue = field.validValues[index]
 
     if (selectedValue.id === '__other__') {
-      fc.awaitingCustomValue = true
-      setState(conversationId, state)
-
-      let msg = `<b>Enter custom value for: ${field.name}</b><br/><br/>`
-      msg += `<i>Type your custom value below:</i>`
-      if (!field.required) {
-        msg += `<br/><br/><code>skip</code> - Leave empty`
-      }
-      await context.sendActivity(msg)
-      return
+      return { other: true }
     }
 
     if (field.source === 'form') {
-      fc.formAnswers = fc.formAnswers || {}
-      fc.formAnswers[field.formQuestionId] = {
-        choices: [selectedValue.id]
-      }
-    } else {
-      fc.collectedValues[field.fieldId] = selectedValue.id || selectedValue.name
+      return { value: { choices: [selectedValue.id] } }
     }
-
-    return await moveToNextField(context, state, conversationId, bot.itsmService)
+    return { value: selectedValue.id || selectedValue.name }
   }
 
   if (fieldType === 'multiselect' && field.validValues?.length > 0) {
@@ -114,74 +169,108 @@ export async function handleField(bot, context, text, state, conversationId) {
     }
 
     if (invalidSelections.length > 0 || validSelections.length === 0) {
-      await context.sendActivity(
-        `Invalid selection(s). Please enter numbers between 1 and ${field.validValues.length}, separated by commas.<br/>` +
-        `<i>Example: 1,3,5</i>`
-      )
-      return
+      return {
+        error: `Invalid selection(s). Please enter numbers between 1 and ${field.validValues.length}, separated by commas.<br/>` +
+          `<i>Example: 1,3,5</i>`,
+      }
     }
 
     if (field.source === 'form') {
-      fc.formAnswers = fc.formAnswers || {}
-      fc.formAnswers[field.formQuestionId] = {
-        choices: validSelections.map(v => v.id)
-      }
-    } else {
-      fc.collectedValues[field.fieldId] = validSelections.map(v => v.id || v.name)
+      return { value: { choices: validSelections.map(v => v.id) } }
     }
-
-    return await moveToNextField(context, state, conversationId, bot.itsmService)
+    return { value: validSelections.map(v => v.id || v.name) }
   }
 
   if (fieldType === 'date') {
     const dateRegex = /^\d{4}-\d{2}-\d{2}$/
     if (!dateRegex.test(text)) {
-      await context.sendActivity(
-        `Invalid date format.<br/>` +
-        `<b>Expected:</b> YYYY-MM-DD (e.g., 2024-01-15)<br/>` +
-        `<i>Please try again.</i>`
-      )
-      return
+      return {
+        error: `Invalid date format.<br/>` +
+          `<b>Expected:</b> YYYY-MM-DD (e.g., 2024-01-15)<br/>` +
+          `<i>Please try again.</i>`,
+      }
     }
   }
 
   if (fieldType === 'datetime') {
     const datetimeRegex = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?$/
     if (!datetimeRegex.test(text)) {
-      await context.sendActivity(
-        `Invalid datetime format.<br/>` +
-        `<b>Expected:</b> YYYY-MM-DD HH:MM (e.g., 2024-01-15 14:30)<br/>` +
-        `<i>Please try again.</i>`
-      )
-      return
+      return {
+        error: `Invalid datetime format.<br/>` +
+          `<b>Expected:</b> YYYY-MM-DD HH:MM (e.g., 2024-01-15 14:30)<br/>` +
+          `<i>Please try again.</i>`,
+      }
     }
   }
 
   if (fieldType === 'number') {
     if (isNaN(parseFloat(text))) {
-      await context.sendActivity(
-        `Invalid number.<br/>` +
-        `<i>Please enter a valid number.</i>`
-      )
-      return
+      return {
+        error: `Invalid number.<br/>` +
+          `<i>Please enter a valid number.</i>`,
+      }
     }
   }
 
   const trimmedText = text.trim()
   if (!trimmedText && field.required) {
-    await context.sendActivity('This field is required. Please enter a value.')
-    return
+    return { error: 'This field is required. Please enter a value.' }
   }
 
+  if (field.source === 'form') {
+    return { value: { text: trimmedText } }
+  }
+  return { value: itsmService.formatFieldValue(field, trimmedText) }
+}
+
+/**
+ * Validate a custom value entered for the "Other" option of a field
+ * @param {object} field - Field definition object
+ * @param {string} text - Custom value
+ * @returns {{error: string}|{value: *}} Validation error or the value to store
+ */
+function parseCustomValue(field, text) {
+  const customText = text.trim()
+  if (!customText && field.required) {
+    return { error: '❌ This field is required. Please enter a value.' }
+  }
+
+  return { value: field.source === 'form' ? { text: customText } : customText }
+}
+
+/**
+ * Store a parsed value in the field collection
+ * Form questions are stored as form answers, portal fields as request field values
+ * @param {object} fc - Field collection object
+ * @param {object} field - Field definition object
+ * @param {*} value - Value returned by parseFieldInput
+ */
+function storeFieldValue(fc, field, value) {
   if (field.source === 'form') {
     fc.formAnswers = fc.formAnswers || {}
-    fc.formAnswers[field.formQuestionId] = { text: trimmedText }
+    fc.formAnswers[field.formQuestionId] = value
   } else {
-    const value = bot.itsmService.formatFieldValue(field, trimmedText)
     fc.collectedValues[field.fieldId] = value
   }
+}
 
-  return await moveToNextField(context, state, conversationId, bot.itsmService)
+/**
+ * Read the submitted card inputs of a field as the text the user would have typed
+ * @param {object} values - Submitted card inputs keyed by input ID
+ * @param {number} index - Field index in the collection
+ * @param {string} fieldType - Field type identifier
+ * @returns {{text: string, other: string}} Input text and custom "Other" value
+ */
+function readFieldInput(values, index, fieldType) {
+  const id = getFieldInputId(index)
+  let text = String(values[id] ?? '').trim()
+
+  const time = String(values[`${id}_time`] ?? '').trim()
+  if (fieldType === 'datetime' && text && time) {
+    text = `${text} ${time}`
+  }
+
+  return { text, other: String(values[`${id}_other`] ?? '') }
 }
 
 /**
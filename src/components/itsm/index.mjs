@@ -3,6 +3,7 @@
  * Handles all ITSM request-related commands and flows
  */
 import { getState, setState, deleteState } from '../../state/conversation.mjs'
+import { saveDraft } from '../../state/drafts.mjs'
 import {
   showServiceDesks,
   showPortalGroups,
@@ -10,9 +11,21 @@ import {
   showFormOverview,
   showField,
   showConfirmation,
+  showCurrentRequestState,
+  showArticles,
   sendTyping,
 } from './display.mjs'
-import { handleField, prepareFieldsForCollection } from './fieldHandlers.mjs'
+import { handleField, handleFormSubmission, prepareFieldsForCollection } from './fieldHandlers.mjs'
+import { showMyRequests, viewRequest, requestListingSources } from './requests.mjs'
+import { replyToRequest, addInternalNote, showRequestComments } from './comments.mjs'
+import {
+  showPendingApprovals,
+  answerApprovalCommand,
+  submitApprovalCard,
+  notifyApprovers,
+  approvalListingSources,
+} from './approvals.mjs'
+import { showSla, setSlaAlerts, startSlaMonitor } from './sla.mjs'
 import {
   selectFromList,
   createTypingAnimation,
@@ -22,8 +35,20 @@ import {
   italic,
   code,
   link,
+  escapeHtml,
+  stripHtml,
+  truncate,
   ICONS,
+  getUserKey,
+  supportsAdaptiveCards,
 } from '../../utils/index.mjs'
+import { itsmMetrics } from '../../telemetry/index.mjs'
+
+// Knowledge base articles suggested before the form is filled in
+const MAX_ARTICLES = 3
+
+// Characters of an article excerpt shown
+const MAX_EXCERPT_LENGTH = 200
 
 // ============================================
 // Public API
@@ -36,23 +61,46 @@ import {
  */
 export function createITSMHandlers(bot) {
   return {
-    startRequestCreation: (ctx, convId) => startRequestCreation(bot, ctx, convId),
+    startRequestCreation: (ctx, convId, issueText) => startRequestCreation(bot, ctx, convId, issueText),
     handleRequestFlow: (ctx, text, state, convId) => handleRequestFlow(bot, ctx, text, state, convId),
+    resumeRequestFlow: (ctx, state, convId) => resumeRequestFlow(bot, ctx, state, convId),
     debugFields: (ctx) => debugFields(bot, ctx),
     showForms: (ctx, projectKey) => showForms(bot, ctx, projectKey),
     testAttachForm: (ctx, issueKey, formTemplateId) => testAttachForm(bot, ctx, issueKey, formTemplateId),
+    showMyRequests: (ctx, filter, convId) => showMyRequests(bot, ctx, filter, convId),
+    viewRequest: (ctx, issueKey) => viewRequest(bot, ctx, issueKey),
+    replyToRequest: (ctx, args) => replyToRequest(bot, ctx, args),
+    addInternalNote: (ctx, args) => addInternalNote(bot, ctx, args),
+    showRequestComments: (ctx, args) => showRequestComments(bot, ctx, args),
+    showPendingApprovals: (ctx, convId) => showPendingApprovals(bot, ctx, convId),
+    answerApproval: (ctx, decision, args) => answerApprovalCommand(bot, ctx, decision, args),
+    submitApprovalCard: (ctx, values) => submitApprovalCard(bot, ctx, values),
+    notifyApprovers: (event) => notifyApprovers(bot, event),
+    showSla: (ctx, issueKey) => showSla(bot, ctx, issueKey),
+    setSlaAlerts: (ctx, args) => setSlaAlerts(bot, ctx, args),
+    startSlaMonitor: () => startSlaMonitor(bot),
   }
 }
 
+/**
+ * Listing sources used with the pager: itsm_requests and itsm_approvals
+ */
+export const itsmListingSources = {
+  ...requestListingSources,
+  ...approvalListingSources,
+}
+
 
 /**
  * Start the ITSM request creation flow
  * @param {object} bot - Bot instance with itsmService
  * @param {object} context - Turn context from bot framework
  * @param {string} conversationId - Unique conversation identifier
+ * @param {string} [issueText] - What the issue is, as typed after `itsm create`; used
+ *   to suggest knowledge base articles
  * @returns {Promise<void>}
  */
-async function startRequestCreation(bot, context, conversationId) {
+async function startRequestCreation(bot, context, conversationId, issueText = '') {
   if (!bot.itsmService) {
     await context.sendActivity('ITSM integration is not configured.')
     return
@@ -60,17 +108,31 @@ async function startRequestCreation(bot, context, conversationId) {
 
   try {
     await sendTyping(context)
-    const serviceDesks = await bot.itsmService.getServiceDesks()
+    const itsm = await bot.getITSMService(context)
+    const serviceDesks = await itsm.getServiceDesks()
 
     if (serviceDesks.length === 0) {
       await context.sendActivity('No service desks found.')
       return
     }
 
+    // In a group chat the current wizard may belong to someone else; it is saved for them
+    const userKey = getUserKey(context)
+    const current = getState(conversationId)
+    const saved = saveDraft(current.draftOwner, current)
+    if (saved) {
+      const what = saved.flow === 'jira' ? 'ticket' : 'request'
+      await context.sendActivity(italic(current.draftOwner === userKey
+        ? `💾 Your unfinished ${what} was saved to ${code('drafts')}.`
+        : `💾 The unfinished ${what} in this chat was saved to the drafts of the person who started it.`))
+    }
+
     const state = {
       awaitingITSMDetails: true,
       step: 'select_service_desk',
       serviceDesks,
+      draftOwner: userKey,
+      issueText: issueText || null,
     }
     setState(conversationId, state)
     await showServiceDesks(context, state)
@@ -82,7 +144,9 @@ async function startRequestCreation(bot, context, conversationId) {
 
 /**
  * Main flow handler for ITSM request creation
- * Routes user input to appropriate step handler based on current state
+ * Routes user input to appropriate step handler based on current state.
+ * Adaptive Card submissions (activity.value) are translated into the
+ * equivalent text input, except the form card which is validated as a whole.
  * @param {object} bot - Bot instance with itsmService
  * @param {object} context - Turn context from bot framework
  * @param {string} text - User input text
@@ -91,11 +155,37 @@ async function startRequestCreation(bot, context, conversationId) {
  * @returns {Promise<void>}
  */
 async function handleRequestFlow(bot, context, text, state, conversationId) {
+  const value = context.activity.value
+  if (value?.itsmAction) {
+    if (value.step !== state.step) {
+      await context.sendActivity(italic('That card is out of date. Please continue with the current step:'))
+      await showCurrentStep(bot, context, state)
+      return
+    }
+
+    if (value.itsmAction === 'submit_form') {
+      await handleFormSubmission(bot, context, value, state, conversationId)
+      return
+    }
+
+    text = value.itsmAction === 'command' ? value.command : String(value.choice ?? '')
+  }
+
   const cmd = text.toLowerCase().trim()
 
   if (cmd === 'cancel') {
+    if (state.step === 'kb_articles') {
+      itsmMetrics.kbDeflections.add(1, { outcome: 'cancelled' })
+    }
+    const saved = saveDraft(state.draftOwner, state)
     deleteState(conversationId)
-    await context.sendActivity('Request cancelled.')
+    await context.sendActivity(
+      !saved
+        ? 'Request cancelled.'
+        : state.draftOwner === getUserKey(context)
+          ? `Request cancelled. Your progress was saved — type ${code('drafts')} to resume it later.`
+          : 'Request cancelled. The progress was saved to the drafts of the person who started it.'
+    )
     return
   }
 
@@ -114,6 +204,7 @@ async function handleRequestFlow(bot, context, text, state, conversationId) {
     'select_service_desk': handleServiceDesk,
     'select_portal_group': handlePortalGroup,
     'select_request_type': handleRequestType,
+    'kb_articles': handleArticles,
     'collect_field': (b, ctx, txt, st, cid) => handleField(b, ctx, txt, st, cid),
     'confirm': handleConfirm,
   }
@@ -124,6 +215,53 @@ async function handleRequestFlow(bot, context, text, state, conversationId) {
   }
 }
 
+/**
+ * Resume a request creation flow from a saved draft
+ * Re-displays the step the draft was saved at, including the current form field
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Saved ITSM conversation state
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function resumeRequestFlow(bot, context, state, conversationId) {
+  if (state.fieldCollection) {
+    state.fieldCollection.awaitingCustomValue = false
+  }
+  state.draftOwner = getUserKey(context)
+  setState(conversationId, state)
+
+  const name = state.selectedRequestType?.name || state.selectedServiceDesk?.projectName
+  await context.sendActivity(`▶️ Resuming your ITSM request${name ? ` ${bold(name)}` : ''}.`)
+
+  await showCurrentStep(bot, context, state)
+}
+
+/**
+ * Display the prompt of the current step again
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Current conversation state
+ * @returns {Promise<void>}
+ */
+async function showCurrentStep(bot, context, state) {
+  const stepMap = {
+    'select_service_desk': () => showServiceDesks(context, state),
+    'select_portal_group': () => showPortalGroups(context, state),
+    'select_request_type': async () => showRequestTypes(context, state, await bot.getITSMService(context)),
+    'kb_articles': () => showArticles(context, state),
+    'collect_field': async () => {
+      if (!supportsAdaptiveCards(context)) {
+        await showCurrentRequestState(context, state, bot.itsmService)
+      }
+      await showField(context, state, bot.itsmService)
+    },
+    'confirm': () => showConfirmation(context, state, bot.itsmService),
+  }
+
+  await stepMap[state.step]?.()
+}
+
 /**
  * Navigate back to the previous step in the request creation flow
  * @param {object} bot - Bot instance with itsmService
@@ -153,24 +291,40 @@ async function goBack(bot, context, state, conversationId) {
       setState(conversationId, state)
       await showPortalGroups(context, state)
     },
+    'kb_articles': async () => {
+      state.step = 'select_request_type'
+      state.selectedRequestType = null
+      state.fieldCollection = null
+      state.kbArticles = null
+      setState(conversationId, state)
+      await showRequestTypes(context, state, await bot.getITSMService(context))
+    },
     'collect_field': async () => {
       const fc = state.fieldCollection
-      if (fc.currentFieldIndex > 0) {
+      // The form card shows all fields at once, so back leaves the form
+      if (fc.currentFieldIndex > 0 && !supportsAdaptiveCards(context)) {
         fc.currentFieldIndex--
         delete fc.collectedValues[fc.fields[fc.currentFieldIndex].fieldId]
         setState(conversationId, state)
         await showField(context, state, bot.itsmService)
       } else {
         state.step = 'select_request_type'
+        state.issueText = getIssueText(state)
         state.selectedRequestType = null
         state.fieldCollection = null
         setState(conversationId, state)
-        await showRequestTypes(context, state, bot.itsmService)
+        await showRequestTypes(context, state, await bot.getITSMService(context))
       }
     },
     'confirm': async () => {
       const fc = state.fieldCollection
-      if (fc && fc.fields.length > 0) {
+      if (fc && fc.fields.length > 0 && supportsAdaptiveCards(context)) {
+        // Reopen the form card with all values kept
+        state.step = 'collect_field'
+        fc.currentFieldIndex = 0
+        setState(conversationId, state)
+        await showField(context, state, bot.itsmService)
+      } else if (fc && fc.fields.length > 0) {
         state.step = 'collect_field'
         fc.currentFieldIndex = fc.fields.length - 1
         delete fc.collectedValues[fc.fields[fc.currentFieldIndex].fieldId]
@@ -179,7 +333,7 @@ async function goBack(bot, context, state, conversationId) {
       } else {
         state.step = 'select_request_type'
         setState(conversationId, state)
-        await showRequestTypes(context, state, bot.itsmService)
+        await showRequestTypes(context, state, await bot.getITSMService(context))
       }
     },
   }
@@ -206,9 +360,10 @@ async function handleServiceDesk(bot, context, text, state, conversationId) {
   try {
     await sendTyping(context)
 
+    const itsm = await bot.getITSMService(context)
     const [portalGroups, requestTypes] = await Promise.all([
-      bot.itsmService.getPortalGroups(selected.id),
-      bot.itsmService.getRequestTypes(selected.id),
+      itsm.getPortalGroups(selected.id),
+      itsm.getRequestTypes(selected.id),
     ])
 
     if (portalGroups.length === 0) {
@@ -254,11 +409,13 @@ async function handlePortalGroup(bot, context, text, state, conversationId) {
   state.step = 'select_request_type'
   setState(conversationId, state)
 
-  await showRequestTypes(context, state, bot.itsmService)
+  await showRequestTypes(context, state, await bot.getITSMService(context))
 }
 
 /**
  * Handle request type selection step
+ * Knowledge base articles matching what the user typed about the issue, or else the
+ * request type, are suggested first, when there are any
  * @param {object} bot - Bot instance with itsmService
  * @param {object} context - Turn context from bot framework
  * @param {string} text - User input (selection number)
@@ -277,9 +434,10 @@ async function handleRequestType(bot, context, text, state, conversationId) {
   try {
     await sendTyping(context)
 
+    const itsm = await bot.getITSMService(context)
     let portalFields = state.requestTypeFieldsCache?.[selected.id]
     if (!portalFields) {
-      portalFields = await bot.itsmService.getPortalFields(
+      portalFields = await itsm.getPortalFields(
         state.selectedServiceDesk.id,
         selected.id
       )
@@ -287,7 +445,7 @@ async function handleRequestType(bot, context, text, state, conversationId) {
 
     let formTemplate = state.requestTypeFormsCache?.[selected.id]
     if (formTemplate === undefined) {
-      formTemplate = await bot.itsmService.getRequestTypeForm(
+      formTemplate = await itsm.getRequestTypeForm(
         state.selectedServiceDesk.id,
         selected.id
       ).catch(() => null)
@@ -298,6 +456,7 @@ async function handleRequestType(bot, context, text, state, conversationId) {
       : []
 
     const allFields = prepareFieldsForCollection(portalFields, formQuestions, bot.itsmService)
+    const issueText = getIssueText(state)
 
     state.selectedRequestType = selected
     state.formTemplate = formTemplate
@@ -308,26 +467,140 @@ async function handleRequestType(bot, context, text, state, conversationId) {
       formAnswers: {},
     }
 
-    if (allFields.length === 0) {
-      await context.sendActivity(
-        `<i>No form fields found for this request type.</i><br/>` +
-        `<i>The request will be created with default values only.</i>`
-      )
-      state.step = 'confirm'
+    const articles = await findArticles(bot, context, state, issueText || selected.name)
+    if (articles?.length > 0) {
+      state.kbArticles = articles
+      state.step = 'kb_articles'
       setState(conversationId, state)
-      await showConfirmation(context, state, bot.itsmService)
-    } else {
-      state.step = 'collect_field'
-      setState(conversationId, state)
-      await showFormOverview(context, state, bot.itsmService)
-      await showField(context, state, bot.itsmService)
+      await showArticles(context, state)
+      return
+    }
+    if (articles) {
+      itsmMetrics.kbDeflections.add(1, { outcome: 'no_articles' })
     }
+
+    await startFieldCollection(bot, context, state, conversationId)
   } catch (error) {
     console.error('Error:', error)
     await context.sendActivity(`Error: ${error.message}`)
   }
 }
 
+/**
+ * Handle the answer to the suggested knowledge base articles
+ * "yes" ends the flow without a request, "no" continues to the form,
+ * anything else is taken as a description of the issue to search with
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} text - User input (yes/no or search text)
+ * @param {object} state - Current conversation state
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function handleArticles(bot, context, text, state, conversationId) {
+  const cmd = text.toLowerCase().trim()
+
+  if (cmd === 'yes' || cmd === 'y') {
+    itsmMetrics.kbDeflections.add(1, { outcome: 'solved' })
+    deleteState(conversationId)
+    await context.sendActivity(`${ICONS.success} Glad that helped! No request was raised.`)
+    return
+  }
+
+  if (cmd === 'no' || cmd === 'n') {
+    itsmMetrics.kbDeflections.add(1, { outcome: 'not_solved' })
+    state.kbArticles = null
+    await startFieldCollection(bot, context, state, conversationId)
+    return
+  }
+
+  if (!cmd) {
+    await context.sendActivity(italic(`Type ${code('yes')}, ${code('no')}, or a few words about your issue.`))
+    return
+  }
+
+  await sendTyping(context)
+  const articles = await findArticles(bot, context, state, text.trim())
+  if (!articles?.length) {
+    await context.sendActivity(italic(
+      `No articles found for "${escapeHtml(text.trim())}". Try other words, or type ${code('no')} to continue with the request.`
+    ))
+    return
+  }
+
+  state.kbArticles = articles
+  state.issueText = text.trim()
+  setState(conversationId, state)
+  await showArticles(context, state)
+}
+
+/**
+ * Get what the user typed about the issue so far: the summary or description
+ * of the form, or else the text given at the start or at the article step
+ * @param {object} state - Current conversation state
+ * @returns {string|null}
+ */
+function getIssueText(state) {
+  const values = state.fieldCollection?.collectedValues || {}
+  const typed = [values.summary, values.description].find(value => typeof value === 'string' && value.trim())
+  return typed?.trim() || state.issueText || null
+}
+
+/**
+ * Search the knowledge base of the selected service desk
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Conversation state with selected service desk
+ * @param {string} query - Search text
+ * @returns {Promise<Array<{title: string, excerpt: string, url: string|null}>|null>}
+ *   Matching articles, or null when the knowledge base can't be searched
+ */
+async function findArticles(bot, context, state, query) {
+  const serviceDeskId = state.selectedServiceDesk.id
+
+  try {
+    const itsm = await bot.getITSMService(context)
+    const articles = await itsm.searchKnowledgeBase(serviceDeskId, query, MAX_ARTICLES)
+    return articles.map(article => ({
+      title: article.title || 'Untitled article',
+      excerpt: truncate(stripHtml(article.excerpt || ''), MAX_EXCERPT_LENGTH),
+      url: itsm.getArticleUrl(serviceDeskId, article),
+    }))
+  } catch (error) {
+    // Service desks without a linked knowledge base answer with an error
+    console.warn(`Knowledge base search failed for service desk ${serviceDeskId}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Continue with the form of the selected request type, or straight to
+ * confirmation when it has no fields
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Conversation state with field collection
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function startFieldCollection(bot, context, state, conversationId) {
+  if (state.fieldCollection.fields.length === 0) {
+    await context.sendActivity(
+      `<i>No form fields found for this request type.</i><br/>` +
+      `<i>The request will be created with default values only.</i>`
+    )
+    state.step = 'confirm'
+    setState(conversationId, state)
+    await showConfirmation(context, state, bot.itsmService)
+  } else {
+    state.step = 'collect_field'
+    setState(conversationId, state)
+    if (!supportsAdaptiveCards(context)) {
+      await showFormOverview(context, state, bot.itsmService)
+    }
+    await showField(context, state, bot.itsmService)
+  }
+}
+
 /**
  * Handle confirmation step for request creation
  * @param {object} bot - Bot instance with itsmService
@@ -379,14 +652,19 @@ async function createRequest(bot, context, state, conversationId) {
 
   try {
     const fieldValues = getCollectedFieldValues(fc)
-    const result = await bot.itsmService.createRequest({
+    const itsm = await bot.getITSMService(context)
+    const raiseOnBehalfOf = bot.identityService && !itsm.isUserScoped
+      ? await bot.identityService.resolveAccountId(context)
+      : null
+    const result = await itsm.createRequest({
       serviceDeskId: state.selectedServiceDesk.id,
       requestTypeId: state.selectedRequestType.id,
       requestFieldValues: fieldValues,
+      ...(raiseOnBehalfOf && { raiseOnBehalfOf }),
     })
 
     const issueKey = result.issueKey
-    const url = bot.itsmService.getPortalUrl(issueKey)
+    const url = itsm.getPortalUrl(issueKey)
     const summary = fieldValues.summary || state.selectedRequestType.name
 
     const msg = createMessage()
@@ -396,7 +674,7 @@ async function createRequest(bot, context, state, conversationId) {
 
     // Handle form attachment if exists
     if (state.formTemplate) {
-      const formResult = await attachAndFillForm(bot, result, state, fc)
+      const formResult = await attachAndFillForm(itsm, result, state, fc)
       msg.addLine(formResult)
     }
 
@@ -468,13 +746,13 @@ function getCollectedFieldValues(fc) {
 
 /**
  * Attach a form to an issue and fill it with collected values
- * @param {object} bot - Bot instance with itsmService
+ * @param {object} itsmService - ITSM service instance acting for the requester
  * @param {object} result - Request creation result containing issueId
  * @param {object} state - Conversation state with form template
  * @param {object} fc - Field collection with form answers
  * @returns {Promise<string>} Status message about form attachment
  */
-async function attachAndFillForm(bot, result, state, fc) {
+async function attachAndFillForm(itsmService, result, state, fc) {
   try {
     const issueId = result.issueId
     await new Promise(resolve => setTimeout(resolve, 1500))
@@ -488,17 +766,17 @@ async function attachAndFillForm(bot, result, state, fc) {
       return italic('Form template ID not found.')
     }
 
-    const attachedForm = await bot.itsmService.attachFormToIssue(issueId, formTemplateId)
+    const attachedForm = await itsmService.attachFormToIssue(issueId, formTemplateId)
 
     if (attachedForm?.id) {
-      await bot.itsmService.setFormExternal(issueId, attachedForm.id)
+      await itsmService.setFormExternal(issueId, attachedForm.id)
 
       const validAnswers = buildFormAnswers(fc)
 
       console.log('📋 Saving form answers:', JSON.stringify(validAnswers, null, 2))
 
       if (Object.keys(validAnswers).length > 0) {
-        await bot.itsmService.saveFormAnswers(issueId, attachedForm.id, validAnswers)
+        await itsmService.saveFormAnswers(issueId, attachedForm.id, validAnswers)
         return 'Form attached and filled'
       }
       return 'Form attached'
@@ -556,7 +834,8 @@ async function debugFields(bot, context) {
   try {
     await sendTyping(context)
 
-    const serviceDesks = await bot.itsmService.getServiceDesks()
+    const itsm = await bot.getITSMService(context)
+    const serviceDesks = await itsm.getServiceDesks()
     if (serviceDesks.length === 0) {
       await context.sendActivity('No service desks found.')
       return
@@ -570,14 +849,14 @@ async function debugFields(bot, context) {
     for (const desk of serviceDesks.slice(0, 1)) {
       msg.addLine(`${bold('Service Desk:')} ${desk.projectName} (${desk.projectKey})`)
 
-      const requestTypes = await bot.itsmService.getRequestTypes(desk.id)
+      const requestTypes = await itsm.getRequestTypes(desk.id)
       msg.addLine(`${bold('Request Types:')} ${requestTypes.length}`)
         .addBreak()
 
       for (const rt of requestTypes.slice(0, 5)) {
         msg.addLine(`${bold(`→ ${rt.name}`)}`)
 
-        const portalFields = await bot.itsmService.getPortalFields(desk.id, rt.id)
+        const portalFields = await itsm.getPortalFields(desk.id, rt.id)
         msg.addLine(`   Portal Fields: ${portalFields.length}`)
 
         if (portalFields.length > 0) {
@@ -616,13 +895,14 @@ async function showForms(bot, context, projectKey) {
   try {
     await sendTyping(context)
 
+    const itsm = await bot.getITSMService(context)
     const msg = createMessage()
       .addHeader('📋 Forms API Test')
       .addDivider()
       .addBreak()
 
     try {
-      const cloudId = await bot.itsmService.getCloudId()
+      const cloudId = await itsm.getCloudId()
       msg.addLine(`${bold('Cloud ID:')} ${cloudId}`)
     } catch (error) {
       msg.addLine(`${bold('Cloud ID:')} ${error.message}`)
@@ -632,7 +912,7 @@ async function showForms(bot, context, projectKey) {
       .addLine(`${bold(`Form Templates for ${projectKey}:`)}`)
 
     try {
-      const templates = await bot.itsmService.getFormTemplates(projectKey)
+      const templates = await itsm.getFormTemplates(projectKey)
       if (templates.length === 0) {
         msg.addNote('No form templates found')
       } else {
@@ -682,6 +962,7 @@ async function testAttachForm(bot, context, issueKey, formTemplateId) {
   try {
     await sendTyping(context)
 
+    const itsm = await bot.getITSMService(context)
     const msg = createMessage()
       .addHeader('📋 Testing Form Attachment')
       .addDivider()
@@ -692,7 +973,7 @@ async function testAttachForm(bot, context, issueKey, formTemplateId) {
       .addLine(`${bold('Step 1:')} Attaching form...`)
 
     try {
-      const attachedForm = await bot.itsmService.attachFormToIssue(issueKey, formTemplateId)
+      const attachedForm = await itsm.attachFormToIssue(issueKey, formTemplateId)
       msg.addLine(`${ICONS.success} Form attached!`)
         .addLine(`Form ID: ${attachedForm.id}`)
         .addLine(`Form Name: ${attachedForm.name || 'N/A'}`)
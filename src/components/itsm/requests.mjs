@@ -0,0 +1,301 @@
+/**
+ * ITSM Request Views
+ * `itsm my requests` lists the user's service desk requests and `itsm view <KEY>`
+ * shows one request with its status history, participants and SLA timers
+ */
+import { sendTyping } from './display.mjs'
+import {
+  createMessage,
+  bold,
+  italic,
+  code,
+  link,
+  escapeHtml,
+  isIssueKey,
+  ICONS,
+} from '../../utils/index.mjs'
+
+// Status filters of `itsm my requests`, mapped to the servicedesk API's requestStatus
+const STATUS_FILTERS = {
+  open: 'OPEN_REQUESTS',
+  closed: 'CLOSED_REQUESTS',
+  all: 'ALL_REQUESTS',
+}
+
+// Status changes shown in a request view, newest first
+const MAX_STATUS_HISTORY = 5
+
+/**
+ * List the user's requests, paged
+ * With the shared service account, requests are raised on the user's behalf, so
+ * they are found by reporter instead of by the account's own ownership
+ * @param {object} bot - Bot instance with itsmService and pagerHandlers
+ * @param {object} context - Turn context from bot framework
+ * @param {string} filter - open, closed or all; defaults to open
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function showMyRequests(bot, context, filter, conversationId) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  const name = (filter || 'open').toLowerCase()
+  const status = STATUS_FILTERS[name]
+  if (!status) {
+    await context.sendActivity('Unknown filter.\n\n**Usage:** `itsm my requests [open|closed|all]`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const itsm = await bot.getITSMService(context)
+    let reportedBy = null
+
+    if (!itsm.isUserScoped) {
+      reportedBy = bot.identityService ? await bot.identityService.resolveAccountId(context) : null
+      if (!reportedBy) {
+        await context.sendActivity(
+          `I couldn't match your Teams account to a Jira user.\n\nType \`jira link me <your Jira email>\` to link it manually.`
+        )
+        return
+      }
+    }
+
+    await bot.pagerHandlers.startListing(context, conversationId, {
+      source: 'itsm_requests',
+      title: name === 'all' ? 'Your requests' : `Your ${name} requests`,
+      params: { status, reportedBy },
+      emptyMessage: `📭 You have no ${name === 'all' ? '' : `${name} `}requests.`,
+    })
+  } catch (error) {
+    console.error('Error fetching requests:', error)
+    await context.sendActivity(`Failed to fetch requests: ${error.message}`)
+  }
+}
+
+/**
+ * Show a request with its status history, participants and SLA timers
+ * The shared service account can open any request, so on its behalf only the
+ * reporter, participants and agents get to see one, as matched automatically or
+ * signed in; a manual link isn't enough
+ * @param {object} bot - Bot instance with itsmService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} issueKey - Request key (e.g., 'IT-42')
+ * @returns {Promise<void>}
+ */
+export async function viewRequest(bot, context, issueKey) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  if (!isIssueKey(issueKey)) {
+    await context.sendActivity('Please provide a request key.\n\n**Usage:** `itsm view <KEY-123>`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const itsm = await bot.getITSMService(context)
+    let request
+    try {
+      request = await itsm.getRequest(issueKey)
+    } catch (error) {
+      if (error.status !== 404) throw error
+      await context.sendActivity(`I couldn't find request ${issueKey}, or you don't have access to it.`)
+      return
+    }
+
+    if (!itsm.isUserScoped) {
+      const accountId = bot.identityService ? await bot.identityService.resolveTrustedAccountId(context) : null
+      if (!accountId) {
+        await context.sendActivity("I couldn't verify which Jira user you are.\n\nType `jira login` to sign in with Atlassian.")
+        return
+      }
+
+      if (!await canAccessRequest(itsm, request, accountId)) {
+        await context.sendActivity(`I couldn't find request ${issueKey}, or you don't have access to it.`)
+        return
+      }
+    }
+
+    const [history, participants, slas] = await Promise.all([
+      loadOptional(itsm.getRequestStatusHistory(issueKey), 'status history'),
+      loadOptional(itsm.getRequestParticipants(issueKey), 'participants'),
+      loadOptional(itsm.getRequestSla(issueKey), 'SLA'),
+    ])
+
+    await context.sendActivity(formatRequest(bot, request, { history, participants, slas }))
+  } catch (error) {
+    console.error('Error viewing request:', error)
+    await context.sendActivity(`Failed to view request: ${error.message}`)
+  }
+}
+
+/**
+ * Listing sources used with the pager
+ *   - itsm_requests: requests of the user by params.status; paged by offset through the
+ *     servicedesk API, or with the search's nextPageToken when params.reportedBy is set
+ */
+export const requestListingSources = {
+  itsm_requests: {
+    fetchPage: async (bot, context, { status, reportedBy }, { cursor, startAt, pageSize }) => {
+      const itsm = await bot.getITSMService(context)
+
+      if (reportedBy) {
+        const result = await itsm.searchRequestsByReporter(reportedBy, status, { nextPageToken: cursor, limit: pageSize })
+        return {
+          items: (result.issues || []).map(toSearchItem),
+          nextCursor: result.isLast ? null : result.nextPageToken || null,
+        }
+      }
+
+      const result = await itsm.getMyRequests({ status, start: startAt, limit: pageSize })
+      return {
+        items: result.values.map(toRequestItem),
+        nextCursor: result.isLastPage ? null : String(startAt + result.values.length),
+      }
+    },
+    formatItem: (bot, item) => formatRequestItem(bot, item),
+  },
+}
+
+/**
+ * Reduce a request from the servicedesk API to a list item
+ * @param {object} request - Request with its request type
+ * @returns {{key: string, summary: string|null, status: string, requestType: string|null}}
+ */
+export function toRequestItem(request) {
+  return {
+    key: request.issueKey,
+    summary: getSummary(request),
+    status: request.currentStatus?.status,
+    requestType: request.requestType?.name || null,
+  }
+}
+
+/**
+ * Reduce an issue from a JQL search to a list item
+ * @param {object} issue - Issue with summary and status fields
+ * @returns {{key: string, summary: string, status: string, requestType: null}}
+ */
+export function toSearchItem(issue) {
+  return {
+    key: issue.key,
+    summary: issue.fields.summary,
+    status: issue.fields.status?.name,
+    requestType: null,
+  }
+}
+
+/**
+ * Format a list item as a markdown line with a portal link
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} item - Item from toRequestItem or toSearchItem
+ * @returns {string} Markdown
+ */
+export function formatRequestItem(bot, item) {
+  const details = [item.status, item.requestType].filter(Boolean).join(' · ')
+  return `• **[${item.key}](${bot.itsmService.getPortalUrl(item.key)})**: ${item.summary || 'Untitled'}${details ? ` _(${details})_` : ''}`
+}
+
+/**
+ * Check whether a Jira user may see a request: its reporter, a participant or an
+ * agent of its service desk
+ * @param {object} itsm - ITSM service
+ * @param {object} request - Request from the servicedesk API
+ * @param {string} accountId - Jira account ID from resolveTrustedAccountId; a linked one proves nothing
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessRequest(itsm, request, accountId) {
+  if (request.reporter?.accountId === accountId) return true
+
+  const participants = await itsm.getRequestParticipants(request.issueKey)
+  if (participants.some(participant => participant.accountId === accountId)) return true
+
+  return itsm.isServiceDeskAgent(request.issueKey, accountId)
+}
+
+// ============================================
+// Formatting
+// ============================================
+
+/**
+ * Format a request view
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} request - Request from the servicedesk API
+ * @param {object} details - Related data; null where it couldn't be loaded
+ * @param {object[]|null} details.history - Status changes, newest first
+ * @param {object[]|null} details.participants - Participants
+ * @param {object[]|null} details.slas - SLA timers
+ * @returns {string} HTML message
+ */
+function formatRequest(bot, request, { history, participants, slas }) {
+  const msg = createMessage()
+    .addHeader(`${ICONS.itsm} ${request.issueKey}: ${escapeHtml(getSummary(request) || 'Untitled')}`)
+    .addBreak()
+    .addField('Status', escapeHtml(request.currentStatus?.status || 'Unknown'))
+    .addField('Request type', escapeHtml(request.requestType?.name || 'Unknown'))
+    .addField('Reporter', escapeHtml(request.reporter?.displayName || 'Unknown'))
+    .addField('Created', request.createdDate?.friendly || 'Unknown')
+
+  if (participants) {
+    msg.addField('Participants', participants.length > 0
+      ? escapeHtml(participants.map(p => p.displayName).join(', '))
+      : italic('none'))
+  }
+
+  if (history && history.length > 0) {
+    msg.addBreak()
+      .addLine(bold('Status history'))
+      .addBulletList(history.slice(0, MAX_STATUS_HISTORY)
+        .map(entry => `${escapeHtml(entry.status)} — ${entry.statusDate?.friendly || 'unknown time'}`))
+    if (history.length > MAX_STATUS_HISTORY) {
+      msg.addNote(`…and ${history.length - MAX_STATUS_HISTORY} earlier changes`)
+    }
+  }
+
+  if (slas && slas.length > 0) {
+    msg.addBreak()
+      .addLine(bold('SLAs'))
+      .addBulletList(slas.map(sla => `${bold(escapeHtml(sla.name))}: ${bot.itsmService.formatSlaStatus(sla)}`))
+  }
+
+  if (!history || !participants || !slas) {
+    msg.addNote('Some details could not be loaded.')
+  }
+
+  return msg.addBreak()
+    .addLine(link('View in Portal', bot.itsmService.getPortalUrl(request.issueKey)))
+    .addNote(`Type ${code('itsm my requests')} to see your other requests.`)
+    .build()
+}
+
+/**
+ * Get the summary of a request from its field values
+ * @param {object} request - Request from the servicedesk API
+ * @returns {string|null}
+ */
+function getSummary(request) {
+  return request.requestFieldValues?.find(field => field.fieldId === 'summary')?.value || null
+}
+
+/**
+ * Wait for details a request view can do without
+ * Failures (e.g. the SLA isn't visible to the user) are logged and leave them out
+ * @param {Promise<object[]>} promise - Pending request
+ * @param {string} what - Description for the log
+ * @returns {Promise<object[]|null>} Result, or null
+ */
+async function loadOptional(promise, what) {
+  try {
+    return await promise
+  } catch (error) {
+    console.error(`Error loading request ${what}:`, error)
+    return null
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * ITSM SLA Handlers
+ * `itsm sla <KEY>` shows the SLA timers of a request. With ITSM_SLA_WARNING_MINUTES
+ * set, open requests are checked in the background and the assignee, plus any
+ * channel that ran `itsm sla alerts on`, is warned before an SLA breaches
+ */
+import { config } from '../../config/env.mjs'
+import { findRecipients } from '../../state/notifications.mjs'
+import {
+  getSlaChannel,
+  listSlaChannels,
+  saveSlaChannel,
+  removeSlaChannel,
+  wasSlaWarningSent,
+  markSlaWarningSent,
+} from '../../state/sla.mjs'
+import { sendTyping } from './display.mjs'
+import {
+  createMessage,
+  bold,
+  italic,
+  link,
+  escapeHtml,
+  isIssueKey,
+  getUserKey,
+  getChannelInfo,
+} from '../../utils/index.mjs'
+import { withSpan, itsmMetrics, log } from '../../telemetry/index.mjs'
+
+// How often open requests are checked for SLAs about to breach
+const MONITOR_INTERVAL_MS = 5 * 60 * 1000
+
+// Requests checked per run, closest to breaching first
+const MAX_REQUESTS_PER_CHECK = 50
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/i
+
+let monitorTimer = null
+
+/**
+ * Show the SLA timers of a request: goal, elapsed and remaining time, and breach status
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} issueKey - Request key (e.g., 'IT-42')
+ * @returns {Promise<void>}
+ */
+export async function showSla(bot, context, issueKey) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  if (!isIssueKey(issueKey)) {
+    await context.sendActivity('Please provide a request key.\n\n**Usage:** `itsm sla <KEY-123>`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const itsm = await bot.getITSMService(context)
+    let slas
+    try {
+      slas = await itsm.getRequestSla(issueKey)
+    } catch (error) {
+      if (error.status !== 404) throw error
+      await context.sendActivity(`I couldn't find request ${issueKey}, or you don't have access to it.`)
+      return
+    }
+
+    const portalUrl = bot.itsmService.getPortalUrl(issueKey)
+    const msg = createMessage().addHeader(`⏱️ SLAs of ${issueKey}`).addBreak()
+
+    if (slas.length === 0) {
+      msg.addLine(italic('This request has no SLAs.'))
+    } else {
+      msg.addBulletList(slas.map(sla => {
+        const state = itsm.getSlaState(sla)
+        const times = [
+          state.goal && `goal ${state.goal}`,
+          state.elapsed && `elapsed ${state.elapsed}`,
+          state.remaining && `remaining ${state.remaining}`,
+        ].filter(Boolean).join(' · ')
+
+        return `${bold(escapeHtml(sla.name))}: ${itsm.formatSlaStatus(sla)}${times ? `<br/>${italic(times)}` : ''}`
+      }))
+    }
+
+    await context.sendActivity(msg.addBreak().addLine(link('View in Portal', portalUrl)).build())
+  } catch (error) {
+    console.error('Error fetching SLAs:', error)
+    await context.sendActivity(`Failed to fetch SLAs of ${issueKey}: ${error.message}`)
+  }
+}
+
+/**
+ * Turn SLA breach warnings on or off for the current channel, or show whether they are on
+ * Warnings name requests and their summaries, so only agents of every listed
+ * project may turn them on
+ * @param {object} bot - Bot instance with itsmService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - "on PROJECT [...]", "off" or empty
+ * @returns {Promise<void>}
+ */
+export async function setSlaAlerts(bot, context, args) {
+  if (!bot.itsmService) {
+    await context.sendActivity('ITSM integration is not configured.')
+    return
+  }
+
+  if (context.activity.conversation?.conversationType !== 'channel') {
+    await context.sendActivity('SLA alerts can only be set up in a team channel. Assignees are warned in their personal chat.')
+    return
+  }
+
+  const [state = '', ...projects] = args.trim().split(/\s+/).filter(Boolean)
+  const { channelId } = getChannelInfo(context)
+
+  if (!state) {
+    const current = getSlaChannel(channelId)
+    await context.sendActivity(current
+      ? `⏱️ This channel gets SLA warnings for ${describeProjects(current.projects)}.\n\nType \`itsm sla alerts off\` to stop.`
+      : 'This channel gets no SLA warnings.\n\n**Usage:** `itsm sla alerts on PROJECT [...]`')
+    return
+  }
+
+  if (state.toLowerCase() === 'off') {
+    await context.sendActivity(removeSlaChannel(channelId)
+      ? '🔕 SLA warnings turned off for this channel.'
+      : 'This channel gets no SLA warnings.')
+    return
+  }
+
+  if (state.toLowerCase() !== 'on' || projects.length === 0 || !projects.every(p => PROJECT_KEY_PATTERN.test(p))) {
+    await context.sendActivity('**Usage:** `itsm sla alerts on PROJECT [...]` or `itsm sla alerts off`')
+    return
+  }
+
+  if (!config.itsm.slaWarningMinutes) {
+    await context.sendActivity("SLA checks aren't enabled for this bot, so this channel would stay silent. Ask an admin to set ITSM_SLA_WARNING_MINUTES.")
+    return
+  }
+
+  const projectKeys = [...new Set(projects.map(p => p.toUpperCase()))]
+
+  try {
+    await sendTyping(context)
+
+    const accountId = bot.identityService ? await bot.identityService.resolveTrustedAccountId(context) : null
+    if (!accountId) {
+      await context.sendActivity("I couldn't verify which Jira user you are.\n\nType `jira login` to sign in with Atlassian.")
+      return
+    }
+
+    const agentOf = await Promise.all(projectKeys.map(key => bot.itsmService.isProjectAgent(key, accountId)))
+    const notAgentOf = projectKeys.filter((key, i) => !agentOf[i])
+    if (notAgentOf.length > 0) {
+      await context.sendActivity(`Only service desk agents can turn on SLA warnings. You aren't an agent of ${describeProjects(notAgentOf)}.`)
+      return
+    }
+  } catch (error) {
+    console.error('Error checking SLA alert permissions:', error)
+    await context.sendActivity(`Failed to turn on SLA warnings: ${error.message}`)
+    return
+  }
+
+  const reference = context.activity.getConversationReference()
+  const saved = {
+    // Post new top-level messages in the channel rather than replies in this thread
+    reference: { ...reference, conversation: { ...reference.conversation, id: channelId } },
+    projects: projectKeys,
+    createdBy: getUserKey(context),
+  }
+  saveSlaChannel(channelId, saved)
+
+  await context.sendActivity(
+    `⏱️ This channel will be warned ${config.itsm.slaWarningMinutes} minutes before an SLA breaches, for ${describeProjects(saved.projects)}.\n\n` +
+    'Type `itsm sla alerts off` to stop.'
+  )
+}
+
+/**
+ * Start checking open requests for SLAs about to breach, when ITSM_SLA_WARNING_MINUTES is set
+ * @param {object} bot - Bot instance with itsmService and sendToConversation
+ */
+export function startSlaMonitor(bot) {
+  if (monitorTimer || !bot.itsmService || !config.itsm.slaWarningMinutes) return
+
+  let running = false
+  monitorTimer = setInterval(async () => {
+    if (running) return
+    running = true
+    try {
+      await checkSlaBreaches(bot)
+    } catch (error) {
+      console.error('SLA monitor error:', error)
+    } finally {
+      running = false
+    }
+  }, MONITOR_INTERVAL_MS)
+  monitorTimer.unref?.()
+}
+
+/**
+ * Warn about every SLA that breaches within the warning time and wasn't reported yet
+ * The assignee is warned in their personal chat; each alert channel gets one post per run.
+ * A warning counts as reported once it reached anyone, so one nobody got is tried again
+ * next run, until the SLA would breach before the run after that
+ * @param {object} bot - Bot instance with itsmService and sendToConversation
+ * @returns {Promise<number>} Number of warnings sent
+ */
+async function checkSlaBreaches(bot) {
+  return withSpan('itsm.checkSlaBreaches', async (span) => {
+    const minutes = config.itsm.slaWarningMinutes
+    const issues = await bot.itsmService.searchRequestsNearBreach(minutes, config.itsm.slaNames, MAX_REQUESTS_PER_CHECK)
+    const channels = listSlaChannels()
+    const channelLines = new Map()
+    // Warning key -> whether to mark it reported after this run
+    const warnings = new Map()
+    let sent = 0
+
+    span.setAttribute('itsm.requests_count', issues.length)
+
+    for (const issue of issues) {
+      let slas
+      try {
+        slas = await bot.itsmService.getRequestSla(issue.key)
+      } catch (error) {
+        console.warn(`Could not read SLAs of ${issue.key}:`, error.message)
+        continue
+      }
+
+      for (const sla of slas) {
+        const state = bot.itsmService.getSlaState(sla)
+        if (state.status !== 'running' || state.remainingMs === null) continue
+        if (state.remainingMs <= 0 || state.remainingMs > minutes * 60 * 1000) continue
+
+        const warningKey = `${issue.key}:${sla.name}:${sla.ongoingCycle.startTime?.epochMillis ?? ''}`
+        if (wasSlaWarningSent(warningKey)) continue
+        warnings.set(warningKey, state.remainingMs <= MONITOR_INTERVAL_MS)
+
+        const line = formatWarningLine(bot, issue, sla, state)
+        const assigneeId = issue.fields.assignee?.accountId
+
+        for (const recipient of assigneeId ? findRecipients(assigneeId) : []) {
+          if ((recipient.disabled || []).includes('sla')) continue
+          try {
+            await bot.sendToConversation(recipient.reference, `⏱️ **SLA warning**\n\n${line}`)
+            itsmMetrics.slaWarningsSent.add(1, { target: 'assignee' })
+            warnings.set(warningKey, true)
+            sent++
+          } catch (error) {
+            console.warn(`Could not send SLA warning for ${issue.key} to ${recipient.userKey}:`, error.message)
+          }
+        }
+
+        const projectKey = issue.fields.project?.key || issue.key.split('-')[0]
+        for (const channel of channels) {
+          if (!channel.projects.includes(projectKey)) continue
+          const assignee = issue.fields.assignee?.displayName || 'Unassigned'
+          channelLines.set(channel.channelId, [...(channelLines.get(channel.channelId) || []), { text: `${line} — ${assignee}`, warningKey }])
+        }
+      }
+    }
+
+    for (const channel of channels) {
+      const lines = channelLines.get(channel.channelId)
+      if (!lines) continue
+
+      try {
+        const header = lines.length === 1 ? '⏱️ **SLA about to breach**' : `⏱️ **SLAs about to breach** (${lines.length})`
+        await bot.sendToConversation(channel.reference, [header, ...lines.map(l => l.text)].join('\n\n'))
+        itsmMetrics.slaWarningsSent.add(lines.length, { target: 'channel' })
+        lines.forEach(l => warnings.set(l.warningKey, true))
+        sent++
+      } catch (error) {
+        console.warn(`Could not post SLA warnings to channel ${channel.channelId}:`, error.message)
+      }
+    }
+
+    for (const [warningKey, reported] of warnings) {
+      if (reported) markSlaWarningSent(warningKey)
+    }
+
+    span.setAttribute('itsm.sla_warnings_sent', sent)
+    if (sent > 0) {
+      log(`SLA warnings sent: ${sent}`, 'INFO', { sent, requests: issues.length })
+    }
+    return sent
+  })
+}
+
+/**
+ * Format one SLA warning, e.g. "IT-42 Laptop broken — Time to resolution breaches in 25m (Today 5:00 PM)"
+ * @param {object} bot - Bot instance with itsmService
+ * @param {object} issue - Issue from the near-breach search
+ * @param {object} sla - SLA from getRequestSla
+ * @param {object} state - State from getSlaState
+ * @returns {string} Markdown
+ */
+function formatWarningLine(bot, issue, sla, state) {
+  const keyLink = `[${issue.key}](${bot.itsmService.getPortalUrl(issue.key)})`
+  const due = state.due ? ` (${state.due})` : ''
+  return `• ${keyLink} **${issue.fields.summary || 'Untitled'}** — ${sla.name} breaches in ${state.remaining || 'moments'}${due}`
+}
+
+/**
+ * Describe the projects a channel is warned about
+ * @param {string[]} projects - Project keys
+ * @returns {string}
+ */
+function describeProjects(projects) {
+  return projects.length > 0
+    ? `project${projects.length === 1 ? '' : 's'} ${projects.map(p => `**${p}**`).join(', ')}`
+    : 'no projects'
+}
@@ -0,0 +1,207 @@
+/**
+ * Jira Assignment Handlers
+ * Assigns tickets to users given as "me", a Teams @mention or a name
+ */
+import { setState, deleteState } from '../../state/conversation.mjs'
+import { sendTyping, isIssueKey, getMentions, stripMentionTags } from '../../utils/index.mjs'
+
+/**
+ * Assign a ticket to the user named in the command
+ * @param {object} bot - Bot instance with jiraService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Ticket key followed by "me", an @mention or a name
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function assignTicket(bot, context, args, conversationId) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  const [issueKey = '', ...rest] = args.trim().split(/\s+/)
+  const target = rest.join(' ')
+
+  if (!isIssueKey(issueKey) || !target) {
+    await context.sendActivity('Please provide a ticket key and a person.\n\n**Usage:** `jira assign <TICKET-123> <me|@name|name>`')
+    return
+  }
+
+  const key = issueKey.toUpperCase()
+
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    const result = await resolveAssignee(bot, context, jira, { issueKey: key }, target)
+
+    if (result.error) {
+      await context.sendActivity(result.error)
+      return
+    }
+
+    if (result.candidates) {
+      setState(conversationId, {
+        awaitingAssignee: true,
+        issueKey: key,
+        candidates: result.candidates.map(u => ({
+          accountId: u.accountId,
+          displayName: u.displayName,
+          emailAddress: u.emailAddress || null,
+        })),
+      })
+
+      await context.sendActivity(
+        `Several people match "${result.query}". Who should get **${key}**?\n\n${formatCandidates(result.candidates)}\n\n_(Type the number, or \`cancel\` to abort)_`
+      )
+      return
+    }
+
+    await performAssignment(bot, context, key, result.user)
+  } catch (error) {
+    console.error('Error assigning ticket:', error)
+    await context.sendActivity(`Failed to assign ${key}: ${error.message}`)
+  }
+}
+
+/**
+ * Remove the assignee of a ticket
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} issueKey - Issue key
+ * @returns {Promise<void>}
+ */
+export async function unassignTicket(bot, context, issueKey) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  if (!isIssueKey(issueKey)) {
+    await context.sendActivity('Please provide a ticket key.\n\n**Usage:** `jira unassign <TICKET-123>`')
+    return
+  }
+
+  await performAssignment(bot, context, issueKey.toUpperCase(), null)
+}
+
+/**
+ * Handle the user's pick when several people matched an assign command
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} text - User input text
+ * @param {object} state - Current conversation state
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function handleAssigneeChoice(bot, context, text, state, conversationId) {
+  if (text.toLowerCase() === 'cancel') {
+    deleteState(conversationId)
+    await context.sendActivity(`Assigning **${state.issueKey}** cancelled.`)
+    return
+  }
+
+  const user = /^\d+$/.test(text.trim()) ? state.candidates[parseInt(text, 10) - 1] : null
+
+  if (!user) {
+    await context.sendActivity(`Please enter a number between 1 and ${state.candidates.length}, or \`cancel\`.`)
+    return
+  }
+
+  deleteState(conversationId)
+  await performAssignment(bot, context, state.issueKey, user)
+}
+
+/**
+ * Resolve who a ticket should be assigned to
+ * "me" is the sender's mapped Jira account; @mentions are matched by email and
+ * fall back to a name search like plain text
+ * @param {object} bot - Bot instance with identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} jira - Jira service instance
+ * @param {{issueKey: string}|{project: string}} scope - Where the user must be assignable
+ * @param {string} target - "me", mention markup or a name/email
+ * @returns {Promise<{user: object}|{candidates: object[], query: string}|{error: string}>}
+ */
+export async function resolveAssignee(bot, context, jira, scope, target) {
+  if (target.trim().toLowerCase() === 'me') {
+    const mapping = await bot.identityService.resolve(context)
+    if (!mapping) {
+      return {
+        error: `I couldn't match your Teams account to a Jira user.\n\nType \`jira link me <your Jira email>\` to link it manually.`,
+      }
+    }
+    return { user: mapping }
+  }
+
+  let query = stripMentionTags(target).replace(/^@/, '')
+  const mention = getMentions(context).find(m => target.includes(m.text)) ||
+    (target.includes('<at>') ? getMentions(context)[0] : null)
+
+  if (mention) {
+    const mapping = await bot.identityService.resolveAccount(context, mention)
+    if (mapping) {
+      return { user: mapping }
+    }
+    query = mention.name || query
+  }
+
+  const users = await jira.findAssignableUsers(scope, query, 10)
+  const lowerQuery = query.toLowerCase()
+
+  if (users.length === 0) {
+    return { error: `No assignable Jira user matches "${query}".` }
+  }
+
+  if (users.length === 1) {
+    return { user: users[0] }
+  }
+
+  const exact = users.filter(u =>
+    u.displayName?.toLowerCase() === lowerQuery || u.emailAddress?.toLowerCase() === lowerQuery
+  )
+  if (exact.length === 1) {
+    return { user: exact[0] }
+  }
+
+  return { candidates: users, query }
+}
+
+/**
+ * Assign or unassign a ticket and report the result
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} issueKey - Issue key
+ * @param {object|null} user - Jira user {accountId, displayName}, or null to unassign
+ * @returns {Promise<void>}
+ */
+async function performAssignment(bot, context, issueKey, user) {
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    await jira.assignIssue(issueKey, user?.accountId ?? null)
+    const browseUrl = bot.jiraService.getBrowseUrl(issueKey)
+
+    await context.sendActivity(
+      user
+        ? `✅ **[${issueKey}](${browseUrl})** is now assigned to **${user.displayName}**.`
+        : `✅ **[${issueKey}](${browseUrl})** is now unassigned.`
+    )
+  } catch (error) {
+    console.error('Error assigning ticket:', error)
+    const details = error.fieldErrors?.length > 0 ? error.fieldErrors.join(', ') : error.message
+    await context.sendActivity(`Failed to ${user ? 'assign' : 'unassign'} ${issueKey}: ${details}`)
+  }
+}
+
+/**
+ * Format matching users as a numbered list
+ * @param {object[]} users - Jira users
+ * @returns {string} Markdown list
+ */
+function formatCandidates(users) {
+  return users
+    .map((u, i) => `${i + 1}. **${u.displayName}**${u.emailAddress ? ` (${u.emailAddress})` : ''}`)
+    .join('\n')
+}
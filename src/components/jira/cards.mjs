@@ -0,0 +1,269 @@
+/**
+ * Jira Adaptive Cards
+ * Card layouts for ticket creation and issue previews on channels that render Adaptive Cards
+ *
+ * Card actions submit {jiraAction, ...inputs}:
+ *   - create_ticket: summary, description, issueType, priority, and the inputs of
+ *     required fields once they are shown (`fieldsFor` holds their issue type);
+ *     tickets from `jira from thread` also carry the conversation `transcript`
+ *   - cancel_create: discards the form
+ */
+import {
+  createCardActivity,
+  textBlock,
+  factSet,
+  numberedChoiceSet,
+  submitAction,
+} from '../../utils/index.mjs'
+import { getDefaultIssueType } from './fields.mjs'
+
+// Jira field IDs returned in error responses, mapped to card input IDs
+const FIELD_INPUTS = {
+  summary: 'summary',
+  description: 'description',
+  issuetype: 'issueType',
+  priority: 'priority',
+}
+
+/**
+ * Get the card input ID of a create screen field
+ * @param {object} field - Prepared field definition
+ * @returns {string} Input ID
+ */
+export function getFieldInputId(field) {
+  return `field_${field.fieldId}`
+}
+
+/**
+ * Build the ticket creation form
+ * @param {object} options - Card options
+ * @param {object[]} options.issueTypes - Issue types of the project
+ * @param {object[]} options.priorities - Priorities of the issue type; the input is left out when empty
+ * @param {object[]} [options.fields] - Create screen fields of the selected issue type, required ones first
+ * @param {string} [options.fieldsFor] - Issue type the fields belong to
+ * @param {object} [options.jiraService] - Jira service instance, needed with fields
+ * @param {object} [options.values] - Input values to prefill, keyed by input ID
+ * @param {object} [options.errors] - Errors keyed by input ID
+ * @param {string} [options.error] - Error not tied to a single field
+ * @param {string} [options.note] - Hint shown above the inputs
+ * @param {object} [options.data] - Extra data submitted with the Create action
+ * @returns {object} Card activity
+ */
+export function buildCreateTicketCard({
+  issueTypes,
+  priorities,
+  fields = [],
+  fieldsFor = null,
+  jiraService = null,
+  values = {},
+  errors = {},
+  error = null,
+  note = null,
+  data = {},
+}) {
+  const defaultType = getDefaultIssueType(issueTypes)
+  const body = [
+    textBlock('Create Jira Ticket', { weight: 'Bolder', size: 'Medium' }),
+  ]
+
+  if (error) {
+    body.push(textBlock(error, { color: 'Attention' }))
+  } else if (Object.keys(errors).length > 0) {
+    body.push(textBlock('Please correct the highlighted fields.', { color: 'Attention' }))
+  } else if (note) {
+    body.push(textBlock(note))
+  }
+
+  body.push(
+    {
+      type: 'Input.Text',
+      id: 'summary',
+      label: 'Summary *',
+      isRequired: true,
+      errorMessage: 'Summary is required.',
+      maxLength: 255,
+      ...(values.summary && { value: values.summary }),
+    },
+    ...fieldError(errors.summary),
+    {
+      type: 'Input.Text',
+      id: 'description',
+      label: 'Description',
+      isMultiline: true,
+      ...(values.description && { value: values.description }),
+    },
+    ...fieldError(errors.description),
+    {
+      type: 'Input.ChoiceSet',
+      id: 'issueType',
+      label: 'Issue Type',
+      style: 'compact',
+      choices: issueTypes.map(t => ({ title: t.name, value: t.name })),
+      value: values.issueType || defaultType?.name,
+    },
+    ...fieldError(errors.issueType),
+  )
+
+  if (priorities.length > 0) {
+    body.push(
+      {
+        type: 'Input.ChoiceSet',
+        id: 'priority',
+        label: 'Priority',
+        style: 'compact',
+        placeholder: 'Project default',
+        choices: priorities.map(p => ({ title: p.name, value: p.name })),
+        ...(values.priority && { value: values.priority }),
+      },
+      ...fieldError(errors.priority),
+    )
+  }
+
+  for (const field of fields) {
+    body.push(...buildFieldInputs(field, jiraService.getFieldType(field), values))
+    body.push(...fieldError(errors[getFieldInputId(field)]))
+  }
+
+  const actions = [
+    submitAction('Create', { ...data, jiraAction: 'create_ticket', ...(fieldsFor && { fieldsFor }) }, { style: 'positive' }),
+    submitAction('Cancel', { jiraAction: 'cancel_create' }, { validate: false }),
+  ]
+
+  return createCardActivity(body, actions)
+}
+
+/**
+ * Build the card that replaces the form once the ticket is created
+ * @param {object} ticket - Created ticket {key}
+ * @param {string} summary - Ticket summary
+ * @param {string} browseUrl - URL of the ticket in Jira
+ * @returns {object} Card activity
+ */
+export function buildTicketCreatedCard(ticket, summary, browseUrl) {
+  const body = [
+    textBlock('✅ Ticket created', { weight: 'Bolder', size: 'Medium' }),
+    textBlock(`**${ticket.key}**: ${summary}`),
+  ]
+  const actions = [
+    { type: 'Action.OpenUrl', title: 'View in Jira', url: browseUrl },
+  ]
+
+  return createCardActivity(body, actions)
+}
+
+/**
+ * Build a compact preview of an issue, for unfurled links and mentioned issue keys
+ * @param {object} issue - Issue from JiraService.getIssue
+ * @param {string} browseUrl - URL of the ticket in Jira
+ * @returns {object} Card activity
+ */
+export function buildIssuePreviewCard(issue, browseUrl) {
+  const { fields } = issue
+  const body = [
+    textBlock(`[${issue.key}](${browseUrl}) · ${fields.issuetype?.name || 'Issue'}`, { isSubtle: true, size: 'Small', spacing: 'None' }),
+    textBlock(fields.summary, { weight: 'Bolder', spacing: 'Small' }),
+    factSet([
+      ['Status', fields.status?.name || 'Unknown'],
+      ['Assignee', fields.assignee?.displayName || 'Unassigned'],
+      ['Priority', fields.priority?.name || 'None'],
+    ]),
+  ]
+  const actions = [
+    { type: 'Action.OpenUrl', title: 'View in Jira', url: browseUrl },
+  ]
+
+  return createCardActivity(body, actions)
+}
+
+/**
+ * Build the card that replaces a cancelled form
+ * @returns {object} Card activity
+ */
+export function buildCreateCancelledCard() {
+  return createCardActivity([textBlock('Ticket creation cancelled.', { isSubtle: true })])
+}
+
+/**
+ * Split Jira field errors into card input errors and remaining messages
+ * @param {object} fieldErrorMap - Errors keyed by Jira field ID
+ * @param {object[]} [fields] - Create screen fields shown on the card
+ * @returns {{errors: object, other: string[]}} Errors keyed by input ID and unmatched messages
+ */
+export function mapFieldErrors(fieldErrorMap, fields = []) {
+  const errors = {}
+  const other = []
+
+  for (const [fieldId, message] of Object.entries(fieldErrorMap || {})) {
+    const field = fields.find(f => f.fieldId === fieldId)
+    const inputId = FIELD_INPUTS[fieldId] || (field && getFieldInputId(field))
+    if (inputId) {
+      errors[inputId] = message
+    } else {
+      other.push(`${fieldId}: ${message}`)
+    }
+  }
+
+  return { errors, other }
+}
+
+/**
+ * Build the card inputs for a create screen field
+ * @param {object} field - Prepared field definition
+ * @param {string} fieldType - Field type identifier
+ * @param {object} values - Input values to prefill, keyed by input ID
+ * @returns {object[]} Card elements
+ */
+function buildFieldInputs(field, fieldType, values) {
+  const id = getFieldInputId(field)
+  const common = {
+    id,
+    label: field.required ? `${field.name} *` : field.name,
+    ...(field.required && { isRequired: true, errorMessage: `${field.name} is required.` }),
+    ...(values[id] && { value: values[id] }),
+  }
+
+  switch (fieldType) {
+    case 'select':
+    case 'multiselect':
+      return [{
+        ...numberedChoiceSet(id, field.allowedValues, v => v.name),
+        ...common,
+        style: 'compact',
+        isMultiSelect: fieldType === 'multiselect',
+      }]
+    case 'date':
+      return [{ type: 'Input.Date', ...common }]
+    case 'datetime':
+      return [
+        { type: 'Input.Date', ...common },
+        {
+          type: 'Input.Time',
+          id: `${id}_time`,
+          spacing: 'Small',
+          ...(values[`${id}_time`] && { value: values[`${id}_time`] }),
+        },
+      ]
+    case 'number':
+      return [{ type: 'Input.Number', ...common }]
+    default:
+      return [{
+        type: 'Input.Text',
+        ...common,
+        isMultiline: fieldType === 'textarea',
+        ...(fieldType === 'user' && { placeholder: 'Email address or name' }),
+        ...(fieldType === 'issue' && { placeholder: 'PROJ-123' }),
+        ...(fieldType === 'array' && { placeholder: 'Separate values with commas' }),
+      }]
+  }
+}
+
+/**
+ * Build the inline error shown below an input
+ * @param {string} [message] - Error message
+ * @returns {object[]} Error TextBlock, or nothing
+ */
+function fieldError(message) {
+  return message
+    ? [textBlock(message, { color: 'Attention', size: 'Small', spacing: 'None' })]
+    : []
+}
@@ -0,0 +1,141 @@
+/**
+ * Jira Comment Handlers
+ * Posts comments to tickets and shows their comment thread
+ */
+import {
+  sendTyping,
+  isIssueKey,
+  extractTextFromADF,
+  formatRelativeTime,
+  truncate,
+} from '../../utils/index.mjs'
+
+// Comments shown per page of `jira comments`
+const COMMENTS_PAGE_SIZE = 5
+
+/**
+ * Post a comment on a ticket
+ * With the service account the comment is prefixed with the Teams user's name,
+ * since Jira would otherwise show it as written by the bot
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Ticket key followed by the comment text
+ * @returns {Promise<void>}
+ */
+export async function addComment(bot, context, args) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  const [, issueKey = '', comment = ''] = args.trim().match(/^(\S*)\s*([\s\S]*)$/) || []
+
+  if (!isIssueKey(issueKey) || !comment.trim()) {
+    await context.sendActivity('Please provide a ticket key and your comment.\n\n**Usage:** `jira comment <TICKET-123> <text>`')
+    return
+  }
+
+  const key = issueKey.toUpperCase()
+
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    const author = context.activity.from?.name
+    const body = jira.isUserScoped || !author
+      ? comment.trim()
+      : `[via Teams by ${author}] ${comment.trim()}`
+
+    await jira.addComment(key, body)
+    const browseUrl = bot.jiraService.getBrowseUrl(key)
+
+    await context.sendActivity(`💬 Comment added to **[${key}](${browseUrl})**.`)
+  } catch (error) {
+    console.error('Error adding comment:', error)
+    await context.sendActivity(`Failed to add comment to ${key}: ${error.message}`)
+  }
+}
+
+/**
+ * Show the latest comments of a ticket, one page at a time
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Ticket key, optionally followed by a page number
+ * @returns {Promise<void>}
+ */
+export async function showComments(bot, context, args) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  const [issueKey = '', pageArg] = args.trim().split(/\s+/)
+  const page = pageArg ? parseInt(pageArg, 10) : 1
+
+  if (!isIssueKey(issueKey) || !(page >= 1)) {
+    await context.sendActivity('Please provide a ticket key.\n\n**Usage:** `jira comments <TICKET-123> [page]`')
+    return
+  }
+
+  const key = issueKey.toUpperCase()
+
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    const startAt = (page - 1) * COMMENTS_PAGE_SIZE
+    const { comments, total } = await jira.getComments(key, startAt, COMMENTS_PAGE_SIZE)
+    const browseUrl = bot.jiraService.getBrowseUrl(key)
+
+    if (total === 0) {
+      await context.sendActivity(`**[${key}](${browseUrl})** has no comments yet.\n\nType \`jira comment ${key} <text>\` to add one.`)
+      return
+    }
+
+    if (comments.length === 0) {
+      const lastPage = Math.ceil(total / COMMENTS_PAGE_SIZE)
+      await context.sendActivity(`**${key}** only has ${lastPage} page${lastPage === 1 ? '' : 's'} of comments.`)
+      return
+    }
+
+    const end = startAt + comments.length
+    let message = `💬 **[${key}](${browseUrl})** — comments ${startAt + 1}–${end} of ${total}, newest first\n\n`
+    message += comments.map(formatComment).join('\n\n')
+
+    if (end < total) {
+      message += `\n\n_Type \`jira comments ${key} ${page + 1}\` for older comments._`
+    }
+
+    await context.sendActivity(message)
+  } catch (error) {
+    console.error('Error fetching comments:', error)
+    await context.sendActivity(`Failed to fetch comments for ${key}: ${error.message}`)
+  }
+}
+
+/**
+ * Format the latest comments embedded in an issue for the ticket details
+ * @param {string} issueKey - Issue key
+ * @param {object} [commentField] - The issue's comment field {comments, total}
+ * @returns {string} Markdown section, or an empty string when there are no comments
+ */
+export function formatLatestComment(issueKey, commentField) {
+  const total = commentField?.total ?? commentField?.comments?.length ?? 0
+  const latest = commentField?.comments?.at(-1)
+
+  if (total === 0 || !latest) return ''
+
+  return `**Latest comment** _(${total} total — \`jira comments ${issueKey}\`)_:\n${formatComment(latest)}`
+}
+
+/**
+ * Format a single comment
+ * @param {object} comment - Jira comment
+ * @returns {string} Markdown
+ */
+function formatComment(comment) {
+  const body = typeof comment.body === 'string' ? comment.body : extractTextFromADF(comment.body)
+  const author = comment.author?.displayName || 'Unknown'
+
+  return `**${author}** · ${formatRelativeTime(comment.created)}\n${truncate(body || '_(empty)_', 500)}`
+}
@@ -0,0 +1,187 @@
+/**
+ * Jira Field Handlers
+ * Schema-driven collection of the fields on the project's create screen
+ */
+import { isIssueKey } from '../../utils/index.mjs'
+
+// Fields collected by the fixed wizard steps or set by the bot itself
+const HANDLED_FIELDS = new Set(['summary', 'description', 'issuetype', 'project', 'reporter'])
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+const DATETIME_REGEX = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?$/
+
+/**
+ * Reduce create or transition screen metadata to the fields the bot asks for
+ * Required fields come first so the optional ones can be skipped as a block
+ * @param {object[]} createFields - Field metadata, e.g. from JiraService.getCreateFields
+ * @param {object} jiraService - Jira service instance
+ * @returns {{fields: object[], unsupported: string[]}} Fields to collect and names of
+ *   required fields that cannot be entered in chat
+ */
+export function prepareCreateFields(createFields, jiraService) {
+  const fields = []
+  const unsupported = []
+
+  for (const field of createFields) {
+    if (HANDLED_FIELDS.has(field.fieldId)) continue
+
+    // Jira fills in required fields that have a default value
+    const required = field.required && !field.hasDefaultValue
+    const fieldType = jiraService.getFieldType(field)
+
+    if (fieldType === 'unsupported' || fieldType === 'attachment') {
+      if (required) unsupported.push(field.name)
+      continue
+    }
+
+    fields.push({
+      fieldId: field.fieldId,
+      name: field.name,
+      required,
+      schema: field.schema,
+      ...(field.allowedValues?.length > 0 && {
+        allowedValues: field.allowedValues.map(v => ({ id: v.id, name: v.name ?? v.value ?? v.id })),
+      }),
+    })
+  }
+
+  fields.sort((a, b) => Number(b.required) - Number(a.required))
+
+  return { fields, unsupported }
+}
+
+/**
+ * Validate input for a field and convert it to the value sent to Jira
+ * Shared by the text flow and Adaptive Card submissions
+ * @param {object} field - Prepared field definition
+ * @param {string} text - User input (option numbers or names for choice fields)
+ * @param {object} jira - Jira service instance, used to look up users
+ * @returns {Promise<{error: string}|{value: *, display: string}>} Validation error, or the
+ *   API value and its display text (value is null for a skipped optional field)
+ */
+export async function parseFieldInput(field, text, jira) {
+  const fieldType = jira.getFieldType(field)
+  const input = text.trim()
+
+  if (!input || input.toLowerCase() === 'skip') {
+    if (field.required) {
+      return { error: `**${field.name}** is required.` }
+    }
+    return { value: null }
+  }
+
+  switch (fieldType) {
+    case 'select': {
+      const option = jira.findAllowedValue(field, input)
+      if (!option) {
+        return { error: `Invalid selection. Please enter a number between 1 and ${field.allowedValues.length} or an option name.` }
+      }
+      return { value: jira.formatFieldValue(field, input), display: option.name }
+    }
+
+    case 'multiselect': {
+      const options = input.split(',').map(v => jira.findAllowedValue(field, v))
+      if (options.some(option => !option)) {
+        return { error: `Invalid selection. Please enter numbers between 1 and ${field.allowedValues.length} or option names, separated by commas.` }
+      }
+      return { value: jira.formatFieldValue(field, input), display: options.map(o => o.name).join(', ') }
+    }
+
+    case 'date':
+      if (!DATE_REGEX.test(input)) {
+        return { error: 'Invalid date. Please use the format YYYY-MM-DD (e.g. 2024-01-15).' }
+      }
+      break
+
+    case 'datetime':
+      if (!DATETIME_REGEX.test(input)) {
+        return { error: 'Invalid date and time. Please use the format YYYY-MM-DD HH:MM (e.g. 2024-01-15 14:30).' }
+      }
+      break
+
+    case 'number':
+      if (isNaN(Number(input))) {
+        return { error: 'Invalid number. Please enter a valid number.' }
+      }
+      break
+
+    case 'issue':
+      if (!isIssueKey(input)) {
+        return { error: 'Invalid issue key. Please enter a key like PROJ-123.' }
+      }
+      break
+
+    case 'user': {
+      // Only assignable users are accepted as assignee
+      const [user] = field.fieldId === 'assignee'
+        ? await jira.findAssignableUsers({ project: jira.projectKey }, input, 1)
+        : await jira.findUsers(input, 1)
+      if (!user) {
+        return { error: `No Jira user found for "${input}". Please enter their email address or name.` }
+      }
+      return { value: jira.formatFieldValue(field, user.accountId), display: user.displayName }
+    }
+  }
+
+  return { value: jira.formatFieldValue(field, input), display: input }
+}
+
+/**
+ * Get the input hint shown below a field prompt
+ * @param {object} field - Prepared field definition
+ * @param {string} fieldType - Field type identifier
+ * @returns {string} Markdown hint, including the options of choice fields
+ */
+export function getFieldHint(field, fieldType) {
+  const skip = field.required ? '' : ', or `skip` to leave blank'
+
+  switch (fieldType) {
+    case 'select':
+    case 'multiselect': {
+      const options = field.allowedValues.map((v, i) => `${i + 1}. ${v.name}`).join('\n')
+      const how = fieldType === 'select'
+        ? 'Type the number or name'
+        : 'Type numbers or names separated by commas, e.g. `1,3`'
+      return `${options}\n\n_(${how}${skip})_`
+    }
+    case 'date':
+      return `_(Format: YYYY-MM-DD${skip})_`
+    case 'datetime':
+      return `_(Format: YYYY-MM-DD HH:MM${skip})_`
+    case 'number':
+      return `_(Enter a number${skip})_`
+    case 'user':
+      return `_(Type the person's email address or name${skip})_`
+    case 'issue':
+      return `_(Type an issue key, e.g. PROJ-123${skip})_`
+    case 'array':
+      return `_(Separate values with commas${skip})_`
+    default:
+      return field.required ? '' : '_(Type `skip` to leave blank)_'
+  }
+}
+
+/**
+ * Get the issue type used when the user does not pick one
+ * @param {object[]} issueTypes - Issue types of the project
+ * @returns {object|undefined} Task if the project has it, otherwise the first type
+ */
+export function getDefaultIssueType(issueTypes) {
+  return issueTypes.find(t => t.name === 'Task') || issueTypes[0]
+}
+
+/**
+ * Find an issue type by 1-based position or name
+ * @param {object[]} issueTypes - Issue types of the project
+ * @param {string} input - Position or name
+ * @returns {object|null} Matching issue type
+ */
+export function findIssueType(issueTypes, input) {
+  const text = input.trim().toLowerCase()
+
+  if (/^\d+$/.test(text)) {
+    return issueTypes[parseInt(text, 10) - 1] || null
+  }
+
+  return issueTypes.find(t => t.name.toLowerCase() === text) || null
+}
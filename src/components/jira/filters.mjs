@@ -0,0 +1,292 @@
+/**
+ * Jira Search Filters
+ * Parses `jira search` input such as `login bug status:open assignee:me updated:<7d`
+ * into free text, filters and a sort order, and turns the result into JQL
+ */
+import { jql, jqlFunction } from '../../utils/index.mjs'
+
+// Filter names as typed, mapped to the filter they set
+const FILTER_ALIASES = {
+  project: 'project',
+  proj: 'project',
+  status: 'status',
+  is: 'status',
+  assignee: 'assignee',
+  assigned: 'assignee',
+  reporter: 'reporter',
+  type: 'type',
+  issuetype: 'type',
+  priority: 'priority',
+  prio: 'priority',
+  label: 'label',
+  labels: 'label',
+  updated: 'updated',
+  created: 'created',
+  sort: 'sort',
+  order: 'sort',
+}
+
+// Status words that stand for a status category rather than a status name
+const STATUS_CATEGORIES = {
+  todo: 'To Do',
+  'to-do': 'To Do',
+  new: 'To Do',
+  inprogress: 'In Progress',
+  'in-progress': 'In Progress',
+  progress: 'In Progress',
+  done: 'Done',
+  closed: 'Done',
+  resolved: 'Done',
+}
+
+// Sort names as typed, mapped to JQL fields
+const SORT_FIELDS = {
+  updated: 'updated',
+  created: 'created',
+  priority: 'priority',
+  status: 'status',
+  key: 'key',
+  due: 'duedate',
+}
+
+export const FILTER_HELP = [
+  '`project:OPS,PROJ`',
+  '`status:open|todo|inprogress|done|"In Review"`',
+  '`assignee:me|none|<name>`',
+  '`reporter:me|<name>`',
+  '`type:bug`',
+  '`priority:high`',
+  '`label:frontend`',
+  '`updated:<7d` / `created:>2024-01-31`',
+  '`sort:created` / `sort:priority-asc`',
+].join(', ')
+
+/**
+ * Parse search input into free text, filters and sort order
+ * Filter values may be quoted (`status:"In Review"`) and list several values
+ * separated by commas; repeating a filter adds values. Quoted phrases in the
+ * text keep their quotes so they are searched as phrases
+ * @param {string} input - Search input as typed
+ * @returns {{text: string, filters: object, sort: {field: string, direction: string}|null}|{error: string}}
+ */
+export function parseSearchQuery(input) {
+  const words = []
+  const filters = {}
+  let sort = null
+
+  const tokens = input.match(/[a-z-]+:(?:"[^"]*"|[^\s"])*|"[^"]*"|\S+/gi) || []
+
+  for (const token of tokens) {
+    const filterMatch = token.match(/^([a-z-]+):(.*)$/i)
+
+    if (!filterMatch) {
+      words.push(token)
+      continue
+    }
+
+    const [, key, rawValue] = filterMatch
+    const filter = FILTER_ALIASES[key.toLowerCase()]
+    const value = rawValue.replace(/"/g, '').trim()
+
+    // A word ending in a colon is prose ("error: timeout"), not a filter
+    if (!filter && !value) {
+      words.push(token)
+      continue
+    }
+
+    if (!filter) {
+      return {
+        error: `Unknown filter "${key}:". Available filters: ${FILTER_HELP}\n\n_To search for "${token}" as text, put it in quotes._`,
+      }
+    }
+
+    if (!value) {
+      return { error: `The filter "${key}:" needs a value, e.g. ${FILTER_HELP.split(', ').find(h => h.includes(`${filter}:`)) || `${key}:value`}.` }
+    }
+
+    if (filter === 'sort') {
+      const [name, direction = 'desc'] = value.toLowerCase().split('-')
+      if (!SORT_FIELDS[name] || !['asc', 'desc'].includes(direction)) {
+        return { error: `Can't sort by "${value}". Use one of ${Object.keys(SORT_FIELDS).join(', ')}, optionally with -asc or -desc.` }
+      }
+      sort = { field: SORT_FIELDS[name], direction: direction.toUpperCase() }
+      continue
+    }
+
+    if (filter === 'updated' || filter === 'created') {
+      const range = parseDateRange(value)
+      if (!range) {
+        return { error: `Can't read "${key}:${value}". Use e.g. \`${filter}:<7d\` (last 7 days), \`${filter}:>2w\` (older than 2 weeks), \`${filter}:today\` or \`${filter}:>=2024-01-31\`.` }
+      }
+      filters[filter] = [...(filters[filter] || []), range]
+      continue
+    }
+
+    const values = (rawValue.match(/"[^"]*"|[^,]+/g) || [])
+      .map(v => v.replace(/"/g, '').trim())
+      .filter(Boolean)
+
+    if (filter === 'status' && values.some(isOpenStatus) && values.length > 1) {
+      return { error: '`status:open` can\'t be combined with other statuses.' }
+    }
+
+    filters[filter] = [...(filters[filter] || []), ...values]
+  }
+
+  return { text: words.join(' ').trim(), filters, sort }
+}
+
+/**
+ * Get the user filter values that must be resolved to account IDs
+ * @param {object} filters - Filters from parseSearchQuery
+ * @returns {string[]} User values, e.g. "me" or a name, without "none"
+ */
+export function getUserFilterValues(filters) {
+  return [...(filters.assignee || []), ...(filters.reporter || [])]
+    .filter(v => !isNoUser(v))
+}
+
+/**
+ * Build the JQL of a parsed search
+ * @param {{text: string, filters: object, sort: object|null}} search - Result of parseSearchQuery
+ * @param {object} options - Build options
+ * @param {string} options.projectKey - Project searched when no project filter is given
+ * @param {object} [options.users] - Account IDs keyed by lowercase user filter value;
+ *   an unresolved "me" falls back to currentUser()
+ * @returns {string} JQL
+ */
+export function buildSearchJql({ text, filters, sort }, { projectKey, users = {} }) {
+  const query = jql()
+  const projects = (filters.project || [projectKey]).map(p => p.toUpperCase())
+
+  query.where('project', projects.length === 1 ? '=' : 'in', projects.length === 1 ? projects[0] : projects)
+
+  if (filters.status) {
+    addStatusClause(query, filters.status)
+  }
+
+  for (const field of ['assignee', 'reporter']) {
+    const values = filters[field]
+    if (!values) continue
+
+    if (values.some(isNoUser)) {
+      query.where(field, 'is', null)
+      continue
+    }
+
+    const accountIds = values.map(v => getAccountId(users, v))
+    query.where(field, accountIds.length === 1 ? '=' : 'in', accountIds.length === 1 ? accountIds[0] : accountIds)
+  }
+
+  if (filters.type) {
+    query.where('issuetype', 'in', filters.type)
+  }
+  if (filters.priority) {
+    query.where('priority', 'in', filters.priority)
+  }
+  if (filters.label) {
+    query.where('labels', 'in', filters.label)
+  }
+
+  for (const field of ['updated', 'created']) {
+    for (const range of filters[field] || []) {
+      query.where(field, range.operator, range.value)
+    }
+  }
+
+  query.text(text)
+  query.orderBy(sort?.field || 'updated', sort?.direction || 'DESC')
+
+  return query.build()
+}
+
+/**
+ * Describe a parsed search for result headers
+ * @param {{text: string, filters: object, sort: object|null}} search - Result of parseSearchQuery
+ * @returns {string} Short description, e.g. `"login" status:open assignee:me`
+ */
+export function describeSearch({ text, filters }) {
+  // Text with quoted phrases is shown as typed
+  const parts = text ? [text.includes('"') ? text : `"${text}"`] : []
+
+  for (const [filter, values] of Object.entries(filters)) {
+    const shown = values.map(v => v.label || v)
+    parts.push(`${filter}:${shown.join(',')}`)
+  }
+
+  return parts.join(' ')
+}
+
+/**
+ * Add the status clause; category words (open, todo, done, ...) match status categories
+ * @param {object} query - JqlBuilder
+ * @param {string[]} values - Status filter values
+ */
+function addStatusClause(query, values) {
+  if (values.some(isOpenStatus)) {
+    query.where('statusCategory', '!=', 'Done')
+    return
+  }
+
+  const categories = values.map(v => STATUS_CATEGORIES[v.toLowerCase()])
+
+  if (categories.every(Boolean)) {
+    query.where('statusCategory', 'in', [...new Set(categories)])
+  } else {
+    query.where('status', 'in', values)
+  }
+}
+
+/**
+ * Parse a date filter value
+ * `<7d` means within the last 7 days, `>7d` older than that; dates compare as given
+ * @param {string} value - Value such as "<7d", ">=2024-01-31" or "today"
+ * @returns {{operator: string, value: *, label: string}|null} Clause parts, or null when unreadable
+ */
+function parseDateRange(value) {
+  if (value.toLowerCase() === 'today') {
+    return { operator: '>=', value: jqlFunction('startOfDay'), label: 'today' }
+  }
+
+  const match = value.match(/^(<=|>=|<|>)?(?:(\d+)([hdw])|(\d{4}-\d{2}-\d{2}))$/i)
+  if (!match) return null
+
+  const [, operator = '', amount, unit, date] = match
+
+  if (date) {
+    return { operator: operator || '>=', value: date, label: value }
+  }
+
+  // "<7d" reads as "less than 7 days ago", i.e. newer than the relative date
+  const newer = operator === '' || operator.startsWith('<')
+  return { operator: newer ? '>=' : '<=', value: `-${amount}${unit.toLowerCase()}`, label: value }
+}
+
+/**
+ * Get the account ID a user filter value was resolved to
+ * @param {object} users - Account IDs keyed by lowercase user filter value
+ * @param {string} value - User filter value
+ * @returns {string|{jqlFunction: string}} Account ID, or currentUser() for an unresolved "me"
+ */
+function getAccountId(users, value) {
+  const key = value.toLowerCase()
+  if (users[key]) return users[key]
+  if (key === 'me') return jqlFunction('currentUser')
+  throw new Error(`User filter value was not resolved: ${value}`)
+}
+
+/**
+ * @param {string} value - Status filter value
+ * @returns {boolean} Whether the value means "not done"
+ */
+function isOpenStatus(value) {
+  return ['open', 'unresolved'].includes(value.toLowerCase())
+}
+
+/**
+ * @param {string} value - User filter value
+ * @returns {boolean} Whether the value means "nobody"
+ */
+function isNoUser(value) {
+  return ['none', 'unassigned', 'nobody'].includes(value.toLowerCase())
+}
@@ -4,27 +4,134 @@
  */
 import { getState, setState, deleteState } from '../../state/conversation.mjs'
 import { config } from '../../config/env.mjs'
-import { sendTyping, extractTextFromADF } from '../../utils/index.mjs'
+import { saveDraft } from '../../state/drafts.mjs'
+import { ApiError } from '../../common/services/index.mjs'
+import {
+  sendTyping,
+  extractTextFromADF,
+  getUserKey,
+  supportsAdaptiveCards,
+  updateCard,
+  getMentions,
+  sendInvokeResponse,
+  stripHtml,
+  truncate,
+} from '../../utils/index.mjs'
+import {
+  buildCreateTicketCard,
+  buildTicketCreatedCard,
+  buildCreateCancelledCard,
+  mapFieldErrors,
+  getFieldInputId,
+} from './cards.mjs'
+import {
+  prepareCreateFields,
+  parseFieldInput,
+  getFieldHint,
+  getDefaultIssueType,
+  findIssueType,
+} from './fields.mjs'
+import { moveTicket, handleTransitionFlow } from './transitions.mjs'
+import { assignTicket, unassignTicket, handleAssigneeChoice, resolveAssignee } from './assignment.mjs'
+import { addComment, showComments, formatLatestComment } from './comments.mjs'
+import {
+  parseSearchQuery,
+  buildSearchJql,
+  describeSearch,
+  getUserFilterValues,
+  FILTER_HELP,
+} from './filters.mjs'
+import {
+  saveNamedSearch,
+  runNamedSearch,
+  showNamedSearches,
+  deleteNamedSearch,
+  runJiraFilter,
+} from './searches.mjs'
+import {
+  subscribeChannel,
+  showSubscriptions,
+  unsubscribeChannel,
+  queueSubscriptionEvent,
+} from './subscriptions.mjs'
+import { unfurlLink, previewIssueKeys } from './unfurl.mjs'
+import { startTicketFromThread, buildThreadDescription, describeTranscript } from './thread.mjs'
 
 /**
  * Create Jira handlers bound to bot instance
  * @param {object} bot - Bot instance with jiraService
  * @returns {object} Object containing all Jira handler functions:
  *   - startTicketCreation: Start interactive ticket creation flow
+ *   - startTicketFromThread: Start ticket creation with the latest messages of the conversation
  *   - handleTicketFlow: Handle user input during ticket creation
+ *   - resumeTicketFlow: Continue ticket creation from a saved draft
+ *   - submitTicketCard: Handle a submission of the ticket creation card
+ *   - openTicketFromMessage: Open the ticket creation task module for a Teams message
+ *   - submitTicketFromMessage: Create the ticket submitted from that task module
  *   - quickCreateTicket: Create ticket with single command
  *   - showMyTickets: Display user's assigned tickets
  *   - searchTickets: Search for tickets by query
+ *   - searchByJql: Search for tickets with a raw JQL query
+ *   - saveNamedSearch: Save a search under a name
+ *   - runNamedSearch: Run a saved search
+ *   - showNamedSearches: List saved searches
+ *   - deleteNamedSearch: Delete a saved search
+ *   - runJiraFilter: Run a saved Jira filter
+ *   - subscribeChannel: Post Jira events matching a query or project into the channel
+ *   - showSubscriptions: List the channel's subscriptions
+ *   - unsubscribeChannel: Remove a subscription of the channel
+ *   - queueSubscriptionEvent: Queue a Jira webhook event for subscribed channels
  *   - viewTicket: View ticket details
+ *   - unfurlLink: Answer a link unfurling invoke with an issue preview card
+ *   - previewIssueKeys: Preview the issues whose keys appear in a message
+ *   - moveTicket: Move a ticket to another status
+ *   - handleTransitionFlow: Handle user input while moving a ticket
+ *   - assignTicket: Assign a ticket to a user by name, @mention or "me"
+ *   - unassignTicket: Remove the assignee of a ticket
+ *   - handleAssigneeChoice: Handle the pick when several users match
+ *   - addComment: Post a comment on a ticket
+ *   - showComments: Show a page of a ticket's comments
+ *   - showWhoAmI: Show which Jira account the user is mapped to
+ *   - linkAccount: Link the user to a Jira account by email
+ *   - startLogin: Connect the user's own Atlassian account via OAuth
+ *   - logout: Disconnect the user's Atlassian account
  */
 export function createJiraHandlers(bot) {
   return {
-    startTicketCreation: (ctx, convId) => startTicketCreation(bot, ctx, convId),
+    startTicketCreation: (ctx, convId, options) => startTicketCreation(bot, ctx, convId, options),
+    startTicketFromThread: (ctx, args, convId) => startTicketFromThread(bot, ctx, args, convId),
     handleTicketFlow: (ctx, text, state, convId) => handleTicketFlow(bot, ctx, text, state, convId),
+    resumeTicketFlow: (ctx, state, convId) => resumeTicketFlow(bot, ctx, state, convId),
+    submitTicketCard: (ctx, values) => submitTicketCard(bot, ctx, values),
+    openTicketFromMessage: (ctx) => openTicketFromMessage(bot, ctx),
+    submitTicketFromMessage: (ctx) => submitTicketFromMessage(bot, ctx),
     quickCreateTicket: (ctx, summary) => quickCreateTicket(bot, ctx, summary),
-    showMyTickets: (ctx) => showMyTickets(bot, ctx),
-    searchTickets: (ctx, query) => searchTickets(bot, ctx, query),
+    showMyTickets: (ctx, convId) => showMyTickets(bot, ctx, convId),
+    searchTickets: (ctx, query, convId, title) => searchTickets(bot, ctx, query, convId, title),
+    searchByJql: (ctx, query, convId) => searchByJql(bot, ctx, query, convId),
+    saveNamedSearch: (ctx, args) => saveNamedSearch(bot, ctx, args),
+    runNamedSearch: (ctx, name, convId) => runNamedSearch(bot, ctx, name, convId),
+    showNamedSearches: (ctx) => showNamedSearches(bot, ctx),
+    deleteNamedSearch: (ctx, name) => deleteNamedSearch(bot, ctx, name),
+    runJiraFilter: (ctx, idOrName, convId) => runJiraFilter(bot, ctx, idOrName, convId),
+    subscribeChannel: (ctx, filter) => subscribeChannel(bot, ctx, filter),
+    showSubscriptions: (ctx) => showSubscriptions(bot, ctx),
+    unsubscribeChannel: (ctx, id) => unsubscribeChannel(bot, ctx, id),
+    queueSubscriptionEvent: (event) => queueSubscriptionEvent(bot, event),
     viewTicket: (ctx, ticketKey) => viewTicket(bot, ctx, ticketKey),
+    unfurlLink: (ctx) => unfurlLink(bot, ctx),
+    previewIssueKeys: (ctx, text, convId, options) => previewIssueKeys(bot, ctx, text, convId, options),
+    moveTicket: (ctx, args, convId) => moveTicket(bot, ctx, args, convId),
+    handleTransitionFlow: (ctx, text, state, convId) => handleTransitionFlow(bot, ctx, text, state, convId),
+    assignTicket: (ctx, args, convId) => assignTicket(bot, ctx, args, convId),
+    unassignTicket: (ctx, issueKey) => unassignTicket(bot, ctx, issueKey),
+    handleAssigneeChoice: (ctx, text, state, convId) => handleAssigneeChoice(bot, ctx, text, state, convId),
+    addComment: (ctx, args) => addComment(bot, ctx, args),
+    showComments: (ctx, args) => showComments(bot, ctx, args),
+    showWhoAmI: (ctx) => showWhoAmI(bot, ctx),
+    linkAccount: (ctx, email) => linkAccount(bot, ctx, email),
+    startLogin: (ctx) => startLogin(bot, ctx),
+    logout: (ctx) => logout(bot, ctx),
   }
 }
 
@@ -37,9 +144,11 @@ export function createJiraHandlers(bot) {
  * @param {object} bot - Bot instance with jiraService
  * @param {object} context - Turn context from bot framework
  * @param {string} conversationId - Unique conversation identifier
+ * @param {object} [options] - Creation options
+ * @param {object[]} [options.transcript] - Conversation messages added to the description
  * @returns {Promise<void>}
  */
-async function startTicketCreation(bot, context, conversationId) {
+async function startTicketCreation(bot, context, conversationId, { transcript = null } = {}) {
   if (!bot.jiraService) {
     await context.sendActivity(
       '❌ Jira integration is not configured. Please set up your Jira credentials in the environment variables.'
@@ -47,18 +156,399 @@ async function startTicketCreation(bot, context, conversationId) {
     return
   }
 
+  // In a group chat the current wizard may belong to someone else; it is saved for them
+  const userKey = getUserKey(context)
+  const current = getState(conversationId)
+  const saved = saveDraft(current.draftOwner, current)
+  const what = saved?.flow === 'jira' ? 'ticket' : 'request'
+  const savedNote = !saved
+    ? null
+    : current.draftOwner === userKey
+      ? `💾 Your unfinished ${what} was saved to \`drafts\`.`
+      : `💾 The unfinished ${what} in this chat was saved to the drafts of the person who started it.`
+
+  // The card collects all fields at once, so no conversation state is kept
+  if (supportsAdaptiveCards(context)) {
+    deleteState(conversationId)
+    if (savedNote) {
+      await context.sendActivity(savedNote)
+    }
+    await showCreateTicketCard(bot, context, transcript)
+    return
+  }
+
   const state = {
     awaitingTicketDetails: true,
-    ticketData: {},
+    ticketData: transcript ? { transcript } : {},
     step: 'summary',
+    draftOwner: userKey,
   }
   setState(conversationId, state)
 
+  const transcriptNote = transcript
+    ? ` The description will include ${describeTranscript(transcript)}.`
+    : ''
+
   await context.sendActivity(
-    `Let's create a new Jira ticket.\n\n**Step 1/4:** What is the **summary** (title) for this ticket?\n\n_(Type \`cancel\` to abort)_`
+    `${savedNote ? `${savedNote}\n\n` : ''}Let's create a new Jira ticket.${transcriptNote}\n\n${TICKET_STEP_PROMPTS.summary}`
   )
 }
 
+/**
+ * Load what the ticket creation card shows for an issue type: issue types, priorities
+ * and the create screen fields, required ones first
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} jira - Jira service for the sender
+ * @param {string} [issueTypeName] - Issue type chosen on the card
+ * @returns {Promise<{issueType: object, unsupported: string[], form: object}>} Chosen issue type,
+ *   required fields that can't be entered on the card, and the options for buildCreateTicketCard
+ */
+async function loadCardForm(bot, jira, issueTypeName = '') {
+  const { createFields, issueType, ...metadata } = await loadTicketMetadata(jira, issueTypeName)
+  const { fields, unsupported } = prepareCreateFields(createFields, bot.jiraService)
+
+  // Priority already has its own input on the card
+  const cardFields = fields.filter(f => f.fieldId !== 'priority')
+
+  return {
+    issueType,
+    unsupported,
+    form: {
+      ...metadata,
+      fields: cardFields,
+      fieldsFor: cardFields.length > 0 ? issueType.name : null,
+      jiraService: bot.jiraService,
+    },
+  }
+}
+
+/**
+ * Load the issue types offered on the ticket creation card, and the create fields
+ * and priorities of the chosen (or default) issue type
+ * Priorities come from the create metadata, so only those of the project's priority scheme are offered
+ * @param {object} jira - Jira service instance
+ * @param {string} [issueTypeName] - Issue type chosen on the card
+ * @returns {Promise<{issueTypes: object[], issueType: object, createFields: object[], priorities: object[]}>}
+ */
+async function loadTicketMetadata(jira, issueTypeName = '') {
+  const issueTypes = await loadIssueTypes(jira)
+  const issueType = findIssueType(issueTypes, issueTypeName) || getDefaultIssueType(issueTypes)
+  const createFields = await jira.getCreateFields(issueType.id)
+  const priorities = createFields.find(f => f.fieldId === 'priority')?.allowedValues || []
+
+  return { issueTypes, issueType, createFields, priorities }
+}
+
+/**
+ * Load the issue types tickets can be created with (sub-tasks need a parent)
+ * @param {object} jira - Jira service instance
+ * @returns {Promise<object[]>} Issue types of the project
+ */
+async function loadIssueTypes(jira) {
+  const issueTypes = await jira.getIssueTypes()
+  return issueTypes.filter(type => !type.subtask)
+}
+
+/**
+ * Send the ticket creation card
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {object[]} [transcript] - Conversation messages added to the description
+ * @returns {Promise<void>}
+ */
+async function showCreateTicketCard(bot, context, transcript = null) {
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    const { form } = await loadCardForm(bot, jira)
+
+    await context.sendActivity(buildCreateTicketCard({
+      ...form,
+      ...(transcript && {
+        note: `The description will include ${describeTranscript(transcript)}.`,
+        data: { transcript },
+      }),
+    }))
+  } catch (error) {
+    console.error('Error loading project metadata:', error)
+    await context.sendActivity(`Failed to load Jira project details: ${error.message}`)
+  }
+}
+
+/**
+ * Handle a submission of the ticket creation card
+ * Required fields of the chosen issue type are added to the card on demand;
+ * validation errors from Jira are shown on the card next to the affected input
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} values - Card inputs and the jiraAction
+ * @returns {Promise<void>}
+ */
+async function submitTicketCard(bot, context, values) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not available.')
+    return
+  }
+
+  if (values.jiraAction === 'cancel_create') {
+    await updateCard(context, buildCreateCancelledCard())
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    const result = await processTicketCard(bot, context, jira, values)
+
+    if (result.form) {
+      await updateCard(context, result.form)
+      return
+    }
+
+    const browseUrl = bot.jiraService.getBrowseUrl(result.ticket.key)
+    await updateCard(context, buildTicketCreatedCard(result.ticket, result.summary, browseUrl))
+  } catch (error) {
+    console.error('Error creating ticket:', error)
+    await context.sendActivity(`Failed to create ticket: ${error.message}`)
+  }
+}
+
+/**
+ * Validate a submission of the ticket creation card and create the ticket
+ * @param {object} bot - Bot instance with jiraService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} jira - Jira service for the sender
+ * @param {object} values - Card inputs
+ * @returns {Promise<{ticket: object, summary: string}|{form: object}>} Created ticket, or the
+ *   card to show again when inputs are missing or Jira rejects them
+ */
+async function processTicketCard(bot, context, jira, values) {
+  const ticketData = {
+    summary: values.summary?.trim(),
+    description: values.description?.trim() || undefined,
+    issueType: values.issueType || undefined,
+    priority: values.priority || undefined,
+  }
+
+  // The transcript of `jira from thread` travels with the card's submit data
+  if (values.transcript) {
+    ticketData.description = buildThreadDescription(ticketData.description, values.transcript)
+  }
+
+  const { issueType, unsupported, form: cardForm } = await loadCardForm(bot, jira, ticketData.issueType)
+  const { fields, priorities } = cardForm
+  const form = {
+    ...cardForm,
+    values,
+    ...(values.transcript && { data: { transcript: values.transcript } }),
+  }
+
+  if (unsupported.length > 0) {
+    return {
+      form: buildCreateTicketCard({
+        ...form,
+        error: `${issueType.name} tickets need fields that can't be entered here (${unsupported.join(', ')}). Choose another issue type or create the ticket in Jira.`,
+      }),
+    }
+  }
+
+  if (!ticketData.summary) {
+    return { form: buildCreateTicketCard({ ...form, errors: { summary: 'Summary is required.' } }) }
+  }
+
+  // The inputs of the fields are only on the card once it was shown for this issue type
+  if (fields.length > 0 && values.fieldsFor !== issueType.name) {
+    const note = fields.some(f => f.required)
+      ? `${issueType.name} tickets need a few more details.`
+      : `${issueType.name} tickets have a few more fields you can fill in. Select Create again when you're done.`
+    return { form: buildCreateTicketCard({ ...form, note }) }
+  }
+
+  const errors = {}
+  ticketData.issueType = issueType.name
+  ticketData.fields = {}
+
+  // A priority picked before switching the issue type may be outside the new type's scheme,
+  // or the new type may not take a priority at all
+  if (ticketData.priority && !priorities.some(p => p.name === ticketData.priority)) {
+    if (priorities.length > 0) {
+      errors.priority = `${issueType.name} tickets can't have priority ${ticketData.priority}.`
+    } else {
+      ticketData.priority = undefined
+    }
+  }
+
+  for (const field of fields) {
+    const input = readCardInput(values, field, bot.jiraService.getFieldType(field))
+    const result = await parseFieldInput(field, input, jira)
+    if (result.error) {
+      errors[getFieldInputId(field)] = result.error
+    } else if (result.value !== null) {
+      ticketData.fields[field.fieldId] = result.value
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { form: buildCreateTicketCard({ ...form, errors }) }
+  }
+
+  try {
+    const reporter = jira.isUserScoped ? null : await bot.identityService.resolveAccountId(context)
+    const ticket = await jira.createTicket({
+      ...ticketData,
+      ...(reporter && { reporter }),
+    })
+
+    return { ticket, summary: ticketData.summary }
+  } catch (error) {
+    if (!(error instanceof ApiError) || error.status !== 400) {
+      throw error
+    }
+
+    console.warn('Jira rejected the ticket:', error.message)
+    const { errors: inputErrors, other } = mapFieldErrors(error.fieldErrorMap, fields)
+    const hasFieldErrors = Object.keys(inputErrors).length > 0
+
+    return {
+      form: buildCreateTicketCard({
+        ...form,
+        errors: inputErrors,
+        error: other.length > 0 ? other.join('\n\n') : (hasFieldErrors ? null : error.message),
+      }),
+    }
+  }
+}
+
+/**
+ * Read the submitted card input of a field as the text the user would have typed
+ * @param {object} values - Submitted card inputs keyed by input ID
+ * @param {object} field - Prepared field definition
+ * @param {string} fieldType - Field type identifier
+ * @returns {string} Input text
+ */
+function readCardInput(values, field, fieldType) {
+  const id = getFieldInputId(field)
+  const text = String(values[id] ?? '').trim()
+  const time = String(values[`${id}_time`] ?? '').trim()
+
+  return fieldType === 'datetime' && text && time ? `${text} ${time}` : text
+}
+
+/**
+ * Resume a ticket creation flow from a saved draft
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Saved Jira conversation state
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function resumeTicketFlow(bot, context, state, conversationId) {
+  state.draftOwner = getUserKey(context)
+  setState(conversationId, state)
+
+  await context.sendActivity(`▶️ Resuming your Jira ticket **${state.ticketData?.summary || 'draft'}**.`)
+  await promptTicketStep(bot, context, state)
+}
+
+/**
+ * Prompt text for the fixed steps of the ticket creation flow
+ * The other steps are built from the project metadata in promptTicketStep
+ */
+const TICKET_STEP_PROMPTS = {
+  summary: `**Step 1/4:** What is the **summary** (title) for this ticket?\n\n_(Type \`cancel\` to abort)_`,
+  description: `**Step 2/4:** Provide a **description** for the ticket:\n\n_(Type \`skip\` to leave blank)_`,
+}
+
+/**
+ * Send the prompt for the current step of the ticket creation flow
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Current conversation state
+ * @returns {Promise<void>}
+ */
+async function promptTicketStep(bot, context, state) {
+  const fields = state.createFields || []
+
+  switch (state.step) {
+    case 'type': {
+      const types = state.issueTypes.map((t, i) => `${i + 1}. ${t.name}`).join('\n')
+      const defaultType = getDefaultIssueType(state.issueTypes)
+      await context.sendActivity(
+        `**Step 3/4:** What **type** of issue is this?\n\n${types}\n\n_(Type the number or name, or \`skip\` for default: ${defaultType.name})_`
+      )
+      return
+    }
+
+    case 'field': {
+      const field = fields[state.fieldIndex]
+      const count = state.includeOptional ? fields.length : fields.filter(f => f.required).length
+      const hint = getFieldHint(field, bot.jiraService.getFieldType(field))
+      await context.sendActivity(
+        `**Step 4/4:** ${field.name}${field.required ? ' _(required)_' : ''} — field ${state.fieldIndex + 1} of ${count}${hint ? `\n\n${hint}` : ''}`
+      )
+      return
+    }
+
+    case 'optional': {
+      const names = fields.slice(state.fieldIndex).map(f => f.name).join(', ')
+      await context.sendActivity(
+        `**Optional fields:** ${names}\n\nType \`yes\` to fill them in or \`no\` to go to the review.`
+      )
+      return
+    }
+
+    case 'confirm': {
+      const ticketData = state.ticketData
+      const details = fields
+        .filter(f => state.fieldDisplay?.[f.fieldId])
+        .map(f => `• **${f.name}:** ${state.fieldDisplay[f.fieldId]}\n`)
+        .join('')
+
+      await context.sendActivity(`📋 **Review your ticket:**
+
+• **Summary:** ${ticketData.summary}
+• **Description:** ${ticketData.description || '_(none)_'}${ticketData.transcript ? ` + ${describeTranscript(ticketData.transcript)}` : ''}
+• **Type:** ${ticketData.issueType}
+${details}
+Type \`yes\` to create the ticket or \`no\` to cancel.`)
+      return
+    }
+
+    case 'description': {
+      const transcript = state.ticketData?.transcript
+      await context.sendActivity(
+        transcript
+          ? `${TICKET_STEP_PROMPTS.description}\n\n_Your description comes first, followed by ${describeTranscript(transcript)}._`
+          : TICKET_STEP_PROMPTS.description
+      )
+      return
+    }
+
+    default:
+      await context.sendActivity(TICKET_STEP_PROMPTS[state.step])
+  }
+}
+
+/**
+ * Set the step that follows the last collected field
+ * Required fields are always asked; optional ones only after the user agreed
+ * @param {object} state - Current conversation state
+ */
+function advanceFieldStep(state) {
+  const fields = state.createFields
+  const requiredCount = fields.filter(f => f.required).length
+
+  if (state.fieldIndex < requiredCount || (state.includeOptional && state.fieldIndex < fields.length)) {
+    state.step = 'field'
+  } else if (!state.includeOptional && state.fieldIndex < fields.length) {
+    state.step = 'optional'
+  } else {
+    state.step = 'confirm'
+  }
+}
+
 /**
  * Handle user input during ticket creation flow
  * @param {object} bot - Bot instance with jiraService
@@ -70,8 +560,15 @@ async function startTicketCreation(bot, context, conversationId) {
  */
 async function handleTicketFlow(bot, context, text, state, conversationId) {
   if (text.toLowerCase() === 'cancel') {
+    const saved = saveDraft(state.draftOwner, state)
     deleteState(conversationId)
-    await context.sendActivity('Ticket creation cancelled.')
+    await context.sendActivity(
+      !saved
+        ? 'Ticket creation cancelled.'
+        : state.draftOwner === getUserKey(context)
+          ? 'Ticket creation cancelled. Your progress was saved — type `drafts` to resume it later.'
+          : 'Ticket creation cancelled. The progress was saved to the drafts of the person who started it.'
+    )
     return
   }
 
@@ -83,65 +580,112 @@ async function handleTicketFlow(bot, context, text, state, conversationId) {
       state.ticketData = ticketData
       state.step = 'description'
       setState(conversationId, state)
-      await context.sendActivity(
-        `**Step 2/4:** Provide a **description** for the ticket:\n\n_(Type \`skip\` to leave blank)_`
-      )
+      await promptTicketStep(bot, context, state)
       break
 
     case 'description':
+      try {
+        await sendTyping(context)
+        const jira = await bot.getJiraService(context)
+        const issueTypes = await loadIssueTypes(jira)
+        state.issueTypes = issueTypes.map(t => ({ id: t.id, name: t.name }))
+      } catch (error) {
+        console.error('Error loading issue types:', error)
+        await context.sendActivity(`Failed to load issue types: ${error.message}\n\nSend the description again to retry, or type \`cancel\`.`)
+        return
+      }
+
       if (text.toLowerCase() !== 'skip') {
         ticketData.description = text
       }
       state.ticketData = ticketData
       state.step = 'type'
       setState(conversationId, state)
-      await context.sendActivity(
-        `**Step 3/4:** What **type** of issue is this?\n\n1️⃣ Task\n2️⃣ Bug\n3️⃣ Story\n4️⃣ Epic\n\n_(Type the number or name, or \`skip\` for default: Task)_`
-      )
+      await promptTicketStep(bot, context, state)
       break
 
-    case 'type':
-      if (text.toLowerCase() !== 'skip') {
-        const typeMap = {
-          '1': 'Task', '2': 'Bug', '3': 'Story', '4': 'Epic',
-          'task': 'Task', 'bug': 'Bug', 'story': 'Story', 'epic': 'Epic',
-        }
-        ticketData.issueType = typeMap[text.toLowerCase()] || 'Task'
-      } else {
-        ticketData.issueType = 'Task'
+    case 'type': {
+      const issueType = text.toLowerCase() === 'skip'
+        ? getDefaultIssueType(state.issueTypes)
+        : findIssueType(state.issueTypes, text)
+
+      if (!issueType) {
+        await context.sendActivity(`Unknown issue type. Please enter a number between 1 and ${state.issueTypes.length} or a type name.`)
+        return
       }
-      state.ticketData = ticketData
-      state.step = 'priority'
-      setState(conversationId, state)
-      await context.sendActivity(
-        `**Step 4/4:** What **priority** should this be?\n\n1️⃣ Highest\n2️⃣ High\n3️⃣ Medium\n4️⃣ Low\n5️⃣ Lowest\n\n_(Type the number or name, or \`skip\` for default: Medium)_`
-      )
-      break
 
-    case 'priority':
-      if (text.toLowerCase() !== 'skip') {
-        const priorityMap = {
-          '1': 'Highest', '2': 'High', '3': 'Medium', '4': 'Low', '5': 'Lowest',
-          'highest': 'Highest', 'high': 'High', 'medium': 'Medium', 'low': 'Low', 'lowest': 'Lowest',
+      try {
+        await sendTyping(context)
+        const jira = await bot.getJiraService(context)
+        const { fields, unsupported } = prepareCreateFields(await jira.getCreateFields(issueType.id), bot.jiraService)
+
+        if (unsupported.length > 0) {
+          await context.sendActivity(
+            `**${issueType.name}** tickets need fields that can't be entered here (${unsupported.join(', ')}).\n\nChoose another type, or create the ticket in Jira.`
+          )
+          return
         }
-        ticketData.priority = priorityMap[text.toLowerCase()] || 'Medium'
-      } else {
-        ticketData.priority = 'Medium'
+
+        state.createFields = fields
+      } catch (error) {
+        console.error('Error loading create fields:', error)
+        await context.sendActivity(`Failed to load the fields for ${issueType.name}: ${error.message}`)
+        return
       }
+
+      ticketData.issueType = issueType.name
+      ticketData.fields = {}
       state.ticketData = ticketData
-      state.step = 'confirm'
+      state.fieldDisplay = {}
+      state.fieldIndex = 0
+      state.includeOptional = false
+      advanceFieldStep(state)
       setState(conversationId, state)
+      await promptTicketStep(bot, context, state)
+      break
+    }
 
-      const confirmMessage = `📋 **Review your ticket:**
+    case 'field': {
+      const field = state.createFields[state.fieldIndex]
+      let result
 
-• **Summary:** ${ticketData.summary}
-• **Description:** ${ticketData.description || '_(none)_'}
-• **Type:** ${ticketData.issueType}
-• **Priority:** ${ticketData.priority}
+      try {
+        const jira = await bot.getJiraService(context)
+        result = await parseFieldInput(field, text, jira)
+      } catch (error) {
+        console.error('Error checking field value:', error)
+        await context.sendActivity(`Failed to check the value for ${field.name}: ${error.message}`)
+        return
+      }
+
+      if (result.error) {
+        await context.sendActivity(result.error)
+        return
+      }
 
-Type \`yes\` to create the ticket or \`no\` to cancel.`
+      if (result.value !== null) {
+        ticketData.fields[field.fieldId] = result.value
+        state.fieldDisplay[field.fieldId] = result.display
+      }
+      state.fieldIndex++
+      advanceFieldStep(state)
+      setState(conversationId, state)
+      await promptTicketStep(bot, context, state)
+      break
+    }
 
-      await context.sendActivity(confirmMessage)
+    case 'optional':
+      if (text.toLowerCase() === 'yes' || text.toLowerCase() === 'y') {
+        state.includeOptional = true
+      } else if (text.toLowerCase() === 'no' || text.toLowerCase() === 'n' || text.toLowerCase() === 'skip') {
+        state.fieldIndex = state.createFields.length
+      } else {
+        await context.sendActivity('Please type `yes` to fill in the optional fields or `no` to go to the review.')
+        return
+      }
+      advanceFieldStep(state)
+      setState(conversationId, state)
+      await promptTicketStep(bot, context, state)
       break
 
     case 'confirm':
@@ -160,6 +704,7 @@ Type \`yes\` to create the ticket or \`no\` to cancel.`
 
 /**
  * Create a ticket quickly with just a summary
+ * An @mentioned user in the summary becomes the assignee
  * @param {object} bot - Bot instance with jiraService
  * @param {object} context - Turn context from bot framework
  * @param {string} summary - Ticket summary/title
@@ -174,15 +719,35 @@ async function quickCreateTicket(bot, context, summary) {
   try {
     await sendTyping(context)
 
-    const ticket = await bot.jiraService.createTicket({
+    const jira = await bot.getJiraService(context)
+    const reporter = jira.isUserScoped ? null : await bot.identityService.resolveAccountId(context)
+
+    const mention = getMentions(context).find(m => m.text && summary.includes(m.text))
+    let assignee = null
+    let note = ''
+
+    if (mention) {
+      summary = summary.replace(mention.text, '').replace(/\s+/g, ' ').trim()
+      const result = await resolveAssignee(bot, context, jira, { project: jira.projectKey }, mention.text)
+      assignee = result.user || null
+      if (!assignee) {
+        note = `\n\n_Couldn't find a single Jira user for ${mention.name}, so the ticket is unassigned._`
+      }
+    }
+
+    const ticket = await jira.createTicket({
       summary,
       issueType: 'Task',
       priority: 'Medium',
+      ...(reporter && { reporter }),
+      ...(assignee && { assignee: assignee.accountId }),
     })
     const browseUrl = bot.jiraService.getBrowseUrl(ticket.key)
 
     await context.sendActivity(
-      `Ticket created!\n\n**${ticket.key}**: ${summary}\n\n🔗 [View in Jira](${browseUrl})`
+      `Ticket created!\n\n**${ticket.key}**: ${summary}` +
+      `${assignee ? `\n\nAssigned to **${assignee.displayName}**` : ''}` +
+      `\n\n🔗 [View in Jira](${browseUrl})${note}`
     )
   } catch (error) {
     console.error('Error creating ticket:', error)
@@ -206,7 +771,14 @@ async function createTicket(bot, context, ticketData) {
   try {
     await sendTyping(context)
 
-    const ticket = await bot.jiraService.createTicket(ticketData)
+    const jira = await bot.getJiraService(context)
+    const reporter = jira.isUserScoped ? null : await bot.identityService.resolveAccountId(context)
+    const { transcript, ...fields } = ticketData
+    const ticket = await jira.createTicket({
+      ...fields,
+      ...(transcript && { description: buildThreadDescription(fields.description, transcript) }),
+      ...(reporter && { reporter }),
+    })
     const browseUrl = bot.jiraService.getBrowseUrl(ticket.key)
 
     await context.sendActivity(
@@ -222,9 +794,10 @@ async function createTicket(bot, context, ticketData) {
  * Display the current user's assigned tickets
  * @param {object} bot - Bot instance with jiraService
  * @param {object} context - Turn context from bot framework
+ * @param {string} conversationId - Unique conversation identifier
  * @returns {Promise<void>}
  */
-async function showMyTickets(bot, context) {
+async function showMyTickets(bot, context, conversationId) {
   if (!bot.jiraService) {
     await context.sendActivity('Jira service is not configured.')
     return
@@ -233,22 +806,22 @@ async function showMyTickets(bot, context) {
   try {
     await sendTyping(context)
 
-    const result = await bot.jiraService.getMyIssues(5)
-
-    if (result.issues.length === 0) {
-      await context.sendActivity('You have no assigned tickets.')
+    const accountId = await bot.identityService.resolveAccountId(context)
+    if (!accountId) {
+      await context.sendActivity(
+        `I couldn't match your Teams account to a Jira user.\n\nType \`jira link me <your Jira email>\` to link it manually.`
+      )
       return
     }
 
-    let message = `**Your recent tickets (${result.issues.length}):**\n\n`
+    const jira = await bot.getJiraService(context)
 
-    for (const issue of result.issues) {
-      const status = issue.fields.status.name
-      const browseUrl = bot.jiraService.getBrowseUrl(issue.key)
-      message += `• **[${issue.key}](${browseUrl})**: ${issue.fields.summary} _(${status})_\n`
-    }
-
-    await context.sendActivity(message)
+    await bot.pagerHandlers.startListing(context, conversationId, {
+      source: 'jira_issues',
+      title: 'Your recent tickets',
+      params: { jql: jira.getMyIssuesJql(accountId) },
+      emptyMessage: 'You have no assigned tickets.',
+    })
   } catch (error) {
     console.error('Error fetching tickets:', error)
     await context.sendActivity(`Failed to fetch tickets: ${error.message}`)
@@ -256,50 +829,179 @@ async function showMyTickets(bot, context) {
 }
 
 /**
- * Search for Jira tickets by text query
+ * Search for Jira tickets by text and filters such as `status:open assignee:me`
+ * Words are matched literally; use searchByJql for JQL syntax
  * @param {object} bot - Bot instance with jiraService
  * @param {object} context - Turn context from bot framework
- * @param {string} query - Search query string
+ * @param {string} text - Search words and filters
+ * @param {string} conversationId - Unique conversation identifier
+ * @param {string} [title] - Title of the results, e.g. the name of a saved search
  * @returns {Promise<void>}
  */
-async function searchTickets(bot, context, query) {
+async function searchTickets(bot, context, text, conversationId, title = null) {
   if (!bot.jiraService) {
     await context.sendActivity('Jira service is not configured.')
     return
   }
 
-  if (!query) {
-    await context.sendActivity('Please provide a search query.\n\n**Usage:** `jira search <query>`')
+  if (!text) {
+    await context.sendActivity(`Please provide a search query.\n\n**Usage:** \`jira search <words> [filters]\`\n\n**Filters:** ${FILTER_HELP}`)
+    return
+  }
+
+  const search = parseSearchQuery(text)
+  if (search.error) {
+    await context.sendActivity(search.error)
     return
   }
 
   try {
     await sendTyping(context)
 
-    const projectKey = config.jira.projectKey
-    const jql = `project = ${projectKey} AND text ~ "${query}" ORDER BY updated DESC`
-    const result = await bot.jiraService.searchIssues(jql, 5)
-
-    if (result.issues.length === 0) {
-      await context.sendActivity(`📭 No tickets found matching "${query}".`)
+    const jira = await bot.getJiraService(context)
+    const users = await resolveSearchUsers(bot, context, jira, getUserFilterValues(search.filters))
+    if (users.error) {
+      await context.sendActivity(users.error)
       return
     }
 
-    let message = `**Search results for "${query}" (${result.issues.length}):**\n\n`
+    const query = buildSearchJql(search, { projectKey: config.jira.projectKey, users })
+    const description = describeSearch(search)
 
-    for (const issue of result.issues) {
-      const status = issue.fields.status.name
-      const browseUrl = bot.jiraService.getBrowseUrl(issue.key)
-      message += `• **[${issue.key}](${browseUrl})**: ${issue.fields.summary} _(${status})_\n`
-    }
-
-    await context.sendActivity(message)
+    await bot.pagerHandlers.startListing(context, conversationId, {
+      source: 'jira_issues',
+      title: title || `Search results for ${description}`,
+      params: { jql: query },
+      emptyMessage: `📭 No tickets found matching ${description}.`,
+    })
   } catch (error) {
     console.error('Error searching tickets:', error)
     await context.sendActivity(`Failed to search tickets: ${error.message}`)
   }
 }
 
+/**
+ * Resolve the people named in assignee/reporter filters to Jira account IDs
+ * @param {object} bot - Bot instance with identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} jira - Jira service instance
+ * @param {string[]} values - User filter values ("me", names or emails)
+ * @returns {Promise<object>} Account IDs keyed by lowercase value, or {error}
+ */
+async function resolveSearchUsers(bot, context, jira, values) {
+  const users = {}
+
+  for (const value of values) {
+    const key = value.toLowerCase()
+    if (users[key]) continue
+
+    if (key === 'me') {
+      // With the user's own login, currentUser() already is the sender
+      if (jira.isUserScoped) continue
+
+      const accountId = await bot.identityService.resolveAccountId(context)
+      if (!accountId) {
+        return { error: `I couldn't match your Teams account to a Jira user.\n\nType \`jira link me <your Jira email>\` to link it manually.` }
+      }
+      users[key] = accountId
+      continue
+    }
+
+    const matches = await jira.findUsers(value, 10)
+    const exact = matches.filter(u => u.displayName?.toLowerCase() === key || u.emailAddress?.toLowerCase() === key)
+    const user = matches.length === 1 ? matches[0] : exact.length === 1 ? exact[0] : null
+
+    if (!user) {
+      return {
+        error: matches.length === 0
+          ? `No Jira user matches "${value}".`
+          : `"${value}" matches several people (${matches.map(u => u.displayName).join(', ')}). Please use their email address.`,
+      }
+    }
+    users[key] = user.accountId
+  }
+
+  return users
+}
+
+/**
+ * Run a raw JQL query typed by the user
+ * Unlike searchTickets the query is passed to Jira as is, so any JQL works
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} query - JQL query
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function searchByJql(bot, context, query, conversationId) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  if (!query) {
+    await context.sendActivity('Please provide a JQL query.\n\n**Usage:** `jira jql <query>`\n\n_Example:_ `jira jql project = PROJ AND status = "In Progress"`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    await bot.pagerHandlers.startListing(context, conversationId, {
+      source: 'jira_issues',
+      title: 'JQL results',
+      params: { jql: query },
+      emptyMessage: '📭 No tickets match this query.',
+    })
+  } catch (error) {
+    console.error('Error running JQL:', error)
+    await context.sendActivity(`Failed to run JQL: ${error.message}`)
+  }
+}
+
+/**
+ * Listing sources used with the pager
+ *   - jira_issues: issues matching params.jql, paged with the search's nextPageToken
+ */
+export const jiraListingSources = {
+  jira_issues: {
+    fetchPage: async (bot, context, { jql }, { cursor, pageSize }) => {
+      const jira = await bot.getJiraService(context)
+      const [result, count] = await Promise.all([
+        jira.searchIssues(jql, pageSize, { nextPageToken: cursor }),
+        cursor ? null : countIssues(jira, jql),
+      ])
+      const nextCursor = result.isLast ? null : result.nextPageToken || null
+
+      return {
+        items: result.issues || [],
+        nextCursor,
+        // A single page is counted exactly; otherwise use the estimate, if any
+        total: !cursor && !nextCursor ? (result.issues || []).length : count,
+        approximate: !!nextCursor,
+      }
+    },
+    formatItem: (bot, issue) =>
+      `• **[${issue.key}](${bot.jiraService.getBrowseUrl(issue.key)})**: ${issue.fields.summary} _(${issue.fields.status.name})_`,
+  },
+}
+
+/**
+ * Estimate the number of issues matching a query for page headers
+ * Failures are logged and leave the total unknown
+ * @param {object} jira - Jira service instance
+ * @param {string} jql - JQL query
+ * @returns {Promise<number|null>} Approximate count, or null
+ */
+async function countIssues(jira, jql) {
+  try {
+    return await jira.countIssues(jql)
+  } catch (error) {
+    console.error('Error counting issues:', error)
+    return null
+  }
+}
+
 /**
  * View details of a specific Jira ticket
  * @param {object} bot - Bot instance with jiraService
@@ -321,7 +1023,8 @@ async function viewTicket(bot, context, ticketKey) {
   try {
     await sendTyping(context)
 
-    const issue = await bot.jiraService.getIssue(ticketKey)
+    const jira = await bot.getJiraService(context)
+    const issue = await jira.getIssue(ticketKey)
     const browseUrl = bot.jiraService.getBrowseUrl(issue.key)
 
     let description = '_(no description)_'
@@ -333,6 +1036,8 @@ async function viewTicket(bot, context, ticketKey) {
       }
     }
 
+    const latestComment = formatLatestComment(issue.key, issue.fields.comment)
+
     const message = `📋 **${issue.key}**: ${issue.fields.summary}
 
 • **Type:** ${issue.fields.issuetype.name}
@@ -343,7 +1048,7 @@ async function viewTicket(bot, context, ticketKey) {
 
 **Description:**
 ${description}
-
+${latestComment ? `\n${latestComment}\n` : ''}
 [View in Jira](${browseUrl})`
 
     await context.sendActivity(message)
@@ -353,3 +1058,304 @@ ${description}
   }
 }
 
+
+/**
+ * Message Action
+ */
+
+/**
+ * Open the ticket creation card in a task module, prefilled from the selected message
+ * Answers the composeExtension/fetchTask invoke of the "Create Jira ticket" message action
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context of the invoke activity
+ * @returns {Promise<void>}
+ */
+async function openTicketFromMessage(bot, context) {
+  if (!bot.jiraService) {
+    await sendInvokeResponse(context, taskMessage('Jira integration is not configured.'))
+    return
+  }
+
+  try {
+    const jira = await bot.getJiraService(context)
+    const { form } = await loadCardForm(bot, jira)
+    const values = readMessagePayload(context.activity.value?.messagePayload)
+
+    await sendInvokeResponse(context, ticketTask(buildCreateTicketCard({ ...form, values })))
+  } catch (error) {
+    console.error('Error opening ticket form:', error)
+    await sendInvokeResponse(context, taskMessage(`Failed to load Jira project details: ${error.message}`))
+  }
+}
+
+/**
+ * Create the ticket submitted from the message action's task module
+ * The ticket key is replied into the thread of the original message
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context of the composeExtension/submitAction invoke
+ * @returns {Promise<void>}
+ */
+async function submitTicketFromMessage(bot, context) {
+  const { data = {}, messagePayload } = context.activity.value || {}
+
+  if (!bot.jiraService) {
+    await sendInvokeResponse(context, taskMessage('Jira integration is not configured.'))
+    return
+  }
+
+  // An empty response closes the task module
+  if (data.jiraAction === 'cancel_create') {
+    await sendInvokeResponse(context, {})
+    return
+  }
+
+  try {
+    const jira = await bot.getJiraService(context)
+    const result = await processTicketCard(bot, context, jira, data)
+
+    if (result.form) {
+      await sendInvokeResponse(context, ticketTask(result.form))
+      return
+    }
+
+    const { ticket, summary } = result
+    const browseUrl = bot.jiraService.getBrowseUrl(ticket.key)
+    const replied = await replyInThread(
+      bot,
+      context,
+      messagePayload,
+      `🎫 ${context.activity.from?.name || 'Someone'} created [${ticket.key}](${browseUrl}) from this message: ${summary}`
+    )
+
+    await sendInvokeResponse(context, taskMessage(
+      replied
+        ? `Created ${ticket.key}.`
+        : `Created ${ticket.key}: ${browseUrl}\n\nAdd the bot to this conversation to have tickets posted in the thread.`
+    ))
+  } catch (error) {
+    console.error('Error creating ticket from message:', error)
+    await sendInvokeResponse(context, taskMessage(`Failed to create ticket: ${error.message}`))
+  }
+}
+
+/**
+ * Read the card values to prefill from a Teams message
+ * The first line becomes the summary; the description holds the whole text and
+ * a link back to the message
+ * @param {object} [payload] - messagePayload of the message action
+ * @returns {{summary: string, description: string}}
+ */
+function readMessagePayload(payload = {}) {
+  const content = payload.body?.content || ''
+  const text = (payload.body?.contentType === 'html' ? stripHtml(content) : content).trim()
+  const firstLine = text.split('\n').map(line => line.trim()).find(Boolean) || ''
+  const author = payload.from?.user?.displayName
+  const source = payload.linkToMessage
+    ? `Posted in Teams${author ? ` by ${author}` : ''}: ${payload.linkToMessage}`
+    : ''
+
+  return {
+    summary: truncate(firstLine, 255),
+    description: [text, source].filter(Boolean).join('\n\n'),
+  }
+}
+
+/**
+ * Post a message in the thread of a Teams message
+ * Only works when the bot is a member of the conversation the message is in
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context of the invoke activity
+ * @param {object} [messagePayload] - Message the action was run on
+ * @param {string} text - Message text
+ * @returns {Promise<boolean>} Whether the message was posted
+ */
+async function replyInThread(bot, context, messagePayload, text) {
+  const reference = context.activity.getConversationReference()
+  const { conversation } = reference
+
+  // Channel threads are conversations of their own; chats have no threads
+  const rootId = messagePayload?.replyToId || messagePayload?.id
+  const conversationId = conversation.conversationType === 'channel' && rootId
+    ? `${conversation.id.split(';')[0]};messageid=${rootId}`
+    : conversation.id
+
+  try {
+    await bot.sendToConversation(
+      { ...reference, activityId: undefined, conversation: { ...conversation, id: conversationId } },
+      text
+    )
+    return true
+  } catch (error) {
+    console.warn('Could not reply in the message thread:', error.message)
+    return false
+  }
+}
+
+/**
+ * Build the task module response that shows the ticket creation card
+ * @param {object} form - Card activity from buildCreateTicketCard
+ * @returns {object} Invoke response body
+ */
+function ticketTask(form) {
+  return {
+    task: {
+      type: 'continue',
+      value: { title: 'Create Jira ticket', width: 'medium', height: 'large', card: form.attachments[0] },
+    },
+  }
+}
+
+/**
+ * Build the task module response that closes it with a message
+ * @param {string} message - Message shown to the user
+ * @returns {object} Invoke response body
+ */
+function taskMessage(message) {
+  return { task: { type: 'message', value: message } }
+}
+
+/**
+ * Account Mapping
+ */
+
+/**
+ * Show which Jira account the current Teams user is mapped to
+ * @param {object} bot - Bot instance with jiraService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function showWhoAmI(bot, context) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const teamsUser = await bot.identityService.getTeamsUser(context)
+    const mapping = await bot.identityService.resolve(context)
+
+    if (!mapping) {
+      await context.sendActivity(
+        `👤 **Teams:** ${teamsUser.name || teamsUser.id}${teamsUser.email ? ` (${teamsUser.email})` : ''}
+
+No matching Jira account found.
+
+Type \`jira link me <your Jira email>\` to link it manually.`
+      )
+      return
+    }
+
+    const sources = {
+      oauth: 'connected via Atlassian login',
+      linked: 'linked manually',
+      auto: 'matched by email',
+    }
+    const connected = bot.oauthService?.isConnected(getUserKey(context))
+      ? 'Acting as you (Atlassian login)'
+      : 'Acting as the bot service account'
+    await context.sendActivity(
+      `👤 **Teams:** ${teamsUser.name || teamsUser.id}${teamsUser.email ? ` (${teamsUser.email})` : ''}
+
+• **Jira account:** ${mapping.displayName}${mapping.emailAddress ? ` (${mapping.emailAddress})` : ''}
+• **Account ID:** ${mapping.accountId}
+• **Mapping:** ${sources[mapping.source]}
+• **Access:** ${connected}`
+    )
+  } catch (error) {
+    console.error('Error resolving account:', error)
+    await context.sendActivity(`Failed to resolve your Jira account: ${error.message}`)
+  }
+}
+
+/**
+ * Link the current Teams user to a Jira account by email
+ * @param {object} bot - Bot instance with jiraService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} email - Email address of the Jira account
+ * @returns {Promise<void>}
+ */
+async function linkAccount(bot, context, email) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  if (!email || !email.includes('@')) {
+    await context.sendActivity('Please provide your Jira email address.\n\n**Usage:** `jira link me <email>`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const { mapping, error } = await bot.identityService.link(context, email)
+    const loginHint = bot.oauthService ? ' type `jira login` instead.' : ' ask an admin to set up Atlassian login.'
+
+    if (error === 'unverified') {
+      await context.sendActivity(`"${email}" isn't an address of your Teams account, so I can't link it. To use a different Jira account,${loginHint}`)
+      return
+    }
+
+    if (error === 'not_found') {
+      await context.sendActivity(`No Jira account found for "${email}".\n\nIf your Jira profile hides your email,${loginHint}`)
+      return
+    }
+
+    await context.sendActivity(
+      `✅ Linked to Jira account **${mapping.displayName}**.\n\n\`jira my tickets\` will now show tickets assigned to this account.` +
+      (bot.oauthService ? ' Approvals, agent actions and notifications still need `jira login`.' : '')
+    )
+  } catch (error) {
+    console.error('Error linking account:', error)
+    await context.sendActivity(`Failed to link account: ${error.message}`)
+  }
+}
+
+/**
+ * Start the Atlassian OAuth login flow, in personal chats only
+ * @param {object} bot - Bot instance with oauthService
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function startLogin(bot, context) {
+  if (!bot.oauthService) {
+    await context.sendActivity('Atlassian login is not configured. The bot is using the shared service account.')
+    return
+  }
+
+  // The link signs in whoever opens it as the requester, so it must not be posted where others can click it
+  const type = context.activity.conversation?.conversationType
+  if (type === 'channel' || type === 'groupChat') {
+    await context.sendActivity('Type `jira login` in a personal chat with me — the sign-in link is only for you.')
+    return
+  }
+
+  const url = bot.oauthService.createAuthorizationUrl(getUserKey(context))
+
+  await context.sendActivity(
+    `🔐 **Connect your Atlassian account**\n\n[Sign in with Atlassian](${url})\n\n_The link expires in 10 minutes. Tickets, comments and requests will then be created as you._`
+  )
+}
+
+/**
+ * Disconnect the user's Atlassian account
+ * @param {object} bot - Bot instance with oauthService
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function logout(bot, context) {
+  if (!bot.oauthService) {
+    await context.sendActivity('Atlassian login is not configured.')
+    return
+  }
+
+  const disconnected = bot.oauthService.disconnect(getUserKey(context))
+
+  await context.sendActivity(
+    disconnected
+      ? '👋 Your Atlassian account has been disconnected. The bot will use the shared service account.'
+      : 'You are not connected. Type `jira login` to connect your Atlassian account.'
+  )
+}
@@ -0,0 +1,261 @@
+/**
+ * Saved Search Handlers
+ * Named `jira search` filters kept per user or shared with the channel/team,
+ * and Jira's own saved filters
+ */
+import { listSearches, findSearch, saveSearch, removeSearch } from '../../state/searches.mjs'
+import { sendTyping, getUserKey, getChannelInfo } from '../../utils/index.mjs'
+import { parseSearchQuery, FILTER_HELP } from './filters.mjs'
+
+const SHARE_FLAGS = {
+  '--channel': 'channel',
+  '--shared': 'channel',
+  '--team': 'team',
+}
+
+const SCOPE_LABELS = {
+  user: 'Your saved searches',
+  channel: 'Shared in this channel',
+  team: 'Shared with the team',
+}
+
+/**
+ * Save a search under a name, for the user or shared with the channel/team
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Name, filter and optionally --channel or --team
+ * @returns {Promise<void>}
+ */
+export async function saveNamedSearch(bot, context, args) {
+  const words = args.trim().split(/\s+/).filter(Boolean)
+  const flags = words.filter(w => SHARE_FLAGS[w.toLowerCase()])
+  const [name = '', ...rest] = words.filter(w => !SHARE_FLAGS[w.toLowerCase()])
+  const filter = rest.join(' ')
+
+  if (!name || !filter) {
+    await context.sendActivity(
+      'Please provide a name and a search.\n\n**Usage:** `jira save search <name> <search> [--channel|--team]`\n\n' +
+      '_Example:_ `jira save search my-bugs type:bug assignee:me status:open`'
+    )
+    return
+  }
+
+  if (!/^[\w-]{1,40}$/.test(name)) {
+    await context.sendActivity('Search names can only contain letters, digits, `-` and `_` (up to 40 characters).')
+    return
+  }
+
+  const parsed = parseSearchQuery(filter)
+  if (parsed.error) {
+    await context.sendActivity(parsed.error)
+    return
+  }
+
+  const type = flags.length > 0 ? SHARE_FLAGS[flags[0].toLowerCase()] : 'user'
+  const scope = getScope(context, type)
+
+  if (!scope) {
+    await context.sendActivity(
+      type === 'team'
+        ? 'Searches can only be shared with a team from one of its channels.'
+        : 'Searches can only be shared in a channel or group chat.'
+    )
+    return
+  }
+
+  const result = saveSearch(scope, {
+    name,
+    filter,
+    createdBy: getUserKey(context),
+    createdByName: context.activity.from?.name || null,
+  })
+
+  if (!result) {
+    await context.sendActivity('There are too many saved searches here. Delete one with `jira delete search <name>` first.')
+    return
+  }
+
+  const where = type === 'user' ? '' : type === 'team' ? ' for the whole team' : ' in this channel'
+  await context.sendActivity(
+    `🔖 ${result.replaced ? 'Updated' : 'Saved'} search **${name}**${where}: \`${filter}\`\n\nType \`jira run ${name}\` to run it.`
+  )
+}
+
+/**
+ * Run a saved search by name; personal searches win over shared ones
+ * @param {object} bot - Bot instance with jiraHandlers
+ * @param {object} context - Turn context from bot framework
+ * @param {string} name - Search name
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function runNamedSearch(bot, context, name, conversationId) {
+  if (!name) {
+    await context.sendActivity('Please provide the name of a saved search.\n\n**Usage:** `jira run <name>`\n\nType `jira searches` to see your saved searches.')
+    return
+  }
+
+  const found = getVisibleScopes(context)
+    .map(scope => findSearch(scope, name))
+    .find(Boolean)
+
+  if (!found) {
+    await context.sendActivity(`There is no saved search named **${name}**. Type \`jira searches\` to see your saved searches.`)
+    return
+  }
+
+  await bot.jiraHandlers.searchTickets(context, found.filter, conversationId, `🔖 ${found.name}`)
+}
+
+/**
+ * List the user's saved searches and those shared in the channel/team
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+export async function showNamedSearches(bot, context) {
+  const sections = getVisibleScopes(context)
+    .map(scope => ({ scope, searches: listSearches(scope) }))
+    .filter(({ searches }) => searches.length > 0)
+
+  if (sections.length === 0) {
+    await context.sendActivity(
+      'You have no saved searches yet.\n\n**Usage:** `jira save search <name> <search> [--channel|--team]`\n\n' +
+      `**Filters:** ${FILTER_HELP}`
+    )
+    return
+  }
+
+  let message = ''
+  for (const { scope, searches } of sections) {
+    message += `**${SCOPE_LABELS[scope.type]}:**\n\n`
+    for (const search of searches) {
+      const by = scope.type !== 'user' && search.createdByName ? ` _(by ${search.createdByName})_` : ''
+      message += `• **${search.name}** — \`${search.filter}\`${by}\n`
+    }
+    message += '\n'
+  }
+  message += '_Type `jira run <name>` to run one._'
+
+  await context.sendActivity(message)
+}
+
+/**
+ * Delete a saved search; shared searches can only be deleted by whoever saved them
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @param {string} name - Search name
+ * @returns {Promise<void>}
+ */
+export async function deleteNamedSearch(bot, context, name) {
+  if (!name) {
+    await context.sendActivity('Please provide the name of a saved search.\n\n**Usage:** `jira delete search <name>`')
+    return
+  }
+
+  const userKey = getUserKey(context)
+
+  for (const scope of getVisibleScopes(context)) {
+    const search = findSearch(scope, name)
+    if (!search) continue
+
+    if (scope.type !== 'user' && search.createdBy !== userKey) {
+      await context.sendActivity(`**${search.name}** was shared by ${search.createdByName || 'someone else'}, so only they can delete it.`)
+      return
+    }
+
+    removeSearch(scope, search.name)
+    await context.sendActivity(`🗑️ Deleted saved search **${search.name}**.`)
+    return
+  }
+
+  await context.sendActivity(`There is no saved search named **${name}**.`)
+}
+
+/**
+ * Run a saved Jira filter by ID or name
+ * @param {object} bot - Bot instance with jiraService and pagerHandlers
+ * @param {object} context - Turn context from bot framework
+ * @param {string} idOrName - Filter ID or (part of) its name
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function runJiraFilter(bot, context, idOrName, conversationId) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  if (!idOrName) {
+    await context.sendActivity('Please provide a Jira filter ID or name.\n\n**Usage:** `jira filter <id|name>`')
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    let filter
+
+    if (/^\d+$/.test(idOrName)) {
+      try {
+        filter = await jira.getFilter(idOrName)
+      } catch (error) {
+        if (error.status !== 404 && error.status !== 400) throw error
+        await context.sendActivity(`There is no Jira filter **${idOrName}** that you can see.`)
+        return
+      }
+    } else {
+      const filters = await jira.findFilters(idOrName)
+      const lowerName = idOrName.toLowerCase()
+      const exact = filters.filter(f => f.name.toLowerCase() === lowerName)
+      filter = exact.length === 1 ? exact[0] : filters.length === 1 ? filters[0] : null
+
+      if (!filter) {
+        await context.sendActivity(
+          filters.length === 0
+            ? `No Jira filter matches "${idOrName}".`
+            : `Several Jira filters match "${idOrName}":\n\n${filters.map(f => `• **${f.name}** — \`jira filter ${f.id}\``).join('\n')}`
+        )
+        return
+      }
+    }
+
+    await bot.pagerHandlers.startListing(context, conversationId, {
+      source: 'jira_issues',
+      title: `Filter: ${filter.name}`,
+      params: { jql: filter.jql },
+      emptyMessage: `📭 No tickets match the filter **${filter.name}**.`,
+    })
+  } catch (error) {
+    console.error('Error running Jira filter:', error)
+    await context.sendActivity(`Failed to run filter: ${error.message}`)
+  }
+}
+
+/**
+ * Get the scope searches are saved in
+ * @param {object} context - Turn context from bot framework
+ * @param {'user'|'channel'|'team'} type - Scope type
+ * @returns {{type: string, id: string}|null} Scope, or null when the conversation has no such scope
+ */
+function getScope(context, type) {
+  if (type === 'user') {
+    return { type, id: getUserKey(context) }
+  }
+
+  const { channelId, teamId } = getChannelInfo(context)
+  const id = type === 'team' ? teamId : channelId
+  return id ? { type, id } : null
+}
+
+/**
+ * Get the scopes whose searches the user can run here, most specific first
+ * @param {object} context - Turn context from bot framework
+ * @returns {Array<{type: string, id: string}>}
+ */
+function getVisibleScopes(context) {
+  return ['user', 'channel', 'team']
+    .map(type => getScope(context, type))
+    .filter(Boolean)
+}
@@ -0,0 +1,366 @@
+/**
+ * Channel Subscription Handlers
+ * `jira subscribe <JQL or project>` posts matching Jira events into a team channel.
+ * Events are collected for a short window and posted as one message per channel,
+ * so a bulk edit becomes a single summary instead of a flood of posts
+ */
+import { config } from '../../config/env.mjs'
+import {
+  listSubscriptions,
+  listSubscribedChannels,
+  addSubscription,
+  removeSubscription,
+} from '../../state/subscriptions.mjs'
+import { sendTyping, getUserKey, getChannelInfo, jql } from '../../utils/index.mjs'
+import { withSpan, jiraMetrics, log } from '../../telemetry/index.mjs'
+import { describeChanges, formatChange, getCommentText } from '../notifications/events.mjs'
+
+// Events are collected this long before they are posted; a channel gets at most one post per window
+const BATCH_WINDOW_MS = 30 * 1000
+
+// Tickets listed in one post, and changes listed per ticket
+const MAX_ISSUES_PER_POST = 10
+const MAX_CHANGES_PER_ISSUE = 3
+
+// Issue keys checked against a JQL subscription per search
+const KEYS_PER_SEARCH = 100
+
+// Comment text shown in a post
+const MAX_COMMENT_LENGTH = 150
+
+// A bare project key such as PROJ subscribes to the whole project
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/i
+
+// Events waiting for the next post; kept in memory only, so a restart drops at most one window
+const pendingEvents = []
+let flushTimer = null
+
+/**
+ * Subscribe the current channel to Jira events matching a JQL query or project
+ * The subscriber's Jira account is stored with it; only tickets that account can
+ * see are posted
+ * @param {object} bot - Bot instance with jiraService and identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} filter - JQL query or project key
+ * @returns {Promise<void>}
+ */
+export async function subscribeChannel(bot, context, filter) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  if (!filter) {
+    await context.sendActivity(
+      'Please provide a project key or a JQL query.\n\n**Usage:** `jira subscribe <project|JQL>`\n\n' +
+      '_Examples:_ `jira subscribe PROJ` or `jira subscribe project = PROJ AND priority = Highest`'
+    )
+    return
+  }
+
+  if (context.activity.conversation?.conversationType !== 'channel') {
+    await context.sendActivity('Subscriptions can only be set up in a team channel.')
+    return
+  }
+
+  if (!config.jira.webhookSecret) {
+    await context.sendActivity("Jira events aren't set up for this bot, so a subscription would stay silent. Ask an admin to configure the Jira webhook.")
+    return
+  }
+
+  const project = PROJECT_KEY_PATTERN.test(filter) ? filter.toUpperCase() : null
+  // Ordering means nothing for a subscription, and it would break the key check added when matching
+  const query = project
+    ? jql().where('project', '=', project).build()
+    : filter.replace(/\s+ORDER\s+BY\s+.*$/is, '').trim()
+
+  try {
+    await sendTyping(context)
+
+    // A manual link is only the user's word, so it can't decide what a channel gets to see
+    const accountId = bot.identityService ? await bot.identityService.resolveTrustedAccountId(context) : null
+    if (!accountId) {
+      await context.sendActivity(
+        `I couldn't verify which Jira user you are, so I can't tell which tickets you may share here.\n\n` +
+        `Type \`jira login\` in a personal chat with me to sign in with Atlassian.`
+      )
+      return
+    }
+
+    // The query has to work for the subscriber, and for the service account that matches events later
+    const jira = await bot.getJiraService(context)
+    for (const service of new Set([jira, bot.jiraService])) {
+      try {
+        await service.searchIssues(query, 1, { fields: ['key'] })
+      } catch (error) {
+        if (error.status !== 400) throw error
+        await context.sendActivity(`Jira doesn't accept this ${project ? 'project' : 'query'}: ${error.message}`)
+        return
+      }
+    }
+
+    const { channelId } = getChannelInfo(context)
+    const reference = context.activity.getConversationReference()
+
+    // Post new top-level messages in the channel rather than replies in this thread
+    const saved = addSubscription(channelId, { ...reference, conversation: { ...reference.conversation, id: channelId } }, {
+      filter,
+      jql: query,
+      project,
+      createdBy: getUserKey(context),
+      createdByName: context.activity.from?.name || null,
+      createdByAccountId: accountId,
+    })
+
+    if (!saved) {
+      await context.sendActivity('This channel has too many subscriptions. Remove one with `jira unsubscribe <id>` first.')
+      return
+    }
+
+    await context.sendActivity(
+      `📡 Subscribed this channel to ${describeSubscription(saved)} _(#${saved.id})_. Matching ticket updates will be posted here.\n\n` +
+      `Type \`jira unsubscribe ${saved.id}\` to stop.`
+    )
+  } catch (error) {
+    console.error('Error subscribing channel:', error)
+    await context.sendActivity(`Failed to subscribe: ${error.message}`)
+  }
+}
+
+/**
+ * List the subscriptions of the current channel
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+export async function showSubscriptions(bot, context) {
+  const { channelId } = getChannelInfo(context)
+  const subscriptions = channelId ? listSubscriptions(channelId) : []
+
+  if (subscriptions.length === 0) {
+    await context.sendActivity('This channel has no Jira subscriptions.\n\n**Usage:** `jira subscribe <project|JQL>`')
+    return
+  }
+
+  let message = `**Jira subscriptions of this channel (${subscriptions.length}):**\n\n`
+
+  for (const subscription of subscriptions) {
+    const by = subscription.createdByName ? ` _(by ${subscription.createdByName})_` : ''
+    message += `• **#${subscription.id}** — ${describeSubscription(subscription)}${by}\n`
+  }
+
+  message += '\n_Type `jira unsubscribe <id>` to remove one._'
+
+  await context.sendActivity(message)
+}
+
+/**
+ * Remove a subscription of the current channel
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @param {string} id - Subscription ID, optionally with a leading #
+ * @returns {Promise<void>}
+ */
+export async function unsubscribeChannel(bot, context, id) {
+  if (!/^#?\d+$/.test(id)) {
+    await context.sendActivity('Please provide the ID of a subscription.\n\n**Usage:** `jira unsubscribe <id>`\n\nType `jira subscriptions` to see them.')
+    return
+  }
+
+  const number = parseInt(id.replace(/^#/, ''), 10)
+  const { channelId } = getChannelInfo(context)
+  const removed = channelId ? removeSubscription(channelId, number) : null
+
+  if (!removed) {
+    await context.sendActivity(`This channel has no subscription #${number}. Type \`jira subscriptions\` to see them.`)
+    return
+  }
+
+  await context.sendActivity(`🗑️ Removed subscription #${removed.id} to ${describeSubscription(removed)}.`)
+}
+
+/**
+ * Queue a Jira webhook event for the channels subscribed to it
+ * The first event starts a window; everything received in it is posted together
+ * @param {object} bot - Bot instance with jiraService and sendToConversation
+ * @param {object} event - Jira webhook payload
+ */
+export function queueSubscriptionEvent(bot, event) {
+  if (!event.issue || describeChanges(event).length === 0) return
+  if (listSubscribedChannels().length === 0) return
+
+  pendingEvents.push(event)
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null
+      postSubscriptionUpdates(bot, pendingEvents.splice(0)).catch(error => {
+        console.error('Error posting subscription updates:', error)
+      })
+    }, BATCH_WINDOW_MS)
+    flushTimer.unref?.()
+  }
+}
+
+/**
+ * Post a batch of events to every channel with a matching subscription
+ * @param {object} bot - Bot instance with jiraService and sendToConversation
+ * @param {object[]} events - Jira webhook payloads
+ * @returns {Promise<number>} Number of channels posted to
+ */
+async function postSubscriptionUpdates(bot, events) {
+  return withSpan('jira.postSubscriptionUpdates', async (span) => {
+    const keys = [...new Set(events.map(event => event.issue.key))]
+    const matchesByJql = new Map()
+    const browsable = new Map()
+    let posted = 0
+
+    span.setAttributes({ 'jira.events_count': events.length, 'jira.issues_count': keys.length })
+
+    for (const { channelId, reference, subscriptions } of listSubscribedChannels()) {
+      const matched = new Set()
+
+      for (const subscription of subscriptions) {
+        const matching = await findMatchingKeys(bot, subscription, events, keys, matchesByJql)
+        for (const key of matching) {
+          if (await canSubscriberSee(bot, subscription, key, browsable)) matched.add(key)
+        }
+      }
+
+      const channelEvents = events.filter(event => matched.has(event.issue.key))
+      if (channelEvents.length === 0) continue
+
+      try {
+        await bot.sendToConversation(reference, formatUpdates(bot, channelEvents))
+        jiraMetrics.subscriptionPostsSent.add(1)
+        posted++
+      } catch (error) {
+        console.warn(`Could not post Jira updates to channel ${channelId}:`, error.message)
+      }
+    }
+
+    span.setAttribute('jira.channels_posted', posted)
+    log(`Jira subscriptions: ${events.length} events posted to ${posted} channels`, 'INFO', { events: events.length, channels: posted })
+    return posted
+  })
+}
+
+/**
+ * Get the keys of the issues in a batch that match a subscription
+ * Project subscriptions are matched from the payload; JQL subscriptions ask Jira,
+ * once per distinct query and batch
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} subscription - Stored subscription
+ * @param {object[]} events - Jira webhook payloads
+ * @param {string[]} keys - Distinct issue keys of the events
+ * @param {Map<string, Promise<Set<string>>>} matchesByJql - Results of queries already run for this batch
+ * @returns {Promise<Set<string>>}
+ */
+async function findMatchingKeys(bot, subscription, events, keys, matchesByJql) {
+  if (subscription.project) {
+    return new Set(events
+      .filter(event => (event.issue.fields?.project?.key || event.issue.key.split('-')[0]) === subscription.project)
+      .map(event => event.issue.key))
+  }
+
+  if (!matchesByJql.has(subscription.jql)) {
+    matchesByJql.set(subscription.jql, searchMatchingKeys(bot, subscription.jql, keys))
+  }
+  return matchesByJql.get(subscription.jql)
+}
+
+/**
+ * Check whether the account that set up a subscription may see an issue
+ * The service account matches events, so without this check a channel would be
+ * told about tickets its subscriber can't open
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} subscription - Stored subscription
+ * @param {string} issueKey - Issue key
+ * @param {Map<string, Promise<boolean>>} browsable - Checks already made for this batch
+ * @returns {Promise<boolean>}
+ */
+async function canSubscriberSee(bot, subscription, issueKey, browsable) {
+  const accountId = subscription.createdByAccountId
+  if (!accountId) return false
+
+  const cacheKey = `${accountId} ${issueKey}`
+  if (!browsable.has(cacheKey)) {
+    browsable.set(cacheKey, bot.jiraService.canBrowseIssue(issueKey, accountId).catch(error => {
+      console.warn(`Could not check access to ${issueKey} for subscription #${subscription.id}:`, error.message)
+      return false
+    }))
+  }
+  return browsable.get(cacheKey)
+}
+
+/**
+ * Ask Jira which of the given issues match a JQL query
+ * A query Jira rejects (e.g. a field was removed) matches nothing
+ * @param {object} bot - Bot instance with jiraService
+ * @param {string} query - Subscription JQL
+ * @param {string[]} keys - Issue keys
+ * @returns {Promise<Set<string>>}
+ */
+async function searchMatchingKeys(bot, query, keys) {
+  const matching = new Set()
+
+  for (let i = 0; i < keys.length; i += KEYS_PER_SEARCH) {
+    const chunk = keys.slice(i, i + KEYS_PER_SEARCH)
+    const scoped = `(${query}) AND ${jql().where('key', 'in', chunk).build()}`
+
+    try {
+      const result = await bot.jiraService.searchIssues(scoped, chunk.length, { fields: ['key'] })
+      result.issues.forEach(issue => matching.add(issue.key))
+    } catch (error) {
+      console.warn(`Could not match subscription "${query}":`, error.message)
+    }
+  }
+
+  return matching
+}
+
+/**
+ * Format a batch of events as one channel post, grouped by ticket
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object[]} events - Jira webhook payloads, oldest first
+ * @returns {string} Markdown message
+ */
+function formatUpdates(bot, events) {
+  const byIssue = new Map()
+
+  for (const event of events) {
+    const entry = byIssue.get(event.issue.key) || { lines: [] }
+    entry.issue = event.issue
+
+    for (const change of describeChanges(event)) {
+      entry.lines.push(change.type === 'commented'
+        ? `${formatChange(event, change)}: “${getCommentText(change.comment, MAX_COMMENT_LENGTH)}”`
+        : formatChange(event, change))
+    }
+    byIssue.set(event.issue.key, entry)
+  }
+
+  const entries = [...byIssue.values()]
+  const lines = entries.slice(0, MAX_ISSUES_PER_POST).map(({ issue, lines: changes }) => {
+    const link = `[${issue.key}](${bot.jiraService.getBrowseUrl(issue.key)})`
+    const shown = changes.slice(0, MAX_CHANGES_PER_ISSUE).join('; ')
+    const more = changes.length > MAX_CHANGES_PER_ISSUE ? ` _(+${changes.length - MAX_CHANGES_PER_ISSUE} more)_` : ''
+    return `• ${link} **${issue.fields?.summary || 'Untitled'}** — ${shown}${more}`
+  })
+
+  if (entries.length > MAX_ISSUES_PER_POST) {
+    lines.push(`_…and ${entries.length - MAX_ISSUES_PER_POST} more tickets_`)
+  }
+
+  const header = entries.length === 1 ? '📡 **Jira update**' : `📡 **Jira updates** (${entries.length} tickets)`
+  return [header, ...lines].join('\n\n')
+}
+
+/**
+ * Describe what a subscription follows, e.g. "project **PROJ**" or "`status = Open`"
+ * @param {object} subscription - Stored subscription
+ * @returns {string}
+ */
+function describeSubscription(subscription) {
+  return subscription.project ? `project **${subscription.project}**` : `\`${subscription.jql}\``
+}
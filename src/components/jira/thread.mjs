@@ -0,0 +1,115 @@
+/**
+ * Ticket From Thread
+ * `jira from thread [n]` files the last messages of a group chat or channel
+ * thread as a ticket; the messages become a structured part of the description
+ */
+import { getRecentMessages, MAX_TRANSCRIPT_MESSAGES } from '../../state/transcripts.mjs'
+
+const DEFAULT_MESSAGE_COUNT = 10
+
+/**
+ * Start the ticket creation wizard with the latest messages of the conversation
+ * @param {object} bot - Bot instance with jiraHandlers
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Number of messages, optional
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function startTicketFromThread(bot, context, args, conversationId) {
+  const type = context.activity.conversation?.conversationType
+
+  if (type !== 'channel' && type !== 'groupChat') {
+    await context.sendActivity('`jira from thread` works in group chats and channels, where I can follow the discussion.')
+    return
+  }
+
+  const count = args ? parseInt(args, 10) : DEFAULT_MESSAGE_COUNT
+
+  if (!/^\d*$/.test(args) || count < 1 || count > MAX_TRANSCRIPT_MESSAGES) {
+    await context.sendActivity(
+      `Please give a number of messages between 1 and ${MAX_TRANSCRIPT_MESSAGES}.\n\n**Usage:** \`jira from thread [n]\` (default ${DEFAULT_MESSAGE_COUNT})`
+    )
+    return
+  }
+
+  const transcript = getRecentMessages(conversationId, count)
+
+  if (transcript.length === 0) {
+    await context.sendActivity(
+      "I haven't seen any messages here yet. I can only collect messages sent after I was added, " +
+      'and only when the app is allowed to read the messages of this chat or channel.'
+    )
+    return
+  }
+
+  await bot.jiraHandlers.startTicketCreation(context, conversationId, { transcript })
+}
+
+/**
+ * Describe a transcript for prompts, e.g. "the last 8 messages of this conversation"
+ * @param {object[]} transcript - Messages {author, text, timestamp}
+ * @returns {string}
+ */
+export function describeTranscript(transcript) {
+  return transcript.length === 1
+    ? 'the last message of this conversation'
+    : `the last ${transcript.length} messages of this conversation`
+}
+
+/**
+ * Build an ADF description from the user's description and a conversation transcript
+ * Each message is shown as its author and time followed by the quoted text
+ * @param {string} [description] - Description typed by the user
+ * @param {object[]} transcript - Messages {author, text, timestamp}
+ * @returns {object} ADF document
+ */
+export function buildThreadDescription(description, transcript) {
+  const content = description
+    ? description.split(/\n\s*\n/).filter(p => p.trim()).map(paragraph)
+    : []
+
+  content.push({
+    type: 'heading',
+    attrs: { level: 3 },
+    content: [{ type: 'text', text: `Teams conversation (${transcript.length} ${transcript.length === 1 ? 'message' : 'messages'})` }],
+  })
+
+  for (const message of transcript) {
+    content.push(
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: message.author, marks: [{ type: 'strong' }] },
+          { type: 'text', text: ` · ${formatTimestamp(message.timestamp)}`, marks: [{ type: 'em' }] },
+        ],
+      },
+      { type: 'blockquote', content: [paragraph(message.text)] }
+    )
+  }
+
+  return { type: 'doc', version: 1, content }
+}
+
+/**
+ * Build an ADF paragraph, with line breaks kept as hard breaks
+ * @param {string} text - Plain text
+ * @returns {object} ADF paragraph
+ */
+function paragraph(text) {
+  return {
+    type: 'paragraph',
+    content: text.split('\n').flatMap((line, i) => [
+      ...(i > 0 ? [{ type: 'hardBreak' }] : []),
+      ...(line ? [{ type: 'text', text: line }] : []),
+    ]),
+  }
+}
+
+/**
+ * Format a message time, e.g. "2024-03-01 14:05 UTC"
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+  return `${new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+}
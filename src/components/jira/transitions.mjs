@@ -0,0 +1,288 @@
+/**
+ * Jira Transition Handlers
+ * Moves tickets to another status, asking for the fields a transition screen requires
+ */
+import { setState, deleteState } from '../../state/conversation.mjs'
+import { sendTyping, isIssueKey } from '../../utils/index.mjs'
+import { prepareCreateFields, parseFieldInput, getFieldHint } from './fields.mjs'
+
+/**
+ * Move a ticket to the status named by the user
+ * Lists the available transitions as a numbered choice when the name is
+ * missing, unknown or matches more than one transition
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - Ticket key followed by the target status
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function moveTicket(bot, context, args, conversationId) {
+  if (!bot.jiraService) {
+    await context.sendActivity('Jira service is not configured.')
+    return
+  }
+
+  const [issueKey = '', ...rest] = args.trim().split(/\s+/)
+  const query = rest.join(' ')
+
+  if (!isIssueKey(issueKey)) {
+    await context.sendActivity('Please provide a ticket key and status.\n\n**Usage:** `jira move <TICKET-123> <status>`')
+    return
+  }
+
+  const key = issueKey.toUpperCase()
+
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    const [issue, transitions] = await Promise.all([
+      jira.getIssue(key),
+      jira.getTransitions(key),
+    ])
+    const currentStatus = issue.fields.status.name
+
+    if (query && normalize(currentStatus) === normalize(query)) {
+      await context.sendActivity(`**${key}** is already in **${currentStatus}**.`)
+      return
+    }
+
+    if (transitions.length === 0) {
+      await context.sendActivity(`**${key}** (${currentStatus}) can't be moved — no transitions are available to you.`)
+      return
+    }
+
+    const matches = query ? matchTransitions(transitions, query) : []
+
+    if (matches.length === 1) {
+      await startTransition(bot, context, key, matches[0], conversationId)
+      return
+    }
+
+    const choices = matches.length > 1 ? matches : transitions
+    const reason = !query
+      ? `Where should **${key}** go?`
+      : matches.length > 1
+        ? `"${query}" matches more than one transition for **${key}**.`
+        : `**${key}** can't be moved to "${query}".`
+
+    setState(conversationId, {
+      awaitingTransition: true,
+      step: 'select',
+      issueKey: key,
+      transitions: choices.map(toStoredTransition),
+    })
+
+    await context.sendActivity(
+      `${reason} It is currently in **${currentStatus}**.\n\n${formatTransitionList(choices)}\n\n_(Type the number, or \`cancel\` to abort)_`
+    )
+  } catch (error) {
+    console.error('Error loading transitions:', error)
+    await context.sendActivity(`Failed to move ticket: ${error.message}`)
+  }
+}
+
+/**
+ * Handle user input while a transition is in progress
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} text - User input text
+ * @param {object} state - Current conversation state
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+export async function handleTransitionFlow(bot, context, text, state, conversationId) {
+  if (text.toLowerCase() === 'cancel') {
+    deleteState(conversationId)
+    await context.sendActivity(`Moving **${state.issueKey}** cancelled.`)
+    return
+  }
+
+  if (state.step === 'select') {
+    const index = parseInt(text, 10) - 1
+    const transition = /^\d+$/.test(text.trim()) ? state.transitions[index] : null
+
+    if (!transition) {
+      await context.sendActivity(`Please enter a number between 1 and ${state.transitions.length}, or \`cancel\`.`)
+      return
+    }
+
+    await startTransition(bot, context, state.issueKey, transition, conversationId)
+    return
+  }
+
+  const field = state.fields[state.fieldIndex]
+  let result
+
+  try {
+    const jira = await bot.getJiraService(context)
+    result = await parseFieldInput(field, text, jira)
+  } catch (error) {
+    console.error('Error checking field value:', error)
+    await context.sendActivity(`Failed to check the value for ${field.name}: ${error.message}`)
+    return
+  }
+
+  if (result.error) {
+    await context.sendActivity(result.error)
+    return
+  }
+
+  state.values[field.fieldId] = result.value
+  state.fieldIndex++
+
+  if (state.fieldIndex < state.fields.length) {
+    setState(conversationId, state)
+    await promptTransitionField(bot, context, state)
+    return
+  }
+
+  deleteState(conversationId)
+  await performTransition(bot, context, state.issueKey, state.transition, state.values)
+}
+
+/**
+ * Perform a transition right away, or first ask for the fields its screen requires
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} issueKey - Issue key
+ * @param {object} transition - Transition from getTransitions or the stored state
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function startTransition(bot, context, issueKey, transition, conversationId) {
+  const screenFields = Object.entries(transition.fields || {})
+    .map(([fieldId, field]) => ({ ...field, fieldId: field.fieldId || fieldId }))
+  const { fields, unsupported } = prepareCreateFields(screenFields, bot.jiraService)
+  const required = fields.filter(f => f.required)
+
+  if (unsupported.length > 0) {
+    deleteState(conversationId)
+    await context.sendActivity(
+      `Moving **${issueKey}** to **${transition.to.name}** needs fields that can't be entered here (${unsupported.join(', ')}).\n\n` +
+      `Please do it in Jira: ${bot.jiraService.getBrowseUrl(issueKey)}`
+    )
+    return
+  }
+
+  if (required.length === 0) {
+    deleteState(conversationId)
+    await performTransition(bot, context, issueKey, transition, {})
+    return
+  }
+
+  const state = {
+    awaitingTransition: true,
+    step: 'field',
+    issueKey,
+    transition: toStoredTransition(transition),
+    fields: required,
+    fieldIndex: 0,
+    values: {},
+  }
+  setState(conversationId, state)
+
+  await context.sendActivity(`Moving **${issueKey}** to **${transition.to.name}** needs a few details.`)
+  await promptTransitionField(bot, context, state)
+}
+
+/**
+ * Ask for the current transition screen field
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} state - Current conversation state
+ * @returns {Promise<void>}
+ */
+async function promptTransitionField(bot, context, state) {
+  const field = state.fields[state.fieldIndex]
+  const hint = getFieldHint(field, bot.jiraService.getFieldType(field))
+
+  await context.sendActivity(
+    `**${field.name}** — field ${state.fieldIndex + 1} of ${state.fields.length}${hint ? `\n\n${hint}` : ''}\n\n_(Type \`cancel\` to abort)_`
+  )
+}
+
+/**
+ * Run a transition and report the status the ticket ended up in
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} issueKey - Issue key
+ * @param {object} transition - Transition to run
+ * @param {object} fields - Transition screen fields, already formatted for the API
+ * @returns {Promise<void>}
+ */
+async function performTransition(bot, context, issueKey, transition, fields) {
+  try {
+    await sendTyping(context)
+
+    const jira = await bot.getJiraService(context)
+    await jira.transitionIssue(issueKey, transition.id, fields)
+
+    // Workflow post functions can move the ticket further, so read the status back
+    const issue = await jira.getIssue(issueKey)
+    const browseUrl = bot.jiraService.getBrowseUrl(issueKey)
+
+    await context.sendActivity(
+      `✅ **[${issueKey}](${browseUrl})** is now **${issue.fields.status.name}**.`
+    )
+  } catch (error) {
+    console.error('Error transitioning ticket:', error)
+    const details = error.fieldErrors?.length > 0 ? error.fieldErrors.join(', ') : error.message
+    await context.sendActivity(`Failed to move ${issueKey}: ${details}`)
+  }
+}
+
+// ============================================
+// Helper Functions
+// ============================================
+
+/**
+ * Find the transitions whose name or target status matches the user's words
+ * Exact matches win; otherwise any transition containing the words (or contained in them) matches
+ * @param {object[]} transitions - Available transitions
+ * @param {string} query - Status or transition name as typed
+ * @returns {object[]} Matching transitions
+ */
+function matchTransitions(transitions, query) {
+  const q = normalize(query)
+  const names = t => [normalize(t.to.name), normalize(t.name)]
+
+  const exact = transitions.filter(t => names(t).includes(q))
+  if (exact.length > 0) return exact
+
+  return transitions.filter(t => names(t).some(name => name.includes(q) || q.includes(name)))
+}
+
+/**
+ * Normalize a status or transition name for comparison
+ * @param {string} name - Name as typed or returned by Jira
+ * @returns {string} Lowercase letters and digits only
+ */
+function normalize(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '')
+}
+
+/**
+ * Format transitions as a numbered list
+ * @param {object[]} transitions - Transitions to list
+ * @returns {string} Markdown list
+ */
+function formatTransitionList(transitions) {
+  return transitions
+    .map((t, i) => `${i + 1}. **${t.to.name}**${normalize(t.name) !== normalize(t.to.name) ? ` _(${t.name})_` : ''}`)
+    .join('\n')
+}
+
+/**
+ * Keep the parts of a transition needed to run it later
+ * @param {object} transition - Transition from getTransitions
+ * @returns {object} Transition with id, name, target status and screen fields
+ */
+function toStoredTransition(transition) {
+  return {
+    id: transition.id,
+    name: transition.name,
+    to: { name: transition.to.name },
+    fields: transition.fields || {},
+  }
+}
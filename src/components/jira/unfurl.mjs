@@ -0,0 +1,158 @@
+/**
+ * Issue Previews
+ * Compact issue cards for Jira links pasted in Teams (link unfurling through the
+ * messaging extension) and for issue keys mentioned in chats the bot is part of
+ */
+import { CardFactory } from '@microsoft/agents-hosting'
+import { config } from '../../config/env.mjs'
+import { wasPreviewed, markPreviewed } from '../../state/previews.mjs'
+import { supportsAdaptiveCards, sendInvokeResponse, isIssueKey } from '../../utils/index.mjs'
+import { buildIssuePreviewCard } from './cards.mjs'
+
+// Issues previewed at most for a single message
+const MAX_PREVIEWS_PER_MESSAGE = 3
+
+// Upper-case issue keys on their own, not inside links, paths or longer words
+const ISSUE_KEY_PATTERN = /(?<![\w/.-])[A-Z][A-Z0-9_]+-\d+(?![\w-])/g
+
+/**
+ * Answer a composeExtension/queryLink invoke with a preview of the linked issue
+ * Links to other sites or to issues that can't be loaded or the sender can't see
+ * get an empty result, so Teams shows the plain link
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context of the invoke activity
+ * @returns {Promise<void>}
+ */
+export async function unfurlLink(bot, context) {
+  const issueKey = parseIssueUrl(context.activity.value?.url)
+  const attachments = []
+
+  if (issueKey && bot.jiraService) {
+    try {
+      const jira = await bot.getJiraService(context)
+      const issue = await loadIssueForSender(bot, context, jira, issueKey)
+
+      if (issue) {
+        const [card] = buildIssuePreviewCard(issue, bot.jiraService.getBrowseUrl(issue.key)).attachments
+
+        attachments.push({
+          ...card,
+          preview: CardFactory.thumbnailCard(
+            `${issue.key}: ${issue.fields.summary}`,
+            `${issue.fields.status?.name || 'Unknown'} · ${issue.fields.assignee?.displayName || 'Unassigned'}`
+          ),
+        })
+      }
+    } catch (error) {
+      console.warn(`Could not unfurl ${issueKey}:`, error.message)
+    }
+  }
+
+  await sendInvokeResponse(context, {
+    composeExtension: { type: 'result', attachmentLayout: 'list', attachments },
+  })
+}
+
+/**
+ * Preview the issues whose keys appear in a message
+ * Keys that can't be loaded are skipped silently, since not every KEY-123 is a ticket;
+ * so are issues the sender can't see
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} context - Turn context from bot framework
+ * @param {string} text - Message text
+ * @param {string} conversationId - Unique conversation identifier
+ * @param {object} [options] - Preview options
+ * @param {boolean} [options.onlyNew=false] - Skip issues already previewed in the conversation recently
+ * @returns {Promise<boolean>} Whether any issue was previewed
+ */
+export async function previewIssueKeys(bot, context, text, conversationId, { onlyNew = false } = {}) {
+  if (!bot.jiraService) return false
+
+  const keys = [...new Set(text.match(ISSUE_KEY_PATTERN) || [])]
+    .filter(key => !onlyNew || !wasPreviewed(conversationId, key))
+    .slice(0, MAX_PREVIEWS_PER_MESSAGE)
+
+  if (keys.length === 0) return false
+
+  const jira = await bot.getJiraService(context)
+  const issues = (await Promise.all(keys.map(key =>
+    loadIssueForSender(bot, context, jira, key).catch(error => {
+      console.warn(`Could not preview ${key}:`, error.message)
+      return null
+    })
+  ))).filter(Boolean)
+
+  if (issues.length === 0) return false
+
+  for (const issue of issues) {
+    markPreviewed(conversationId, issue.key)
+  }
+
+  if (supportsAdaptiveCards(context)) {
+    await context.sendActivity({
+      attachmentLayout: 'list',
+      attachments: issues.map(issue =>
+        buildIssuePreviewCard(issue, bot.jiraService.getBrowseUrl(issue.key)).attachments[0]
+      ),
+    })
+    return true
+  }
+
+  await context.sendActivity(issues.map(issue => formatIssuePreview(bot, issue)).join('\n'))
+  return true
+}
+
+/**
+ * Load an issue only if the message sender may see it
+ * A user-scoped service already loads as the sender; with the service account the
+ * sender's verified Jira account must be able to browse the issue
+ * @param {object} bot - Bot instance with identityService
+ * @param {object} context - Turn context from bot framework
+ * @param {object} jira - Jira service from bot.getJiraService
+ * @param {string} issueKey - Issue key
+ * @returns {Promise<object|null>} Issue, or null when the sender can't see it
+ */
+async function loadIssueForSender(bot, context, jira, issueKey) {
+  if (!jira.isUserScoped) {
+    const accountId = bot.identityService ? await bot.identityService.resolveTrustedAccountId(context) : null
+    if (!accountId || !(await jira.canBrowseIssue(issueKey, accountId))) return null
+  }
+
+  return jira.getIssue(issueKey)
+}
+
+/**
+ * Get the issue key of a Jira link on the configured site
+ * Handles /browse/KEY-123 links and board or search links with ?selectedIssue=KEY-123
+ * @param {string} url - Link that was pasted
+ * @returns {string|null} Issue key or null when the link isn't an issue on this site
+ */
+function parseIssueUrl(url) {
+  if (!url || !config.jira.baseUrl) return null
+
+  let link
+  try {
+    link = new URL(url)
+  } catch {
+    return null
+  }
+
+  if (link.host.toLowerCase() !== new URL(config.jira.baseUrl).host.toLowerCase()) return null
+
+  const key = link.pathname.match(/\/browse\/([A-Z][A-Z0-9_]+-\d+)\/?$/i)?.[1] ||
+    link.searchParams.get('selectedIssue')
+
+  return isIssueKey(key) ? key.toUpperCase() : null
+}
+
+/**
+ * Format an issue preview as a markdown line for channels without Adaptive Cards
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} issue - Issue from JiraService.getIssue
+ * @returns {string}
+ */
+function formatIssuePreview(bot, issue) {
+  const { fields } = issue
+  return `🔗 [${issue.key}](${bot.jiraService.getBrowseUrl(issue.key)}): **${fields.summary}** — ` +
+    `${fields.status?.name || 'Unknown'} · ${fields.assignee?.displayName || 'Unassigned'} · ${fields.priority?.name || 'No'} priority`
+}
@@ -0,0 +1,110 @@
+/**
+ * Jira Webhook Events
+ * Turns Jira webhook payloads into the changes they report, shared by personal
+ * notifications and channel subscriptions
+ */
+import { extractTextFromADF, truncate } from '../../utils/index.mjs'
+
+// Changelog fields that change as a side effect and aren't worth a message
+const IGNORED_FIELDS = ['Rank', 'resolution', 'timespent', 'timeestimate', 'WorklogId', 'RemoteIssueLink']
+
+/**
+ * Turn a webhook event into the changes it reports
+ * Comments are taken from comment_created only; the issue_updated event Jira sends
+ * for the same comment is skipped so nothing is reported twice. Internal and
+ * restricted comments are never reported
+ * @param {object} event - Jira webhook payload
+ * @returns {Array<{type: string, item?: object, fields?: string[], comment?: object}>}
+ */
+export function describeChanges(event) {
+  switch (event.webhookEvent) {
+    case 'jira:issue_created':
+      return [{ type: 'created' }]
+
+    case 'comment_created':
+      return event.comment && isPublicComment(event.comment) ? [{ type: 'commented', comment: event.comment }] : []
+
+    case 'jira:issue_updated': {
+      if (event.issue_event_type_name?.startsWith('issue_comment')) return []
+
+      const items = (event.changelog?.items || []).filter(item => !IGNORED_FIELDS.includes(item.field))
+      const changes = []
+      const fields = []
+
+      for (const item of items) {
+        if (item.field === 'status') {
+          changes.push({ type: 'transitioned', item })
+        } else if (item.field === 'assignee') {
+          changes.push({ type: 'assigned', item })
+        } else {
+          fields.push(item.field)
+        }
+      }
+
+      if (fields.length > 0) {
+        changes.push({ type: 'updated', fields: [...new Set(fields)] })
+      }
+      return changes
+    }
+
+    default:
+      return []
+  }
+}
+
+/**
+ * Get the account ID of the user who caused an event
+ * @param {object} event - Jira webhook payload
+ * @returns {string|undefined}
+ */
+export function getActorId(event) {
+  return event.comment?.author?.accountId || event.user?.accountId
+}
+
+/**
+ * Describe a change in one line, e.g. "**Bob** moved it from **To Do** to **Done**"
+ * A comment is only announced here; its text comes from getCommentText
+ * @param {object} event - Jira webhook payload
+ * @param {object} change - Change from describeChanges
+ * @param {string} [accountId] - Jira account of the reader, who is called "you"
+ * @returns {string} Markdown
+ */
+export function formatChange(event, change, accountId = null) {
+  const actor = `**${event.comment?.author?.displayName || event.user?.displayName || 'Someone'}**`
+
+  switch (change.type) {
+    case 'created':
+      return `${actor} created it`
+    case 'commented':
+      return `${actor} commented`
+    case 'transitioned':
+      return `${actor} moved it from **${change.item.fromString || 'None'}** to **${change.item.toString || 'None'}**`
+    case 'assigned':
+      if (!change.item.to) return `${actor} unassigned it`
+      return `${actor} assigned it to ${change.item.to === accountId ? '**you**' : `**${change.item.toString}**`}`
+    default:
+      return `${actor} changed ${change.fields.join(', ')}`
+  }
+}
+
+/**
+ * Check whether everyone who can see an issue can see a comment on it
+ * Service desk internal notes have jsdPublic false; other comments can be restricted
+ * to a role or group
+ * @param {object} comment - Jira comment
+ * @returns {boolean}
+ */
+export function isPublicComment(comment) {
+  return comment.jsdPublic !== false && !comment.visibility
+}
+
+/**
+ * Get the text of a webhook comment on a single line
+ * @param {object} comment - Comment of a comment_created event; the body is wiki text or ADF
+ * @param {number} maxLength - Maximum length
+ * @returns {string}
+ */
+export function getCommentText(comment, maxLength) {
+  const text = typeof comment.body === 'string' ? comment.body : extractTextFromADF(comment.body)
+  return truncate(text.trim().replace(/\s*\n+\s*/g, ' '), maxLength)
+}
@@ -0,0 +1,240 @@
+/**
+ * Notification Handlers
+ * Proactive Teams messages for Jira issue events received through the webhook,
+ * and the `notify` commands users turn them on and off with
+ */
+import { config } from '../../config/env.mjs'
+import {
+  getRecipient,
+  saveRecipient,
+  findRecipients,
+  setNotificationsEnabled,
+} from '../../state/notifications.mjs'
+import { getUserKey } from '../../utils/index.mjs'
+import { withSpan, jiraMetrics, log } from '../../telemetry/index.mjs'
+import { describeChanges, getActorId, formatChange, getCommentText } from './events.mjs'
+
+// Notification types users can toggle, with the label shown by `notify`
+export const NOTIFICATION_TYPES = {
+  created: 'Tickets created for or reported by you',
+  updated: 'Field changes on your tickets',
+  commented: 'Comments on your tickets',
+  transitioned: 'Status changes of your tickets',
+  assigned: 'Tickets assigned to or taken from you',
+  approvals: 'Requests waiting for your approval',
+  sla: 'SLAs about to breach on requests assigned to you',
+}
+
+// Comment text shown in a notification
+const MAX_COMMENT_LENGTH = 300
+
+/**
+ * Create notification handlers bound to bot instance
+ * @param {object} bot - Bot instance with identityService, jiraService and sendToConversation
+ * @returns {object} Object containing all notification handler functions:
+ *   - rememberUser: Store the personal conversation of the sender for notifications
+ *   - showSettings: List the notification types and whether they are on
+ *   - setNotification: Turn a notification type on or off
+ *   - handleJiraEvent: Notify the users affected by a Jira webhook event
+ */
+export function createNotificationHandlers(bot) {
+  return {
+    rememberUser: (ctx) => rememberUser(bot, ctx),
+    showSettings: (ctx) => showSettings(bot, ctx),
+    setNotification: (ctx, args) => setNotification(bot, ctx, args),
+    handleJiraEvent: (event) => handleJiraEvent(bot, event),
+  }
+}
+
+/**
+ * Store the conversation reference and Jira account of the sender
+ * Only personal chats are kept, so notifications never end up in a shared chat,
+ * and only while some notification type can be sent at all. Notifications carry
+ * ticket contents, so a manually linked account gets none
+ * @param {object} bot - Bot instance with identityService
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function rememberUser(bot, context) {
+  if (getAvailableTypes().length === 0) return
+
+  const type = context.activity.conversation?.conversationType
+  if (type === 'channel' || type === 'groupChat') return
+
+  let accountId
+  if (bot.identityService) {
+    try {
+      const mapping = await bot.identityService.resolve(context)
+      if (mapping) {
+        accountId = bot.identityService.isTrusted(mapping) ? mapping.accountId : null
+      }
+    } catch (error) {
+      console.warn('Could not resolve Jira account for notifications:', error.message)
+    }
+  }
+
+  saveRecipient(getUserKey(context), {
+    reference: context.activity.getConversationReference(),
+    accountId,
+  })
+}
+
+/**
+ * List the notification types and whether the sender receives them
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @returns {Promise<void>}
+ */
+async function showSettings(bot, context) {
+  const available = getAvailableTypes()
+  if (available.length === 0) {
+    await context.sendActivity('Jira notifications are not set up for this bot.')
+    return
+  }
+
+  const recipient = getRecipient(getUserKey(context))
+
+  if (!recipient) {
+    await context.sendActivity('Send me a message in a personal chat first — that is where your notifications will arrive.')
+    return
+  }
+
+  const disabled = recipient.disabled || []
+  let message = '**Your Jira notifications:**\n\n'
+
+  for (const type of available) {
+    message += `${disabled.includes(type) ? '🔕' : '🔔'} \`${type}\` — ${NOTIFICATION_TYPES[type]}\n`
+  }
+
+  if (!recipient.accountId) {
+    message += "\n⚠️ I couldn't verify your Jira account yet, so you won't get any. Type `jira login` to sign in with Atlassian."
+  }
+
+  message += '\nType `notify on <type>` or `notify off <type>`, or use `all` for every type.'
+
+  await context.sendActivity(message)
+}
+
+/**
+ * Get the notification types this bot can send: SLA warnings need
+ * ITSM_SLA_WARNING_MINUTES, every other type comes from the Jira webhook
+ * @returns {string[]} Keys of NOTIFICATION_TYPES
+ */
+function getAvailableTypes() {
+  return Object.keys(NOTIFICATION_TYPES).filter(type =>
+    type === 'sla' ? !!config.itsm.slaWarningMinutes : !!config.jira.webhookSecret
+  )
+}
+
+/**
+ * Turn a notification type on or off for the sender
+ * @param {object} bot - Bot instance
+ * @param {object} context - Turn context from bot framework
+ * @param {string} args - "on|off <type|all>"
+ * @returns {Promise<void>}
+ */
+async function setNotification(bot, context, args) {
+  const [state, type] = args.toLowerCase().split(/\s+/)
+  const types = type === 'all' ? Object.keys(NOTIFICATION_TYPES) : [type]
+
+  if (!['on', 'off'].includes(state) || !types.every(t => NOTIFICATION_TYPES[t])) {
+    await context.sendActivity(
+      `**Usage:** \`notify on|off <type>\`\n\nTypes: ${Object.keys(NOTIFICATION_TYPES).map(t => `\`${t}\``).join(', ')} or \`all\``
+    )
+    return
+  }
+
+  if (!setNotificationsEnabled(getUserKey(context), types, state === 'on')) {
+    await context.sendActivity('Send me a message in a personal chat first — that is where your notifications will arrive.')
+    return
+  }
+
+  const what = type === 'all' ? 'All Jira notifications' : `\`${type}\` notifications`
+  await context.sendActivity(`${state === 'on' ? '🔔' : '🔕'} ${what} turned ${state}.`)
+}
+
+/**
+ * Notify the users affected by a Jira webhook event
+ * The assignee and reporter are notified, as is a previous assignee, but never
+ * the user who made the change; each user only gets the types they left on
+ * @param {object} bot - Bot instance with jiraService and sendToConversation
+ * @param {object} event - Jira webhook payload
+ * @returns {Promise<number>} Number of notifications sent
+ */
+async function handleJiraEvent(bot, event) {
+  return withSpan('notifications.handleJiraEvent', async (span) => {
+    span.setAttributes({
+      'jira.webhook.event': event.webhookEvent || 'unknown',
+      'jira.issue.key': event.issue?.key || 'unknown',
+    })
+
+    const changes = describeChanges(event)
+    if (!event.issue || changes.length === 0) return 0
+
+    const actorId = getActorId(event)
+    let sent = 0
+
+    for (const accountId of getAffectedAccounts(event)) {
+      if (accountId === actorId) continue
+
+      for (const recipient of findRecipients(accountId)) {
+        const wanted = changes.filter(change => !(recipient.disabled || []).includes(change.type))
+        if (wanted.length === 0) continue
+
+        try {
+          await bot.sendToConversation(recipient.reference, formatNotification(bot, event, wanted, accountId))
+          wanted.forEach(change => jiraMetrics.notificationsSent.add(1, { type: change.type }))
+          sent++
+        } catch (error) {
+          console.warn(`Could not notify ${recipient.userKey} about ${event.issue.key}:`, error.message)
+        }
+      }
+    }
+
+    span.setAttribute('notifications.sent', sent)
+    log(`Jira ${event.webhookEvent} for ${event.issue.key}: ${sent} notifications sent`, 'INFO', {
+      issueKey: event.issue.key,
+      event: event.webhookEvent,
+    })
+    return sent
+  })
+}
+
+/**
+ * Get the Jira accounts an event concerns: assignee, reporter and a previous assignee
+ * @param {object} event - Jira webhook payload
+ * @returns {string[]} Account IDs
+ */
+function getAffectedAccounts(event) {
+  const { fields = {} } = event.issue
+  const assigneeChange = event.changelog?.items?.find(item => item.field === 'assignee')
+
+  return [...new Set([
+    fields.assignee?.accountId,
+    fields.reporter?.accountId,
+    assigneeChange?.from,
+    assigneeChange?.to,
+  ].filter(Boolean))]
+}
+
+/**
+ * Format a notification message for one recipient
+ * @param {object} bot - Bot instance with jiraService
+ * @param {object} event - Jira webhook payload
+ * @param {object[]} changes - Changes from describeChanges the recipient wants
+ * @param {string} accountId - Jira account ID of the recipient
+ * @returns {string} Markdown message
+ */
+function formatNotification(bot, event, changes, accountId) {
+  const { issue } = event
+  const link = bot.jiraService
+    ? `[${issue.key}](${bot.jiraService.getBrowseUrl(issue.key)})`
+    : issue.key
+
+  const lines = changes.map(change => change.type === 'commented'
+    ? `${formatChange(event, change)}:\n\n> ${getCommentText(change.comment, MAX_COMMENT_LENGTH)}`
+    : formatChange(event, change, accountId)
+  )
+
+  return [`🔔 ${link}: **${issue.fields?.summary || 'Untitled'}**`, ...lines].join('\n\n')
+}
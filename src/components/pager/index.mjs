@@ -0,0 +1,241 @@
+/**
+ * Pager Handlers
+ * Pages through search results and other long lists. The last listing of a
+ * conversation is kept in conversation state, so `more`, `next`, `prev` and
+ * `page 3` continue it.
+ *
+ * A listing source is registered by name and provides:
+ *   - fetchPage(bot, context, params, {cursor, startAt, pageSize}): resolves to
+ *     {items, nextCursor, total?, approximate?}, with nextCursor null on the last page
+ *   - formatItem(bot, item, number): formats one item as a markdown line
+ * Listings started with `items` page through that array and only use formatItem.
+ */
+import { getState, updateState } from '../../state/conversation.mjs'
+import { sendTyping } from '../../utils/index.mjs'
+
+export const PAGE_SIZE = 5
+
+// Pages fetched at most to reach a page whose cursor isn't known yet
+const MAX_PAGE_JUMP = 10
+
+/**
+ * Create pager handlers bound to bot instance
+ * @param {object} bot - Bot instance
+ * @param {object} sources - Listing sources keyed by name
+ * @returns {object} Object containing all pager handler functions:
+ *   - startListing: Show the first page of a listing and remember it
+ *   - navigate: Show another page of the last listing (more/next/prev/page N)
+ */
+export function createPagerHandlers(bot, sources) {
+  return {
+    startListing: (ctx, convId, listing) => startListing(bot, sources, ctx, convId, listing),
+    navigate: (ctx, text, convId) => navigate(bot, sources, ctx, text, convId),
+  }
+}
+
+/**
+ * Check whether text is a page navigation command
+ * @param {string} text - User input text
+ * @returns {boolean}
+ */
+export function isPageCommand(text) {
+  return parsePageCommand(text) !== null
+}
+
+/**
+ * Show the first page of a listing and store it for navigation
+ * @param {object} bot - Bot instance
+ * @param {object} sources - Listing sources keyed by name
+ * @param {object} context - Turn context from bot framework
+ * @param {string} conversationId - Unique conversation identifier
+ * @param {object} options - Listing options
+ * @param {string} options.source - Listing source name
+ * @param {string} options.title - Title shown above every page
+ * @param {object} [options.params] - Parameters passed to the source's fetchPage
+ * @param {object[]} [options.items] - All items, for lists that are already loaded
+ * @param {string} [options.emptyMessage] - Message sent when there are no items
+ * @param {number} [options.pageSize] - Items per page
+ * @returns {Promise<void>}
+ */
+async function startListing(bot, sources, context, conversationId, {
+  source,
+  title,
+  params = {},
+  items = null,
+  emptyMessage = 'Nothing found.',
+  pageSize = PAGE_SIZE,
+}) {
+  const listing = {
+    source,
+    title,
+    params,
+    ...(items && { items, total: items.length, lastPage: Math.max(1, Math.ceil(items.length / pageSize)) }),
+    page: 1,
+    pageSize,
+    cursors: [null],
+  }
+
+  const pageItems = await loadPage(bot, sources[source], context, listing, 1)
+
+  if (!pageItems || pageItems.length === 0) {
+    await context.sendActivity(emptyMessage)
+    return
+  }
+
+  updateState(conversationId, { listing })
+  await context.sendActivity(formatPage(bot, sources[source], listing, pageItems))
+}
+
+/**
+ * Show another page of the conversation's last listing
+ * @param {object} bot - Bot instance
+ * @param {object} sources - Listing sources keyed by name
+ * @param {object} context - Turn context from bot framework
+ * @param {string} text - Navigation command
+ * @param {string} conversationId - Unique conversation identifier
+ * @returns {Promise<void>}
+ */
+async function navigate(bot, sources, context, text, conversationId) {
+  const listing = getState(conversationId).listing
+  const source = listing && sources[listing.source]
+
+  if (!source) {
+    await context.sendActivity('There is no list to continue. Run a search first, e.g. `jira search <query>`.')
+    return
+  }
+
+  const command = parsePageCommand(text)
+  const page = command === 'next' ? listing.page + 1 : command === 'prev' ? listing.page - 1 : command
+
+  if (page < 1) {
+    await context.sendActivity('You are already on the first page.')
+    return
+  }
+
+  if (listing.lastPage && page > listing.lastPage) {
+    await context.sendActivity(
+      listing.page === listing.lastPage && command === 'next'
+        ? 'That was the last page.'
+        : `There ${listing.lastPage === 1 ? 'is only 1 page' : `are only ${listing.lastPage} pages`}.`
+    )
+    return
+  }
+
+  if (page - listing.cursors.length >= MAX_PAGE_JUMP) {
+    await context.sendActivity(`That's too far ahead. Pages up to ${listing.cursors.length + MAX_PAGE_JUMP - 1} can be opened right now.`)
+    return
+  }
+
+  try {
+    await sendTyping(context)
+
+    const items = await loadPage(bot, source, context, listing, page)
+
+    if (!items || items.length === 0) {
+      updateState(conversationId, { listing })
+      await context.sendActivity('No more results.')
+      return
+    }
+
+    listing.page = page
+    updateState(conversationId, { listing })
+    await context.sendActivity(formatPage(bot, source, listing, items))
+  } catch (error) {
+    console.error('Error loading page:', error)
+    await context.sendActivity(`Failed to load page ${page}: ${error.message}`)
+  }
+}
+
+/**
+ * Load the items of a page, fetching earlier pages first when their cursor is needed
+ * Updates the listing's cursors, total and last page as pages are fetched
+ * @param {object} bot - Bot instance
+ * @param {object} source - Listing source
+ * @param {object} context - Turn context from bot framework
+ * @param {object} listing - Stored listing
+ * @param {number} page - Page number, starting at 1
+ * @returns {Promise<object[]|null>} Items, or null when the page is past the end
+ */
+async function loadPage(bot, source, context, listing, page) {
+  const { pageSize } = listing
+
+  if (listing.items) {
+    return listing.items.slice((page - 1) * pageSize, page * pageSize)
+  }
+
+  // cursors[n] fetches page n + 1; walk forward from the furthest page that can be fetched
+  let current = Math.min(page, listing.cursors.length)
+
+  while (true) {
+    const result = await source.fetchPage(bot, context, listing.params, {
+      cursor: listing.cursors[current - 1],
+      startAt: (current - 1) * pageSize,
+      pageSize,
+    })
+
+    if (result.total !== undefined && result.total !== null) {
+      listing.total = result.total
+      listing.approximate = !!result.approximate
+    }
+
+    if (result.nextCursor) {
+      listing.cursors[current] = result.nextCursor
+    } else {
+      // The last page makes the total exact
+      listing.lastPage = current
+      listing.cursors.length = current
+      listing.total = (current - 1) * pageSize + result.items.length
+      listing.approximate = false
+    }
+
+    if (current === page) return result.items
+    if (!result.nextCursor) return null
+    current++
+  }
+}
+
+/**
+ * Format a page with its header and navigation hints
+ * @param {object} bot - Bot instance
+ * @param {object} source - Listing source
+ * @param {object} listing - Stored listing
+ * @param {object[]} items - Items of the current page
+ * @returns {string} Markdown message
+ */
+function formatPage(bot, source, listing, items) {
+  const from = (listing.page - 1) * listing.pageSize + 1
+  const to = from + items.length - 1
+  const total = listing.total !== undefined
+    ? ` of ${listing.approximate ? '~' : ''}${listing.total}`
+    : ''
+  const hasNext = !listing.lastPage || listing.page < listing.lastPage
+
+  let message = `**${listing.title}** — showing ${from}–${to}${total}\n\n`
+  message += items.map((item, i) => source.formatItem(bot, item, from + i)).join('\n')
+
+  const hints = [
+    hasNext && '`more` for the next page',
+    listing.page > 1 && '`prev` for the previous one',
+  ].filter(Boolean)
+
+  if (hints.length > 0) {
+    message += `\n\n_Type ${hints.join(', ')}._`
+  }
+
+  return message
+}
+
+/**
+ * Parse a page navigation command
+ * @param {string} text - User input text
+ * @returns {'next'|'prev'|number|null} Direction, page number, or null when not a page command
+ */
+function parsePageCommand(text) {
+  const lowerText = text.trim().toLowerCase()
+
+  if (['more', 'next', 'next page'].includes(lowerText)) return 'next'
+  if (['prev', 'previous', 'previous page'].includes(lowerText)) return 'prev'
+
+  const match = lowerText.match(/^page\s+(\d+)$/)
+  return match ? parseInt(match[1], 10) : null
+}
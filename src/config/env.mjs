@@ -12,12 +12,43 @@ export const config = {
     email: process.env.JIRA_EMAIL,
     apiToken: process.env.JIRA_API_TOKEN,
     projectKey: process.env.JIRA_PROJECT_KEY,
+    // Preview issue keys such as PROJ-123 in any message of chats the bot is in
+    issuePreviews: process.env.JIRA_ISSUE_PREVIEWS === 'true',
+    // Shared secret of the Jira webhook; notifications are off without it
+    webhookSecret: process.env.JIRA_WEBHOOK_SECRET,
   },
 
   itsm: {
     baseUrl: process.env.JIRA_BASE_URL,
     email: process.env.JIRA_EMAIL,
     apiToken: process.env.JIRA_API_TOKEN,
+    // Warn this many minutes before an SLA breaches; the SLA check is off without it
+    slaWarningMinutes: parseInt(process.env.ITSM_SLA_WARNING_MINUTES, 10) || 0,
+    // SLA fields the check watches, as named in Jira Service Management
+    slaNames: (process.env.ITSM_SLA_NAMES || 'Time to first response,Time to resolution')
+      .split(',').map(name => name.trim()).filter(Boolean),
+  },
+
+  // Atlassian OAuth 2.0 (3LO) for per-user Jira access
+  oauth: {
+    clientId: process.env.ATLASSIAN_OAUTH_CLIENT_ID,
+    clientSecret: process.env.ATLASSIAN_OAUTH_CLIENT_SECRET,
+    redirectUri: process.env.ATLASSIAN_OAUTH_REDIRECT_URI ||
+      (process.env.BOT_ENDPOINT ? `${process.env.BOT_ENDPOINT}/api/auth/atlassian/callback` : undefined),
+    authorizeUrl: process.env.ATLASSIAN_OAUTH_AUTHORIZE_URL || 'https://auth.atlassian.com/authorize',
+    tokenUrl: process.env.ATLASSIAN_OAUTH_TOKEN_URL || 'https://auth.atlassian.com/oauth/token',
+    apiBaseUrl: process.env.ATLASSIAN_API_BASE_URL || 'https://api.atlassian.com',
+    scopes: process.env.ATLASSIAN_OAUTH_SCOPES ||
+      'read:jira-work write:jira-work read:jira-user read:servicedesk-request write:servicedesk-request offline_access',
+    tokenStorePath: process.env.TOKEN_STORE_PATH || '.data/tokens.json',
+    encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+  },
+
+  // Persistent state (conversation flows, drafts, ...)
+  state: {
+    store: process.env.STATE_STORE || 'file',
+    dir: process.env.STATE_DIR || '.data',
+    conversationTtlMinutes: parseInt(process.env.CONVERSATION_TTL_MINUTES || '60', 10),
   },
 
   bot: {
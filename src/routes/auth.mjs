@@ -0,0 +1,58 @@
+/**
+ * OAuth Routes
+ * Browser-facing endpoints for the Atlassian OAuth 2.0 (3LO) flow
+ */
+import express from 'express'
+import { escapeHtml } from '../utils/index.mjs'
+
+/**
+ * Render a minimal HTML page shown in the user's browser
+ * @param {string} title - Page title
+ * @param {string} message - Message text
+ * @returns {string} HTML document
+ */
+function renderPage(title, message) {
+  return [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>`,
+    "<body style='font-family: sans-serif; text-align: center; margin-top: 15%;'>",
+    `<h2>${escapeHtml(title)}</h2>`,
+    `<p>${escapeHtml(message)}</p>`,
+    '</body></html>',
+  ].join('\n')
+}
+
+/**
+ * Create the router for OAuth callbacks
+ * @param {object} bot - Bot instance with oauthService
+ * @returns {express.Router} Router to mount under /api/auth
+ */
+export function createAuthRouter(bot) {
+  const router = express.Router()
+
+  router.get('/atlassian/callback', async (req, res) => {
+    const { code, state, error, error_description: errorDescription } = req.query
+
+    if (!bot.oauthService) {
+      return res.status(404).send(renderPage('Not available', 'Atlassian login is not configured for this bot.'))
+    }
+
+    if (error) {
+      return res.status(400).send(renderPage('Login cancelled', errorDescription || error))
+    }
+
+    if (!code || !state) {
+      return res.status(400).send(renderPage('Login failed', 'Missing authorization code.'))
+    }
+
+    try {
+      await bot.completeLogin(code, state)
+      res.send(renderPage('Connected to Jira', 'Your Atlassian account is connected. You can close this window and return to Teams.'))
+    } catch (err) {
+      console.error('OAuth callback error:', err)
+      res.status(400).send(renderPage('Login failed', err.message))
+    }
+  })
+
+  return router
+}
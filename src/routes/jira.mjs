@@ -0,0 +1,80 @@
+/**
+ * Jira Webhook Routes
+ * Receives Jira issue events and hands them to personal notifications, channel subscriptions
+ * and approval cards
+ */
+import crypto from 'crypto'
+import express from 'express'
+import { config } from '../config/env.mjs'
+import { jiraMetrics } from '../telemetry/index.mjs'
+
+/**
+ * Check that a webhook request carries the shared secret
+ * Jira webhooks registered with a secret sign the body (X-Hub-Signature: sha256=...);
+ * webhooks that can't be signed may pass the secret as ?secret= instead
+ * @param {object} req - Express request, with the unparsed body in req.rawBody
+ * @param {string} secret - Configured webhook secret
+ * @returns {boolean}
+ */
+export function isAuthorized(req, secret) {
+  const signature = req.get('X-Hub-Signature')
+
+  if (signature) {
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex')
+    return safeEqual(signature, expected)
+  }
+
+  return typeof req.query.secret === 'string' && safeEqual(req.query.secret, secret)
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a)
+  const bufB = Buffer.from(b)
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+/**
+ * Create the router for Jira webhooks
+ * @param {object} bot - Bot instance with notificationHandlers, jiraHandlers and itsmHandlers
+ * @returns {express.Router} Router to mount under /api/jira
+ */
+export function createJiraWebhookRouter(bot) {
+  const router = express.Router()
+
+  router.post('/webhook', (req, res) => {
+    const secret = config.jira.webhookSecret
+
+    if (!secret) {
+      return res.status(404).json({ error: 'Jira webhooks are not configured for this bot.' })
+    }
+
+    if (!isAuthorized(req, secret)) {
+      return res.status(401).json({ error: 'Invalid webhook secret.' })
+    }
+
+    if (!req.body?.webhookEvent) {
+      return res.status(400).json({ error: 'Missing webhookEvent.' })
+    }
+
+    jiraMetrics.webhookEventsReceived.add(1, { event: req.body.webhookEvent })
+
+    // Jira retries slow deliveries, so answer first and notify in the background
+    res.status(202).end()
+
+    bot.notificationHandlers.handleJiraEvent(req.body).catch(error => {
+      console.error('Jira webhook error:', error)
+    })
+    bot.jiraHandlers.queueSubscriptionEvent(req.body)
+    bot.itsmHandlers.notifyApprovers(req.body).catch(error => {
+      console.error('Jira webhook approval error:', error)
+    })
+  })
+
+  return router
+}
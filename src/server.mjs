@@ -3,8 +3,15 @@
  * Configures and starts the HTTP server for the bot
  */
 import express from 'express'
-import { CloudAdapter, loadAuthConfigFromEnv } from '@microsoft/agents-hosting'
+import {
+  CloudAdapter,
+  loadAuthConfigFromEnv,
+  getAuthConfigWithDefaults,
+  authorizeJWT,
+} from '@microsoft/agents-hosting'
 import { config } from './config/env.mjs'
+import { createAuthRouter } from './routes/auth.mjs'
+import { createJiraWebhookRouter } from './routes/jira.mjs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 
@@ -15,7 +22,7 @@ import { fileURLToPath } from 'url'
  */
 export function createServer(bot) {
   const app = express()
-  app.use(express.json())
+  app.use(express.json({ verify: keepRawBody }))
 
   const __filename = fileURLToPath(import.meta.url);
   const __dirname = path.dirname(__filename);
@@ -56,6 +63,7 @@ export function createServer(bot) {
   })
 
   // Test endpoint WITHOUT auth
+  app.locals.testEndpoint = true
   app.post('/test', async (req, res) => {
     console.log('Test request body:', req.body)
     console.log('Content-Type:', req.get('Content-Type'))
@@ -87,16 +95,65 @@ export function createServer(bot) {
     }
   })
 
+  mountRoutes(app, bot)
+
+  return app
+}
+
+/**
+ * Create the production server
+ * Equivalent to startServer() from @microsoft/agents-hosting-express, except that
+ * JWT authorization is applied only to the bot endpoint so browser-facing routes
+ * (e.g. OAuth callbacks) stay reachable
+ * @param {object} bot - AgentApplication instance
+ * @returns {object} Express app instance
+ */
+export function createProductionServer(bot) {
+  const app = express()
+  app.use(express.json({ verify: keepRawBody }))
+
+  const authConfig = getAuthConfigWithDefaults()
+  const adapter = bot.adapter
+  const headerPropagation = bot.options?.headerPropagation
+
+  app.post('/api/messages', authorizeJWT(authConfig), (req, res) =>
+    adapter.process(req, res, (context) => bot.run(context), headerPropagation)
+  )
+
+  mountRoutes(app, bot)
+
+  return app
+}
+
+/**
+ * Keep the unparsed request body, which webhook signatures are computed over
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Buffer} buf - Raw body
+ */
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf
+}
+
+/**
+ * Mount routes shared by the development and production servers
+ * @param {object} app - Express app instance
+ * @param {object} bot - Bot instance
+ */
+function mountRoutes(app, bot) {
+  app.use('/api/auth', createAuthRouter(bot))
+  app.use('/api/jira', createJiraWebhookRouter(bot))
+
   // Health check
   app.get('/health', (req, res) => {
     res.json({
       status: 'ok',
       jira: !!bot.jiraService,
-      itsm: !!bot.itsmService
+      itsm: !!bot.itsmService,
+      oauth: !!bot.oauthService,
+      notifications: !!config.jira.webhookSecret,
     })
   })
-
-  return app
 }
 
 /**
@@ -108,7 +165,10 @@ export function startServer(app, port = config.port) {
   app.listen(port, () => {
     console.log(`\nServer running on port ${port}`)
     console.log(`   - Teams endpoint: POST http://localhost:${port}/api/messages`)
-    console.log(`   - Test endpoint:  POST http://localhost:${port}/test`)
+    if (app.locals.testEndpoint) {
+      console.log(`   - Test endpoint:  POST http://localhost:${port}/test`)
+    }
+    console.log(`   - Jira webhook:   POST http://localhost:${port}/api/jira/webhook`)
     console.log(`   - Health check:   GET  http://localhost:${port}/health\n`)
   })
 }
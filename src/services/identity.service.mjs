@@ -0,0 +1,290 @@
+/**
+ * Identity Service
+ * Maps Teams users to their Jira accounts
+ */
+import { withSpan, log } from '../telemetry/index.mjs'
+import { getIdentity, saveIdentity } from '../state/identities.mjs'
+import { getUserKey } from '../utils/index.mjs'
+
+// Re-resolve automatic matches once a day so renamed/deactivated accounts are picked up
+const AUTO_MATCH_TTL_MS = 24 * 60 * 60 * 1000
+
+// Mapping sources proven by Teams or Atlassian; a manual link is only the user's word
+const TRUSTED_SOURCES = ['auto', 'oauth']
+
+/**
+ * IdentityService class for resolving Teams senders to Jira account IDs
+ * Automatic matches are found by email via Jira user search; users can link
+ * another address of their Teams profile with `jira link me <email>`.
+ * Access checks only accept automatic matches and Atlassian logins
+ * (resolveTrustedAccountId); linked accounts are used for listings only.
+ */
+export class IdentityService {
+  /**
+   * Create a new IdentityService instance
+   * @param {object} jiraService - JiraService used for user search
+   */
+  constructor(jiraService) {
+    this.jiraService = jiraService
+  }
+
+  /**
+   * Get the Teams profile of the message sender
+   * Teams does not put the email on the activity, so it is looked up via the conversation roster
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<{id: string, aadObjectId: string|null, name: string|null, email: string|null}>}
+   */
+  async getTeamsUser(context) {
+    const from = context.activity?.from || {}
+    const profile = {
+      id: from.id,
+      aadObjectId: from.aadObjectId || null,
+      name: from.name || null,
+      email: from.email || from.userPrincipalName || null,
+    }
+
+    if (!profile.email) {
+      const member = await this._getConversationMember(context)
+      profile.email = member?.email || member?.userPrincipalName || null
+    }
+
+    return profile
+  }
+
+  /**
+   * Get the cache key for the message sender
+   * @param {object} context - Turn context from bot framework
+   * @returns {string} Stable Teams user key
+   */
+  getUserKey(context) {
+    return getUserKey(context)
+  }
+
+  /**
+   * Resolve the Jira account of the message sender
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<object|null>} Cached mapping {accountId, displayName, emailAddress, source} or null
+   */
+  async resolve(context) {
+    const userKey = this.getUserKey(context)
+    const cached = this._getCached(userKey)
+
+    if (cached) {
+      return cached
+    }
+
+    return withSpan('identity.resolve', async (span) => {
+      const teamsUser = await this.getTeamsUser(context)
+      span.setAttribute('identity.has_email', !!teamsUser.email)
+
+      if (!teamsUser.email) {
+        return null
+      }
+
+      const match = await this._findJiraUserByEmail(teamsUser.email)
+
+      if (!match) {
+        log(`No Jira account found for Teams user ${userKey}`, 'WARN', { userKey })
+        return null
+      }
+
+      return this.remember(userKey, match, 'auto')
+    })
+  }
+
+  /**
+   * Resolve the Jira account of another Teams user in the conversation, e.g. an @mentioned one
+   * @param {object} context - Turn context from bot framework
+   * @param {{id: string, aadObjectId?: string}} account - Teams channel account
+   * @returns {Promise<object|null>} Cached mapping {accountId, displayName, emailAddress, source} or null
+   */
+  async resolveAccount(context, account) {
+    const cached = account.aadObjectId && this._getCached(account.aadObjectId)
+    if (cached) {
+      return cached
+    }
+
+    return withSpan('identity.resolveAccount', async (span) => {
+      const member = await this._getConversationMember(context, account.id)
+      const email = member?.email || member?.userPrincipalName || null
+      const userKey = member?.aadObjectId || account.aadObjectId || account.id
+      span.setAttribute('identity.has_email', !!email)
+
+      const known = this._getCached(userKey)
+      if (known) {
+        return known
+      }
+
+      if (!email) {
+        return null
+      }
+
+      const match = await this._findJiraUserByEmail(email)
+      return match ? this.remember(userKey, match, 'auto') : null
+    })
+  }
+
+  /**
+   * Resolve only the Jira account ID of the message sender
+   * Lookup failures are logged and treated as "not mapped"
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<string|null>} Jira account ID or null
+   */
+  async resolveAccountId(context) {
+    try {
+      const mapping = await this.resolve(context)
+      return mapping?.accountId || null
+    } catch (error) {
+      console.error('Error resolving Jira account:', error)
+      return null
+    }
+  }
+
+  /**
+   * Resolve the Jira account ID of the message sender for access checks
+   * Manually linked accounts don't count; those users need `jira login`
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<string|null>} Jira account ID or null
+   */
+  async resolveTrustedAccountId(context) {
+    try {
+      const mapping = await this.resolve(context)
+      return this.isTrusted(mapping) ? mapping.accountId : null
+    } catch (error) {
+      console.error('Error resolving Jira account:', error)
+      return null
+    }
+  }
+
+  /**
+   * Check whether a mapping was proven by Teams or Atlassian rather than typed in by the user
+   * @param {object|null} mapping - Mapping from resolve
+   * @returns {boolean}
+   */
+  isTrusted(mapping) {
+    return !!mapping && TRUSTED_SOURCES.includes(mapping.source)
+  }
+
+  /**
+   * Check whether a user is still verified as a Jira account, for work done outside a conversation
+   * @param {string} userKey - Teams user key
+   * @param {string} accountId - Jira account ID stored for the user
+   * @returns {boolean}
+   */
+  isTrustedAccount(userKey, accountId) {
+    const mapping = getIdentity(userKey)
+    return this.isTrusted(mapping) && mapping.accountId === accountId
+  }
+
+  /**
+   * Explicitly link the message sender to the Jira account with the given email
+   * The email has to be one of the sender's Teams addresses (email or UPN), so
+   * nobody can link themselves to someone else's account
+   * @param {object} context - Turn context from bot framework
+   * @param {string} email - Email address of the Jira account
+   * @returns {Promise<{mapping: object}|{error: 'unverified'|'not_found'}>} Stored mapping, or why there is none
+   */
+  async link(context, email) {
+    const ownEmails = await this._getTeamsEmails(context)
+    if (!ownEmails.includes(email.toLowerCase())) {
+      return { error: 'unverified' }
+    }
+
+    const match = await this._findJiraUserByEmail(email)
+    if (!match) return { error: 'not_found' }
+
+    return { mapping: this.remember(this.getUserKey(context), match, 'linked') }
+  }
+
+  /**
+   * Get every address Teams knows the sender by, from the activity and the roster
+   * @private
+   * @param {object} context - Turn context from bot framework
+   * @returns {Promise<string[]>} Lowercase emails and UPNs
+   */
+  async _getTeamsEmails(context) {
+    const from = context.activity?.from || {}
+    const member = await this._getConversationMember(context)
+
+    return [from.email, from.userPrincipalName, member?.email, member?.userPrincipalName]
+      .filter(Boolean)
+      .map(address => address.toLowerCase())
+  }
+
+  /**
+   * Find the Jira user with the given email
+   * Only an exact email match counts: notifications, digests and approvals are sent
+   * to the matched account. Users whose email Jira hides need `jira login` instead
+   * @private
+   * @param {string} email - Email address
+   * @returns {Promise<object|null>} Jira user object or null
+   */
+  async _findJiraUserByEmail(email) {
+    const users = await this.jiraService.findUsers(email, 2)
+    return users.find(u => u.emailAddress?.toLowerCase() === email.toLowerCase()) || null
+  }
+
+  /**
+   * Get a cached mapping that is still valid
+   * @private
+   * @param {string} userKey - Teams user key
+   * @returns {object|null} Mapping, or null when unknown or an outdated automatic match
+   */
+  _getCached(userKey) {
+    const cached = getIdentity(userKey)
+
+    if (cached && (cached.source !== 'auto' || Date.now() - cached.resolvedAt < AUTO_MATCH_TTL_MS)) {
+      return cached
+    }
+    return null
+  }
+
+  /**
+   * Store a resolved mapping
+   * @param {string} userKey - Teams user key
+   * @param {object} jiraUser - Jira user object
+   * @param {'auto'|'linked'|'oauth'} source - How the mapping was established
+   * @returns {object} Stored mapping
+   */
+  remember(userKey, jiraUser, source) {
+    const mapping = {
+      accountId: jiraUser.accountId,
+      displayName: jiraUser.displayName,
+      emailAddress: jiraUser.emailAddress || null,
+      source,
+      resolvedAt: Date.now(),
+    }
+    saveIdentity(userKey, mapping)
+    return mapping
+  }
+
+  /**
+   * Look up a user in the conversation roster
+   * @private
+   * @param {object} context - Turn context from bot framework
+   * @param {string} [userId] - Teams user ID, defaults to the sender
+   * @returns {Promise<object|null>} Channel account with email/userPrincipalName, or null
+   */
+  async _getConversationMember(context, userId = context.activity?.from?.id) {
+    const connectorClient = context.turnState?.get?.(context.adapter?.ConnectorClientKey)
+    const conversationId = context.activity?.conversation?.id
+
+    if (!connectorClient || !userId || !conversationId) return null
+
+    try {
+      return await connectorClient.getConversationMember(userId, conversationId)
+    } catch (error) {
+      console.warn('Could not fetch conversation member:', error.message)
+      return null
+    }
+  }
+}
+
+/**
+ * Create IdentityService for a Jira service
+ * @param {object|null} jiraService - JiraService instance
+ * @returns {IdentityService|null} IdentityService or null when Jira is not configured
+ */
+export function createIdentityService(jiraService) {
+  return jiraService ? new IdentityService(jiraService) : null
+}
@@ -4,3 +4,5 @@
  */
 export { JiraService, createJiraServiceFromEnv } from './jira.service.mjs'
 export { ITSMService, createITSMServiceFromEnv } from './itsm.service.mjs'
+export { IdentityService, createIdentityService } from './identity.service.mjs'
+export { AtlassianOAuthService, createOAuthServiceFromEnv } from './oauth.service.mjs'
@@ -2,8 +2,9 @@
  * ITSM Service - Handles all Jira Service Management API interactions
  * Uses common ApiClient for HTTP requests
  */
-import { createBasicAuthClient, ApiClient } from '../common/services/index.mjs'
+import { createBasicAuthClient, createBearerAuthClient, ApiClient } from '../common/services/index.mjs'
 import { withSpan, itsmMetrics, apiMetrics, log } from '../telemetry/index.mjs'
+import { jql, jqlFunction } from '../utils/index.mjs'
 
 /**
  * ITSMService class for Jira Service Management operations
@@ -53,6 +54,35 @@ export class ITSMService {
     )
 
     this._credentials = Buffer.from(`${config.email}:${config.apiToken}`).toString('base64')
+    this.isUserScoped = false
+  }
+
+  /**
+   * Create a copy of this service that calls Jira Service Management as a specific user
+   * Portal URLs keep pointing at the Jira site; API calls go through the OAuth gateway
+   * @param {string} accessToken - User's OAuth access token
+   * @param {string} apiBaseUrl - Gateway base URL for the user's cloud site
+   * @param {string} formsBaseUrl - Gateway base URL of the Forms API for the user's cloud site
+   * @returns {ITSMService} User-scoped service
+   */
+  forUser(accessToken, apiBaseUrl, formsBaseUrl) {
+    const clientOptions = {
+      timeout: 60000,
+      retries: 2,
+      headers: { 'X-ExperimentalApi': 'opt-in' },
+    }
+
+    const service = Object.create(this)
+    service.serviceDeskClient = createBearerAuthClient(`${apiBaseUrl}/rest/servicedeskapi`, accessToken, clientOptions)
+    service.apiClient = createBearerAuthClient(`${apiBaseUrl}/rest/api/3`, accessToken, clientOptions)
+    service.proformaClient = createBearerAuthClient(`${apiBaseUrl}/rest/proforma/1`, accessToken, clientOptions)
+    service._formsClient = createBearerAuthClient(formsBaseUrl, accessToken, {
+      ...clientOptions,
+      timeout: 30000,
+      retries: 1,
+    })
+    service.isUserScoped = true
+    return service
   }
 
   /**
@@ -329,6 +359,36 @@ export class ITSMService {
     return portalFields
   }
 
+  /**
+   * Search the knowledge base linked to a service desk
+   * @param {string} serviceDeskId - Service desk ID
+   * @param {string} query - Search text (e.g., request type name or the user's summary)
+   * @param {number} [limit=3] - Maximum number of articles
+   * @returns {Promise<object[]>} Articles {title, excerpt, source: {pageId, spaceKey}, content: {iframeSrc}}
+   */
+  async searchKnowledgeBase(serviceDeskId, query, limit = 3) {
+    return withSpan('itsm.searchKnowledgeBase', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({ 'itsm.service_desk_id': serviceDeskId })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'itsm', operation: 'searchKnowledgeBase' })
+        const params = new URLSearchParams({
+          query,
+          highlight: 'false',
+          limit: String(limit),
+        })
+        const result = await this.serviceDeskClient.get(`/servicedesk/${serviceDeskId}/knowledgebase/article?${params}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'itsm', operation: 'searchKnowledgeBase' })
+        span.setAttribute('itsm.article_count', result.values?.length || 0)
+        return (result.values || []).slice(0, limit)
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'itsm', operation: 'searchKnowledgeBase', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
   /**
    * Create a new ITSM request
    * @param {object} input - Request input data
@@ -351,6 +411,307 @@ export class ITSMService {
     return this.serviceDeskClient.post('/request', requestData)
   }
 
+  /**
+   * Get a page of the requests the caller raised
+   * With the shared service account these are the account's own requests; use
+   * searchRequestsByReporter to find the requests raised on behalf of a user
+   * @param {object} [options] - Listing options
+   * @param {'OPEN_REQUESTS'|'CLOSED_REQUESTS'|'ALL_REQUESTS'} [options.status='OPEN_REQUESTS'] - Status filter
+   * @param {number} [options.start=0] - Index of the first request
+   * @param {number} [options.limit=10] - Page size
+   * @returns {Promise<{values: object[], isLastPage: boolean}>} Requests with their request type
+   */
+  async getMyRequests({ status = 'OPEN_REQUESTS', start = 0, limit = 10 } = {}) {
+    return withSpan('itsm.getMyRequests', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({ 'itsm.request_status': status, 'itsm.start': start })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'itsm', operation: 'getMyRequests' })
+        const params = new URLSearchParams({
+          requestOwnership: 'OWNED_REQUESTS',
+          requestStatus: status,
+          expand: 'requestType',
+          start: String(start),
+          limit: String(limit),
+        })
+        const result = await this.serviceDeskClient.get(`/request?${params}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'itsm', operation: 'getMyRequests' })
+        span.setAttribute('itsm.request_count', result.values?.length || 0)
+        return { values: result.values || [], isLastPage: result.isLastPage !== false }
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'itsm', operation: 'getMyRequests', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Search the service desk requests a user reported, newest first
+   * @param {string} accountId - Jira account ID of the reporter
+   * @param {'OPEN_REQUESTS'|'CLOSED_REQUESTS'|'ALL_REQUESTS'} [status='OPEN_REQUESTS'] - Status filter
+   * @param {object} [options] - Search options
+   * @param {string} [options.nextPageToken] - Token of the page to fetch
+   * @param {number} [options.limit=10] - Page size
+   * @returns {Promise<{issues: object[], nextPageToken?: string, isLast?: boolean}>}
+   */
+  async searchRequestsByReporter(accountId, status = 'OPEN_REQUESTS', { nextPageToken = null, limit = 10 } = {}) {
+    const query = jql()
+      .where('projectType', '=', 'service_desk')
+      .where('reporter', '=', accountId)
+
+    if (status === 'OPEN_REQUESTS') query.where('statusCategory', '!=', 'Done')
+    if (status === 'CLOSED_REQUESTS') query.where('statusCategory', '=', 'Done')
+
+    return this.apiClient.post('/search/jql', {
+      jql: query.orderBy('created').build(),
+      maxResults: limit,
+      fields: ['summary', 'status', 'created'],
+      ...(nextPageToken && { nextPageToken }),
+    })
+  }
+
+  /**
+   * Get a request with its request type
+   * @param {string} issueKey - Request key (e.g., 'IT-42')
+   * @returns {Promise<object>} Request with currentStatus, reporter, createdDate and requestFieldValues
+   */
+  async getRequest(issueKey) {
+    return withSpan('itsm.getRequest', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('itsm.issue_key', issueKey)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'itsm', operation: 'getRequest' })
+        const result = await this.serviceDeskClient.get(`/request/${encodeURIComponent(issueKey)}?expand=requestType`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'itsm', operation: 'getRequest' })
+        return result
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'itsm', operation: 'getRequest', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Get the status changes of a request, newest first
+   * @param {string} issueKey - Request key
+   * @returns {Promise<object[]>} Statuses {status, statusCategory, statusDate}
+   */
+  async getRequestStatusHistory(issueKey) {
+    const result = await this.serviceDeskClient.get(`/request/${encodeURIComponent(issueKey)}/status`)
+    return result.values || []
+  }
+
+  /**
+   * Get the participants of a request
+   * @param {string} issueKey - Request key
+   * @returns {Promise<object[]>} Users {accountId, displayName, emailAddress}
+   */
+  async getRequestParticipants(issueKey) {
+    const result = await this.serviceDeskClient.get(`/request/${encodeURIComponent(issueKey)}/participant`)
+    return result.values || []
+  }
+
+  /**
+   * Get the SLA timers of a request
+   * @param {string} issueKey - Request key
+   * @returns {Promise<object[]>} SLAs {name, ongoingCycle, completedCycles}
+   */
+  async getRequestSla(issueKey) {
+    const result = await this.serviceDeskClient.get(`/request/${encodeURIComponent(issueKey)}/sla`)
+    return result.values || []
+  }
+
+  /**
+   * Get a page of the requests waiting for the caller's approval
+   * @param {object} [options] - Listing options
+   * @param {number} [options.start=0] - Index of the first request
+   * @param {number} [options.limit=10] - Page size
+   * @returns {Promise<{values: object[], isLastPage: boolean}>} Requests with their request type
+   */
+  async getPendingApprovals({ start = 0, limit = 10 } = {}) {
+    const params = new URLSearchParams({
+      requestOwnership: 'APPROVER',
+      approvalStatus: 'MY_PENDING_APPROVAL',
+      expand: 'requestType',
+      start: String(start),
+      limit: String(limit),
+    })
+    const result = await this.serviceDeskClient.get(`/request?${params}`)
+    return { values: result.values || [], isLastPage: result.isLastPage !== false }
+  }
+
+  /**
+   * Search the requests waiting for a user's approval, oldest first
+   * @param {string} accountId - Jira account ID of the approver
+   * @param {object} [options] - Search options
+   * @param {string} [options.nextPageToken] - Token of the page to fetch
+   * @param {number} [options.limit=10] - Page size
+   * @returns {Promise<{issues: object[], nextPageToken?: string, isLast?: boolean}>}
+   */
+  async searchPendingApprovals(accountId, { nextPageToken = null, limit = 10 } = {}) {
+    return this.apiClient.post('/search/jql', {
+      jql: jql().where('approval', '=', jqlFunction('pendingBy', accountId)).orderBy('created', 'ASC').build(),
+      maxResults: limit,
+      fields: ['summary', 'status', 'created'],
+      ...(nextPageToken && { nextPageToken }),
+    })
+  }
+
+  /**
+   * Search open requests with a running SLA that breaches within the given time
+   * JQL can only test SLA fields by name, so the SLAs to watch have to be named
+   * @param {number} minutes - Time left before the breach
+   * @param {string[]} slaNames - SLA field names, e.g. 'Time to resolution'
+   * @param {number} [limit=50] - Maximum number of requests
+   * @returns {Promise<object[]>} Issues with summary, status and assignee fields, closest to breaching first
+   */
+  async searchRequestsNearBreach(minutes, slaNames, limit = 50) {
+    const nearBreach = slaNames.map(name => jql()
+      .where(name, '=', jqlFunction('running'))
+      .where(name, '!=', jqlFunction('breached'))
+      .where(name, '<', jqlFunction('remaining', `${minutes}m`))
+      .build())
+
+    const query = jql()
+      .where('projectType', '=', 'service_desk')
+      .where('statusCategory', '!=', 'Done')
+      .build()
+
+    const order = slaNames.reduce((builder, name) => builder.orderBy(name, 'ASC'), jql()).build()
+
+    const result = await this.apiClient.post('/search/jql', {
+      jql: `${query} AND ((${nearBreach.join(') OR (')})) ${order}`,
+      maxResults: limit,
+      fields: ['summary', 'status', 'assignee', 'project'],
+    })
+    return result.issues || []
+  }
+
+  /**
+   * Get the approvals of a request
+   * @param {string} issueKey - Request key
+   * @returns {Promise<object[]>} Approvals {id, name, finalDecision, canAnswerApproval, approvers}
+   */
+  async getApprovals(issueKey) {
+    const result = await this.serviceDeskClient.get(`/request/${encodeURIComponent(issueKey)}/approval`)
+    return result.values || []
+  }
+
+  /**
+   * Approve or decline an approval as the caller
+   * @param {string} issueKey - Request key
+   * @param {string|number} approvalId - Approval ID
+   * @param {'approve'|'decline'} decision - Decision
+   * @returns {Promise<object>} Updated approval
+   */
+  async answerApproval(issueKey, approvalId, decision) {
+    return withSpan('itsm.answerApproval', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({ 'itsm.issue_key': issueKey, 'itsm.approval_decision': decision })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'itsm', operation: 'answerApproval' })
+        const result = await this.serviceDeskClient.post(
+          `/request/${encodeURIComponent(issueKey)}/approval/${encodeURIComponent(approvalId)}`,
+          { decision }
+        )
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'itsm', operation: 'answerApproval' })
+        return result
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'itsm', operation: 'answerApproval', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Get a page of the public comments of a request, oldest first
+   * Internal comments are never requested, so they can't leak to requesters
+   * @param {string} issueKey - Request key
+   * @param {object} [options] - Paging options
+   * @param {number} [options.start=0] - Index of the first comment
+   * @param {number} [options.limit=5] - Page size
+   * @returns {Promise<{values: object[], isLastPage: boolean}>} Comments {id, body, public, author, created}
+   */
+  async getRequestComments(issueKey, { start = 0, limit = 5 } = {}) {
+    const params = new URLSearchParams({
+      public: 'true',
+      internal: 'false',
+      start: String(start),
+      limit: String(limit),
+    })
+    const result = await this.serviceDeskClient.get(`/request/${encodeURIComponent(issueKey)}/comment?${params}`)
+    // Filter again in case the caller's role makes the API ignore the parameters
+    const values = (result.values || []).filter(comment => comment.public !== false)
+    return { values, isLastPage: result.isLastPage !== false }
+  }
+
+  /**
+   * Add a comment to a request
+   * @param {string} issueKey - Request key
+   * @param {string} body - Comment text
+   * @param {object} [options] - Comment options
+   * @param {boolean} [options.isPublic=true] - Public reply visible to the customer, or internal note for agents
+   * @returns {Promise<object>} Created comment
+   */
+  async addRequestComment(issueKey, body, { isPublic = true } = {}) {
+    return withSpan('itsm.addRequestComment', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({ 'itsm.issue_key': issueKey, 'itsm.comment_public': isPublic })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'itsm', operation: 'addRequestComment' })
+        const result = await this.serviceDeskClient.post(`/request/${encodeURIComponent(issueKey)}/comment`, {
+          body,
+          public: isPublic,
+        })
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'itsm', operation: 'addRequestComment' })
+        return result
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'itsm', operation: 'addRequestComment', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Check whether a user is a service desk agent on a request's project
+   * @param {string} issueKey - Request key
+   * @param {string} accountId - Jira account ID
+   * @returns {Promise<boolean>}
+   */
+  async isServiceDeskAgent(issueKey, accountId) {
+    return this._hasAgentPermission({ issueKey }, accountId)
+  }
+
+  /**
+   * Check whether a user is a service desk agent on a project
+   * @param {string} projectKey - Service desk project key
+   * @param {string} accountId - Jira account ID
+   * @returns {Promise<boolean>}
+   */
+  async isProjectAgent(projectKey, accountId) {
+    return this._hasAgentPermission({ projectKey }, accountId)
+  }
+
+  /**
+   * @private
+   * @param {{issueKey: string}|{projectKey: string}} scope - Request or project checked
+   * @param {string} accountId - Jira account ID
+   * @returns {Promise<boolean>} Whether the user has the SERVICEDESK_AGENT permission there
+   */
+  async _hasAgentPermission(scope, accountId) {
+    const params = new URLSearchParams({
+      permissions: 'SERVICEDESK_AGENT',
+      ...scope,
+      accountId,
+    })
+    const users = await this.apiClient.get(`/user/permission/search?${params}`)
+    return Array.isArray(users) && users.some(user => user.accountId === accountId)
+  }
+
   /**
    * Determine the field type from field schema
    * @param {object} field - Field object with jiraSchema and validValues
@@ -523,6 +884,59 @@ export class ITSMService {
     return String(value)
   }
 
+  /**
+   * Get the current state of an SLA timer
+   * The ongoing cycle decides while there is one; otherwise the last completed cycle does
+   * @param {object} sla - SLA from getRequestSla
+   * @returns {{status: 'running'|'paused'|'breached'|'met'|'missed'|'not_started',
+   *   goal: string|null, elapsed: string|null, remaining: string|null, remainingMs: number|null,
+   *   due: string|null, stoppedAt: string|null}}
+   */
+  getSlaState(sla) {
+    const cycle = sla.ongoingCycle || sla.completedCycles?.[sla.completedCycles.length - 1]
+
+    if (!cycle) {
+      return { status: 'not_started', goal: null, elapsed: null, remaining: null, remainingMs: null, due: null, stoppedAt: null }
+    }
+
+    let status
+    if (sla.ongoingCycle) {
+      status = cycle.breached ? 'breached' : cycle.paused ? 'paused' : 'running'
+    } else {
+      status = cycle.breached ? 'missed' : 'met'
+    }
+
+    return {
+      status,
+      goal: cycle.goalDuration?.friendly || null,
+      elapsed: cycle.elapsedTime?.friendly || null,
+      remaining: cycle.remainingTime?.friendly || null,
+      remainingMs: cycle.remainingTime?.millis ?? null,
+      due: cycle.breachTime?.friendly || null,
+      stoppedAt: cycle.stopTime?.friendly || null,
+    }
+  }
+
+  /**
+   * Describe an SLA timer in one line, e.g. "7h 10m left (due Today 5:00 PM)"
+   * @param {object} sla - SLA from getRequestSla
+   * @returns {string} Plain text
+   */
+  formatSlaStatus(sla) {
+    const state = this.getSlaState(sla)
+    const due = state.due ? ` (due ${state.due})` : ''
+    const stopped = state.stoppedAt ? ` (${state.stoppedAt})` : ''
+
+    switch (state.status) {
+      case 'running': return `${state.remaining || 'unknown time'} left${due}`
+      case 'paused': return `⏸️ paused, ${state.remaining || 'unknown time'} left`
+      case 'breached': return `⚠️ breached${due}`
+      case 'met': return `✅ met${stopped}`
+      case 'missed': return `❌ breached${stopped}`
+      default: return 'not started'
+    }
+  }
+
   /**
    * Get browse URL for an issue
    * @param {string} issueKey - Issue key (e.g., 'PROJ-123')
@@ -541,6 +955,19 @@ export class ITSMService {
     return `${this.baseUrl}/servicedesk/customer/portal/${serviceDeskId}`
   }
 
+  /**
+   * Get the portal URL of a knowledge base article
+   * @param {string} serviceDeskId - Service desk ID
+   * @param {object} article - Article from searchKnowledgeBase
+   * @returns {string|null} Full URL to the article, or null if it has none
+   */
+  getArticleUrl(serviceDeskId, article) {
+    if (article.source?.pageId) {
+      return `${this.getServiceDeskPortalUrl(serviceDeskId)}/article/${article.source.pageId}`
+    }
+    return article.content?.iframeSrc || null
+  }
+
   /**
    * Get Atlassian Cloud ID for the instance
    * @returns {Promise<string>} Cloud ID for the Jira instance
@@ -2,8 +2,12 @@
  * Jira Service
  * Handles all Jira REST API interactions
  */
-import { createBasicAuthClient } from '../common/services/index.mjs'
+import { createBasicAuthClient, createBearerAuthClient } from '../common/services/index.mjs'
 import { withSpan, jiraMetrics, apiMetrics, log } from '../telemetry/index.mjs'
+import { jql, jqlFunction } from '../utils/index.mjs'
+
+// Issue fields returned by searches; /search/jql returns only IDs unless fields are listed
+const SEARCH_FIELDS = ['summary', 'status', 'assignee', 'priority', 'issuetype', 'updated']
 
 export class JiraService {
   /**
@@ -26,15 +30,36 @@ export class JiraService {
         retries: 1,
       }
     )
+    this.isUserScoped = false
+  }
+
+  /**
+   * Create a copy of this service that calls Jira as a specific user
+   * Browse URLs keep pointing at the Jira site; API calls go through the OAuth gateway
+   * @param {string} accessToken - User's OAuth access token
+   * @param {string} apiBaseUrl - Gateway base URL for the user's cloud site
+   * @returns {JiraService} User-scoped service
+   */
+  forUser(accessToken, apiBaseUrl) {
+    const service = Object.create(this)
+    service.client = createBearerAuthClient(`${apiBaseUrl}/rest/api/3`, accessToken, {
+      timeout: 30000,
+      retries: 1,
+    })
+    service.isUserScoped = true
+    return service
   }
 
   /**
    * Create a new Jira ticket
    * @param {Object} input - Ticket data
    * @param {string} input.summary - Ticket title
-   * @param {string} [input.description] - Ticket description
+   * @param {string|Object} [input.description] - Ticket description, as text or an ADF document
    * @param {string} [input.issueType] - Issue type (Task, Bug, Story, Epic)
    * @param {string} [input.priority] - Priority level
+   * @param {string} [input.assignee] - Assignee account ID
+   * @param {string} [input.reporter] - Reporter account ID
+   * @param {Object} [input.fields] - Further fields keyed by field ID, already formatted for the API
    * @returns {Promise<{id: string, key: string, self: string}>}
    */
   async createTicket(input) {
@@ -50,17 +75,28 @@ export class JiraService {
         fields: {
           project: { key: this.projectKey },
           summary: input.summary,
-          description: input.description ? this._toADF(input.description) : undefined,
+          ...(input.description && {
+            description: typeof input.description === 'string' ? this._toADF(input.description) : input.description,
+          }),
           issuetype: { name: input.issueType || 'Task' },
           ...(input.priority && { priority: { name: input.priority } }),
           ...(input.assignee && { assignee: { accountId: input.assignee } }),
+          ...(input.reporter && { reporter: { accountId: input.reporter } }),
           ...(input.labels?.length > 0 && { labels: input.labels }),
+          ...input.fields,
         },
       }
 
       try {
         apiMetrics.requests.add(1, { service: 'jira', operation: 'createTicket' })
-        const result = await this.client.post('/issue', issueData)
+        const result = await this.client.post('/issue', issueData).catch(error => {
+          // Projects without the reporter on their create screen reject it; the caller is then the reporter
+          if (!input.reporter || error.status !== 400 || !error.fieldErrorMap?.reporter) throw error
+
+          log(`Reporter can't be set in ${this.projectKey}, creating the ticket without it`, 'WARN', { project: this.projectKey })
+          delete issueData.fields.reporter
+          return this.client.post('/issue', issueData)
+        })
 
         jiraMetrics.ticketsCreated.add(1, { project: this.projectKey, issue_type: input.issueType || 'Task' })
         apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'createTicket' })
@@ -101,18 +137,48 @@ export class JiraService {
     })
   }
 
+  /**
+   * Check whether a user may browse an issue
+   * @param {string} issueKey - Issue key
+   * @param {string} accountId - Jira account ID
+   * @returns {Promise<boolean>}
+   */
+  async canBrowseIssue(issueKey, accountId) {
+    return withSpan('jira.canBrowseIssue', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.issue_key', issueKey)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'canBrowseIssue' })
+        const params = new URLSearchParams({ permissions: 'BROWSE_PROJECTS', issueKey, accountId })
+        const users = await this.client.get(`/user/permission/search?${params}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'canBrowseIssue' })
+
+        return Array.isArray(users) && users.some(user => user.accountId === accountId)
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'canBrowseIssue', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
   /**
    * Search issues using JQL
    * Uses the new /search/jql endpoint (migrated from deprecated /search)
    * @param {string} jql - JQL query
    * @param {number} [maxResults=10]
+   * @param {object} [options]
+   * @param {string} [options.nextPageToken] - Token of the page to fetch, from a previous result
+   * @param {string[]} [options.fields] - Fields to return for each issue
+   * @returns {Promise<{issues: object[], nextPageToken?: string, isLast?: boolean}>}
    */
-  async searchIssues(jql, maxResults = 10) {
+  async searchIssues(jql, maxResults = 10, { nextPageToken = null, fields = SEARCH_FIELDS } = {}) {
     return withSpan('jira.searchIssues', async (span) => {
       const startTime = Date.now()
       span.setAttributes({
         'jira.jql': jql,
         'jira.max_results': maxResults,
+        'jira.next_page': !!nextPageToken,
       })
 
       try {
@@ -120,6 +186,8 @@ export class JiraService {
         const result = await this.client.post('/search/jql', {
           jql,
           maxResults,
+          fields,
+          ...(nextPageToken && { nextPageToken }),
         })
 
         jiraMetrics.searchesPerformed.add(1, { project: this.projectKey })
@@ -134,23 +202,320 @@ export class JiraService {
     })
   }
 
+  /**
+   * Estimate how many issues match a JQL query
+   * @param {string} jql - JQL query
+   * @returns {Promise<number>} Approximate count
+   */
+  async countIssues(jql) {
+    return withSpan('jira.countIssues', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.jql', jql)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'countIssues' })
+        const result = await this.client.post('/search/approximate-count', { jql })
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'countIssues' })
+        return result.count ?? 0
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'countIssues', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Get a saved Jira filter
+   * @param {string|number} filterId - Filter ID
+   * @returns {Promise<object>} Filter with id, name and jql
+   */
+  async getFilter(filterId) {
+    return withSpan('jira.getFilter', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.filter_id', String(filterId))
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'getFilter' })
+        const result = await this.client.get(`/filter/${encodeURIComponent(filterId)}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'getFilter' })
+        return result
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'getFilter', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Search saved Jira filters the user can see by name
+   * @param {string} name - Full or partial filter name
+   * @param {number} [maxResults=10]
+   * @returns {Promise<object[]>} Filters with id, name and jql
+   */
+  async findFilters(name, maxResults = 10) {
+    return withSpan('jira.findFilters', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.filter_name', name)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'findFilters' })
+        const params = new URLSearchParams({ filterName: name, expand: 'jql', maxResults: String(maxResults) })
+        const result = await this.client.get(`/filter/search?${params}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'findFilters' })
+        return result.values || []
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'findFilters', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
   /**
    * Get my recent issues
+   * Falls back to currentUser() (the API token account) when no account ID is given
+   * @param {number} [maxResults=10]
+   * @param {string} [accountId] - Jira account ID of the assignee
+   */
+  async getMyIssues(maxResults = 10, accountId = null) {
+    return this.searchIssues(this.getMyIssuesJql(accountId), maxResults)
+  }
+
+  /**
+   * Build the JQL of my recent issues
+   * @param {string} [accountId] - Jira account ID of the assignee, defaults to currentUser()
+   * @returns {string} JQL
+   */
+  getMyIssuesJql(accountId = null) {
+    return jql()
+      .where('project', '=', this.projectKey)
+      .where('assignee', '=', accountId || jqlFunction('currentUser'))
+      .orderBy('updated')
+      .build()
+  }
+
+  /**
+   * Get the transitions available for an issue, including the fields of their screens
+   * @param {string} issueKey - Issue key
+   * @returns {Promise<object[]>} Transitions with id, name, target status (to) and fields
+   */
+  async getTransitions(issueKey) {
+    return withSpan('jira.getTransitions', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.issue_key', issueKey)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'getTransitions' })
+        const result = await this.client.get(`/issue/${issueKey}/transitions?expand=transitions.fields`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'getTransitions' })
+        return result.transitions || []
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'getTransitions', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Move an issue to another status
+   * @param {string} issueKey - Issue key
+   * @param {string} transitionId - Transition ID from getTransitions
+   * @param {Object} [fields] - Transition screen fields keyed by field ID, already formatted for the API
+   * @returns {Promise<void>}
+   */
+  async transitionIssue(issueKey, transitionId, fields = {}) {
+    return withSpan('jira.transitionIssue', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({
+        'jira.issue_key': issueKey,
+        'jira.transition_id': transitionId,
+      })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'transitionIssue' })
+        await this.client.post(`/issue/${issueKey}/transitions`, {
+          transition: { id: transitionId },
+          ...(Object.keys(fields).length > 0 && { fields }),
+        })
+
+        jiraMetrics.ticketsTransitioned.add(1, { project: this.projectKey })
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'transitionIssue' })
+        log(`Jira ticket transitioned: ${issueKey}`, 'INFO', { issueKey, transitionId })
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'transitionIssue', error_type: error.name })
+        log(`Failed to transition Jira ticket: ${error.message}`, 'ERROR', { error: error.stack })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Search Jira users by email address or display name
+   * @param {string} query - Email, name or partial name
+   * @param {number} [maxResults=10]
+   * @returns {Promise<object[]>} Array of Jira user objects
+   */
+  async findUsers(query, maxResults = 10) {
+    return withSpan('jira.findUsers', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.max_results', maxResults)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'findUsers' })
+        const params = new URLSearchParams({ query, maxResults: String(maxResults) })
+        const result = await this.client.get(`/user/search?${params}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'findUsers' })
+
+        const users = (Array.isArray(result) ? result : []).filter(u => u.accountType !== 'app')
+        span.setAttribute('jira.results_count', users.length)
+        return users
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'findUsers', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Search users who can be assigned to an issue, or to new issues of the project
+   * @param {{issueKey: string}|{project: string}} scope - Issue or project the user must be assignable in
+   * @param {string} query - Email, name or partial name
    * @param {number} [maxResults=10]
+   * @returns {Promise<object[]>} Array of Jira user objects
+   */
+  async findAssignableUsers(scope, query, maxResults = 10) {
+    return withSpan('jira.findAssignableUsers', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.max_results', maxResults)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'findAssignableUsers' })
+        const params = new URLSearchParams({ ...scope, query, maxResults: String(maxResults) })
+        const result = await this.client.get(`/user/assignable/search?${params}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'findAssignableUsers' })
+
+        const users = (Array.isArray(result) ? result : []).filter(u => u.accountType !== 'app')
+        span.setAttribute('jira.results_count', users.length)
+        return users
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'findAssignableUsers', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Assign an issue to a user
+   * @param {string} issueKey - Issue key
+   * @param {string|null} accountId - Assignee account ID, or null to unassign
+   * @returns {Promise<void>}
+   */
+  async assignIssue(issueKey, accountId) {
+    return withSpan('jira.assignIssue', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({
+        'jira.issue_key': issueKey,
+        'jira.unassign': !accountId,
+      })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'assignIssue' })
+        await this.client.put(`/issue/${issueKey}/assignee`, { accountId })
+
+        jiraMetrics.ticketsAssigned.add(1, { project: this.projectKey, unassign: !accountId })
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'assignIssue' })
+        log(`Jira ticket ${accountId ? 'assigned' : 'unassigned'}: ${issueKey}`, 'INFO', { issueKey })
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'assignIssue', error_type: error.name })
+        log(`Failed to assign Jira ticket: ${error.message}`, 'ERROR', { error: error.stack })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Get the Jira user the client is authenticated as
+   * @returns {Promise<object>} Jira user object
    */
-  async getMyIssues(maxResults = 10) {
-    const jql = `project = ${this.projectKey} AND assignee = currentUser() ORDER BY updated DESC`
-    return this.searchIssues(jql, maxResults)
+  async getCurrentUser() {
+    return withSpan('jira.getCurrentUser', async () => {
+      const startTime = Date.now()
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'getCurrentUser' })
+        const result = await this.client.get('/myself')
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'getCurrentUser' })
+        return result
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'getCurrentUser', error_type: error.name })
+        throw error
+      }
+    })
   }
 
   /**
    * Add a comment to an issue
    * @param {string} issueKey - Issue key
    * @param {string} comment - Comment text
+   * @returns {Promise<object>} Created comment
    */
   async addComment(issueKey, comment) {
-    return this.client.post(`/issue/${issueKey}/comment`, {
-      body: this._toADF(comment),
+    return withSpan('jira.addComment', async (span) => {
+      const startTime = Date.now()
+      span.setAttribute('jira.issue_key', issueKey)
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'addComment' })
+        const result = await this.client.post(`/issue/${issueKey}/comment`, {
+          body: this._toADF(comment),
+        })
+
+        jiraMetrics.commentsAdded.add(1, { project: this.projectKey })
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'addComment' })
+        log(`Jira comment added: ${issueKey}`, 'INFO', { issueKey })
+
+        return result
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'addComment', error_type: error.name })
+        log(`Failed to add Jira comment: ${error.message}`, 'ERROR', { error: error.stack })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Get comments of an issue, newest first
+   * @param {string} issueKey - Issue key
+   * @param {number} [startAt=0] - Number of newer comments to skip
+   * @param {number} [maxResults=5]
+   * @returns {Promise<{comments: object[], total: number, startAt: number}>}
+   */
+  async getComments(issueKey, startAt = 0, maxResults = 5) {
+    return withSpan('jira.getComments', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({
+        'jira.issue_key': issueKey,
+        'jira.start_at': startAt,
+      })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'getComments' })
+        const params = new URLSearchParams({
+          startAt: String(startAt),
+          maxResults: String(maxResults),
+          orderBy: '-created',
+        })
+        const result = await this.client.get(`/issue/${issueKey}/comment?${params}`)
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'getComments' })
+
+        return {
+          comments: result.comments || [],
+          total: result.total ?? 0,
+          startAt: result.startAt ?? startAt,
+        }
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'getComments', error_type: error.name })
+        throw error
+      }
     })
   }
 
@@ -169,6 +534,128 @@ export class JiraService {
     return project.issueTypes
   }
 
+  /**
+   * Get the fields of the create screen for an issue type of the project
+   * @param {string} issueTypeId - Issue type ID
+   * @returns {Promise<object[]>} Field metadata (fieldId, name, required, schema, allowedValues, hasDefaultValue)
+   */
+  async getCreateFields(issueTypeId) {
+    return withSpan('jira.getCreateFields', async (span) => {
+      const startTime = Date.now()
+      span.setAttributes({
+        'jira.project': this.projectKey,
+        'jira.issue_type_id': issueTypeId,
+      })
+
+      try {
+        apiMetrics.requests.add(1, { service: 'jira', operation: 'getCreateFields' })
+        const result = await this.client.get(
+          `/issue/createmeta/${this.projectKey}/issuetypes/${issueTypeId}?maxResults=200`
+        )
+        apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'jira', operation: 'getCreateFields' })
+
+        const fields = result.fields || result.values || []
+        span.setAttribute('jira.field_count', fields.length)
+        return fields
+      } catch (error) {
+        apiMetrics.errors.add(1, { service: 'jira', operation: 'getCreateFields', error_type: error.name })
+        throw error
+      }
+    })
+  }
+
+  /**
+   * Determine the field type from create metadata
+   * @param {object} field - Field object with schema and allowedValues
+   * @returns {string} Field type: 'text', 'textarea', 'select', 'multiselect', 'date', 'datetime',
+   *   'user', 'number', 'issue', 'array', 'attachment', or 'unsupported'
+   */
+  getFieldType(field) {
+    const schema = field.schema || {}
+
+    if (schema.system === 'description' || schema.system === 'environment') return 'textarea'
+    if (schema.custom?.endsWith(':textarea')) return 'textarea'
+    if (schema.system === 'attachment' || schema.items === 'attachment') return 'attachment'
+
+    if (schema.type === 'array') {
+      if (field.allowedValues?.length > 0) return 'multiselect'
+      if (schema.items === 'string') return 'array'
+      return 'unsupported'
+    }
+
+    if (field.allowedValues?.length > 0) return 'select'
+    if (schema.type === 'user') return 'user'
+    if (schema.type === 'issuelink') return 'issue'
+    if (schema.type === 'date') return 'date'
+    if (schema.type === 'datetime') return 'datetime'
+    if (schema.type === 'number') return 'number'
+    if (schema.type === 'string' || schema.type === 'team') return 'text'
+
+    return 'unsupported'
+  }
+
+  /**
+   * Find an allowed value of a field by 1-based position or name
+   * @param {object} field - Field definition with allowedValues
+   * @param {string} userInput - Position or name of the value
+   * @returns {object|null} Matching allowed value
+   */
+  findAllowedValue(field, userInput) {
+    const values = field.allowedValues || []
+    const input = userInput.trim().toLowerCase()
+
+    if (/^\d+$/.test(input)) {
+      return values[parseInt(input, 10) - 1] || null
+    }
+
+    return values.find(v => (v.name ?? v.value)?.toLowerCase() === input) || null
+  }
+
+  /**
+   * Format validated user input based on field type for API submission
+   * @param {object} field - Field definition object
+   * @param {string} userInput - Raw user input string (account ID for user fields)
+   * @returns {*} Formatted value for Jira API
+   */
+  formatFieldValue(field, userInput) {
+    const fieldType = this.getFieldType(field)
+
+    switch (fieldType) {
+      case 'select':
+        return { id: this.findAllowedValue(field, userInput)?.id }
+
+      case 'multiselect':
+        return userInput.split(',')
+          .map(v => this.findAllowedValue(field, v))
+          .filter(Boolean)
+          .map(v => ({ id: v.id }))
+
+      case 'user':
+        return { accountId: userInput }
+
+      case 'issue':
+        return { key: userInput.toUpperCase() }
+
+      case 'number':
+        return parseFloat(userInput)
+
+      case 'datetime':
+        return new Date(userInput.replace(' ', 'T')).toISOString().replace('Z', '+0000')
+
+      case 'array':
+        return userInput.split(',').map(v => v.trim()).filter(Boolean)
+
+      case 'textarea':
+        return this._toADF(userInput)
+
+      case 'attachment':
+        return null
+
+      default:
+        return userInput
+    }
+  }
+
   /**
    * Get the browse URL for a ticket
    * @param {string} issueKey - Issue key
@@ -183,22 +670,34 @@ export class JiraService {
    * @returns {Object} ADF document
    */
   _toADF(text) {
+    // Blank lines separate paragraphs; single line breaks become hard breaks
+    const paragraphs = String(text).split(/\n\s*\n/).filter(p => p.trim())
+
     return {
       type: 'doc',
       version: 1,
-      content: [
-        {
-          type: 'paragraph',
-          content: [
-            {
-              type: 'text',
-              text: text,
-            },
-          ],
-        },
-      ],
+      content: (paragraphs.length > 0 ? paragraphs : ['']).map(paragraph => ({
+        type: 'paragraph',
+        content: paragraph.split('\n').flatMap((line, i) => [
+          ...(i > 0 ? [{ type: 'hardBreak' }] : []),
+          ...this._toADFText(line),
+        ]),
+      })),
     }
   }
+
+  /**
+   * Convert a line of plain text to ADF text nodes, keeping URLs clickable
+   * @param {string} line - Line of text
+   * @returns {Object[]} ADF text nodes
+   */
+  _toADFText(line) {
+    return line.split(/(https?:\/\/\S+)/).filter(Boolean).map(part =>
+      /^https?:\/\//.test(part)
+        ? { type: 'text', text: part, marks: [{ type: 'link', attrs: { href: part } }] }
+        : { type: 'text', text: part }
+    )
+  }
 }
 
 /**
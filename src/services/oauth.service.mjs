@@ -0,0 +1,273 @@
+/**
+ * Atlassian OAuth Service
+ * Handles the OAuth 2.0 (3LO) authorization-code flow and per-user token refresh
+ */
+import crypto from 'crypto'
+import { ApiError, createBearerAuthClient } from '../common/services/index.mjs'
+import { TokenStore } from '../state/tokens.mjs'
+import { withSpan, apiMetrics, log } from '../telemetry/index.mjs'
+
+// Pending logins must be completed within this window
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000
+
+// Refresh access tokens slightly before they expire
+const REFRESH_MARGIN_MS = 60 * 1000
+
+/**
+ * AtlassianOAuthService class for per-user Atlassian authentication
+ */
+export class AtlassianOAuthService {
+  /**
+   * Create a new AtlassianOAuthService instance
+   * @param {object} config - OAuth configuration
+   * @param {string} config.clientId - OAuth app client ID
+   * @param {string} config.clientSecret - OAuth app client secret
+   * @param {string} config.redirectUri - Callback URL registered with the OAuth app
+   * @param {string} config.authorizeUrl - Authorization endpoint
+   * @param {string} config.tokenUrl - Token endpoint
+   * @param {string} config.apiBaseUrl - Atlassian API gateway base URL
+   * @param {string} config.scopes - Space-separated scopes
+   * @param {string} config.siteUrl - Jira site URL used to pick the matching cloud resource
+   * @param {TokenStore} config.tokenStore - Encrypted token store
+   */
+  constructor(config) {
+    this.clientId = config.clientId
+    this.clientSecret = config.clientSecret
+    this.redirectUri = config.redirectUri
+    this.authorizeUrl = config.authorizeUrl
+    this.tokenUrl = config.tokenUrl
+    this.apiBaseUrl = config.apiBaseUrl.replace(/\/$/, '')
+    this.scopes = config.scopes
+    this.siteUrl = config.siteUrl?.replace(/\/$/, '')
+    this.tokenStore = config.tokenStore
+
+    this._pendingLogins = new Map()
+  }
+
+  /**
+   * Build the authorization URL the user opens to connect their account
+   * @param {string} userKey - Teams user key
+   * @returns {string} Authorization URL
+   */
+  createAuthorizationUrl(userKey) {
+    this._prunePendingLogins()
+
+    const state = crypto.randomBytes(24).toString('hex')
+    this._pendingLogins.set(state, { userKey, expiresAt: Date.now() + LOGIN_STATE_TTL_MS })
+
+    const params = new URLSearchParams({
+      audience: 'api.atlassian.com',
+      client_id: this.clientId,
+      scope: this.scopes,
+      redirect_uri: this.redirectUri,
+      state,
+      response_type: 'code',
+      prompt: 'consent',
+    })
+
+    return `${this.authorizeUrl}?${params}`
+  }
+
+  /**
+   * Complete the authorization-code flow
+   * @param {string} code - Authorization code from the callback
+   * @param {string} state - State parameter from the callback
+   * @returns {Promise<{userKey: string, accessToken: string, cloudId: string, siteUrl: string}>}
+   * @throws {Error} If the state is unknown or expired
+   */
+  async handleCallback(code, state) {
+    const pending = this._pendingLogins.get(state)
+    this._pendingLogins.delete(state)
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw new Error('Login link is invalid or has expired. Please run "jira login" again.')
+    }
+
+    return withSpan('oauth.handleCallback', async () => {
+      const tokens = await this._requestToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri,
+      })
+
+      const resource = await this._getCloudResource(tokens.access_token)
+      const record = {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        expiresAt: Date.now() + tokens.expires_in * 1000,
+        scope: tokens.scope,
+        cloudId: resource.id,
+        siteUrl: resource.url,
+        connectedAt: new Date().toISOString(),
+      }
+
+      this.tokenStore.set(pending.userKey, record)
+      log(`Atlassian account connected for ${pending.userKey}`, 'INFO', { userKey: pending.userKey })
+
+      return { userKey: pending.userKey, accessToken: record.accessToken, cloudId: record.cloudId, siteUrl: record.siteUrl }
+    })
+  }
+
+  /**
+   * Get a valid access token for a user, refreshing it if needed
+   * Tokens that can no longer be refreshed are discarded so the caller falls back to the service account
+   * @param {string} userKey - Teams user key
+   * @returns {Promise<{accessToken: string, cloudId: string}|null>} Session or null if not connected
+   */
+  async getSession(userKey) {
+    const record = this.tokenStore.get(userKey)
+    if (!record) return null
+
+    if (record.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+      return { accessToken: record.accessToken, cloudId: record.cloudId }
+    }
+
+    try {
+      const tokens = await this._requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: record.refreshToken,
+      })
+
+      const refreshed = {
+        ...record,
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token || record.refreshToken,
+        expiresAt: Date.now() + tokens.expires_in * 1000,
+      }
+      this.tokenStore.set(userKey, refreshed)
+
+      return { accessToken: refreshed.accessToken, cloudId: refreshed.cloudId }
+    } catch (error) {
+      log(`Failed to refresh Atlassian token for ${userKey}: ${error.message}`, 'WARN', { userKey })
+      if (error.isClientError?.()) {
+        this.tokenStore.delete(userKey)
+      }
+      return null
+    }
+  }
+
+  /**
+   * Get the Jira REST base URL for a cloud site through the API gateway
+   * @param {string} cloudId - Atlassian cloud ID
+   * @returns {string} Base URL (without /rest/...)
+   */
+  getJiraApiBaseUrl(cloudId) {
+    return `${this.apiBaseUrl}/ex/jira/${cloudId}`
+  }
+
+  /**
+   * Get the Forms API base URL for a cloud site through the API gateway
+   * @param {string} cloudId - Atlassian cloud ID
+   * @returns {string} Base URL
+   */
+  getFormsApiBaseUrl(cloudId) {
+    return `${this.apiBaseUrl}/jira/forms/cloud/${cloudId}`
+  }
+
+  /**
+   * Check if a user has connected their Atlassian account
+   * @param {string} userKey - Teams user key
+   * @returns {boolean}
+   */
+  isConnected(userKey) {
+    return this.tokenStore.has(userKey)
+  }
+
+  /**
+   * Disconnect a user by removing their stored tokens
+   * @param {string} userKey - Teams user key
+   * @returns {boolean} True if the user was connected
+   */
+  disconnect(userKey) {
+    return this.tokenStore.delete(userKey)
+  }
+
+  /**
+   * Call the token endpoint
+   * Uses fetch directly so client secrets and tokens never reach the ApiClient request log
+   * @private
+   * @param {object} params - Grant-specific parameters
+   * @returns {Promise<object>} Token response
+   * @throws {ApiError} If the token endpoint rejects the request
+   */
+  async _requestToken(params) {
+    const startTime = Date.now()
+    try {
+      apiMetrics.requests.add(1, { service: 'oauth', operation: params.grant_type })
+      const response = await fetch(this.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({
+          client_id: this.clientId,
+          client_secret: this.clientSecret,
+          ...params,
+        }),
+        signal: AbortSignal.timeout(30000),
+      })
+
+      if (!response.ok) {
+        throw await ApiError.fromResponse(response, this.tokenUrl, 'POST')
+      }
+
+      apiMetrics.requestDuration.record(Date.now() - startTime, { service: 'oauth', operation: params.grant_type })
+      return await response.json()
+    } catch (error) {
+      apiMetrics.errors.add(1, { service: 'oauth', operation: params.grant_type, error_type: error.name })
+      throw error
+    }
+  }
+
+  /**
+   * Find the cloud resource of the configured Jira site among those the token grants access to
+   * Other sites are never used, so requests can't end up on a different Atlassian site
+   * @private
+   * @param {string} accessToken - Access token
+   * @returns {Promise<{id: string, url: string}>} Matching resource
+   * @throws {Error} If the token grants no access to the configured site
+   */
+  async _getCloudResource(accessToken) {
+    const client = createBearerAuthClient(this.apiBaseUrl, accessToken, { timeout: 30000 })
+    const resources = await client.get('/oauth/token/accessible-resources')
+
+    const match = resources.find(r => r.url?.replace(/\/$/, '').toLowerCase() === this.siteUrl?.toLowerCase())
+    if (!match) {
+      throw new Error(`Your Atlassian account has no access to ${this.siteUrl}. Sign in with an account of that Jira site.`)
+    }
+    return match
+  }
+
+  /**
+   * Remove expired pending logins
+   * @private
+   */
+  _prunePendingLogins() {
+    const now = Date.now()
+    for (const [state, pending] of this._pendingLogins) {
+      if (pending.expiresAt < now) this._pendingLogins.delete(state)
+    }
+  }
+}
+
+/**
+ * Create AtlassianOAuthService from environment configuration
+ * @param {object} oauthConfig - config.oauth section
+ * @param {string} siteUrl - Jira site URL
+ * @returns {AtlassianOAuthService} Configured service
+ * @throws {Error} If OAuth is not fully configured
+ */
+export function createOAuthServiceFromEnv(oauthConfig, siteUrl) {
+  const { clientId, clientSecret, redirectUri, encryptionKey } = oauthConfig
+
+  if (!clientId || !clientSecret || !redirectUri || !encryptionKey) {
+    throw new Error(
+      'Missing OAuth configuration. Please set ATLASSIAN_OAUTH_CLIENT_ID, ATLASSIAN_OAUTH_CLIENT_SECRET, BOT_ENDPOINT (or ATLASSIAN_OAUTH_REDIRECT_URI), and TOKEN_ENCRYPTION_KEY.'
+    )
+  }
+
+  const tokenStore = new TokenStore({
+    filePath: oauthConfig.tokenStorePath,
+    secret: encryptionKey,
+  })
+
+  return new AtlassianOAuthService({ ...oauthConfig, siteUrl, tokenStore })
+}
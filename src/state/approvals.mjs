@@ -0,0 +1,30 @@
+/**
+ * Approval Notice Storage
+ * Approvals an approver was already sent a card for, so every later event on
+ * the same request doesn't send the card again
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Approvals still open after a month are unlikely to be answered from an old card anyway
+const NOTICE_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+const noticeStore = createStateStore('approvals', { ttlMs: NOTICE_TTL_MS })
+
+/**
+ * Check whether an approver was already notified of an approval
+ * @param {string|number} approvalId - Approval ID
+ * @param {string} accountId - Jira account ID of the approver
+ * @returns {boolean}
+ */
+export function wasApprovalNotified(approvalId, accountId) {
+  return noticeStore.has(`${approvalId}:${accountId}`)
+}
+
+/**
+ * Remember that an approver was notified of an approval
+ * @param {string|number} approvalId - Approval ID
+ * @param {string} accountId - Jira account ID of the approver
+ */
+export function markApprovalNotified(approvalId, accountId) {
+  noticeStore.set(`${approvalId}:${accountId}`, { notifiedAt: new Date().toISOString() })
+}
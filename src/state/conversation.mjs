@@ -2,9 +2,23 @@
  * Conversation State Management
  * Handles storing and retrieving conversation state for multi-turn dialogs
  */
+import { config } from '../config/env.mjs'
+import { createStateStore } from './stores/index.mjs'
+import { getDraftFlow, saveDraft } from './drafts.mjs'
 
-// In-memory state storage (use Redis/DB in production)
-const conversationStates = new Map()
+// Expired flows leave a marker behind so the user can be told on their next message
+const EXPIRED_MARKER_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+const conversationStates = createStateStore('conversations', {
+  ttlMs: config.state.conversationTtlMinutes * 60 * 1000,
+  onExpire: (conversationId, state) => {
+    const flow = getDraftFlow(state)
+    if (flow) {
+      const savedAsDraft = !!saveDraft(state.draftOwner, state)
+      conversationStates.set(conversationId, { expiredFlow: flow, savedAsDraft }, EXPIRED_MARKER_TTL_MS)
+    }
+  },
+})
 
 /**
  * Get conversation state
@@ -12,11 +26,14 @@ const conversationStates = new Map()
  * @returns {object} State object or empty object
  */
 export function getState(conversationId) {
-  return conversationStates.get(conversationId) || {}
+  const state = conversationStates.get(conversationId)
+  if (!state || state.expiredFlow) return {}
+  return state
 }
 
 /**
  * Set conversation state
+ * Every write restarts the state's time-to-live
  * @param {string} conversationId
  * @param {object} state
  */
@@ -48,7 +65,23 @@ export function deleteState(conversationId) {
  * @returns {boolean}
  */
 export function hasState(conversationId) {
-  return conversationStates.has(conversationId)
+  return Object.keys(getState(conversationId)).length > 0
+}
+
+/**
+ * Check whether a wizard flow in this conversation expired since the last message
+ * The marker is removed, so this returns the flow only once
+ * @param {string} conversationId
+ * @returns {{flow: 'jira'|'itsm', savedAsDraft: boolean}|null} Expired flow, or null
+ */
+export function consumeExpiredFlow(conversationId) {
+  // Reading an entry past its TTL expires it and writes the marker, so the second read sees it
+  conversationStates.get(conversationId)
+  const state = conversationStates.get(conversationId)
+  if (!state?.expiredFlow) return null
+
+  conversationStates.delete(conversationId)
+  return { flow: state.expiredFlow, savedAsDraft: !!state.savedAsDraft }
 }
 
 /**
@@ -0,0 +1,58 @@
+/**
+ * Digest Schedule Storage
+ * Daily Jira digests per Teams user: when and where to send them, and the
+ * last day one was sent, so a restart neither skips nor repeats a digest
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Schedules are kept until the user turns the digest off
+const digestStore = createStateStore('digests', { ttlMs: 0 })
+
+/**
+ * Get the digest schedule of a user
+ * @param {string} userKey - Teams user key
+ * @returns {object|null} Schedule {reference, accountId, time, timeZone, lastSentOn} or null
+ */
+export function getDigest(userKey) {
+  return digestStore.get(userKey) || null
+}
+
+/**
+ * List every digest schedule
+ * @returns {Array<{userKey: string, reference: object, accountId: string, time: string, timeZone: string, lastSentOn: string|null}>}
+ */
+export function listDigests() {
+  return digestStore.entries().map(([userKey, schedule]) => ({ userKey, ...schedule }))
+}
+
+/**
+ * Store the digest schedule of a user, replacing an existing one
+ * @param {string} userKey - Teams user key
+ * @param {object} schedule - Schedule {reference, accountId, time, timeZone, lastSentOn}
+ */
+export function saveDigest(userKey, schedule) {
+  digestStore.set(userKey, schedule)
+}
+
+/**
+ * Remember the local day a user's digest was sent on
+ * @param {string} userKey - Teams user key
+ * @param {string} date - Local date, YYYY-MM-DD
+ */
+export function markDigestSent(userKey, date) {
+  const schedule = getDigest(userKey)
+  if (schedule) {
+    digestStore.set(userKey, { ...schedule, lastSentOn: date })
+  }
+}
+
+/**
+ * Remove the digest schedule of a user
+ * @param {string} userKey - Teams user key
+ * @returns {boolean} Whether the user had a schedule
+ */
+export function removeDigest(userKey) {
+  if (!digestStore.has(userKey)) return false
+  digestStore.delete(userKey)
+  return true
+}
@@ -0,0 +1,103 @@
+/**
+ * Draft Storage
+ * Per-user snapshots of unfinished Jira/ITSM wizards so they can be resumed later
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Drafts are kept for two weeks after the last change
+const DRAFT_TTL_MS = 14 * 24 * 60 * 60 * 1000
+
+// Oldest drafts are dropped beyond this many per user
+const MAX_DRAFTS_PER_USER = 10
+
+const draftStore = createStateStore('drafts', { ttlMs: DRAFT_TTL_MS })
+
+/**
+ * Get the wizard flow a conversation state belongs to
+ * @param {object} state - Conversation state
+ * @returns {'jira'|'itsm'|null}
+ */
+export function getDraftFlow(state) {
+  if (state?.awaitingTicketDetails) return 'jira'
+  if (state?.awaitingITSMDetails) return 'itsm'
+  return null
+}
+
+/**
+ * Check whether a wizard state holds anything worth saving
+ * @param {object} state - Conversation state
+ * @returns {boolean}
+ */
+function hasProgress(state) {
+  const flow = getDraftFlow(state)
+  if (flow === 'jira') return Object.keys(state.ticketData || {}).length > 0
+  if (flow === 'itsm') return !!state.selectedServiceDesk
+  return false
+}
+
+/**
+ * Build a short title describing a draft
+ * @param {object} state - Conversation state
+ * @returns {string}
+ */
+function describeDraft(state) {
+  if (getDraftFlow(state) === 'jira') {
+    return state.ticketData?.summary || 'Untitled Jira ticket'
+  }
+
+  const fc = state.fieldCollection
+  const summary = fc?.collectedValues?.summary
+  const name = state.selectedRequestType?.name || state.selectedPortalGroup?.name || state.selectedServiceDesk?.projectName
+  return [name, summary].filter(Boolean).join(' — ') || 'Untitled ITSM request'
+}
+
+/**
+ * Save an in-progress wizard state as a draft
+ * States without any collected input are ignored
+ * @param {string} userKey - Teams user key
+ * @param {object} state - Conversation state to snapshot
+ * @returns {object|null} Saved draft or null if nothing was saved
+ */
+export function saveDraft(userKey, state) {
+  if (!userKey || !hasProgress(state)) return null
+
+  const draft = {
+    flow: getDraftFlow(state),
+    title: describeDraft(state),
+    step: state.step,
+    savedAt: new Date().toISOString(),
+    state: JSON.parse(JSON.stringify(state)),
+  }
+
+  const drafts = [draft, ...listDrafts(userKey)].slice(0, MAX_DRAFTS_PER_USER)
+  draftStore.set(userKey, drafts)
+  return draft
+}
+
+/**
+ * List a user's drafts, newest first
+ * @param {string} userKey - Teams user key
+ * @returns {object[]} Array of drafts
+ */
+export function listDrafts(userKey) {
+  return draftStore.get(userKey) || []
+}
+
+/**
+ * Remove a draft and return it
+ * @param {string} userKey - Teams user key
+ * @param {number} index - 0-based index in listDrafts()
+ * @returns {object|null} Removed draft or null if the index is invalid
+ */
+export function removeDraft(userKey, index) {
+  const drafts = listDrafts(userKey)
+  if (index < 0 || index >= drafts.length) return null
+
+  const [removed] = drafts.splice(index, 1)
+  if (drafts.length > 0) {
+    draftStore.set(userKey, drafts)
+  } else {
+    draftStore.delete(userKey)
+  }
+  return removed
+}
@@ -0,0 +1,27 @@
+/**
+ * Identity Storage
+ * Jira accounts Teams users were matched or linked to, so manual links and
+ * Atlassian logins survive a restart
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Mappings are kept until replaced; automatic matches are re-checked by the identity service
+const identityStore = createStateStore('identities', { ttlMs: 0 })
+
+/**
+ * Get the stored Jira mapping of a Teams user
+ * @param {string} userKey - Teams user key
+ * @returns {object|null} Mapping {accountId, displayName, emailAddress, source, resolvedAt} or null
+ */
+export function getIdentity(userKey) {
+  return identityStore.get(userKey) || null
+}
+
+/**
+ * Store the Jira mapping of a Teams user, replacing the one before
+ * @param {string} userKey - Teams user key
+ * @param {object} mapping - {accountId, displayName, emailAddress, source, resolvedAt}
+ */
+export function saveIdentity(userKey, mapping) {
+  identityStore.set(userKey, mapping)
+}
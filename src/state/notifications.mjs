@@ -0,0 +1,74 @@
+/**
+ * Notification Recipient Storage
+ * Per Teams user: the conversation reference of their personal chat with the bot,
+ * their Jira account and the notification types they turned off
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Recipients are kept until the user talks to the bot from somewhere else
+const recipientStore = createStateStore('notifications', { ttlMs: 0 })
+
+/**
+ * Get the stored recipient record of a user
+ * @param {string} userKey - Teams user key
+ * @returns {object|null} Recipient {reference, accountId, disabled} or null
+ */
+export function getRecipient(userKey) {
+  return recipientStore.get(userKey) || null
+}
+
+/**
+ * Store where and as whom a user can be notified; unchanged records aren't rewritten
+ * An undefined account ID keeps the one stored before, so a failed lookup doesn't
+ * unlink the user; null removes it
+ * @param {string} userKey - Teams user key
+ * @param {object} recipient - {reference, accountId}
+ */
+export function saveRecipient(userKey, { reference, accountId }) {
+  const current = getRecipient(userKey)
+  accountId = accountId === undefined ? current?.accountId || null : accountId
+
+  if (current &&
+    current.accountId === accountId &&
+    current.reference?.conversation?.id === reference.conversation?.id &&
+    current.reference?.serviceUrl === reference.serviceUrl) {
+    return
+  }
+
+  recipientStore.set(userKey, { disabled: [], ...current, reference, accountId })
+}
+
+/**
+ * Find the users linked to a Jira account
+ * @param {string} accountId - Jira account ID
+ * @returns {Array<{userKey: string, reference: object, disabled: string[]}>}
+ */
+export function findRecipients(accountId) {
+  return recipientStore.entries()
+    .filter(([, recipient]) => recipient.accountId === accountId)
+    .map(([userKey, recipient]) => ({ userKey, ...recipient }))
+}
+
+/**
+ * Turn notification types on or off for a user
+ * @param {string} userKey - Teams user key
+ * @param {string[]} types - Notification types
+ * @param {boolean} enabled - Whether the types should be sent
+ * @returns {boolean} False when the user has no recipient record yet
+ */
+export function setNotificationsEnabled(userKey, types, enabled) {
+  const current = getRecipient(userKey)
+  if (!current) return false
+
+  const disabled = new Set(current.disabled || [])
+  for (const type of types) {
+    if (enabled) {
+      disabled.delete(type)
+    } else {
+      disabled.add(type)
+    }
+  }
+
+  recipientStore.set(userKey, { ...current, disabled: [...disabled] })
+  return true
+}
@@ -0,0 +1,30 @@
+/**
+ * Issue Preview Storage
+ * Remembers which issue keys were recently previewed in a conversation, so a
+ * ticket that keeps coming up in a discussion is only previewed once
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// The same issue is previewed again in a conversation after this long
+const PREVIEW_COOLDOWN_MS = 30 * 60 * 1000
+
+const previewStore = createStateStore('previews', { ttlMs: PREVIEW_COOLDOWN_MS })
+
+/**
+ * Check whether an issue was previewed in a conversation recently
+ * @param {string} conversationId - Unique conversation identifier
+ * @param {string} issueKey - Jira issue key
+ * @returns {boolean}
+ */
+export function wasPreviewed(conversationId, issueKey) {
+  return !!previewStore.get(`${conversationId}:${issueKey}`)
+}
+
+/**
+ * Remember that an issue was previewed in a conversation
+ * @param {string} conversationId - Unique conversation identifier
+ * @param {string} issueKey - Jira issue key
+ */
+export function markPreviewed(conversationId, issueKey) {
+  previewStore.set(`${conversationId}:${issueKey}`, { previewedAt: new Date().toISOString() })
+}
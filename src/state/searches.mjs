@@ -0,0 +1,82 @@
+/**
+ * Saved Search Storage
+ * Named `jira search` filters, kept per user or shared with a channel or team
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Saved searches are kept until they are deleted
+const searchStore = createStateStore('searches', { ttlMs: 0 })
+
+// Searches kept at most per user, channel or team
+const MAX_SEARCHES_PER_SCOPE = 25
+
+/**
+ * Build the store key of a scope
+ * @param {{type: 'user'|'channel'|'team', id: string}} scope - Owner of the searches
+ * @returns {string}
+ */
+function scopeKey(scope) {
+  return `${scope.type}:${scope.id}`
+}
+
+/**
+ * List the searches of a scope, sorted by name
+ * @param {{type: 'user'|'channel'|'team', id: string}} scope - Owner of the searches
+ * @returns {object[]} Saved searches {name, filter, createdBy, createdByName, savedAt}
+ */
+export function listSearches(scope) {
+  return searchStore.get(scopeKey(scope)) || []
+}
+
+/**
+ * Find a search by name (case-insensitive)
+ * @param {{type: 'user'|'channel'|'team', id: string}} scope - Owner of the searches
+ * @param {string} name - Search name
+ * @returns {object|null} Saved search or null
+ */
+export function findSearch(scope, name) {
+  const lowerName = name.toLowerCase()
+  return listSearches(scope).find(s => s.name.toLowerCase() === lowerName) || null
+}
+
+/**
+ * Save a search, replacing one with the same name
+ * @param {{type: 'user'|'channel'|'team', id: string}} scope - Owner of the searches
+ * @param {object} search - Search {name, filter, createdBy, createdByName}
+ * @returns {{search: object, replaced: boolean}|null} Saved search, or null when the scope is full
+ */
+export function saveSearch(scope, search) {
+  const lowerName = search.name.toLowerCase()
+  const searches = listSearches(scope)
+  const others = searches.filter(s => s.name.toLowerCase() !== lowerName)
+
+  if (others.length >= MAX_SEARCHES_PER_SCOPE) return null
+
+  const saved = { ...search, savedAt: new Date().toISOString() }
+  searchStore.set(
+    scopeKey(scope),
+    [...others, saved].sort((a, b) => a.name.localeCompare(b.name))
+  )
+  return { search: saved, replaced: others.length < searches.length }
+}
+
+/**
+ * Remove a search by name
+ * @param {{type: 'user'|'channel'|'team', id: string}} scope - Owner of the searches
+ * @param {string} name - Search name
+ * @returns {object|null} Removed search or null if there is none with that name
+ */
+export function removeSearch(scope, name) {
+  const lowerName = name.toLowerCase()
+  const searches = listSearches(scope)
+  const removed = searches.find(s => s.name.toLowerCase() === lowerName)
+  if (!removed) return null
+
+  const remaining = searches.filter(s => s !== removed)
+  if (remaining.length > 0) {
+    searchStore.set(scopeKey(scope), remaining)
+  } else {
+    searchStore.delete(scopeKey(scope))
+  }
+  return removed
+}
@@ -0,0 +1,68 @@
+/**
+ * SLA Warning Storage
+ * Team channels that receive SLA breach warnings, and the warnings already
+ * sent, so a request near its breach is reported once per SLA cycle
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Channels are kept until alerts are turned off there
+const channelStore = createStateStore('slaChannels', { ttlMs: 0 })
+
+// Warnings are remembered past any realistic SLA cycle
+const WARNING_TTL_MS = 14 * 24 * 60 * 60 * 1000
+
+const warningStore = createStateStore('slaWarnings', { ttlMs: WARNING_TTL_MS })
+
+/**
+ * Get the SLA alert settings of a channel
+ * @param {string} channelId - Teams channel ID
+ * @returns {object|null} Settings {reference, projects, createdBy} or null
+ */
+export function getSlaChannel(channelId) {
+  return channelStore.get(channelId) || null
+}
+
+/**
+ * List every channel receiving SLA warnings
+ * @returns {Array<{channelId: string, reference: object, projects: string[]}>}
+ */
+export function listSlaChannels() {
+  return channelStore.entries().map(([channelId, settings]) => ({ channelId, ...settings }))
+}
+
+/**
+ * Turn SLA warnings on for a channel, replacing earlier settings
+ * @param {string} channelId - Teams channel ID
+ * @param {object} settings - {reference, projects, createdBy}
+ */
+export function saveSlaChannel(channelId, settings) {
+  channelStore.set(channelId, settings)
+}
+
+/**
+ * Turn SLA warnings off for a channel
+ * @param {string} channelId - Teams channel ID
+ * @returns {boolean} Whether the channel had them on
+ */
+export function removeSlaChannel(channelId) {
+  if (!channelStore.has(channelId)) return false
+  channelStore.delete(channelId)
+  return true
+}
+
+/**
+ * Check whether a warning was already sent
+ * @param {string} warningKey - Request key, SLA name and cycle start
+ * @returns {boolean}
+ */
+export function wasSlaWarningSent(warningKey) {
+  return warningStore.has(warningKey)
+}
+
+/**
+ * Remember that a warning was sent
+ * @param {string} warningKey - Request key, SLA name and cycle start
+ */
+export function markSlaWarningSent(warningKey) {
+  warningStore.set(warningKey, { sentAt: new Date().toISOString() })
+}
@@ -0,0 +1,99 @@
+/**
+ * File State Store
+ * JSON-file backed store so state survives restarts and redeploys
+ */
+import fs from 'fs'
+import path from 'path'
+import { MemoryStateStore } from './MemoryStateStore.mjs'
+
+// Changes are written at most this often, so a burst of updates (e.g. recorded channel messages) costs one write
+const PERSIST_DELAY_MS = 1000
+
+// Stores with changes not yet on disk, written out before the process exits
+const pendingStores = new Set()
+
+const flushPendingStores = () => {
+  for (const store of pendingStores) {
+    store.flush()
+  }
+}
+
+process.on('exit', flushPendingStores)
+
+// Docker stop and Ctrl+C send signals, which end the process without an 'exit' event
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, function onSignal() {
+    flushPendingStores()
+
+    // A listener keeps the process alive; when no one else handles the signal, end it as Node would
+    if (process.listenerCount(signal) === 1) {
+      process.off(signal, onSignal)
+      process.kill(process.pid, signal)
+    }
+  })
+}
+
+export class FileStateStore extends MemoryStateStore {
+  /**
+   * @param {import('./StateStore.mjs').StateStoreOptions & {filePath: string}} options
+   */
+  constructor(options) {
+    super(options)
+    this.filePath = options.filePath
+    this._load()
+  }
+
+  /**
+   * Load entries from disk; expired ones are dropped on first access or sweep
+   * @private
+   */
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+      for (const [key, entry] of Object.entries(data)) {
+        this._entries.set(key, entry)
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read state file ${this.filePath}:`, error.message)
+      }
+    }
+  }
+
+  close() {
+    super.close()
+    if (pendingStores.has(this)) this.flush()
+  }
+
+  /**
+   * Write all entries to disk now instead of with the next batched write
+   */
+  flush() {
+    clearTimeout(this._persistTimer)
+    this._persistTimer = null
+    pendingStores.delete(this)
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+      const tmpPath = `${this.filePath}.tmp`
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this._entries)))
+      fs.renameSync(tmpPath, this.filePath)
+    } catch (error) {
+      console.error(`Failed to write state file ${this.filePath}:`, error.message)
+    }
+  }
+
+  /**
+   * Schedule a write of all entries, batching changes made in the meantime
+   * @protected
+   */
+  _persist() {
+    if (this._persistTimer) return
+
+    pendingStores.add(this)
+    this._persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY_MS)
+    this._persistTimer.unref?.()
+  }
+}
+
+export default FileStateStore
@@ -0,0 +1,113 @@
+/**
+ * In-Memory State Store
+ * Process-local store with per-entry TTL, used directly in tests/dev and as the base for persistent stores
+ */
+import { StateStore } from './StateStore.mjs'
+
+// How often expired entries are swept in the background
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+export class MemoryStateStore extends StateStore {
+  /**
+   * @param {import('./StateStore.mjs').StateStoreOptions} [options]
+   */
+  constructor(options = {}) {
+    super(options)
+    this._entries = new Map()
+
+    this._sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS)
+    this._sweepTimer.unref?.()
+  }
+
+  get(key) {
+    const entry = this._entries.get(key)
+    if (!entry) return undefined
+
+    if (this._isExpired(entry)) {
+      this._expire(key, entry)
+      return undefined
+    }
+
+    return entry.value
+  }
+
+  set(key, value, ttlMs = this.ttlMs) {
+    this._entries.set(key, {
+      value,
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null,
+    })
+    this._persist()
+  }
+
+  delete(key) {
+    const existed = this._entries.delete(key)
+    if (existed) this._persist()
+    return existed
+  }
+
+  has(key) {
+    return this.get(key) !== undefined
+  }
+
+  entries() {
+    this.sweep()
+    return [...this._entries].map(([key, entry]) => [key, entry.value])
+  }
+
+  clear() {
+    this._entries.clear()
+    this._persist()
+  }
+
+  /**
+   * Remove all expired entries, notifying onExpire for each
+   */
+  sweep() {
+    for (const [key, entry] of this._entries) {
+      if (this._isExpired(entry)) {
+        this._expire(key, entry)
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this._sweepTimer)
+  }
+
+  /**
+   * Check if an entry is past its expiry time
+   * @private
+   * @param {{expiresAt: number|null}} entry
+   * @returns {boolean}
+   */
+  _isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now()
+  }
+
+  /**
+   * Remove an expired entry and notify the expiry callback
+   * @private
+   * @param {string} key
+   * @param {{value: *}} entry
+   */
+  _expire(key, entry) {
+    this._entries.delete(key)
+    this._persist()
+
+    if (this.onExpire) {
+      try {
+        this.onExpire(key, entry.value)
+      } catch (error) {
+        console.error(`State expiry handler failed for ${key}:`, error)
+      }
+    }
+  }
+
+  /**
+   * Hook for persistent subclasses; no-op in memory
+   * @protected
+   */
+  _persist() {}
+}
+
+export default MemoryStateStore
@@ -0,0 +1,83 @@
+/**
+ * State Store Interface
+ * Base class for key/value stores with per-entry TTL
+ */
+
+/**
+ * @typedef {Object} StateStoreOptions
+ * @property {number} [ttlMs] - Default time-to-live for entries in milliseconds (0 = never expire)
+ * @property {Function} [onExpire] - Called with (key, value) when an entry expires
+ */
+
+/**
+ * Abstract state store
+ * Implementations are synchronous so callers can treat state like a plain map
+ */
+export class StateStore {
+  /**
+   * @param {StateStoreOptions} [options]
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? 0
+    this.onExpire = options.onExpire
+  }
+
+  /**
+   * Get a value
+   * @param {string} key
+   * @returns {*} Stored value or undefined if missing/expired
+   */
+  get(key) {
+    throw new Error('StateStore.get() not implemented')
+  }
+
+  /**
+   * Set a value
+   * @param {string} key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [ttlMs] - Entry TTL, defaults to the store TTL
+   */
+  set(key, value, ttlMs) {
+    throw new Error('StateStore.set() not implemented')
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key
+   * @returns {boolean} True if the key existed
+   */
+  delete(key) {
+    throw new Error('StateStore.delete() not implemented')
+  }
+
+  /**
+   * Check if a live value exists
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    throw new Error('StateStore.has() not implemented')
+  }
+
+  /**
+   * List live entries
+   * @returns {Array<[string, *]>} Array of [key, value] pairs
+   */
+  entries() {
+    throw new Error('StateStore.entries() not implemented')
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    throw new Error('StateStore.clear() not implemented')
+  }
+
+  /**
+   * Stop background work (expiry sweeps)
+   */
+  close() {}
+}
+
+export default StateStore
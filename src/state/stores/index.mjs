@@ -0,0 +1,28 @@
+/**
+ * State Stores Index
+ * Re-exports store implementations and the configured store factory
+ */
+import path from 'path'
+import { config } from '../../config/env.mjs'
+import { MemoryStateStore } from './MemoryStateStore.mjs'
+import { FileStateStore } from './FileStateStore.mjs'
+
+export { StateStore } from './StateStore.mjs'
+export { MemoryStateStore, FileStateStore }
+
+/**
+ * Create a state store for a namespace using the configured backend (STATE_STORE)
+ * @param {string} namespace - Store name, used as the file name for the file backend
+ * @param {import('./StateStore.mjs').StateStoreOptions} [options]
+ * @returns {import('./StateStore.mjs').StateStore}
+ */
+export function createStateStore(namespace, options = {}) {
+  if (config.state.store === 'memory') {
+    return new MemoryStateStore(options)
+  }
+
+  return new FileStateStore({
+    ...options,
+    filePath: path.join(config.state.dir, `${namespace}.json`),
+  })
+}
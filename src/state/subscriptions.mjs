@@ -0,0 +1,71 @@
+/**
+ * Subscription Storage
+ * Jira event subscriptions of Teams channels, each with the conversation
+ * reference the bot posts matching events to
+ */
+import { createStateStore } from './stores/index.mjs'
+
+// Subscriptions are kept until they are removed
+const subscriptionStore = createStateStore('subscriptions', { ttlMs: 0 })
+
+// Subscriptions kept at most per channel
+const MAX_SUBSCRIPTIONS_PER_CHANNEL = 10
+
+/**
+ * List the subscriptions of a channel
+ * @param {string} channelId - Teams channel ID
+ * @returns {object[]} Subscriptions {id, filter, jql, project, createdBy, createdByName, createdByAccountId, createdAt}
+ */
+export function listSubscriptions(channelId) {
+  return subscriptionStore.get(channelId)?.subscriptions || []
+}
+
+/**
+ * List every channel with subscriptions
+ * @returns {Array<{channelId: string, reference: object, subscriptions: object[]}>}
+ */
+export function listSubscribedChannels() {
+  return subscriptionStore.entries()
+    .map(([channelId, { reference, subscriptions }]) => ({ channelId, reference, subscriptions }))
+}
+
+/**
+ * Add a subscription to a channel; IDs are numbered per channel
+ * @param {string} channelId - Teams channel ID
+ * @param {object} reference - Conversation reference posts go to
+ * @param {object} subscription - Subscription {filter, jql, project, createdBy, createdByName, createdByAccountId}
+ * @returns {object|null} Saved subscription, or null when the channel has too many
+ */
+export function addSubscription(channelId, reference, subscription) {
+  const current = subscriptionStore.get(channelId) || { nextId: 1, subscriptions: [] }
+
+  if (current.subscriptions.length >= MAX_SUBSCRIPTIONS_PER_CHANNEL) return null
+
+  const saved = { id: current.nextId, ...subscription, createdAt: new Date().toISOString() }
+  subscriptionStore.set(channelId, {
+    reference,
+    nextId: current.nextId + 1,
+    subscriptions: [...current.subscriptions, saved],
+  })
+  return saved
+}
+
+/**
+ * Remove a subscription from a channel
+ * @param {string} channelId - Teams channel ID
+ * @param {number} id - Subscription ID
+ * @returns {object|null} Removed subscription or null if the channel has none with that ID
+ */
+export function removeSubscription(channelId, id) {
+  const current = subscriptionStore.get(channelId)
+  const removed = current?.subscriptions.find(s => s.id === id)
+  if (!removed) return null
+
+  const subscriptions = current.subscriptions.filter(s => s !== removed)
+  if (subscriptions.length > 0) {
+    subscriptionStore.set(channelId, { ...current, subscriptions })
+  } else {
+    subscriptionStore.delete(channelId)
+  }
+  return removed
+}
@@ -0,0 +1,131 @@
+/**
+ * OAuth Token Store
+ * Persists per-user Atlassian tokens encrypted at rest (AES-256-GCM)
+ */
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+const ALGORITHM = 'aes-256-gcm'
+
+/**
+ * Encrypted file-backed token store keyed by Teams user
+ */
+export class TokenStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string} options.filePath - Path of the JSON file holding encrypted entries
+   * @param {string} options.secret - Encryption secret (any length, hashed to a 256-bit key)
+   */
+  constructor({ filePath, secret }) {
+    if (!secret) {
+      throw new Error('TOKEN_ENCRYPTION_KEY is required to store OAuth tokens.')
+    }
+
+    this.filePath = filePath
+    this._key = crypto.createHash('sha256').update(secret).digest()
+    this._entries = this._load()
+  }
+
+  /**
+   * Get decrypted tokens for a user
+   * @param {string} userKey - Teams user key
+   * @returns {object|null} Token record or null if not connected
+   */
+  get(userKey) {
+    const encrypted = this._entries[userKey]
+    if (!encrypted) return null
+
+    try {
+      return JSON.parse(this._decrypt(encrypted))
+    } catch (error) {
+      console.error(`Failed to decrypt tokens for ${userKey}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Encrypt and save tokens for a user
+   * @param {string} userKey - Teams user key
+   * @param {object} tokens - Token record
+   */
+  set(userKey, tokens) {
+    this._entries[userKey] = this._encrypt(JSON.stringify(tokens))
+    this._save()
+  }
+
+  /**
+   * Remove tokens for a user
+   * @param {string} userKey - Teams user key
+   * @returns {boolean} True if tokens existed
+   */
+  delete(userKey) {
+    if (!this._entries[userKey]) return false
+    delete this._entries[userKey]
+    this._save()
+    return true
+  }
+
+  /**
+   * Check if a user has stored tokens
+   * @param {string} userKey - Teams user key
+   * @returns {boolean}
+   */
+  has(userKey) {
+    return !!this._entries[userKey]
+  }
+
+  /**
+   * Encrypt a string
+   * @private
+   * @param {string} plaintext - Text to encrypt
+   * @returns {string} Base64 "iv.tag.ciphertext"
+   */
+  _encrypt(plaintext) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(ALGORITHM, this._key, iv)
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+    const tag = cipher.getAuthTag()
+    return [iv, tag, ciphertext].map(b => b.toString('base64')).join('.')
+  }
+
+  /**
+   * Decrypt a string produced by _encrypt
+   * @private
+   * @param {string} payload - Base64 "iv.tag.ciphertext"
+   * @returns {string} Plaintext
+   */
+  _decrypt(payload) {
+    const [iv, tag, ciphertext] = payload.split('.').map(p => Buffer.from(p, 'base64'))
+    const decipher = crypto.createDecipheriv(ALGORITHM, this._key, iv)
+    decipher.setAuthTag(tag)
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8')
+  }
+
+  /**
+   * Load encrypted entries from disk
+   * @private
+   * @returns {object} Map of userKey to encrypted payload
+   */
+  _load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read token store:', error.message)
+      }
+      return {}
+    }
+  }
+
+  /**
+   * Write encrypted entries to disk atomically
+   * @private
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    const tmpPath = `${this.filePath}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(this._entries), { mode: 0o600 })
+    fs.renameSync(tmpPath, this.filePath)
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * Transcript Storage
+ * A rolling buffer of the latest messages of each group chat and channel thread,
+ * used by `jira from thread` to file the discussion as a ticket
+ */
+import { truncate } from '../utils/index.mjs'
+import { createStateStore } from './stores/index.mjs'
+
+// Messages kept per conversation; `jira from thread` can't look further back
+export const MAX_TRANSCRIPT_MESSAGES = 30
+
+// Transcripts are dropped a day after the last message
+const TRANSCRIPT_TTL_MS = 24 * 60 * 60 * 1000
+
+// Longer messages are cut, which keeps tickets and card payloads small
+const MAX_MESSAGE_LENGTH = 500
+
+const transcriptStore = createStateStore('transcripts', { ttlMs: TRANSCRIPT_TTL_MS })
+
+/**
+ * Add a message to the transcript of a conversation, dropping the oldest beyond the limit
+ * @param {string} conversationId - Unique conversation identifier
+ * @param {object} message - Message {author, text, timestamp}
+ */
+export function recordMessage(conversationId, { author, text, timestamp }) {
+  const messages = transcriptStore.get(conversationId) || []
+
+  messages.push({
+    author: author || 'Unknown',
+    text: truncate(text, MAX_MESSAGE_LENGTH),
+    timestamp: new Date(timestamp || Date.now()).toISOString(),
+  })
+
+  transcriptStore.set(conversationId, messages.slice(-MAX_TRANSCRIPT_MESSAGES))
+}
+
+/**
+ * Get the latest messages of a conversation, oldest first
+ * @param {string} conversationId - Unique conversation identifier
+ * @param {number} count - Number of messages
+ * @returns {object[]} Messages {author, text, timestamp}
+ */
+export function getRecentMessages(conversationId, count) {
+  return (transcriptStore.get(conversationId) || []).slice(-count)
+}
@@ -358,6 +358,41 @@ export const jiraMetrics = {
     description: 'Number of Jira searches performed',
     unit: '1',
   }),
+
+  ticketsTransitioned: meter.createCounter('jira.tickets.transitioned', {
+    description: 'Number of Jira tickets moved to another status',
+    unit: '1',
+  }),
+
+  commentsAdded: meter.createCounter('jira.comments.added', {
+    description: 'Number of comments added to Jira tickets',
+    unit: '1',
+  }),
+
+  ticketsAssigned: meter.createCounter('jira.tickets.assigned', {
+    description: 'Number of Jira tickets assigned or unassigned',
+    unit: '1',
+  }),
+
+  webhookEventsReceived: meter.createCounter('jira.webhook.events', {
+    description: 'Number of Jira webhook events received',
+    unit: '1',
+  }),
+
+  notificationsSent: meter.createCounter('jira.notifications.sent', {
+    description: 'Number of Jira notifications sent to Teams users',
+    unit: '1',
+  }),
+
+  subscriptionPostsSent: meter.createCounter('jira.subscriptions.posts', {
+    description: 'Number of Jira update posts sent to subscribed Teams channels',
+    unit: '1',
+  }),
+
+  digestsSent: meter.createCounter('jira.digests.sent', {
+    description: 'Number of daily Jira digests sent',
+    unit: '1',
+  }),
 }
 
 // ITSM-specific metrics
@@ -371,6 +406,16 @@ export const itsmMetrics = {
     description: 'Number of ITSM forms submitted',
     unit: '1',
   }),
+
+  slaWarningsSent: meter.createCounter('itsm.sla.warnings', {
+    description: 'Number of SLA breach warnings sent to assignees and channels',
+    unit: '1',
+  }),
+
+  kbDeflections: meter.createCounter('itsm.kb.deflections', {
+    description: 'Outcomes of knowledge base articles suggested before raising a request',
+    unit: '1',
+  }),
 }
 
 // ============================================================================
@@ -5,3 +5,4 @@
 
 export * from './jira.types'
 export * from './itsm.types'
+export * from './state.types'
@@ -230,6 +230,7 @@ export interface ITSMConversationState {
   fieldCollection?: FieldCollection
   requestTypeFieldsCache?: Record<string, RequestTypeField[]>
   requestTypeFormsCache?: Record<string, FormTemplate | null>
+  draftOwner?: string
 }
 
 export type ITSMFlowStep =
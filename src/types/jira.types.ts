@@ -63,6 +63,14 @@ export interface JiraUser {
   active: boolean
 }
 
+export interface TeamsJiraMapping {
+  accountId: string
+  displayName: string
+  emailAddress: string | null
+  source: 'auto' | 'linked'
+  resolvedAt: number
+}
+
 export interface JiraComponent {
   id: string
   name: string
@@ -88,7 +96,22 @@ export interface CreateTicketInput {
   issueType?: string
   priority?: string
   assignee?: string
+  reporter?: string
   labels?: string[]
+  fields?: Record<string, unknown>
+}
+
+export interface JiraCreateField {
+  fieldId: string
+  name: string
+  required: boolean
+  schema: {
+    type: string
+    items?: string
+    system?: string
+    custom?: string
+  }
+  allowedValues?: Array<{ id: string; name: string }>
 }
 
 export interface ADFDocument {
@@ -112,6 +135,12 @@ export interface ADFMark {
 
 export interface JiraConversationState {
   awaitingTicketDetails: boolean
-  step: 'summary' | 'description' | 'type' | 'priority' | 'confirm'
+  step: 'summary' | 'description' | 'type' | 'field' | 'optional' | 'confirm'
   ticketData: Partial<CreateTicketInput>
+  issueTypes?: Array<Pick<JiraIssueType, 'id' | 'name'>>
+  createFields?: JiraCreateField[]
+  fieldIndex?: number
+  fieldDisplay?: Record<string, string>
+  includeOptional?: boolean
+  draftOwner?: string
 }
@@ -0,0 +1,14 @@
+/**
+ * State Type Definitions
+ */
+
+import type { JiraConversationState } from './jira.types'
+import type { ITSMConversationState } from './itsm.types'
+
+export interface WizardDraft {
+  flow: 'jira' | 'itsm'
+  title: string
+  step: string
+  savedAt: string
+  state: JiraConversationState | ITSMConversationState
+}
@@ -0,0 +1,130 @@
+/**
+ * Adaptive Card Utilities
+ * Channel detection and building blocks for Adaptive Card messages
+ */
+import { CardFactory } from '@microsoft/agents-hosting'
+import { Activity } from '@microsoft/agents-activity'
+
+// Channels that render Adaptive Cards; all others use the text flow
+const CARD_CHANNELS = new Set(['msteams'])
+
+const CARD_SCHEMA = 'http://adaptivecards.io/schemas/adaptive-card.json'
+const CARD_VERSION = '1.5'
+
+/**
+ * Check if the channel of the current turn renders Adaptive Cards
+ * @param {object} context - Bot context
+ * @returns {boolean}
+ */
+export function supportsAdaptiveCards(context) {
+  return CARD_CHANNELS.has(context.activity?.channelId)
+}
+
+/**
+ * Wrap card body and actions into an Adaptive Card message activity
+ * @param {object[]} body - Card body elements
+ * @param {object[]} [actions] - Card actions
+ * @returns {object} Activity with the card as attachment
+ */
+export function createCardActivity(body, actions = []) {
+  const card = {
+    type: 'AdaptiveCard',
+    $schema: CARD_SCHEMA,
+    version: CARD_VERSION,
+    body,
+    actions,
+  }
+  return { attachments: [CardFactory.adaptiveCard(card)] }
+}
+
+/**
+ * Replace the card a submission came from, e.g. to show validation errors in place
+ * Falls back to sending a new message when the card cannot be updated
+ * @param {object} context - Bot context of the card submission
+ * @param {object} activity - Card activity from createCardActivity
+ * @returns {Promise<void>}
+ */
+export async function updateCard(context, activity) {
+  const cardId = context.activity?.replyToId
+
+  if (cardId) {
+    try {
+      await context.updateActivity(Activity.fromObject({ type: 'message', ...activity, id: cardId }))
+      return
+    } catch (error) {
+      console.warn('Could not update card, sending a new one:', error.message)
+    }
+  }
+
+  await context.sendActivity(activity)
+}
+
+/**
+ * Answer an invoke activity, e.g. a messaging extension or task module request
+ * @param {object} context - Bot context of the invoke
+ * @param {object} body - Response body
+ * @param {number} [status=200] - HTTP status of the response
+ * @returns {Promise<void>}
+ */
+export async function sendInvokeResponse(context, body, status = 200) {
+  await context.sendActivity(Activity.fromObject({ type: 'invokeResponse', value: { status, body } }))
+}
+
+/**
+ * Create a TextBlock element
+ * @param {string} text - Text (Adaptive Card markdown subset)
+ * @param {object} [options] - Extra TextBlock properties (weight, size, color, isSubtle, ...)
+ * @returns {object} TextBlock element
+ */
+export function textBlock(text, options = {}) {
+  return { type: 'TextBlock', text, wrap: true, ...options }
+}
+
+/**
+ * Create a FactSet element
+ * @param {Array<[string, string]>} facts - Array of [title, value] pairs
+ * @returns {object} FactSet element
+ */
+export function factSet(facts) {
+  return {
+    type: 'FactSet',
+    facts: facts.map(([title, value]) => ({ title, value: String(value) })),
+  }
+}
+
+/**
+ * Create a single-select ChoiceSet
+ * Choice values are 1-based positions so submissions match typed number selections
+ * @param {string} id - Input ID
+ * @param {object[]} items - Items to choose from
+ * @param {function} getTitle - Function returning the display title (item) => string
+ * @param {object} [options] - Extra Input.ChoiceSet properties
+ * @returns {object} Input.ChoiceSet element
+ */
+export function numberedChoiceSet(id, items, getTitle, options = {}) {
+  return {
+    type: 'Input.ChoiceSet',
+    id,
+    style: items.length > 5 ? 'compact' : 'expanded',
+    choices: items.map((item, i) => ({ title: getTitle(item), value: String(i + 1) })),
+    ...options,
+  }
+}
+
+/**
+ * Create an Action.Submit
+ * @param {string} title - Button title
+ * @param {object} data - Data merged into activity.value on submit
+ * @param {object} [options] - Extra action properties
+ * @param {boolean} [options.validate=true] - Whether to submit (and validate) the card inputs
+ * @returns {object} Action.Submit element
+ */
+export function submitAction(title, data, { validate = true, ...options } = {}) {
+  return {
+    type: 'Action.Submit',
+    title,
+    data,
+    ...(validate ? {} : { associatedInputs: 'none' }),
+    ...options,
+  }
+}
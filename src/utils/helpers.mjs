@@ -11,6 +11,87 @@ export async function sendTyping(context) {
   await context.sendActivity({ type: 'typing' })
 }
 
+/**
+ * Get a stable key identifying the Teams user who sent the activity
+ * @param {object} context - Bot context
+ * @returns {string} AAD object ID, falling back to the channel user ID
+ */
+export function getUserKey(context) {
+  const from = context.activity?.from || {}
+  return from.aadObjectId || from.id || 'anonymous'
+}
+
+/**
+ * Get the Teams channel and team a message was sent in
+ * Group chats have a channel ID but no team; personal chats have neither
+ * @param {object} context - Bot context
+ * @returns {{channelId: string|null, teamId: string|null, channelName: string|null, teamName: string|null}}
+ */
+export function getChannelInfo(context) {
+  const { conversation, channelData } = context.activity || {}
+  const type = conversation?.conversationType
+
+  if (type !== 'channel' && type !== 'groupChat') {
+    return { channelId: null, teamId: null, channelName: null, teamName: null }
+  }
+
+  return {
+    // Channel thread conversation IDs end with ";messageid=..."
+    channelId: channelData?.channel?.id || conversation.id?.split(';')[0] || null,
+    teamId: channelData?.team?.id || null,
+    channelName: channelData?.channel?.name || conversation.name || null,
+    teamName: channelData?.team?.name || null,
+  }
+}
+
+/**
+ * Check whether a message is meant for the bot
+ * Personal chats and card submissions always are; in group chats and channels,
+ * where the bot may see every message, it has to be @mentioned
+ * @param {object} context - Bot context
+ * @returns {boolean}
+ */
+export function isAddressedToBot(context) {
+  const { conversation, value, entities, recipient } = context.activity || {}
+  const type = conversation?.conversationType
+
+  if (value || (type !== 'channel' && type !== 'groupChat')) return true
+
+  return (entities || []).some(e => e.type === 'mention' && e.mentioned?.id === recipient?.id)
+}
+
+/**
+ * Check whether text is a Jira issue key such as PROJ-123
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+export function isIssueKey(text) {
+  return /^[A-Z][A-Z0-9_]+-\d+$/i.test(text || '')
+}
+
+/**
+ * Get the users @mentioned in the activity, leaving out mentions of the bot itself
+ * @param {object} context - Bot context
+ * @returns {Array<{id: string, name: string, aadObjectId?: string, text: string}>} Mentioned
+ *   accounts with the mention markup as it appears in the message text
+ */
+export function getMentions(context) {
+  const botId = context.activity?.recipient?.id
+
+  return (context.activity?.entities || [])
+    .filter(e => e.type === 'mention' && e.mentioned?.id && e.mentioned.id !== botId)
+    .map(e => ({ ...e.mentioned, text: e.text || '' }))
+}
+
+/**
+ * Remove Teams mention markup (<at>Name</at>) from message text, keeping the names
+ * @param {string} text - Message text
+ * @returns {string} Text without mention tags
+ */
+export function stripMentionTags(text) {
+  return text.replace(/<\/?at>/g, '').trim()
+}
+
 /**
  * Extract text from Atlassian Document Format (ADF)
  * @param {object} adf - ADF document
@@ -20,14 +101,46 @@ export function extractTextFromADF(adf) {
   if (!adf || !adf.content) return ''
 
   const extractText = (node) => {
-    if (node.type === 'text') return node.text || ''
-    if (node.content) return node.content.map(extractText).join('')
-    return ''
+    switch (node.type) {
+      case 'text':
+        return node.text || ''
+      case 'hardBreak':
+        return '\n'
+      case 'mention':
+      case 'emoji':
+        return node.attrs?.text || node.attrs?.shortName || ''
+      case 'inlineCard':
+        return node.attrs?.url || ''
+      case 'listItem':
+        return `• ${(node.content || []).map(extractText).join('\n')}`
+      case 'bulletList':
+      case 'orderedList':
+        return (node.content || []).map(extractText).join('\n')
+      default:
+        return node.content ? node.content.map(extractText).join('') : ''
+    }
   }
 
   return adf.content.map(extractText).join('\n').trim() || ''
 }
 
+/**
+ * Format a timestamp relative to now
+ * @param {string|number|Date} date - Timestamp, e.g. an ISO date from an API
+ * @returns {string} Relative time (e.g., "just now", "5m ago", "3d ago") or a date for older ones
+ */
+export function formatRelativeTime(date) {
+  const time = new Date(date).getTime()
+  if (Number.isNaN(time)) return ''
+
+  const minutes = Math.floor((Date.now() - time) / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes}m ago`
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`
+  if (minutes < 30 * 24 * 60) return `${Math.floor(minutes / (24 * 60))}d ago`
+  return new Date(time).toISOString().slice(0, 10)
+}
+
 /**
  * Format elapsed time for display
  * @param {number} startTime - Start timestamp (Date.now())
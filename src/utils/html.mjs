@@ -10,6 +10,8 @@
 export const ICONS = {
   jira: '📋',
   itsm: '🛠️',
+  drafts: '💾',
+  notifications: '🔔',
   success: '✅',
   error: '❌',
   warning: '⚠️',
@@ -5,3 +5,5 @@
 
 export * from './helpers.mjs'
 export * from './html.mjs'
+export * from './cards.mjs'
+export * from './jql.mjs'
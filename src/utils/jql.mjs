@@ -0,0 +1,173 @@
+/**
+ * JQL Utilities
+ * Builds Jira queries from user input without splicing raw text into JQL
+ *
+ * Every value is written as a quoted string literal, so quotes, reserved words
+ * (e.g. "order", "empty") and operators typed by a user can never change the
+ * structure of the query. Only jqlFunction() values are written unquoted.
+ */
+
+const OPERATORS = new Set([
+  '=', '!=', '>', '>=', '<', '<=', '~', '!~',
+  'in', 'not in', 'is', 'is not', 'was', 'was not', 'was in', 'was not in',
+])
+
+// Words JQL reserves; field names matching one must be quoted
+const RESERVED_WORDS = new Set([
+  'a', 'an', 'abort', 'access', 'add', 'after', 'alias', 'all', 'alter', 'and', 'any', 'as', 'asc',
+  'audit', 'avg', 'before', 'begin', 'between', 'boolean', 'break', 'by', 'byte', 'catch', 'cf',
+  'char', 'character', 'check', 'checkpoint', 'collate', 'collation', 'column', 'commit', 'connect',
+  'continue', 'count', 'create', 'current', 'date', 'decimal', 'declare', 'decrement', 'default',
+  'defaults', 'define', 'delete', 'delimiter', 'desc', 'difference', 'distinct', 'divide', 'do',
+  'double', 'drop', 'else', 'empty', 'encoding', 'end', 'equals', 'escape', 'exclusive', 'exec',
+  'execute', 'exists', 'explain', 'false', 'fetch', 'file', 'field', 'first', 'float', 'for', 'from',
+  'function', 'go', 'goto', 'grant', 'greater', 'group', 'having', 'identified', 'if', 'immediate',
+  'in', 'increment', 'index', 'initial', 'inner', 'inout', 'input', 'insert', 'int', 'integer',
+  'intersect', 'intersection', 'into', 'is', 'isempty', 'isnull', 'join', 'last', 'left', 'less',
+  'like', 'limit', 'lock', 'long', 'max', 'min', 'minus', 'mode', 'modify', 'modulo', 'more',
+  'multiply', 'next', 'noaudit', 'not', 'notin', 'nowait', 'null', 'number', 'object', 'of', 'on',
+  'option', 'or', 'order', 'outer', 'output', 'power', 'previous', 'prior', 'privileges', 'public',
+  'raise', 'raw', 'remainder', 'rename', 'resource', 'return', 'returns', 'revoke', 'right', 'row',
+  'rowid', 'rownum', 'rows', 'select', 'session', 'set', 'share', 'size', 'sqrt', 'start', 'strict',
+  'string', 'subtract', 'sum', 'synonym', 'table', 'then', 'to', 'trans', 'transaction', 'trigger',
+  'true', 'uid', 'union', 'unique', 'update', 'user', 'validate', 'values', 'view', 'when',
+  'whenever', 'where', 'while', 'with',
+])
+
+/**
+ * Write a value as a JQL string literal
+ * @param {string|number} value - Value as typed
+ * @returns {string} Double-quoted literal with quotes and backslashes escaped
+ */
+export function quoteJqlString(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&').replace(/\r?\n/g, ' ')}"`
+}
+
+/**
+ * Escape the characters the text search (~) operator treats as query syntax
+ * Quoted phrases keep their quotes so they still match as phrases.
+ * The result still has to be quoted with quoteJqlString
+ * @param {string} text - Search words as typed
+ * @returns {string} Text that is matched literally
+ */
+export function escapeTextSearch(text) {
+  const escape = part => part.replace(/[+\-&|!(){}[\]^~*?:\\/"]/g, '\\$&')
+
+  // Splitting on a capture group puts the quoted phrases at the odd indexes
+  return String(text)
+    .split(/("[^"]*")/)
+    .map((part, i) => (i % 2 === 1 ? `"${escape(part.slice(1, -1))}"` : escape(part)))
+    .join('')
+}
+
+/**
+ * Write a field name, quoting it when it isn't a plain identifier
+ * @param {string} name - Field name, e.g. "status", "cf[10010]" or "Story Points"
+ * @returns {string} Field name usable in JQL
+ */
+export function jqlField(name) {
+  const isPlain = /^[a-z][a-z0-9_.]*$/i.test(name) || /^cf\[\d+\]$/i.test(name)
+  return isPlain && !RESERVED_WORDS.has(name.toLowerCase()) ? name : quoteJqlString(name)
+}
+
+/**
+ * Mark a JQL function call, e.g. currentUser(), to be written unquoted
+ * @param {string} name - Function name
+ * @param {...string} args - Function arguments, quoted as string literals
+ * @returns {{jqlFunction: string}} Function value for JqlBuilder.where
+ */
+export function jqlFunction(name, ...args) {
+  if (!/^[a-z][a-z0-9_]*$/i.test(name)) {
+    throw new Error(`Invalid JQL function name: ${name}`)
+  }
+  return { jqlFunction: `${name}(${args.map(quoteJqlString).join(', ')})` }
+}
+
+/**
+ * Write a clause value
+ * @param {string|number|string[]|{jqlFunction: string}|null} value - null is written as EMPTY
+ * @returns {string} JQL value
+ */
+function jqlValue(value) {
+  if (value === null || value === undefined) return 'EMPTY'
+  if (Array.isArray(value)) return `(${value.map(jqlValue).join(', ')})`
+  if (typeof value === 'object' && value.jqlFunction) return value.jqlFunction
+  return quoteJqlString(value)
+}
+
+/**
+ * Builder for JQL queries joined with AND
+ */
+export class JqlBuilder {
+  constructor() {
+    this._clauses = []
+    this._orderBy = []
+  }
+
+  /**
+   * Add a clause
+   * @param {string} field - Field name
+   * @param {string} operator - JQL operator, e.g. "=", "in", "is not"
+   * @param {string|number|string[]|{jqlFunction: string}|null} value - Value, list of values,
+   *   jqlFunction() or null for EMPTY
+   * @returns {JqlBuilder} this
+   */
+  where(field, operator, value) {
+    const op = operator.toLowerCase()
+    if (!OPERATORS.has(op)) {
+      throw new Error(`Unsupported JQL operator: ${operator}`)
+    }
+    if (Array.isArray(value) && value.length === 0) {
+      throw new Error(`JQL "${op}" needs at least one value for ${field}`)
+    }
+
+    this._clauses.push(`${jqlField(field)} ${op} ${jqlValue(value)}`)
+    return this
+  }
+
+  /**
+   * Add a literal full-text search over summary, description and comments
+   * @param {string} query - Search words as typed
+   * @returns {JqlBuilder} this
+   */
+  text(query) {
+    if (query && query.trim()) {
+      this._clauses.push(`text ~ ${quoteJqlString(escapeTextSearch(query.trim()))}`)
+    }
+    return this
+  }
+
+  /**
+   * Add a sort key
+   * @param {string} field - Field name
+   * @param {'ASC'|'DESC'} [direction='DESC']
+   * @returns {JqlBuilder} this
+   */
+  orderBy(field, direction = 'DESC') {
+    const dir = direction.toUpperCase()
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new Error(`Invalid sort direction: ${direction}`)
+    }
+
+    this._orderBy.push(`${jqlField(field)} ${dir}`)
+    return this
+  }
+
+  /**
+   * Build the query
+   * @returns {string} JQL
+   */
+  build() {
+    const where = this._clauses.join(' AND ')
+    const order = this._orderBy.length > 0 ? `ORDER BY ${this._orderBy.join(', ')}` : ''
+    return [where, order].filter(Boolean).join(' ')
+  }
+}
+
+/**
+ * Start a new JQL query
+ * @returns {JqlBuilder}
+ */
+export function jql() {
+  return new JqlBuilder()
+}
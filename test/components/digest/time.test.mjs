@@ -0,0 +1,80 @@
+/**
+ * Digest Times Tests
+ */
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseTime, isValidTimeZone, getLocalTime, isDigestDue } from '../../../src/components/digest/time.mjs'
+
+describe('parseTime', () => {
+  it('pads hours and minutes', () => {
+    assert.equal(parseTime('9'), '09:00')
+    assert.equal(parseTime('9:30'), '09:30')
+    assert.equal(parseTime(' 17:05 '), '17:05')
+    assert.equal(parseTime('0:00'), '00:00')
+    assert.equal(parseTime('23:59'), '23:59')
+  })
+
+  it('rejects times out of range', () => {
+    assert.equal(parseTime('24:00'), null)
+    assert.equal(parseTime('12:60'), null)
+  })
+
+  it('rejects other input', () => {
+    assert.equal(parseTime(''), null)
+    assert.equal(parseTime('9am'), null)
+    assert.equal(parseTime('9:5'), null)
+    assert.equal(parseTime('9.30'), null)
+    assert.equal(parseTime('123'), null)
+  })
+})
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA time zones', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true)
+    assert.equal(isValidTimeZone('UTC'), true)
+  })
+
+  it('rejects unknown or missing zones', () => {
+    assert.equal(isValidTimeZone('Mars/Olympus'), false)
+    assert.equal(isValidTimeZone(''), false)
+    assert.equal(isValidTimeZone(undefined), false)
+  })
+})
+
+describe('getLocalTime', () => {
+  const moment = new Date('2026-03-09T23:30:00Z')
+
+  it('converts to the time zone', () => {
+    assert.deepEqual(getLocalTime('UTC', moment), { date: '2026-03-09', time: '23:30' })
+    assert.deepEqual(getLocalTime('Europe/Berlin', moment), { date: '2026-03-10', time: '00:30' })
+    assert.deepEqual(getLocalTime('America/Los_Angeles', moment), { date: '2026-03-09', time: '16:30' })
+  })
+
+  it('follows daylight saving time', () => {
+    assert.equal(getLocalTime('Europe/Berlin', new Date('2026-07-01T07:00:00Z')).time, '09:00')
+    assert.equal(getLocalTime('Europe/Berlin', new Date('2026-01-01T07:00:00Z')).time, '08:00')
+  })
+
+  it('writes midnight as 00', () => {
+    assert.equal(getLocalTime('UTC', new Date('2026-01-01T00:05:00Z')).time, '00:05')
+  })
+})
+
+describe('isDigestDue', () => {
+  const schedule = { time: '09:00', lastSentOn: '2026-03-09' }
+
+  it('waits until the time has come', () => {
+    assert.equal(isDigestDue(schedule, { date: '2026-03-10', time: '08:59' }), false)
+    assert.equal(isDigestDue(schedule, { date: '2026-03-10', time: '09:00' }), true)
+    assert.equal(isDigestDue(schedule, { date: '2026-03-10', time: '17:30' }), true)
+  })
+
+  it('compares padded times, not numbers as text', () => {
+    assert.equal(isDigestDue({ time: '10:00', lastSentOn: null }, { date: '2026-03-10', time: '09:59' }), false)
+  })
+
+  it('sends once a day', () => {
+    assert.equal(isDigestDue(schedule, { date: '2026-03-09', time: '23:00' }), false)
+    assert.equal(isDigestDue({ ...schedule, lastSentOn: null }, { date: '2026-03-09', time: '23:00' }), true)
+  })
+})
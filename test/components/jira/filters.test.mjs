@@ -0,0 +1,149 @@
+/**
+ * Jira Search Filters Tests
+ */
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseSearchQuery, buildSearchJql, describeSearch } from '../../../src/components/jira/filters.mjs'
+
+const OPTIONS = { projectKey: 'OPS', users: {} }
+
+/**
+ * Parse input and build its JQL, failing on parse errors
+ * @param {string} input - Search input as typed
+ * @param {object} [options] - buildSearchJql options
+ * @returns {string} JQL
+ */
+function toJql(input, options = OPTIONS) {
+  const search = parseSearchQuery(input)
+  assert.equal(search.error, undefined)
+  return buildSearchJql(search, options)
+}
+
+describe('parseSearchQuery', () => {
+  it('separates free text from filters', () => {
+    assert.deepEqual(parseSearchQuery('login bug status:open'), {
+      text: 'login bug',
+      filters: { status: ['open'] },
+      sort: null,
+    })
+  })
+
+  it('reads quoted filter values and comma lists', () => {
+    const { filters } = parseSearchQuery('status:"In Review",done project:ops,proj')
+    assert.deepEqual(filters.status, ['In Review', 'done'])
+    assert.deepEqual(filters.project, ['ops', 'proj'])
+  })
+
+  it('adds values when a filter is repeated', () => {
+    assert.deepEqual(parseSearchQuery('label:a label:b').filters.label, ['a', 'b'])
+  })
+
+  it('keeps the quotes of quoted phrases in the text', () => {
+    assert.equal(parseSearchQuery('"login error" page').text, '"login error" page')
+  })
+
+  it('treats a word ending in a colon as text', () => {
+    assert.deepEqual(parseSearchQuery('error: timeout'), { text: 'error: timeout', filters: {}, sort: null })
+  })
+
+  it('keeps quoted text that looks like a filter', () => {
+    assert.equal(parseSearchQuery('"stauts:open"').text, '"stauts:open"')
+  })
+
+  it('rejects unknown filters', () => {
+    assert.match(parseSearchQuery('stauts:open').error, /Unknown filter "stauts:"/)
+  })
+
+  it('rejects filters without a value', () => {
+    assert.match(parseSearchQuery('status:').error, /needs a value/)
+  })
+
+  it('rejects status:open combined with other statuses', () => {
+    assert.match(parseSearchQuery('status:open,done').error, /can't be combined/)
+  })
+
+  it('reads relative and absolute date ranges', () => {
+    const { filters } = parseSearchQuery('updated:<7d updated:>2w created:>=2024-01-31')
+    assert.deepEqual(filters.updated, [
+      { operator: '>=', value: '-7d', label: '<7d' },
+      { operator: '<=', value: '-2w', label: '>2w' },
+    ])
+    assert.deepEqual(filters.created, [{ operator: '>=', value: '2024-01-31', label: '>=2024-01-31' }])
+  })
+
+  it('rejects unreadable date ranges', () => {
+    assert.match(parseSearchQuery('updated:lastweek').error, /Can't read "updated:lastweek"/)
+  })
+
+  it('reads the sort order', () => {
+    assert.deepEqual(parseSearchQuery('sort:priority-asc').sort, { field: 'priority', direction: 'ASC' })
+    assert.deepEqual(parseSearchQuery('order:due').sort, { field: 'duedate', direction: 'DESC' })
+  })
+
+  it('rejects unknown sort fields', () => {
+    assert.match(parseSearchQuery('sort:foo').error, /Can't sort by "foo"/)
+  })
+})
+
+describe('buildSearchJql', () => {
+  it('searches the default project sorted by last update', () => {
+    assert.equal(toJql('login'), 'project = "OPS" AND text ~ "login" ORDER BY updated DESC')
+  })
+
+  it('searches quoted phrases as phrases', () => {
+    assert.equal(toJql('"login error" page'), 'project = "OPS" AND text ~ "\\"login error\\" page" ORDER BY updated DESC')
+  })
+
+  it('escapes text search syntax outside phrases', () => {
+    assert.equal(toJql('error: timeout'), 'project = "OPS" AND text ~ "error\\\\: timeout" ORDER BY updated DESC')
+  })
+
+  it('matches status:open as every category but Done', () => {
+    assert.equal(toJql('status:open'), 'project = "OPS" AND statusCategory != "Done" ORDER BY updated DESC')
+  })
+
+  it('matches status category words as categories', () => {
+    assert.equal(toJql('status:todo,inprogress'), 'project = "OPS" AND statusCategory in ("To Do", "In Progress") ORDER BY updated DESC')
+  })
+
+  it('matches other statuses by name', () => {
+    assert.equal(toJql('status:"In Review",done'), 'project = "OPS" AND status in ("In Review", "done") ORDER BY updated DESC')
+  })
+
+  it('lists several projects', () => {
+    assert.equal(toJql('project:ops,proj'), 'project in ("OPS", "PROJ") ORDER BY updated DESC')
+  })
+
+  it('writes date ranges', () => {
+    assert.equal(
+      toJql('updated:today created:<7d'),
+      'project = "OPS" AND updated >= startOfDay() AND created >= "-7d" ORDER BY updated DESC'
+    )
+  })
+
+  it('uses resolved users, currentUser() for an unresolved "me" and EMPTY for none', () => {
+    assert.equal(
+      toJql('assignee:me reporter:alice', { projectKey: 'OPS', users: { alice: 'acc-1' } }),
+      'project = "OPS" AND assignee = currentUser() AND reporter = "acc-1" ORDER BY updated DESC'
+    )
+    assert.equal(toJql('assignee:none'), 'project = "OPS" AND assignee is EMPTY ORDER BY updated DESC')
+  })
+
+  it('throws on an unresolved user name', () => {
+    assert.throws(() => buildSearchJql(parseSearchQuery('assignee:bob'), OPTIONS), /not resolved: bob/)
+  })
+
+  it('applies the sort order', () => {
+    assert.equal(toJql('sort:created-asc'), 'project = "OPS" ORDER BY created ASC')
+  })
+})
+
+describe('describeSearch', () => {
+  it('quotes plain text and lists filters', () => {
+    assert.equal(describeSearch(parseSearchQuery('login status:open updated:<7d')), '"login" status:open updated:<7d')
+  })
+
+  it('shows text with quoted phrases as typed', () => {
+    assert.equal(describeSearch(parseSearchQuery('"login error" page')), '"login error" page')
+  })
+})
@@ -0,0 +1,84 @@
+/**
+ * Jira Webhook Events Tests
+ */
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { describeChanges, isPublicComment } from '../../../src/components/notifications/events.mjs'
+
+const COMMENT = { id: '1', body: 'Looks good', author: { accountId: 'acc1', displayName: 'Alice' } }
+
+describe('describeChanges', () => {
+  it('reports created issues', () => {
+    assert.deepEqual(describeChanges({ webhookEvent: 'jira:issue_created' }), [{ type: 'created' }])
+  })
+
+  it('reports public comments', () => {
+    assert.deepEqual(describeChanges({ webhookEvent: 'comment_created', comment: COMMENT }), [
+      { type: 'commented', comment: COMMENT },
+    ])
+  })
+
+  it('never reports internal or restricted comments', () => {
+    const internal = { ...COMMENT, jsdPublic: false }
+    const restricted = { ...COMMENT, visibility: { type: 'role', value: 'Developers' } }
+    assert.deepEqual(describeChanges({ webhookEvent: 'comment_created', comment: internal }), [])
+    assert.deepEqual(describeChanges({ webhookEvent: 'comment_created', comment: restricted }), [])
+  })
+
+  it('ignores comment events without a comment', () => {
+    assert.deepEqual(describeChanges({ webhookEvent: 'comment_created' }), [])
+  })
+
+  it('skips the issue update Jira sends for a comment', () => {
+    const event = {
+      webhookEvent: 'jira:issue_updated',
+      issue_event_type_name: 'issue_commented',
+      comment: COMMENT,
+      changelog: { items: [{ field: 'status', fromString: 'To Do', toString: 'Done' }] },
+    }
+    assert.deepEqual(describeChanges(event), [])
+  })
+
+  it('reports transitions, assignments and other fields', () => {
+    const status = { field: 'status', fromString: 'To Do', toString: 'In Progress' }
+    const assignee = { field: 'assignee', to: 'acc2', toString: 'Bob' }
+    const event = {
+      webhookEvent: 'jira:issue_updated',
+      issue_event_type_name: 'issue_generic',
+      changelog: { items: [status, assignee, { field: 'priority' }, { field: 'labels' }, { field: 'priority' }] },
+    }
+    assert.deepEqual(describeChanges(event), [
+      { type: 'transitioned', item: status },
+      { type: 'assigned', item: assignee },
+      { type: 'updated', fields: ['priority', 'labels'] },
+    ])
+  })
+
+  it('drops fields that change as a side effect', () => {
+    const event = {
+      webhookEvent: 'jira:issue_updated',
+      changelog: { items: [{ field: 'Rank' }, { field: 'resolution' }, { field: 'timespent' }] },
+    }
+    assert.deepEqual(describeChanges(event), [])
+  })
+
+  it('ignores other events', () => {
+    assert.deepEqual(describeChanges({ webhookEvent: 'jira:issue_deleted' }), [])
+    assert.deepEqual(describeChanges({ webhookEvent: 'comment_updated', comment: COMMENT }), [])
+  })
+})
+
+describe('isPublicComment', () => {
+  it('accepts comments without restrictions', () => {
+    assert.equal(isPublicComment(COMMENT), true)
+    assert.equal(isPublicComment({ ...COMMENT, jsdPublic: true }), true)
+  })
+
+  it('rejects service desk internal notes', () => {
+    assert.equal(isPublicComment({ ...COMMENT, jsdPublic: false }), false)
+  })
+
+  it('rejects comments restricted to a role or group', () => {
+    assert.equal(isPublicComment({ ...COMMENT, visibility: { type: 'group', value: 'admins' } }), false)
+  })
+})
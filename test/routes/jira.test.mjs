@@ -0,0 +1,65 @@
+/**
+ * Jira Webhook Routes Tests
+ */
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import crypto from 'crypto'
+import { isAuthorized } from '../../src/routes/jira.mjs'
+
+const SECRET = 'webhook-secret'
+const BODY = '{"webhookEvent":"jira:issue_created"}'
+
+/**
+ * Build the parts of an Express request isAuthorized reads
+ * @param {object} [options] - {headers, query, rawBody}
+ * @returns {object} Request
+ */
+function request({ headers = {}, query = {}, rawBody = BODY } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  return { get: name => lower[name.toLowerCase()], query, rawBody }
+}
+
+/**
+ * Sign a body the way Jira does
+ * @param {string} body - Raw request body
+ * @param {string} [secret] - Secret to sign with
+ * @returns {string} X-Hub-Signature header value
+ */
+function sign(body, secret = SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+}
+
+describe('isAuthorized', () => {
+  it('accepts a body signed with the secret', () => {
+    assert.equal(isAuthorized(request({ headers: { 'X-Hub-Signature': sign(BODY) } }), SECRET), true)
+  })
+
+  it('rejects a signature made with another secret', () => {
+    assert.equal(isAuthorized(request({ headers: { 'X-Hub-Signature': sign(BODY, 'other') } }), SECRET), false)
+  })
+
+  it('rejects a signature of another body', () => {
+    const req = request({ headers: { 'X-Hub-Signature': sign(BODY) }, rawBody: '{"webhookEvent":"comment_created"}' })
+    assert.equal(isAuthorized(req, SECRET), false)
+  })
+
+  it('rejects malformed signatures', () => {
+    assert.equal(isAuthorized(request({ headers: { 'X-Hub-Signature': 'sha256=abc' } }), SECRET), false)
+    assert.equal(isAuthorized(request({ headers: { 'X-Hub-Signature': sign(BODY).slice(7) } }), SECRET), false)
+  })
+
+  it('does not fall back to the query secret when a signature is present', () => {
+    const req = request({ headers: { 'X-Hub-Signature': 'sha256=abc' }, query: { secret: SECRET } })
+    assert.equal(isAuthorized(req, SECRET), false)
+  })
+
+  it('accepts the secret as a query parameter', () => {
+    assert.equal(isAuthorized(request({ query: { secret: SECRET } }), SECRET), true)
+  })
+
+  it('rejects a wrong, missing or repeated query secret', () => {
+    assert.equal(isAuthorized(request({ query: { secret: 'nope' } }), SECRET), false)
+    assert.equal(isAuthorized(request(), SECRET), false)
+    assert.equal(isAuthorized(request({ query: { secret: [SECRET, SECRET] } }), SECRET), false)
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * File State Store Tests
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { spawnSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { FileStateStore } from '../../../src/state/stores/FileStateStore.mjs'
+
+const STORE_MODULE = fileURLToPath(new URL('../../../src/state/stores/FileStateStore.mjs', import.meta.url))
+
+/**
+ * Read a store file as written to disk
+ * @param {string} filePath - Store file
+ * @returns {object|null} Parsed entries, or null when the file doesn't exist
+ */
+function readStoreFile(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null
+}
+
+describe('FileStateStore', () => {
+  let dir
+  let filePath
+  let store
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'))
+    filePath = path.join(dir, 'test.json')
+  })
+
+  afterEach(() => {
+    store?.close()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('batches writes until flushed', () => {
+    store = new FileStateStore({ filePath })
+    store.set('a', 1)
+    store.set('b', 2)
+    assert.equal(readStoreFile(filePath), null)
+
+    store.flush()
+    assert.deepEqual(Object.keys(readStoreFile(filePath)), ['a', 'b'])
+  })
+
+  it('writes batched changes on close', () => {
+    store = new FileStateStore({ filePath })
+    store.set('a', 1)
+    store.close()
+    assert.equal(readStoreFile(filePath).a.value, 1)
+  })
+
+  it('loads entries written before', () => {
+    store = new FileStateStore({ filePath })
+    store.set('a', { n: 1 })
+    store.close()
+
+    store = new FileStateStore({ filePath })
+    assert.deepEqual(store.get('a'), { n: 1 })
+  })
+
+  it('drops entries that expired while stored', async () => {
+    store = new FileStateStore({ filePath, ttlMs: 10 })
+    store.set('short', 1)
+    store.set('forever', 2, 0)
+    store.close()
+    await sleep(20)
+
+    store = new FileStateStore({ filePath, ttlMs: 10 })
+    assert.equal(store.get('short'), undefined)
+    assert.deepEqual(store.entries(), [['forever', 2]])
+  })
+
+  it('starts empty from an unreadable file', () => {
+    fs.writeFileSync(filePath, 'not json')
+    const error = console.error
+    console.error = () => {}
+    try {
+      store = new FileStateStore({ filePath })
+    } finally {
+      console.error = error
+    }
+    assert.deepEqual(store.entries(), [])
+  })
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    it(`writes batched changes when the process gets ${signal}`, () => {
+      const script = `
+        import { FileStateStore } from ${JSON.stringify(STORE_MODULE)}
+        const store = new FileStateStore({ filePath: ${JSON.stringify(filePath)} })
+        store.set('a', 1)
+        setInterval(() => {}, 1000)
+        process.kill(process.pid, '${signal}')
+      `
+      const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10000 })
+
+      assert.equal(result.signal, signal)
+      assert.equal(readStoreFile(filePath).a.value, 1)
+    })
+  }
+})
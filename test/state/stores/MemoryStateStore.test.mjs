@@ -0,0 +1,76 @@
+/**
+ * In-Memory State Store Tests
+ */
+import { describe, it, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { MemoryStateStore } from '../../../src/state/stores/MemoryStateStore.mjs'
+
+describe('MemoryStateStore', () => {
+  let store
+
+  afterEach(() => store?.close())
+
+  it('keeps entries without a TTL', async () => {
+    store = new MemoryStateStore()
+    store.set('a', { n: 1 })
+    await sleep(20)
+    assert.deepEqual(store.get('a'), { n: 1 })
+    assert.equal(store.has('a'), true)
+  })
+
+  it('expires entries after the store TTL', async () => {
+    store = new MemoryStateStore({ ttlMs: 10 })
+    store.set('a', 1)
+    assert.equal(store.get('a'), 1)
+    await sleep(20)
+    assert.equal(store.get('a'), undefined)
+    assert.equal(store.has('a'), false)
+  })
+
+  it('lets an entry override the store TTL', async () => {
+    store = new MemoryStateStore({ ttlMs: 10 })
+    store.set('short', 1)
+    store.set('forever', 2, 0)
+    await sleep(20)
+    assert.deepEqual(store.entries(), [['forever', 2]])
+  })
+
+  it('calls onExpire once for each expired entry', async () => {
+    const expired = []
+    store = new MemoryStateStore({ ttlMs: 10, onExpire: (key, value) => expired.push([key, value]) })
+    store.set('a', 1)
+    store.set('b', 2)
+    await sleep(20)
+    store.sweep()
+    store.sweep()
+    assert.deepEqual(expired, [['a', 1], ['b', 2]])
+  })
+
+  it('keeps sweeping when onExpire throws', async () => {
+    const expired = []
+    store = new MemoryStateStore({
+      ttlMs: 10,
+      onExpire: key => {
+        expired.push(key)
+        throw new Error('boom')
+      },
+    })
+    store.set('a', 1)
+    store.set('b', 2)
+    await sleep(20)
+    store.sweep()
+    assert.deepEqual(expired, ['a', 'b'])
+    assert.deepEqual(store.entries(), [])
+  })
+
+  it('deletes and clears entries', () => {
+    store = new MemoryStateStore()
+    store.set('a', 1)
+    store.set('b', 2)
+    assert.equal(store.delete('a'), true)
+    assert.equal(store.delete('a'), false)
+    store.clear()
+    assert.deepEqual(store.entries(), [])
+  })
+})
@@ -0,0 +1,106 @@
+/**
+ * JQL Utilities Tests
+ */
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { quoteJqlString, escapeTextSearch, jqlField, jqlFunction, jql } from '../../src/utils/jql.mjs'
+
+describe('quoteJqlString', () => {
+  it('quotes plain values', () => {
+    assert.equal(quoteJqlString('Open'), '"Open"')
+    assert.equal(quoteJqlString(42), '"42"')
+  })
+
+  it('escapes quotes and backslashes', () => {
+    assert.equal(quoteJqlString('a"b\\c'), String.raw`"a\"b\\c"`)
+  })
+
+  it('keeps a closing quote from ending the literal', () => {
+    assert.equal(quoteJqlString('x" OR project = SECRET OR summary ~ "y'), String.raw`"x\" OR project = SECRET OR summary ~ \"y"`)
+  })
+
+  it('writes line breaks as spaces', () => {
+    assert.equal(quoteJqlString('line1\r\nline2\nline3'), '"line1 line2 line3"')
+  })
+})
+
+describe('escapeTextSearch', () => {
+  it('escapes the Lucene special characters', () => {
+    assert.equal(
+      escapeTextSearch('a+b-c && d || !e (f) {g} [h] ^i ~j *k ?l :m /o'),
+      String.raw`a\+b\-c \&\& d \|\| \!e \(f\) \{g\} \[h\] \^i \~j \*k \?l \:m \/o`
+    )
+  })
+
+  it('escapes backslashes', () => {
+    assert.equal(escapeTextSearch('C:\\temp'), String.raw`C\:\\temp`)
+  })
+
+  it('keeps the quotes of quoted phrases', () => {
+    assert.equal(escapeTextSearch('"login error" page'), '"login error" page')
+  })
+
+  it('escapes special characters inside phrases', () => {
+    assert.equal(escapeTextSearch('"error: timeout (5s)"'), String.raw`"error\: timeout \(5s\)"`)
+  })
+
+  it('escapes an unbalanced quote', () => {
+    assert.equal(escapeTextSearch('say "hi'), String.raw`say \"hi`)
+  })
+})
+
+describe('jqlField', () => {
+  it('writes plain and custom field names as they are', () => {
+    assert.equal(jqlField('status'), 'status')
+    assert.equal(jqlField('cf[10010]'), 'cf[10010]')
+  })
+
+  it('quotes reserved words in any case', () => {
+    assert.equal(jqlField('order'), '"order"')
+    assert.equal(jqlField('Empty'), '"Empty"')
+  })
+
+  it('quotes names with spaces or quotes', () => {
+    assert.equal(jqlField('Story Points'), '"Story Points"')
+    assert.equal(jqlField('a"b'), String.raw`"a\"b"`)
+  })
+})
+
+describe('jqlFunction', () => {
+  it('writes the call unquoted', () => {
+    assert.deepEqual(jqlFunction('currentUser'), { jqlFunction: 'currentUser()' })
+  })
+
+  it('quotes arguments as string literals', () => {
+    assert.deepEqual(jqlFunction('membersOf', 'jira-"admins'), { jqlFunction: String.raw`membersOf("jira-\"admins")` })
+  })
+
+  it('rejects names that aren\'t identifiers', () => {
+    assert.throws(() => jqlFunction('x) OR (1'), /Invalid JQL function name/)
+  })
+})
+
+describe('JqlBuilder', () => {
+  it('joins clauses with AND and writes values safely', () => {
+    assert.equal(
+      jql()
+        .where('status', 'in', ['A', 'B'])
+        .where('assignee', 'is', null)
+        .where('assignee', '=', jqlFunction('currentUser'))
+        .text('"a b" c:')
+        .orderBy('order', 'asc')
+        .build(),
+      String.raw`status in ("A", "B") AND assignee is EMPTY AND assignee = currentUser() AND text ~ "\"a b\" c\\:" ORDER BY "order" ASC`
+    )
+  })
+
+  it('leaves out empty text searches', () => {
+    assert.equal(jql().where('project', '=', 'OPS').text('  ').build(), 'project = "OPS"')
+  })
+
+  it('rejects unknown operators, empty lists and sort directions', () => {
+    assert.throws(() => jql().where('summary', 'like', 'x'), /Unsupported JQL operator/)
+    assert.throws(() => jql().where('status', 'in', []), /needs at least one value/)
+    assert.throws(() => jql().orderBy('updated', 'sideways'), /Invalid sort direction/)
+  })
+})